@@ -14,17 +14,37 @@ const {
   verifyEmail,
   refreshToken
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+  stepUp
+} = require('../controllers/twoFactorController');
 
 const { validateInput } = require('../middleware/validation');
-const { protect } = require('../middleware/auth');
+const { protect, requireStepUp } = require('../middleware/auth');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
 
-// Register user validation
-const registerValidation = [
-  check('firstName', 'First name is required').not().isEmpty(),
-  check('lastName', 'Last name is required').not().isEmpty(),
-  check('email', 'Please include a valid email').isEmail(),
-  check('password', 'Please enter a password with 8 or more characters').isLength({ min: 8 })
-];
+// The signup rules are an ES module shared with the signup wizard, so they are loaded with import()
+const signupSchema = import('../../shared/signupSchema.js');
+
+// Register user validation, with the same rules the signup wizard checks step by step
+const registerValidation = asyncHandler(async (req, res, next) => {
+  const { SIGNUP_RULES, fieldError } = await signupSchema;
+
+  for (const field of Object.keys(SIGNUP_RULES)) {
+    const problem = fieldError(field, req.body);
+    if (problem) {
+      return next(new ErrorResponse(problem, 400));
+    }
+  }
+
+  next();
+});
 
 // Login validation
 const loginValidation = [
@@ -56,17 +76,26 @@ const forgotPasswordValidation = [
 ];
 
 // Routes
-router.post('/register', registerValidation, validateInput, register);
+router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, validateInput, login);
-router.get('/logout', protect, logout);
+router.get('/logout', logout);
 router.get('/me', protect, getMe);
 router.post('/forgotpassword', forgotPasswordValidation, validateInput, forgotPassword);
 router.put('/resetpassword/:resettoken', resetPasswordValidation, validateInput, resetPassword);
 router.put('/updatedetails', protect, updateDetailsValidation, validateInput, updateDetails);
-router.put('/updatepassword', protect, updatePasswordValidation, validateInput, updatePassword);
+router.put('/updatepassword', protect, requireStepUp, updatePasswordValidation, validateInput, updatePassword);
 router.get('/verifyemail/:verificationtoken', verifyEmail);
 router.post('/refresh-token', refreshToken);
 
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/2fa/step-up', protect, stepUp);
+
 module.exports = router;
 
 // routes/userRoutes.js - User routes
@@ -123,25 +152,38 @@ const {
   projectImageUpload,
   addProjectUpdate,
   addToFavorites,
-  removeFromFavorites
+  removeFromFavorites,
+  streamProject,
+  getMyProjects,
+  projectDocumentUpload,
+  publishProject,
+  getProjectUpdates,
+  markProjectUpdatesRead,
+  getUnreadUpdates
 } = require('../controllers/projectController');
 
 const { createInvestment, getProjectInvestments } = require('../controllers/investmentController');
+const { createDistribution } = require('../controllers/distributionController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, identify } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
 const advancedResults = require('../middleware/advancedResults');
+const listingSearch = require('../middleware/listingSearch');
 const Project = require('../models/Project');
 
 // Re-route into investment router
 router.use('/:projectId/investments', require('./investmentRoutes'));
 
 // Public routes
-router.get('/', advancedResults(Project, {
+router.get('/', listingSearch, advancedResults(Project, {
   path: 'owner',
   select: 'firstName lastName'
 }), getProjects);
-router.get('/:id', getProject);
+router.get('/mine', protect, authorize('admin', 'manager'), getMyProjects);
+router.get('/updates/unread', protect, getUnreadUpdates);
+router.get('/:id', identify, getProject);
+router.get('/:id/live', streamProject);
+router.get('/:id/updates', getProjectUpdates);
 
 // Protected routes
 router.use(protect);
@@ -149,7 +191,11 @@ router.post('/', authorize('admin', 'manager'), createProject);
 router.put('/:id', authorize('admin', 'manager'), updateProject);
 router.delete('/:id', authorize('admin', 'manager'), deleteProject);
 router.put('/:id/images', authorize('admin', 'manager'), upload.array('images', 10), projectImageUpload);
-router.post('/:id/updates', authorize('admin', 'manager'), addProjectUpdate);
+router.put('/:id/documents', authorize('admin', 'manager'), upload.array('documents', 10), projectDocumentUpload);
+router.put('/:id/publish', authorize('admin', 'manager'), publishProject);
+router.post('/:id/updates', authorize('admin', 'manager'), upload.array('photos', 10), addProjectUpdate);
+router.post('/:id/distributions', authorize('admin', 'manager'), createDistribution);
+router.put('/:id/updates/read', markProjectUpdatesRead);
 router.post('/:id/favorite', addToFavorites);
 router.delete('/:id/favorite', removeFromFavorites);
 
@@ -166,27 +212,30 @@ const {
   getInvestments,
   getInvestment,
   getMyInvestments,
+  getInvestmentLimits,
   getProjectInvestments,
   createInvestment,
   updateInvestment,
   cancelInvestment
 } = require('../controllers/investmentController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, actingAccount, requireAccountPermission } = require('../middleware/auth');
 const advancedResults = require('../middleware/advancedResults');
 const Investment = require('../models/Investment');
 
-// Apply protect middleware to all routes
+// Apply protect middleware to all routes, acting for the entity in X-Account-Id if any
 router.use(protect);
+router.use(actingAccount);
 
 // Routes for all authenticated users
 router.get('/me', getMyInvestments);
+router.get('/limits', getInvestmentLimits);
 router.get('/:id', getInvestment);
-router.put('/:id/cancel', cancelInvestment);
+router.put('/:id/cancel', requireAccountPermission('investments:create'), cancelInvestment);
 
 // If projectId is included
 router.route('/')
-  .post(createInvestment);
+  .post(requireAccountPermission('investments:create'), createInvestment);
 
 // Admin only routes
 router.use(authorize('admin'));
@@ -233,10 +282,12 @@ const {
   createMessage,
   updateMessage,
   deleteMessage,
-  getConversations
+  getConversations,
+  getUnreadCount
 } = require('../controllers/messageController');
 
 const { protect } = require('../middleware/auth');
+const { upload } = require('../middleware/upload');
 
 // Apply protect middleware to all routes
 router.use(protect);
@@ -244,8 +295,9 @@ router.use(protect);
 // Routes
 router.get('/', getMessages);
 router.get('/conversations', getConversations);
+router.get('/unread', getUnreadCount);
 router.get('/:id', getMessage);
-router.post('/', createMessage);
+router.post('/', upload.array('attachments', 5), createMessage);
 router.put('/:id', updateMessage);
 router.delete('/:id', deleteMessage);
 
@@ -276,3 +328,392 @@ router.delete('/:id', deleteDocument);
 router.post('/:id/share', shareDocument);
 
 module.exports = router;
+
+// routes/savedSearchRoutes.js - Saved search routes
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+
+const { protect } = require('../middleware/auth');
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+router.route('/')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id')
+  .put(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+module.exports = router;
+
+// routes/notificationRoutes.js - Notification history routes
+const express = require('express');
+const router = express.Router();
+const { getNotificationHistory } = require('../controllers/notificationController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', getNotificationHistory);
+
+module.exports = router;
+
+// routes/dripRoutes.js - Dividend reinvestment routes
+const express = require('express');
+const router = express.Router();
+const { getDripSettings, updateDripSettings } = require('../controllers/dripController');
+
+const { protect, actingAccount, requireAccountPermission } = require('../middleware/auth');
+
+// Act for the investor or the entity in X-Account-Id
+router.use(protect);
+router.use(actingAccount);
+
+router.route('/')
+  .get(getDripSettings)
+  .put(requireAccountPermission('investments:create'), updateDripSettings);
+
+module.exports = router;
+
+// routes/autoInvestRoutes.js - Recurring auto-invest plan routes
+const express = require('express');
+const router = express.Router();
+const {
+  getAutoInvestPlans,
+  createAutoInvestPlan,
+  updateAutoInvestPlan,
+  skipNextRun,
+  cancelAutoInvestPlan
+} = require('../controllers/autoInvestController');
+
+const { protect, actingAccount, requireAccountPermission } = require('../middleware/auth');
+
+// Act for the investor or the entity in X-Account-Id
+router.use(protect);
+router.use(actingAccount);
+
+const invests = requireAccountPermission('investments:create');
+
+router.route('/')
+  .get(getAutoInvestPlans)
+  .post(invests, createAutoInvestPlan);
+
+router.route('/:id')
+  .put(invests, updateAutoInvestPlan)
+  .delete(invests, cancelAutoInvestPlan);
+
+router.post('/:id/skip', invests, skipNextRun);
+
+module.exports = router;
+
+// routes/commentRoutes.js - Listing comment routes
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  addComment,
+  replyToComment,
+  upvoteComment,
+  downvoteComment
+} = require('../controllers/commentController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getComments)
+  .post(addComment);
+
+router.post('/:commentId/replies', replyToComment);
+router.post('/:commentId/upvote', upvoteComment);
+router.post('/:commentId/downvote', downvoteComment);
+
+module.exports = router;
+
+// routes/adminRoutes.js - Admin console routes
+const express = require('express');
+const router = express.Router();
+const {
+  getKycQueue,
+  reviewKycDocument,
+  reviewKyc,
+  searchUsers,
+  suspendUser,
+  reactivateUser
+} = require('../controllers/adminController');
+const {
+  getWireQueue,
+  importStatement,
+  matchStatementLine,
+  ignoreStatementLine
+} = require('../controllers/wireController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Admins only
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/kyc', getKycQueue);
+router.put('/kyc/:userId', reviewKyc);
+router.put('/kyc/:userId/documents/:documentId', reviewKycDocument);
+router.get('/users', searchUsers);
+router.put('/users/:id/suspend', suspendUser);
+router.put('/users/:id/reactivate', reactivateUser);
+router.get('/wires', getWireQueue);
+router.post('/wires/statements', importStatement);
+router.put('/wires/lines/:id/match', matchStatementLine);
+router.put('/wires/lines/:id/ignore', ignoreStatementLine);
+
+module.exports = router;
+
+// routes/accreditationRoutes.js - Accredited investor verification routes
+const express = require('express');
+const router = express.Router();
+const {
+  getMyAccreditation,
+  submitAccreditation,
+  downloadEvidence,
+  getAccreditationQueue,
+  reviewAccreditation
+} = require('../controllers/accreditationController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { uploadPrivate } = require('../middleware/upload');
+
+router.use(protect);
+
+router.get('/me', getMyAccreditation);
+router.post('/', uploadPrivate.array('evidence', 5), submitAccreditation);
+router.get('/:id/evidence/:documentId', downloadEvidence);
+
+// Admin only routes
+router.get('/queue', authorize('admin'), getAccreditationQueue);
+router.put('/:id/review', authorize('admin'), reviewAccreditation);
+
+module.exports = router;
+
+// routes/entityRoutes.js - Entity investor account routes
+const express = require('express');
+const router = express.Router();
+const {
+  getMyEntities,
+  getEntity,
+  createEntity,
+  updateEntity,
+  uploadEntityDocument,
+  downloadEntityDocument,
+  submitEntity,
+  addAuthorizedUser,
+  updateAuthorizedUser,
+  removeAuthorizedUser,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getEntityQueue,
+  reviewEntity
+} = require('../controllers/entityController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { uploadPrivate } = require('../middleware/upload');
+
+router.use(protect);
+
+// Admin only routes
+router.get('/queue', authorize('admin'), getEntityQueue);
+router.put('/:id/review', authorize('admin'), reviewEntity);
+
+// Joint account invitations
+router.get('/invitations', authorize('investor'), getInvitations);
+router.put('/:id/accept', authorize('investor'), acceptInvitation);
+router.delete('/:id/invitation', authorize('investor'), declineInvitation);
+
+// Permissions on each entity are checked by the controller
+router.route('/')
+  .get(getMyEntities)
+  .post(authorize('investor'), createEntity);
+router.route('/:id')
+  .get(getEntity)
+  .put(updateEntity);
+router.put('/:id/documents', uploadPrivate.single('document'), uploadEntityDocument);
+router.get('/:id/documents/:documentId', downloadEntityDocument);
+router.put('/:id/submit', submitEntity);
+router.post('/:id/users', addAuthorizedUser);
+router.route('/:id/users/:userId')
+  .put(updateAuthorizedUser)
+  .delete(removeAuthorizedUser);
+
+module.exports = router;
+
+// routes/householdRoutes.js - Household routes
+const express = require('express');
+const router = express.Router();
+const {
+  getMyHousehold,
+  createHousehold,
+  inviteMember,
+  acceptInvitation,
+  removeMember,
+  getHouseholdSummary
+} = require('../controllers/householdController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Membership of each household is checked by the controller
+router.get('/mine', getMyHousehold);
+router.post('/', authorize('investor'), createHousehold);
+router.get('/:id/summary', getHouseholdSummary);
+router.post('/:id/members', inviteMember);
+router.put('/:id/accept', acceptInvitation);
+router.delete('/:id/members/:userId', removeMember);
+
+module.exports = router;
+
+// routes/fundingRoutes.js - Card, ACH and wire funding routes
+const express = require('express');
+const router = express.Router();
+const {
+  getFundingSources,
+  createSetupIntent,
+  removeFundingSource,
+  getDeposits,
+  createDeposit,
+  getWireInstructions,
+  createWire,
+  stripeWebhook
+} = require('../controllers/fundingController');
+
+const {
+  protect,
+  authorize,
+  requireStepUp,
+  actingAccount,
+  requireAccountPermission
+} = require('../middleware/auth');
+
+// Stripe signs the raw body instead of sending a token; see app.js
+router.post('/webhook', stripeWebhook);
+
+// Everything else acts for the investor or the entity in X-Account-Id
+router.use(protect);
+router.use(authorize('investor'));
+router.use(actingAccount);
+
+router.get('/sources', getFundingSources);
+router.delete('/sources/:id', requireStepUp, requireAccountPermission('funds:manage'), removeFundingSource);
+router.post('/setup-intents', requireStepUp, requireAccountPermission('funds:manage'), createSetupIntent);
+
+router.route('/deposits')
+  .get(getDeposits)
+  .post(requireStepUp, requireAccountPermission('funds:manage'), createDeposit);
+
+router.get('/wire-instructions', getWireInstructions);
+router.post('/wires', requireAccountPermission('funds:manage'), createWire);
+
+module.exports = router;
+
+
+// routes/orderRoutes.js - Secondary market routes
+const express = require('express');
+const router = express.Router();
+
+const {
+  getOrderBook,
+  getOpenOrders,
+  placeAsk,
+  placeBid,
+  cancelOrder
+} = require('../controllers/orderController');
+
+const {
+  protect,
+  authorize,
+  actingAccount,
+  requireAccountPermission
+} = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/book/:projectId', getOrderBook);
+
+// Everything else acts for the investor or the entity in X-Account-Id
+router.use(authorize('investor'));
+router.use(actingAccount);
+
+router.get('/open', getOpenOrders);
+router.post('/asks', requireAccountPermission('investments:sell'), placeAsk);
+router.post('/bids', requireAccountPermission('investments:create'), placeBid);
+router.delete('/:id', cancelOrder);
+
+module.exports = router;
+
+// routes/paymentRoutes.js - Withdrawal, payout bank and distribution history routes
+const express = require('express');
+const router = express.Router();
+
+const {
+  requestWithdrawal,
+  addBank,
+  editBank,
+  deleteBank,
+  setPrimaryBank
+} = require('../controllers/payoutController');
+
+const { getDistributionHistory } = require('../controllers/distributionController');
+
+const {
+  protect,
+  authorize,
+  requireStepUp,
+  actingAccount,
+  requireAccountPermission
+} = require('../middleware/auth');
+
+// Act for the investor or the entity in X-Account-Id
+router.use(protect);
+router.use(authorize('investor'));
+router.use(actingAccount);
+
+// Moving money out, and changing where it goes, needs a fresh second-factor check
+const movesFunds = [requireStepUp, requireAccountPermission('funds:manage')];
+
+router.get('/distribution-history', getDistributionHistory);
+
+router.post('/request-withdrawal', movesFunds, requestWithdrawal);
+
+router.post('/banks', movesFunds, addBank);
+
+router.route('/banks/:id')
+  .put(movesFunds, editBank)
+  .delete(movesFunds, deleteBank);
+
+router.post('/banks/:id/set-primary', movesFunds, setPrimaryBank);
+
+module.exports = router;
+
+// routes/activityRoutes.js - Account activity routes
+const express = require('express');
+const router = express.Router();
+
+const { getActivity } = require('../controllers/distributionController');
+const { protect, authorize, actingAccount } = require('../middleware/auth');
+
+router.use(protect);
+router.use(authorize('investor'));
+router.use(actingAccount);
+
+router.get('/', getActivity);
+
+module.exports = router;
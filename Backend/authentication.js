@@ -30,6 +30,14 @@ const UserSchema = new mongoose.Schema({
     type: String,
     match: [/^[+]*[(]{0,1}[0-9]{1,4}[)]{0,1}[-\s\./0-9]*$/, 'Please provide a valid phone number']
   },
+  dateOfBirth: Date,
+  address: {
+    street: String,
+    unit: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
@@ -51,6 +59,27 @@ const UserSchema = new mongoose.Schema({
       enum: ['accredited', 'non-accredited', 'pending', 'not-applicable'],
       default: 'pending'
     },
+    // Set when an accreditation is verified; accredited status lapses after this date
+    accreditationExpiresAt: Date,
+    investorType: {
+      type: String,
+      enum: ['individual', 'entity'],
+      default: 'individual'
+    },
+    // SSN, encrypted with utils/fieldEncryption. Entities keep their EIN on the Entity.
+    taxIdEncrypted: {
+      type: String,
+      select: false
+    },
+    taxIdLast4: String,
+    // Driver's license or passport number, encrypted
+    idNumberEncrypted: {
+      type: String,
+      select: false
+    },
+    // Given at signup; sets the yearly investment limit for non-accredited investors
+    annualIncome: Number,
+    netWorth: Number,
     investmentPreferences: {
       preferredSectors: [String],
       investmentSizeMin: Number,
@@ -60,13 +89,27 @@ const UserSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high'],
         default: 'medium'
       },
-      geographicPreferences: [String]
+      geographicPreferences: [String],
+      // How much the investor plans to invest, from signup
+      plannedInvestment: Number,
+      timeHorizon: [String],
+      fundingMethod: {
+        type: String,
+        enum: ['bank', 'wire', 'later']
+      }
     },
     kycStatus: {
       type: String,
       enum: ['pending', 'submitted', 'verified', 'rejected'],
       default: 'pending'
     },
+    // Shown to the investor when their KYC is rejected
+    kycRejectionReason: String,
+    kycReviewedAt: Date,
+    kycReviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
     kycDocuments: [{
       documentType: String,
       documentUrl: String,
@@ -75,9 +118,24 @@ const UserSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'verified', 'rejected'],
         default: 'pending'
-      }
+      },
+      rejectionReason: String,
+      reviewedAt: Date
     }]
   },
+  // Cash available to invest or withdraw
+  availableFunds: {
+    type: Number,
+    default: 0
+  },
+  // Holds the cards and bank accounts the user funds their account from
+  stripeCustomerId: String,
+  // Memo the user puts on wires so they can be matched to their account
+  wireReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
@@ -90,13 +148,30 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  twoFactorSecret: String,
+  // Base32 TOTP secret; set during enrollment, before twoFactorEnabled is turned on
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed within its window
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
   lastLogin: Date,
+  // Suspended accounts (active: false) can not sign in or use the API
   active: {
     type: Boolean,
     default: true,
     select: false
   },
+  suspendedAt: Date,
+  suspensionReason: String,
   refreshToken: String
 }, {
   timestamps: true,
@@ -180,9 +255,11 @@ UserSchema.methods.getEmailVerificationToken = function() {
   return verificationToken;
 };
 
-// Only return active users
+// Only return active users, unless the query opts in with setOptions({ includeInactive: true })
 UserSchema.pre(/^find/, function(next) {
-  this.find({ active: { $ne: false } });
+  if (!this.getOptions().includeInactive) {
+    this.find({ active: { $ne: false } });
+  }
   next();
 });
 
@@ -190,26 +267,114 @@ module.exports = mongoose.model('User', UserSchema);
 
 // controllers/authController.js - Authentication controller
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const sendEmail = require('../services/emailService');
+const { signTwoFactorToken } = require('../services/twoFactorService');
+const Entity = require('../models/Entity');
+const { encryptField } = require('../utils/fieldEncryption');
+const { ENTITY_PERMISSIONS } = require('../utils/constants');
+
+const RISK_TOLERANCES = ['low', 'medium', 'high'];
+
+// Claimed accreditation stays pending until it is verified with evidence
+const claimedAccreditation = (status) => (status === 'accredited' ? 'pending' : 'non-accredited');
+
+// Profile and preferences from the investor signup wizard. Tax and ID numbers are kept
+// encrypted, with the last four digits of the tax ID in the clear for display. For entity
+// signups the tax ID, income and net worth are the entity's, so they go on the Entity.
+const investorSignupFields = ({
+  investorType,
+  accreditedInvestorStatus,
+  annualIncome,
+  netWorth,
+  fundingMethod,
+  userDetails = {},
+  preferences = {}
+}) => {
+  const isEntity = investorType === 'Entity';
+  const taxId = String(userDetails.ssn || '').replace(/\D/g, '');
+
+  return {
+    dateOfBirth: userDetails.dob,
+    address: {
+      street: userDetails.streetAddress,
+      unit: userDetails.unitNumber,
+      city: userDetails.city,
+      state: userDetails.state && userDetails.state.toUpperCase(),
+      zipCode: userDetails.zipCode
+    },
+    investorProfile: {
+      investorType: isEntity ? 'entity' : 'individual',
+      accreditedStatus: isEntity ? 'non-accredited' : claimedAccreditation(accreditedInvestorStatus),
+      annualIncome: isEntity ? undefined : annualIncome,
+      netWorth: isEntity ? undefined : netWorth,
+      taxIdEncrypted: isEntity ? undefined : encryptField(taxId),
+      taxIdLast4: isEntity ? undefined : taxId.slice(-4),
+      idNumberEncrypted: isEntity ? undefined : encryptField(userDetails.validIdNum),
+      investmentPreferences: {
+        riskTolerance: RISK_TOLERANCES[preferences.riskLevel - 1],
+        plannedInvestment: preferences.investmentAmount,
+        preferredSectors: [...(preferences.commercial || []), ...(preferences.residential || [])],
+        geographicPreferences: preferences.locations,
+        timeHorizon: preferences.timeHorizon,
+        fundingMethod
+      }
+    }
+  };
+};
+
+// The entity an entity signup invests through, with the new user as its first authorized
+// user holding every permission
+const signupEntity = ({ accreditedInvestorStatus, annualIncome, netWorth, userDetails = {} }, user) => {
+  const ein = String(userDetails.ein || '').replace(/\D/g, '');
+
+  return {
+    name: userDetails.entityName,
+    type: userDetails.entityType,
+    taxIdEncrypted: encryptField(ein),
+    taxIdLast4: ein.slice(-4),
+    investorProfile: {
+      accreditedStatus: claimedAccreditation(accreditedInvestorStatus),
+      annualIncome,
+      netWorth
+    },
+    authorizedUsers: [{ user: user._id, permissions: Object.keys(ENTITY_PERMISSIONS), addedBy: user._id }],
+    createdBy: user._id
+  };
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = asyncHandler(async (req, res, next) => {
-  const { firstName, lastName, email, password, role } = req.body;
+  const { firstName, lastName, email, password, role, phone } = req.body;
+  const isInvestor = !role || role === 'investor';
 
-  // Create user
+  // Create the user, with the investor profile and preferences from the signup wizard
   const user = await User.create({
     firstName,
     lastName,
     email,
     password,
-    role: role || 'investor' // Default to investor if no role provided
+    phone,
+    role: role || 'investor', // Default to investor if no role provided
+    ...(isInvestor && investorSignupFields(req.body))
   });
 
+  // An entity signup without its entity is incomplete, so take the user back out and
+  // let the investor try again with the same email
+  if (isInvestor && req.body.investorType === 'Entity') {
+    try {
+      await Entity.create(signupEntity(req.body, user));
+    } catch (err) {
+      await User.deleteOne({ _id: user._id });
+      throw err;
+    }
+  }
+
   // Generate email verification token
   const verificationToken = user.getEmailVerificationToken();
   await user.save({ validateBeforeSave: false });
@@ -253,7 +418,10 @@ exports.login = asyncHandler(async (req, res, next) => {
   }
 
   // Check for user
-  const user = await User.findOne({ email }).select('+password');
+  // Suspended users are found too, so they get the suspension message below
+  const user = await User.findOne({ email })
+    .select('+password +active')
+    .setOptions({ includeInactive: true });
 
   if (!user) {
     return next(new ErrorResponse('Invalid credentials', 401));
@@ -266,6 +434,19 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
+  if (user.active === false) {
+    return next(new ErrorResponse('This account has been suspended. Please contact support.', 403));
+  }
+
+  // Hold back the tokens until the second factor is checked
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorToken(user, 'login')
+    });
+  }
+
   // Update last login
   user.lastLogin = Date.now();
   await user.save({ validateBeforeSave: false });
@@ -275,15 +456,17 @@ exports.login = asyncHandler(async (req, res, next) => {
 
 // @desc    Log user out / clear cookie
 // @route   GET /api/auth/logout
-// @access  Private
+// @access  Public (the access token may already have expired)
 exports.logout = asyncHandler(async (req, res, next) => {
-  if (req.user) {
-    // Clear refresh token in DB
-    const user = await User.findById(req.user.id);
-    user.refreshToken = undefined;
-    await user.save({ validateBeforeSave: false });
+  const { refreshToken } = req.cookies;
+
+  if (refreshToken) {
+    // Clear refresh token in DB so the cookie cannot be replayed
+    await User.updateOne({ refreshToken }, { $unset: { refreshToken: 1 } });
   }
 
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
   res.status(200).json({
     success: true,
     data: {}
@@ -294,7 +477,7 @@ exports.logout = asyncHandler(async (req, res, next) => {
 // @route   POST /api/auth/refresh-token
 // @access  Public
 exports.refreshToken = asyncHandler(async (req, res, next) => {
-  const { refreshToken } = req.body;
+  const { refreshToken } = req.cookies;
 
   if (!refreshToken) {
     return next(new ErrorResponse('No refresh token provided', 400));
@@ -475,8 +658,19 @@ exports.verifyEmail = asyncHandler(async (req, res, next) => {
   });
 });
 
+// The refresh token lives in an httpOnly cookie that only the auth routes receive,
+// so page scripts never see it
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+});
+
 // Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
+const sendTokenResponse = exports.sendTokenResponse = (user, statusCode, res) => {
   // Create token
   const token = user.getSignedJwtToken();
   
@@ -486,18 +680,201 @@ const sendTokenResponse = (user, statusCode, res) => {
   // Save refresh token to DB
   user.save({ validateBeforeSave: false });
 
-  res.status(statusCode).json({
+  const refreshExpiresIn = jwt.decode(refreshToken).exp * 1000 - Date.now();
+
+  res
+    .status(statusCode)
+    .cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), maxAge: refreshExpiresIn })
+    .json({
+      success: true,
+      token,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        avatar: user.avatar
+      }
+    });
+};
+
+// controllers/twoFactorController.js - TOTP two-factor authentication controller
+const User = require('../models/User');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { sendTokenResponse } = require('./authController');
+const {
+  generateSecret,
+  keyUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  signTwoFactorToken,
+  verifyTwoFactorToken
+} = require('../services/twoFactorService');
+const QRCode = require('qrcode');
+
+// Load the current user with the two-factor fields that are hidden by default
+const findWithTwoFactor = (id) =>
+  User.findById(id).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+// Check a TOTP or recovery code for a user who has two-factor turned on
+const requireCode = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!code || !(await verifySecondFactor(user, code))) {
+    throw new ErrorResponse('Invalid verification code', 401);
+  }
+};
+
+// @desc    Get two-factor status for current user
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  res.status(200).json({
     success: true,
-    token,
-    refreshToken,
-    user: {
-      id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      isEmailVerified: user.isEmailVerified,
-      avatar: user.avatar
+    data: {
+      enabled: user.twoFactorEnabled,
+      recoveryCodesLeft: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
     }
   });
-};
+});
+
+// @desc    Start enrollment: create a secret and the QR code to scan
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  // Until enrollment is confirmed the secret is not used at login
+  user.twoFactorSecret = generateSecret();
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = keyUri(user.email, user.twoFactorSecret);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret: user.twoFactorSecret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    }
+  });
+});
+
+// @desc    Confirm enrollment with a code from the app and issue recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactorSecret) {
+    return next(new ErrorResponse('Start two-factor setup first', 400));
+  }
+
+  // Only an authenticator code proves the app was set up; recovery codes do not exist yet
+  if (!req.body.code || !(await verifySecondFactor(user, req.body.code, { allowRecovery: false }))) {
+    return next(new ErrorResponse('Invalid verification code', 401));
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { enabled: true, recoveryCodes: codes }
+  });
+});
+
+// @desc    Turn two-factor off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  await requireCode(user, req.body.code);
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { enabled: false }
+  });
+});
+
+// @desc    Replace the recovery codes, invalidating the old ones
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  await requireCode(user, req.body.code);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes: codes }
+  });
+});
+
+// @desc    Finish a login that needs a second factor
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  const userId = verifyTwoFactorToken(challengeToken, 'login');
+
+  if (!userId) {
+    return next(new ErrorResponse('Your sign-in has expired, please log in again', 401));
+  }
+
+  const user = await findWithTwoFactor(userId);
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid credentials', 401));
+  }
+
+  await requireCode(user, code);
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  sendTokenResponse(user, 200, res);
+});
+
+// @desc    Re-verify before a sensitive action such as a withdrawal or bank change
+// @route   POST /api/auth/2fa/step-up
+// @access  Private
+exports.stepUp = asyncHandler(async (req, res, next) => {
+  const user = await findWithTwoFactor(req.user.id);
+
+  await requireCode(user, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    stepUpToken: signTwoFactorToken(user, 'step-up')
+  });
+});
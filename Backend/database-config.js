@@ -47,7 +47,7 @@ NODE_ENV=development
 PORT=5000
 MONGO_URI=mongodb://localhost:27017/bylderr
 JWT_SECRET=your_jwt_secret_key_here
-JWT_EXPIRE=30d
+JWT_EXPIRE=15m
 JWT_REFRESH_EXPIRE=7d
 JWT_REFRESH_SECRET=your_refresh_token_secret_here
 CLIENT_URL=http://localhost:3000
@@ -61,3 +61,9 @@ AWS_BUCKET_NAME=bylderr-uploads
 AWS_REGION=us-east-1
 STRIPE_SECRET_KEY=your_stripe_secret_key
 STRIPE_WEBHOOK_SECRET=your_stripe_webhook_secret
+WIRE_BANK_NAME=Example Bank
+WIRE_BANK_ADDRESS=1 Example Plaza, New York, NY 10001
+WIRE_BENEFICIARY=Bylderr Investor Funds LLC
+WIRE_ACCOUNT_NUMBER=your_wire_account_number
+WIRE_ROUTING_NUMBER=your_wire_routing_number
+WIRE_SWIFT_CODE=your_wire_swift_code
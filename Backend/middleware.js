@@ -1,8 +1,12 @@
 // middleware/auth.js - Authentication middleware
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const asyncHandler = require('./async');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
+const Entity = require('../models/Entity');
+const { ENTITY_PERMISSIONS } = require('../utils/constants');
+const { verifyTwoFactorToken } = require('../services/twoFactorService');
 
 // Protect routes
 exports.protect = asyncHandler(async (req, res, next) => {
@@ -26,19 +30,51 @@ exports.protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Two-factor challenge and step-up tokens are not access tokens
+    if (decoded.purpose) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
     // Get user from the token
-    req.user = await User.findById(decoded.id);
+    req.user = await User.findById(decoded.id)
+      .select('+active')
+      .setOptions({ includeInactive: true });
 
     if (!req.user) {
       return next(new ErrorResponse('User not found', 404));
     }
 
+    // Suspending an account ends its sessions on the next request
+    if (req.user.active === false) {
+      return next(new ErrorResponse('This account has been suspended', 403));
+    }
+
     next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 });
 
+// Identify the user on public routes that show more to some users, like a draft to its
+// developer. Requests without a valid access token carry on anonymously.
+exports.identify = asyncHandler(async (req, res, next) => {
+  const { authorization } = req.headers;
+
+  if (authorization && authorization.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(authorization.split(' ')[1], process.env.JWT_SECRET);
+      if (!decoded.purpose) {
+        const user = await User.findById(decoded.id);
+        req.user = user || undefined;
+      }
+    } catch (err) {
+      // An expired or invalid token is the same as none here
+    }
+  }
+
+  next();
+});
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -54,6 +90,62 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Require a fresh second-factor check (X-Step-Up-Token from POST /api/auth/2fa/step-up)
+// for sensitive actions. Users without two-factor turned on pass straight through.
+exports.requireStepUp = (req, res, next) => {
+  if (!req.user.twoFactorEnabled) {
+    return next();
+  }
+
+  const userId = verifyTwoFactorToken(req.headers['x-step-up-token'], 'step-up');
+
+  if (!userId || userId !== req.user.id) {
+    return next(new ErrorResponse('Two-factor verification required', 403));
+  }
+
+  next();
+};
+
+// Act for an entity account (X-Account-Id) the user is an authorized user of. Sets
+// req.entity, or leaves it null when the user acts for themselves.
+exports.actingAccount = asyncHandler(async (req, res, next) => {
+  const accountId = req.headers['x-account-id'];
+  req.entity = null;
+
+  if (!accountId || accountId === 'personal') {
+    return next();
+  }
+
+  const entity = mongoose.isValidObjectId(accountId)
+    ? await Entity.findOne({
+      _id: accountId,
+      authorizedUsers: { $elemMatch: { user: req.user._id, status: { $ne: 'invited' } } }
+    })
+    : null;
+
+  if (!entity) {
+    return next(new ErrorResponse('Not authorized to act for this account', 403));
+  }
+
+  req.entity = entity;
+  next();
+});
+
+// Require a permission on the entity being acted for. Acting for yourself needs none.
+exports.requireAccountPermission = (permission) => {
+  return (req, res, next) => {
+    if (req.entity && !req.entity.can(req.user._id, permission)) {
+      return next(
+        new ErrorResponse(
+          `You are not allowed to ${ENTITY_PERMISSIONS[permission]} for ${req.entity.name}`,
+          403
+        )
+      );
+    }
+    next();
+  };
+};
+
 // middleware/async.js - Async handler to avoid try-catch blocks
 const asyncHandler = fn => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -114,14 +206,27 @@ const path = require('path');
 const ErrorResponse = require('../utils/errorResponse');
 const { v4: uuidv4 } = require('uuid');
 
+// Identity and accreditation documents are kept out of the public uploads folder and
+// only served through routes that check who is asking
+const PRIVATE_UPLOAD_DIR = 'private-uploads/';
+
+const filename = function(req, file, cb) {
+  cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
+};
+
 // Storage configuration
 const storage = multer.diskStorage({
   destination: function(req, file, cb) {
     cb(null, 'uploads/');
   },
-  filename: function(req, file, cb) {
-    cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
-  }
+  filename
+});
+
+const privateStorage = multer.diskStorage({
+  destination: function(req, file, cb) {
+    cb(null, PRIVATE_UPLOAD_DIR);
+  },
+  filename
 });
 
 // File filter
@@ -147,4 +252,158 @@ exports.upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter
-});
\ No newline at end of file
+});
+
+// Upload middleware for files that must not be public
+exports.uploadPrivate = multer({
+  storage: privateStorage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter
+});
+
+// Where a private upload is on disk; only the base name is used, so a stored name can't
+// point outside the folder
+exports.privateFilePath = (file) => path.resolve(PRIVATE_UPLOAD_DIR, path.basename(file));
+// middleware/listingSearch.js - Translate listing search params for advancedResults
+const { PROPERTY_TYPES, LISTING_SORTS, EARTH_RADIUS_KM } = require('../utils/constants');
+
+// "lng,lat;lng,lat;..." -> [[lng, lat], ...]
+const parsePoints = (value) =>
+  String(value)
+    .split(';')
+    .map(pair => pair.split(',').map(Number))
+    .filter(point => point.length === 2 && point.every(coord => !isNaN(coord)));
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Drop repeated vertices, including a closing one, so the ring can be closed exactly once
+const openRing = (points) => {
+  const ring = points.filter((point, i) => i === 0 || !samePoint(point, points[i - 1]));
+  while (ring.length > 1 && samePoint(ring[0], ring[ring.length - 1])) ring.pop();
+  return ring;
+};
+
+// Statuses anyone may list projects by; drafts stay with their developer
+const PUBLIC_STATUSES = ['active', 'funded', 'closed', 'completed'];
+
+// status=a,b or status[in]=a,b, narrowed to public statuses; open raises by default
+const publicStatuses = (requested) => {
+  const value = typeof requested === 'string' ? requested : requested && requested.in;
+  const statuses = String(value || '')
+    .split(',')
+    .map(status => status.trim())
+    .filter(status => PUBLIC_STATUSES.includes(status));
+
+  return statuses.length ? statuses : ['active', 'funded'];
+};
+
+/**
+ * Build a $geoWithin query on the geocoded project location from a map viewport
+ * (bbox=west,south,east,north), a drawn polygon (polygon=lng,lat;lng,lat;...) or
+ * a radius (near=lng,lat&radius=km)
+ */
+const buildAreaQuery = ({ bbox, polygon, near, radius }) => {
+  if (polygon) {
+    const ring = openRing(parsePoints(polygon));
+    if (ring.length < 3) return undefined;
+    return {
+      $geoWithin: {
+        $geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] }
+      }
+    };
+  }
+
+  if (near && radius) {
+    const [center] = parsePoints(near);
+    if (!center || isNaN(radius)) return undefined;
+    return {
+      $geoWithin: { $centerSphere: [center, Number(radius) / EARTH_RADIUS_KM] }
+    };
+  }
+
+  if (bbox) {
+    const [west, south, east, north] = String(bbox).split(',').map(Number);
+    if ([west, south, east, north].some(isNaN)) return undefined;
+    return {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        }
+      }
+    };
+  }
+
+  return undefined;
+};
+
+/**
+ * Rewrites the listing search params sent by the investor app (location, price,
+ * ROI and property type filters, a map area, plus a named sort) into the
+ * field[operator] query format advancedResults understands.
+ */
+const listingSearch = (req, res, next) => {
+  const {
+    bbox,
+    polygon,
+    near,
+    radius,
+    location,
+    minPrice,
+    maxPrice,
+    minROI,
+    maxROI,
+    propertyTypes,
+    sort,
+    ...rest
+  } = req.query;
+
+  // Fully funded raises stay listed while their waitlist is open. Only published projects
+  // can be searched for; other statuses asked for are ignored.
+  const query = { ...rest, status: { in: publicStatuses(rest.status) } };
+
+  // Locations arrive as "City, ST"
+  if (location) {
+    const [city, state] = location.split(',').map(part => part.trim());
+    query['location.city'] = city;
+    if (state) {
+      query['location.state'] = state;
+    }
+  }
+
+  // Matches against the geocoded location point (2dsphere index on Project.location)
+  const areaQuery = buildAreaQuery({ bbox, polygon, near, radius });
+  if (areaQuery) {
+    query.location = areaQuery;
+  }
+
+  const range = (min, max) => {
+    const bounds = {};
+    if (min !== undefined && !isNaN(min)) bounds.gte = Number(min);
+    if (max !== undefined && !isNaN(max)) bounds.lte = Number(max);
+    return Object.keys(bounds).length ? bounds : undefined;
+  };
+
+  const priceRange = range(minPrice, maxPrice);
+  if (priceRange) query.propertyValue = priceRange;
+
+  const roiRange = range(minROI, maxROI);
+  if (roiRange) query.expectedReturn = roiRange;
+
+  // Property types arrive as a bitmask of PROPERTY_TYPES
+  const mask = parseInt(propertyTypes, 10);
+  if (mask) {
+    query.propertyType = {
+      in: Object.keys(PROPERTY_TYPES).filter(type => (mask & PROPERTY_TYPES[type]) === PROPERTY_TYPES[type])
+    };
+  }
+
+  if (sort) {
+    query.sort = LISTING_SORTS[sort] || sort;
+  }
+
+  req.query = query;
+  next();
+};
+
+module.exports = listingSearch;
@@ -0,0 +1,1185 @@
+// models/SavedSearch.js - Saved listing search model
+const mongoose = require('mongoose');
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the search a name'],
+    trim: true,
+    maxlength: [60, 'Name cannot be more than 60 characters']
+  },
+  // Same shape as the listing search params sent by the investor app
+  filters: {
+    location: String,
+    minPrice: Number,
+    maxPrice: Number,
+    minROI: Number,
+    maxROI: Number,
+    propertyTypes: {
+      type: Number,
+      default: 0
+    },
+    sort: String
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastNotifiedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
+
+// models/Notification.js - User notification history model
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['investment', 'opportunity', 'account', 'update', 'message', 'system'],
+    default: 'system'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Client route the notification links to, e.g. /Listings/:id
+  link: String,
+  // Project the notification is about; unread 'update' notifications drive the unread badges
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, type: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+
+// models/TaxLot.js - Cost-basis lot created for every completed buy
+const mongoose = require('mongoose');
+
+const TaxLotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  investment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Investment'
+  },
+  // Entity account the lot is held for; unset for personal holdings
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity'
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  shares: {
+    type: Number,
+    required: true,
+    min: [0, 'Shares cannot be negative']
+  },
+  pricePerShare: {
+    type: Number,
+    required: true
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  // Shares still open once sells have relieved part of the lot
+  remainingShares: {
+    type: Number,
+    required: true
+  }
+});
+
+TaxLotSchema.index({ user: 1, project: 1, acquiredAt: 1 });
+
+// Open a lot for a completed investment, inside the caller's transaction when given a session
+TaxLotSchema.statics.fromInvestment = async function(investment, session) {
+  const shares = Number(investment.shares) || investment.amount / investment.sharePrice;
+
+  const [lot] = await this.create([{
+    user: investment.investor,
+    project: investment.project,
+    investment: investment._id,
+    entity: investment.entity,
+    acquiredAt: investment.createdAt || Date.now(),
+    shares,
+    pricePerShare: investment.sharePrice || investment.amount / shares,
+    fees: investment.transactionFee || 0,
+    remainingShares: shares
+  }], { session });
+
+  return lot;
+};
+
+// One row per account still holding blocks of a project: the entity, or the user for
+// personal lots, with the blocks held. Sold-out lots are left out.
+TaxLotSchema.statics.holders = function(projectId) {
+  return this.aggregate([
+    { $match: { project: projectId, remainingShares: { $gt: 0 } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$entity', '$user'] },
+        user: { $first: '$user' },
+        entity: { $first: '$entity' },
+        blocks: { $sum: '$remainingShares' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('TaxLot', TaxLotSchema);
+
+// models/DripSetting.js - Dividend reinvestment settings per investor or entity account
+const mongoose = require('mongoose');
+
+const DripSettingSchema = new mongoose.Schema({
+  // The investor, or for an entity's settings the authorized user who first saved them
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Entity account the settings are for; unset for the investor's personal holdings
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  // Default for holdings without their own setting
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  holdings: [
+    {
+      project: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Project',
+        required: true
+      },
+      // null follows the global setting
+      enabled: {
+        type: Boolean,
+        default: null
+      },
+      // Project to buy with the distributions; unset buys more of the paying project
+      targetProject: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Project'
+      }
+    }
+  ],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DripSettingSchema.index({ user: 1, entity: 1 }, { unique: true });
+
+module.exports = mongoose.model('DripSetting', DripSettingSchema);
+
+// models/AutoInvestPlan.js - Recurring investment plan
+const mongoose = require('mongoose');
+const { AUTO_INVEST_FREQUENCIES, PAYMENT_METHODS } = require('../utils/constants');
+
+const AutoInvestPlanSchema = new mongoose.Schema({
+  // The investor who set the plan up
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Entity account the plan invests for; unset for personal plans
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount to invest'],
+    min: [1, 'Amount must be at least 1']
+  },
+  frequency: {
+    type: String,
+    enum: Object.keys(AUTO_INVEST_FREQUENCIES),
+    required: true
+  },
+  fundingSource: {
+    paymentMethod: {
+      type: String,
+      enum: Object.values(PAYMENT_METHODS),
+      default: PAYMENT_METHODS.BALANCE
+    },
+    paymentDetails: Object,
+    // Shown to the investor, e.g. "Chase Bank - **** 1234"
+    label: String
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['property', 'basket'],
+      required: true
+    },
+    // Single property plans
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Project'
+    },
+    // Basket plans spread each run across active projects matching these rules
+    propertyTypes: Number,
+    minROI: Number,
+    maxROI: Number
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  // Runs fall on this date's day of month, every `frequency` months
+  startDate: {
+    type: Date,
+    required: true
+  },
+  nextRunAt: Date,
+  runs: [
+    {
+      date: Date,
+      status: {
+        type: String,
+        enum: ['completed', 'insufficient_funds', 'failed', 'skipped']
+      },
+      amount: Number,
+      investments: [
+        {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Investment'
+        }
+      ],
+      message: String
+    }
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AutoInvestPlanSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('AutoInvestPlan', AutoInvestPlanSchema);
+
+// models/Comment.js - Listing discussion comments and replies
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Unset for top-level comments
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Comment'
+  },
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Please add some text'],
+    trim: true,
+    maxlength: [2000, 'Comments cannot be more than 2000 characters']
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
+  // One vote per user; the totals above are kept in step with it
+  voters: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    value: {
+      type: String,
+      enum: ['upvote', 'downvote'],
+      required: true
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommentSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
+
+// models/Message.js - Direct messages between investors and project developers
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  // Thread key shared by every message between two users about one project (see conversationKey)
+  conversation: {
+    type: String,
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Listing the thread was started from; unset for general threads
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project'
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Messages can not be more than 5000 characters']
+  },
+  // Files stored by the upload middleware
+  attachments: [
+    {
+      name: String,
+      file: String,
+      mimetype: String,
+      size: Number
+    }
+  ],
+  readAt: Date,
+  editedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MessageSchema.index({ conversation: 1, createdAt: 1 });
+MessageSchema.index({ recipient: 1, readAt: 1 });
+
+// The same two users and project always map to the same thread, whoever writes first
+MessageSchema.statics.conversationKey = (userA, userB, project) =>
+  [userA, userB].map(String).sort().concat(project ? [String(project)] : []).join('-');
+
+module.exports = mongoose.model('Message', MessageSchema);
+
+// models/AccreditationVerification.js - Evidence an investor submits to prove accredited status
+const mongoose = require('mongoose');
+const { ACCREDITATION_METHODS } = require('../utils/constants');
+
+const AccreditationVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.keys(ACCREDITATION_METHODS),
+    required: [true, 'Please choose how you qualify']
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'verified', 'rejected', 'expired'],
+    default: 'submitted'
+  },
+  // What the investor claims; the evidence backs it up
+  annualIncome: Number,
+  jointIncome: Boolean,
+  netWorth: Number,
+  licenseType: String,
+  licenseNumber: String,
+  letterProvider: String,
+  // Files stored by the upload middleware
+  evidence: [
+    {
+      name: String,
+      file: String,
+      mimetype: String,
+      size: Number
+    }
+  ],
+  rejectionReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  verifiedAt: Date,
+  expiresAt: Date,
+  reminderSentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AccreditationVerificationSchema.index({ user: 1, createdAt: -1 });
+AccreditationVerificationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('AccreditationVerification', AccreditationVerificationSchema);
+
+// models/Entity.js - LLC, trust, corporation or IRA account that investors act for
+const mongoose = require('mongoose');
+const { ENTITY_TYPES, ENTITY_PERMISSIONS, JOINT_TENANCY } = require('../utils/constants');
+
+const EntitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please enter the entity name'],
+    trim: true,
+    maxlength: [120, 'Entity name cannot be more than 120 characters']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(ENTITY_TYPES),
+    required: [true, 'Please choose the kind of entity']
+  },
+  // Admins verify the entity from its formation documents and beneficial owners
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // EIN, encrypted with utils/fieldEncryption; IRAs use the custodian's
+  taxIdEncrypted: {
+    type: String,
+    select: false
+  },
+  taxIdLast4: String,
+  formationState: String,
+  formationDate: Date,
+  // Self-directed IRAs are held by a custodian that signs off on each investment
+  custodian: {
+    name: String,
+    accountLast4: String
+  },
+  // Joint accounts only
+  jointTenancy: {
+    type: String,
+    enum: Object.keys(JOINT_TENANCY)
+  },
+  // Same fields as a user's, so accreditation and investment limits apply to either.
+  // For entities the income is annual revenue and the net worth is net assets.
+  investorProfile: {
+    accreditedStatus: {
+      type: String,
+      enum: ['accredited', 'non-accredited', 'pending'],
+      default: 'non-accredited'
+    },
+    accreditationExpiresAt: Date,
+    annualIncome: Number,
+    netWorth: Number
+  },
+  documents: [
+    {
+      // One of the entity type's documents in ENTITY_TYPES
+      kind: {
+        type: String,
+        required: true
+      },
+      name: String,
+      file: String,
+      mimetype: String,
+      size: Number,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  beneficialOwners: [
+    {
+      name: {
+        type: String,
+        required: [true, 'Please enter each owner\'s name']
+      },
+      title: String,
+      // Percent of the entity owned, 0-100
+      ownership: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      },
+      dateOfBirth: Date,
+      // Someone with significant control, such as a manager, officer or trustee
+      controlPerson: {
+        type: Boolean,
+        default: false
+      }
+    }
+  ],
+  authorizedUsers: [
+    {
+      user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      permissions: [
+        {
+          type: String,
+          enum: Object.keys(ENTITY_PERMISSIONS)
+        }
+      ],
+      addedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // The second owner of a joint account is invited, and has no access until they accept
+      status: {
+        type: String,
+        enum: ['invited', 'active'],
+        default: 'active'
+      }
+    }
+  ],
+  // Joint accounts only: the email the second owner was invited at, until they accept. Kept
+  // whether or not it belongs to an investor, so opening the account reveals neither.
+  invitedEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Cash the entity has available to invest or withdraw
+  availableFunds: {
+    type: Number,
+    default: 0
+  },
+  // Holds the cards and bank accounts the entity funds its account from
+  stripeCustomerId: String,
+  // Memo put on wires for the entity so they can be matched to its account
+  wireReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EntitySchema.index({ 'authorizedUsers.user': 1 });
+EntitySchema.index({ invitedEmail: 1 }, { sparse: true });
+EntitySchema.index({ status: 1, createdAt: 1 });
+
+// The user's place among the entity's users, invited or active
+EntitySchema.methods.memberFor = function(userId) {
+  return this.authorizedUsers.find(item => String(item.user._id || item.user) === String(userId));
+};
+
+// The permissions a user has for this entity, or null if they are not one of its users yet
+EntitySchema.methods.permissionsFor = function(userId) {
+  const member = this.memberFor(userId);
+  return member && member.status !== 'invited' ? member.permissions : null;
+};
+
+EntitySchema.methods.can = function(userId, permission) {
+  return (this.permissionsFor(userId) || []).includes(permission);
+};
+
+// Formation documents the entity type needs that have not been uploaded yet
+EntitySchema.methods.missingDocuments = function() {
+  const required = Object.keys(ENTITY_TYPES[this.type].documents);
+  return required.filter(kind => !this.documents.some(doc => doc.kind === kind));
+};
+
+module.exports = mongoose.model('Entity', EntitySchema);
+
+// models/Household.js - Investors who share one consolidated view of their accounts
+const mongoose = require('mongoose');
+
+const HouseholdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please name the household'],
+    trim: true,
+    maxlength: [80, 'Household name cannot be more than 80 characters']
+  },
+  // Members see each other's accounts once they accept; the head invites and removes them
+  members: [
+    {
+      user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['head', 'member'],
+        default: 'member'
+      },
+      status: {
+        type: String,
+        enum: ['invited', 'active'],
+        default: 'invited'
+      },
+      invitedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      joinedAt: Date
+    }
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+HouseholdSchema.index({ 'members.user': 1 });
+
+HouseholdSchema.methods.memberFor = function(userId) {
+  return this.members.find(item => String(item.user._id || item.user) === String(userId));
+};
+
+HouseholdSchema.methods.activeMembers = function() {
+  return this.members.filter(item => item.status === 'active');
+};
+
+module.exports = mongoose.model('Household', HouseholdSchema);
+
+// models/Deposit.js - Money moved into an investor's or entity's account
+const mongoose = require('mongoose');
+const { DEPOSIT_METHODS, DEPOSIT_STATUSES } = require('../utils/constants');
+
+const DepositSchema = new mongoose.Schema({
+  // Who made it; the account credited is the entity, or the user when there is none
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be positive']
+  },
+  method: {
+    type: String,
+    enum: Object.keys(DEPOSIT_METHODS),
+    required: true
+  },
+  // Card brand or bank name and the last four digits, as shown to the investor
+  source: String,
+  stripePaymentIntentId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Wires only: the account's wire reference, and the bank statement line matched to it
+  reference: String,
+  statementLine: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'BankStatementLine'
+  },
+  // Card and ACH deposits follow their PaymentIntent through Stripe's webhooks, and wires
+  // settle when reconciled; funds are credited once settled
+  status: {
+    type: String,
+    enum: Object.keys(DEPOSIT_STATUSES),
+    default: 'pending'
+  },
+  failureReason: String,
+  settledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DepositSchema.index({ user: 1, entity: 1, createdAt: -1 });
+DepositSchema.index({ method: 1, status: 1, reference: 1 });
+
+module.exports = mongoose.model('Deposit', DepositSchema);
+
+// models/BankStatementLine.js - Incoming credits from the platform bank's statements, for wire reconciliation
+const mongoose = require('mongoose');
+
+const BankStatementLineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // The bank's own id for the transaction, so a statement imported twice adds nothing
+  bankReference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Originator and memo text as the bank reported them
+  description: String,
+  // Wire reference found in the description, if any
+  reference: String,
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  deposit: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Deposit'
+  },
+  // Admin who matched or ignored the line; empty when it was matched on import
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  importedFrom: {
+    fileName: String,
+    format: {
+      type: String,
+      enum: ['csv', 'bai2']
+    }
+  },
+  importedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BankStatementLineSchema.index({ status: 1, date: 1 });
+
+module.exports = mongoose.model('BankStatementLine', BankStatementLineSchema);
+
+// models/Order.js - Limit orders to buy (bid) or sell (ask) blocks on the secondary market
+const mongoose = require('mongoose');
+const { LOT_METHODS, ORDER_STATUSES } = require('../utils/constants');
+
+const OrderSchema = new mongoose.Schema({
+  // Who placed it; the account trading is the entity, or the user when there is none
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['bid', 'ask'],
+    required: true
+  },
+  pricePerBlock: {
+    type: Number,
+    required: [true, 'Please add a price per block'],
+    min: [0.01, 'Price per block must be positive']
+  },
+  shares: {
+    type: Number,
+    required: [true, 'Please add the number of blocks'],
+    min: [0.0001, 'Blocks must be positive']
+  },
+  filledShares: {
+    type: Number,
+    default: 0
+  },
+  // Blocks still resting on the book; cancelling releases them
+  remainingShares: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(ORDER_STATUSES),
+    default: 'open'
+  },
+  // Asks only: which tax lots the blocks come out of as the order fills
+  lotMethod: {
+    type: String,
+    enum: Object.keys(LOT_METHODS),
+    default: 'fifo'
+  },
+  lots: [{
+    lot: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'TaxLot'
+    },
+    shares: Number
+  }],
+  cancelledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Matching reads one side of a project's book by price, then time
+OrderSchema.index({ project: 1, side: 1, status: 1, pricePerBlock: 1, createdAt: 1 });
+OrderSchema.index({ user: 1, entity: 1, status: 1 });
+
+module.exports = mongoose.model('Order', OrderSchema);
+
+// models/Trade.js - A fill between a bid and an ask
+const mongoose = require('mongoose');
+
+const TradeSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  bid: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  ask: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  shares: {
+    type: Number,
+    required: true
+  },
+  // The resting order's price
+  pricePerBlock: {
+    type: Number,
+    required: true
+  },
+  // Charged to the seller, out of their proceeds
+  fee: {
+    type: Number,
+    default: 0
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TradeSchema.index({ project: 1, executedAt: -1 });
+
+module.exports = mongoose.model('Trade', TradeSchema);
+
+// models/RealizedGain.js - Gain or loss realized on the part of a tax lot a sell relieved
+const mongoose = require('mongoose');
+
+const RealizedGainSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  lot: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaxLot',
+    required: true
+  },
+  // The ask that sold the blocks, and the fill they sold in
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  trade: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Trade',
+    required: true
+  },
+  acquiredAt: Date,
+  soldAt: Date,
+  shares: {
+    type: Number,
+    required: true
+  },
+  // Net of the sell fee; the cost basis includes the buy fees
+  proceeds: Number,
+  costBasis: Number,
+  gain: Number,
+  // Long-term once held for more than one year
+  term: {
+    type: String,
+    enum: ['short', 'long']
+  }
+});
+
+RealizedGainSchema.index({ user: 1, entity: 1, soldAt: -1 });
+RealizedGainSchema.index({ order: 1 });
+
+module.exports = mongoose.model('RealizedGain', RealizedGainSchema);
+
+// models/PayoutBank.js - Bank accounts an investor's or entity's withdrawals are paid to
+const mongoose = require('mongoose');
+
+const PayoutBankSchema = new mongoose.Schema({
+  // Who added it; the account it pays is the entity, or the user when there is none
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  bankName: {
+    type: String,
+    required: [true, 'Please add the bank name'],
+    trim: true
+  },
+  last4: {
+    type: String,
+    required: [true, 'Please add the last four digits of the account number'],
+    match: [/^\d{4}$/, 'Please add the last four digits of the account number']
+  },
+  // Withdrawals go here unless another bank is chosen
+  primary: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PayoutBankSchema.index({ user: 1, entity: 1 });
+
+module.exports = mongoose.model('PayoutBank', PayoutBankSchema);
+
+// models/Withdrawal.js - Cash taken out of an account's available funds to a payout bank
+const mongoose = require('mongoose');
+
+const WithdrawalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add an amount'],
+    min: [0.01, 'Amount must be positive']
+  },
+  payoutBank: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PayoutBank',
+    required: true
+  },
+  // The bank as it was shown when the withdrawal was requested
+  bank: String,
+  // Funds leave available funds on request; operations send the transfer
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WithdrawalSchema.index({ user: 1, entity: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
+
+// models/Distribution.js - A project's distribution as paid to one holder
+const mongoose = require('mongoose');
+
+const DistributionSchema = new mongoose.Schema({
+  // The holder: the entity, or the user when the blocks are held personally
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Entity',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Blocks held when it was paid, and what each one earned
+  blocks: {
+    type: Number,
+    required: true
+  },
+  amountPerBlock: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // The part DRIP reinvested, and the investment it bought
+  reinvestedAmount: {
+    type: Number,
+    default: 0
+  },
+  reinvestedBlocks: {
+    type: Number,
+    default: 0
+  },
+  targetProject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project'
+  },
+  investment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Investment'
+  },
+  // The rest, added to available funds
+  paidOut: {
+    type: Number,
+    default: 0
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DistributionSchema.index({ user: 1, entity: 1, paidAt: -1 });
+DistributionSchema.index({ project: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Distribution', DistributionSchema);
+
+// models/InvestmentAdjustment.js - An admin's correction to an investment, with the reason given
+const mongoose = require('mongoose');
+
+const InvestmentAdjustmentSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Investment',
+    required: true
+  },
+  admin: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for the adjustment']
+  },
+  // The adjusted fields as they were, and as they were set
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvestmentAdjustmentSchema.index({ investment: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InvestmentAdjustment', InvestmentAdjustmentSchema);
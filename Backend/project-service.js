@@ -136,6 +136,73 @@ export const uploadProjectImages = async (id, formData) => {
   }
 };
 
+/**
+ * Upload project documents
+ * @param {string} id - Project ID
+ * @param {FormData} formData - Form data with PDF documents
+ * @returns {Promise} Promise object with upload result
+ */
+export const uploadProjectDocuments = async (id, formData) => {
+  try {
+    const response = await api.put(`/projects/${id}/documents`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return {
+      success: true,
+      project: response.data.data,
+      message: 'Documents uploaded successfully'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: error.response?.data?.error || 'Failed to upload documents'
+    };
+  }
+};
+
+/**
+ * Publish a draft project, opening its raise
+ * @param {string} id - Project ID
+ * @returns {Promise} Promise object with published project
+ */
+export const publishProject = async (id) => {
+  try {
+    const response = await api.put(`/projects/${id}/publish`);
+    return {
+      success: true,
+      project: response.data.data,
+      message: 'Project published successfully'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: error.response?.data?.error || 'Failed to publish project'
+    };
+  }
+};
+
+/**
+ * Get the current user's projects, drafts included (admin/manager only)
+ * @returns {Promise} Promise object with projects and their investor counts
+ */
+export const getMyProjects = async () => {
+  try {
+    const response = await api.get('/projects/mine');
+    return {
+      success: true,
+      projects: response.data.data,
+      count: response.data.count
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: error.response?.data?.error || 'Failed to fetch your projects'
+    };
+  }
+};
+
 /**
  * Add project update
  * @param {string} id - Project ID
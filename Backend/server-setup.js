@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const passport = require('passport');
 const path = require('path');
@@ -17,6 +18,19 @@ const investmentRoutes = require('./routes/investmentRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const documentRoutes = require('./routes/documentRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const dripRoutes = require('./routes/dripRoutes');
+const autoInvestRoutes = require('./routes/autoInvestRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const accreditationRoutes = require('./routes/accreditationRoutes');
+const entityRoutes = require('./routes/entityRoutes');
+const householdRoutes = require('./routes/householdRoutes');
+const fundingRoutes = require('./routes/fundingRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const activityRoutes = require('./routes/activityRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -41,14 +55,18 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  // Stripe sends every webhook from a few shared IPs, so throttling them would hold up deposits
+  skip: (req) => req.originalUrl.startsWith('/api/funding/webhook')
 });
 app.use('/api/', limiter);
 
 // Middleware
 app.use(morgan('dev')); // HTTP request logger
+app.use('/api/funding/webhook', express.raw({ type: 'application/json' })); // Stripe verifies the raw body
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
+app.use(cookieParser()); // Read the httpOnly refresh token cookie
 app.use(passport.initialize());
 
 // Set static folder
@@ -62,6 +80,19 @@ app.use('/api/investments', investmentRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications-history', notificationRoutes);
+app.use('/api/payments/drip', dripRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/auto-invest', autoInvestRoutes);
+app.use('/api/posts/:postId/comments', commentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/accreditation', accreditationRoutes);
+app.use('/api/entities', entityRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/funding', fundingRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/activity', activityRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -100,6 +131,18 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Hourly jobs: place due auto-invest runs, settle raises past their funding deadline and
+// remind or lapse expiring accreditations
+const { runDuePlans } = require('./services/autoInvestService');
+const { closeExpiredRaises } = require('./services/projectLifecycleService');
+const { expireAccreditations } = require('./services/accreditationService');
+const JOBS_INTERVAL = 60 * 60 * 1000;
+const jobsTimer = setInterval(() => {
+  runDuePlans().catch(err => console.error(`Auto-invest run failed: ${err.message}`));
+  closeExpiredRaises().catch(err => console.error(`Closing expired raises failed: ${err.message}`));
+  expireAccreditations().catch(err => console.error(`Accreditation expiry failed: ${err.message}`));
+}, JOBS_INTERVAL);
+
 // Unhandled rejection handler
 process.on('unhandledRejection', err => {
   console.error('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -112,6 +155,7 @@ process.on('unhandledRejection', err => {
 // For graceful shutdown with SIGTERM
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  clearInterval(jobsTimer);
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -77,8 +77,13 @@ module.exports = sendEmail;
 
 // services/paymentService.js - Payment processing service
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const Entity = require('../models/Entity');
 const ErrorResponse = require('../utils/errorResponse');
 
+// Payments the platform took itself rather than through Stripe
+const INTERNAL_PAYMENT_PREFIXES = ['balance_', 'bank_', 'wire_', 'crypto_'];
+
 /**
  * Process a payment
  * @param {Object} options
@@ -87,10 +92,11 @@ const ErrorResponse = require('../utils/errorResponse');
  * @param {Object} options.paymentDetails - Payment details
  * @param {Object} options.user - User making the payment
  * @param {Object} options.project - Project being invested in
+ * @param {Object} options.account - User or entity whose balance pays; defaults to the user
  * @returns {Object} Payment result with paymentId and fee
  */
 exports.processPayment = async (options) => {
-  const { amount, paymentMethod, paymentDetails, user, project } = options;
+  const { amount, paymentMethod, paymentDetails, user, project, account = user } = options;
 
   // Calculate fee (2% for example)
   const fee = amount * 0.02;
@@ -138,6 +144,22 @@ exports.processPayment = async (options) => {
         status: 'pending'
       };
 
+    case 'balance': {
+      // Paid from the investor's available cash, fee included
+      const total = amount + fee;
+      if (!(account.availableFunds >= total)) {
+        throw new ErrorResponse('Insufficient funds', 402);
+      }
+      account.availableFunds -= total;
+      await account.save({ validateBeforeSave: false });
+
+      return {
+        paymentId: `balance_${Date.now()}`,
+        fee,
+        status: 'succeeded'
+      };
+    }
+
     case 'crypto':
       // Handle crypto payments (simplified)
       return {
@@ -151,15 +173,45 @@ exports.processPayment = async (options) => {
   }
 };
 
+// Whether a payment was taken by the platform itself rather than through Stripe
+exports.isInternalPayment = (paymentId) =>
+  Boolean(paymentId) && INTERNAL_PAYMENT_PREFIXES.some(prefix => paymentId.startsWith(prefix));
+
+/**
+ * Credit money back to an account's available funds. The $inc is atomic, so concurrent
+ * refunds and fills cannot overwrite each other's balance.
+ * @param {Object} options
+ * @param {String} options.user - User whose own account is credited
+ * @param {String} options.entity - Entity credited instead, if the money was the entity's
+ * @param {Number} options.amount - Amount to credit
+ */
+exports.creditAccount = async ({ user, entity, amount }) => {
+  const credited = await (entity ? Entity : User).updateOne(
+    { _id: entity || user },
+    { $inc: { availableFunds: amount } }
+  );
+
+  if (credited.matchedCount === 0) {
+    throw new ErrorResponse('Account to credit not found', 404);
+  }
+};
+
 /**
- * Process a refund
+ * Process a refund. Card payments are refunded through Stripe; money the platform took
+ * itself goes straight back to the paying account's available funds.
  * @param {Object} options
  * @param {String} options.paymentId - Payment ID to refund
  * @param {Number} options.amount - Amount to refund
+ * @param {String} options.user - Investor who paid
+ * @param {String} options.entity - Entity the payment was made for, if any
  * @returns {Object} Refund result
  */
 exports.processRefund = async (options) => {
-  const { paymentId, amount } = options;
+  const { paymentId, amount, user, entity } = options;
+
+  if (!paymentId) {
+    throw new ErrorResponse('Payment ID is required to refund', 400);
+  }
 
   // Check if it's a Stripe payment
   if (paymentId.startsWith('pi_')) {
@@ -176,11 +228,12 @@ exports.processRefund = async (options) => {
     } catch (error) {
       throw new ErrorResponse(`Refund failed: ${error.message}`, 400);
     }
-  } else if (paymentId.startsWith('bank_') || paymentId.startsWith('wire_') || paymentId.startsWith('crypto_')) {
-    // For non-Stripe payments, return a pending status
+  } else if (exports.isInternalPayment(paymentId)) {
+    await exports.creditAccount({ user, entity, amount });
+
     return {
       refundId: `refund_${Date.now()}`,
-      status: 'pending'
+      status: 'succeeded'
     };
   } else {
     throw new ErrorResponse('Invalid payment ID', 400);
@@ -222,6 +275,176 @@ exports.createOrUpdateCustomer = async (user) => {
   }
 };
 
+/**
+ * The Stripe customer an account's cards and bank accounts are saved to, created the
+ * first time the account is funded
+ * @param {Object} user - User acting for the account
+ * @param {Object} entity - Entity being funded, or null for the user's own account
+ * @returns {String} Stripe customer ID
+ */
+exports.customerFor = async (user, entity) => {
+  const account = entity || user;
+  if (account.stripeCustomerId) {
+    return account.stripeCustomerId;
+  }
+
+  try {
+    const customer = await stripe.customers.create({
+      email: user.email,
+      name: entity ? entity.name : `${user.firstName} ${user.lastName}`,
+      metadata: entity ? { entityId: entity._id.toString() } : { userId: user._id.toString() }
+    });
+
+    account.stripeCustomerId = customer.id;
+    await account.save({ validateBeforeSave: false });
+
+    return customer.id;
+  } catch (error) {
+    throw new ErrorResponse(`Stripe customer creation failed: ${error.message}`, 400);
+  }
+};
+
+// A saved card or bank account as the investor app shows it
+const toFundingSource = (paymentMethod) => {
+  if (paymentMethod.type === 'card') {
+    const { brand, last4, exp_month, exp_year } = paymentMethod.card;
+    return {
+      id: paymentMethod.id,
+      method: 'card',
+      name: brand.charAt(0).toUpperCase() + brand.slice(1),
+      last4,
+      expires: `${String(exp_month).padStart(2, '0')}/${String(exp_year).slice(-2)}`
+    };
+  }
+
+  const { bank_name, last4, account_type } = paymentMethod.us_bank_account;
+  return {
+    id: paymentMethod.id,
+    method: 'ach',
+    name: bank_name || 'Bank account',
+    last4,
+    accountType: account_type
+  };
+};
+
+exports.toFundingSource = toFundingSource;
+
+/**
+ * The cards and verified bank accounts saved to a Stripe customer
+ * @param {String} customerId - Stripe customer ID
+ * @returns {Array} Funding sources, cards first
+ */
+exports.listFundingSources = async (customerId) => {
+  const [cards, banks] = await Promise.all([
+    stripe.paymentMethods.list({ customer: customerId, type: 'card' }),
+    stripe.paymentMethods.list({ customer: customerId, type: 'us_bank_account' })
+  ]);
+
+  return [...cards.data, ...banks.data].map(toFundingSource);
+};
+
+/**
+ * Start saving a card, or linking a bank account for ACH debits. Stripe verifies the
+ * bank instantly through Financial Connections, or falls back to microdeposits.
+ * @param {String} customerId - Stripe customer ID
+ * @param {String} stripeType - 'card' or 'us_bank_account'
+ * @returns {Object} The SetupIntent; the client confirms it with its client_secret
+ */
+exports.createSetupIntent = async (customerId, stripeType) => {
+  try {
+    return await stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: [stripeType],
+      usage: 'off_session',
+      ...(stripeType === 'us_bank_account' && {
+        payment_method_options: {
+          us_bank_account: {
+            verification_method: 'automatic',
+            financial_connections: { permissions: ['payment_method'] }
+          }
+        }
+      })
+    });
+  } catch (error) {
+    throw new ErrorResponse(`Could not start linking the payment method: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Load a payment method, making sure it is saved to the given customer
+ * @param {String} customerId - Stripe customer ID
+ * @param {String} paymentMethodId - Stripe PaymentMethod ID
+ * @returns {Object} The PaymentMethod
+ */
+exports.findPaymentMethod = async (customerId, paymentMethodId) => {
+  const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId)
+    .catch(() => null);
+
+  if (!paymentMethod || paymentMethod.customer !== customerId) {
+    throw new ErrorResponse('Payment method not found', 404);
+  }
+
+  return paymentMethod;
+};
+
+exports.detachPaymentMethod = (paymentMethodId) => stripe.paymentMethods.detach(paymentMethodId);
+
+/**
+ * Charge a saved card or debit a linked bank account to fund an account
+ * @param {Object} options
+ * @param {Number} options.amount - Amount to deposit
+ * @param {String} options.customerId - Stripe customer the payment method is saved to
+ * @param {Object} options.paymentMethod - Stripe PaymentMethod
+ * @param {Object} options.deposit - Deposit document the payment is for
+ * @param {Object} options.mandate - { ipAddress, userAgent } the investor accepted the ACH debit from
+ * @param {String} options.returnUrl - Where Stripe sends the investor back after 3-D Secure
+ * @returns {Object} The confirmed PaymentIntent; it may still need authentication or to settle
+ */
+exports.createDepositPayment = async ({ amount, customerId, paymentMethod, deposit, mandate, returnUrl }) => {
+  try {
+    return await stripe.paymentIntents.create({
+      amount: Math.round(amount * 100), // Stripe requires cents
+      currency: 'usd',
+      description: 'Bylderr account deposit',
+      customer: customerId,
+      payment_method: paymentMethod.id,
+      payment_method_types: [paymentMethod.type],
+      confirm: true,
+      return_url: returnUrl,
+      ...(paymentMethod.type === 'us_bank_account' && {
+        mandate_data: {
+          customer_acceptance: {
+            type: 'online',
+            online: { ip_address: mandate.ipAddress, user_agent: mandate.userAgent }
+          }
+        }
+      }),
+      metadata: {
+        depositId: deposit._id.toString()
+      }
+    }, {
+      // A retried request must not charge twice
+      idempotencyKey: `deposit-${deposit._id}`
+    });
+  } catch (error) {
+    throw new ErrorResponse(`Deposit failed: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Check a webhook's signature and parse its event
+ * @param {Buffer} payload - Raw request body
+ * @param {String} signature - Stripe-Signature header
+ * @returns {Object} Stripe event
+ */
+exports.constructWebhookEvent = (payload, signature) => {
+  try {
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    throw new ErrorResponse(`Webhook signature verification failed: ${error.message}`, 400);
+  }
+};
+
 // services/storageService.js - File storage service
 const AWS = require('aws-sdk');
 const fs = require('fs');
@@ -544,3 +767,2570 @@ exports.getProjectPerformance = async (projectId) => {
     }))
   };
 };
+
+// services/notificationService.js - In-app and email notifications
+const Notification = require('../models/Notification');
+const TaxLot = require('../models/TaxLot');
+const User = require('../models/User');
+const sendEmail = require('./emailService');
+
+/**
+ * Record a notification in the user's history feed and optionally email it
+ * @param {Object} options
+ * @param {Object} options.user - User document (needs _id and email)
+ * @param {String} options.message - Text shown in the notifications history
+ * @param {String} options.type - Notification type
+ * @param {String} options.link - Client route the notification points to
+ * @param {Object} options.project - Optional project the notification is about
+ * @param {Object} options.email - Optional { subject, html } to also send by email
+ * @returns {Object} - The created notification
+ */
+const notifyUser = async ({ user, message, type = 'system', link, project, email }) => {
+  const notification = await Notification.create({
+    user: user._id,
+    type,
+    message,
+    link,
+    project
+  });
+
+  if (email) {
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: email.subject,
+        html: email.html
+      });
+    } catch (err) {
+      // The history entry is the source of truth; a failed email shouldn't undo it
+      console.error(`Notification email to ${user.email} failed: ${err.message}`);
+    }
+  }
+
+  return notification;
+};
+
+exports.notifyUser = notifyUser;
+
+/**
+ * Notify every investor still holding blocks in a project about a new project update,
+ * whether they bought in the raise or on the secondary market. Holdings are read from
+ * the tax lots, the same way distributions are paid.
+ * @param {Object} project - Project document
+ * @param {Object} update - The update that was posted
+ * @returns {Number} - How many investors were notified
+ */
+exports.notifyProjectHolders = async (project, update) => {
+  const accounts = await TaxLot.holders(project._id);
+  const userIds = [...new Set(accounts.map(account => account.user.toString()))];
+  const holders = await User.find({ _id: { $in: userIds } }).select('email');
+
+  const message = `${project.title} posted an update: ${update.title}`;
+  const link = `/owned-listing/${project._id}`;
+
+  await Promise.all(
+    holders.map(user =>
+      notifyUser({
+        user,
+        type: 'update',
+        message,
+        link,
+        project: project._id,
+        email: {
+          subject: `New update from ${project.title}`,
+          html: `<p>${message}</p><p>Read it on your holding's page in Bylderr.</p>`
+        }
+      }).catch(err =>
+        console.error(`Update notification to ${user._id} failed: ${err.message}`)
+      )
+    )
+  );
+
+  return holders.length;
+};
+
+// services/savedSearchService.js - Match new projects against saved searches
+const SavedSearch = require('../models/SavedSearch');
+const { notifyUser } = require('./notificationService');
+const { PROPERTY_TYPES } = require('../utils/constants');
+
+/**
+ * Check whether a project satisfies a saved search's filters
+ * @param {Object} project - Project document
+ * @param {Object} filters - Saved search filters
+ * @returns {Boolean}
+ */
+const matchesFilters = (project, filters = {}) => {
+  const { location, minPrice, maxPrice, minROI, maxROI, propertyTypes } = filters;
+
+  if (location) {
+    const [city, state] = location.split(',').map(part => part.trim().toLowerCase());
+    const projectCity = (project.location && project.location.city || '').toLowerCase();
+    const projectState = (project.location && project.location.state || '').toLowerCase();
+
+    if (projectCity !== city || (state && projectState !== state)) {
+      return false;
+    }
+  }
+
+  const inRange = (value, min, max) =>
+    (min == null || value >= min) && (max == null || value <= max);
+
+  if (!inRange(project.propertyValue, minPrice, maxPrice)) {
+    return false;
+  }
+
+  if (!inRange(project.expectedReturn, minROI, maxROI)) {
+    return false;
+  }
+
+  if (propertyTypes) {
+    const typeBit = PROPERTY_TYPES[project.propertyType];
+    if (!typeBit || (propertyTypes & typeBit) !== typeBit) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Notify every investor whose saved search matches a newly created project
+ * @param {Object} project - Newly created project
+ * @returns {Number} - Number of searches that matched
+ */
+exports.notifyMatchingSearches = async (project) => {
+  const searches = await SavedSearch.find({ alertsEnabled: true }).populate({
+    path: 'user',
+    select: 'firstName email'
+  });
+
+  const matches = searches.filter(search => search.user && matchesFilters(project, search.filters));
+
+  // One alert per investor, even if several of their searches match
+  const notified = new Set();
+
+  for (const search of matches) {
+    const userId = search.user._id.toString();
+
+    if (!notified.has(userId)) {
+      notified.add(userId);
+
+      await notifyUser({
+        user: search.user,
+        type: 'opportunity',
+        message: `New Opportunity: ${project.title} matches your saved search "${search.name}".`,
+        link: `/Listings/${project._id}`,
+        email: {
+          subject: `New listing matching "${search.name}"`,
+          html: `
+            <p>Hi ${search.user.firstName},</p>
+            <p><strong>${project.title}</strong> was just listed and matches your saved search "${search.name}".</p>
+            <p><a href="${process.env.CLIENT_URL}/Listings/${project._id}">View the listing</a></p>
+          `
+        }
+      });
+    }
+
+    search.lastNotifiedAt = Date.now();
+    await search.save();
+  }
+
+  return matches.length;
+};
+
+exports.matchesFilters = matchesFilters;
+
+// services/dripService.js - Dividend reinvestment (DRIP)
+const DripSetting = require('../models/DripSetting');
+const Investment = require('../models/Investment');
+const Project = require('../models/Project');
+const TaxLot = require('../models/TaxLot');
+const { notifyUser } = require('./notificationService');
+const { refreshFunding } = require('./projectLifecycleService');
+const { isAccredited } = require('./accreditationService');
+const { assertWithinLimit } = require('./investmentLimitService');
+
+// Reinvested blocks are kept to four decimal places; the remainder is paid out
+const BLOCK_PRECISION = 4;
+
+const notReinvested = (amount) => ({ reinvested: false, blocks: 0, amountReinvested: 0, remainder: amount });
+
+/**
+ * Apply the investor's DRIP setting to an incoming distribution. When reinvestment is on,
+ * the distribution buys blocks (fractions included) of the paying project, or of the
+ * holding's target project, at the current block price. The paying project's raise has
+ * closed by the time it distributes, so blocks of it are bought whatever its status and do
+ * not count towards the raise; blocks of another project are only bought while its raise
+ * is open. Either way the account must be able to invest in the target directly; otherwise,
+ * and for whatever does not make a whole ten-thousandth of a block, the caller pays it out.
+ * Entity holdings follow the entity's own settings.
+ * @param {Object} options
+ * @param {Object} options.user - User receiving the distribution, or who holds the entity's lots
+ * @param {Object} options.entity - Entity receiving the distribution, if any
+ * @param {Object} options.project - Project paying the distribution
+ * @param {Number} options.amount - Distribution amount in USD
+ * @returns {Object} - { reinvested, blocks, amountReinvested, remainder, investment }
+ */
+exports.processDistribution = async ({ user, entity = null, project, amount }) => {
+  const settings = await DripSetting.findOne(
+    entity ? { entity: entity._id } : { user: user._id, entity: null }
+  );
+  const holding = settings && settings.holdings.find(
+    item => item.project.toString() === project._id.toString()
+  );
+  const enabled = holding && holding.enabled != null ? holding.enabled : Boolean(settings && settings.enabled);
+
+  if (!enabled) {
+    return notReinvested(amount);
+  }
+
+  let target = project;
+  if (holding && holding.targetProject && holding.targetProject.toString() !== project._id.toString()) {
+    target = await Project.findById(holding.targetProject);
+  }
+  const sameProject = Boolean(target) && target._id.toString() === project._id.toString();
+
+  // Pay out instead when the target has no block price to buy at
+  if (!target || !(target.pricePerBlock > 0)) {
+    return notReinvested(amount);
+  }
+
+  // Another project's blocks can only be bought while its raise is open
+  if (!sameProject && (target.status !== 'active' || new Date() > target.fundingDeadline)) {
+    return notReinvested(amount);
+  }
+
+  // An entity buys only once it is verified, as when it invests directly
+  if (entity && entity.status !== 'verified') {
+    return notReinvested(amount);
+  }
+
+  if (target.accreditedOnly && !isAccredited(entity || user)) {
+    return notReinvested(amount);
+  }
+
+  try {
+    await assertWithinLimit(user, amount, entity);
+  } catch (err) {
+    return notReinvested(amount);
+  }
+
+  const factor = 10 ** BLOCK_PRECISION;
+  const blocks = Math.floor((amount / target.pricePerBlock) * factor) / factor;
+
+  if (blocks <= 0) {
+    return notReinvested(amount);
+  }
+
+  const amountReinvested = Math.round(blocks * target.pricePerBlock * 100) / 100;
+
+  const investment = await Investment.create({
+    investor: user._id,
+    entity: entity ? entity._id : null,
+    project: target._id,
+    amount: amountReinvested,
+    shares: blocks,
+    sharePrice: target.pricePerBlock,
+    status: 'completed',
+    source: 'drip'
+  });
+
+  await TaxLot.create({
+    user: user._id,
+    entity: entity ? entity._id : null,
+    project: target._id,
+    investment: investment._id,
+    shares: blocks,
+    pricePerShare: target.pricePerBlock,
+    remainingShares: blocks
+  });
+
+  // Count a purchase in another project towards its raise, which may now be fully funded;
+  // the paying project's raise is over and its total stays as it closed
+  if (!sameProject) {
+    await refreshFunding(target);
+  }
+
+  await notifyUser({
+    user,
+    type: 'investment',
+    message: `Your ${project.title} distribution of $${amount.toFixed(2)} was reinvested in ${blocks} blocks of ${target.title}.`,
+    link: `/listings/${target._id}`
+  });
+
+  return {
+    reinvested: true,
+    blocks,
+    amountReinvested,
+    remainder: Math.round((amount - amountReinvested) * 100) / 100,
+    investment
+  };
+};
+
+// services/projectLifecycleService.js - Raise lifecycle: funding, waitlist, close and refunds
+const Investment = require('../models/Investment');
+const Project = require('../models/Project');
+const TaxLot = require('../models/TaxLot');
+const ErrorResponse = require('../utils/errorResponse');
+const paymentService = require('./paymentService');
+const { notifyUser } = require('./notificationService');
+const { publish } = require('./realtimeService');
+const { PROJECT_STATUS_TRANSITIONS } = require('../utils/constants');
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Let open listing pages update their progress bar and invest card
+const publishFunding = (project) =>
+  publish(project._id, 'funding', {
+    fundingRaised: project.fundingRaised,
+    fundingGoal: project.fundingGoal,
+    fundingPercentage: project.fundingPercentage,
+    status: project.status
+  });
+
+/**
+ * Move a project to a new raise status, rejecting moves the lifecycle doesn't allow
+ * @param {Object} project - Project document
+ * @param {String} status - Status to move to
+ */
+const transition = (project, status) => {
+  const allowed = PROJECT_STATUS_TRANSITIONS[project.status] || [];
+
+  if (!allowed.includes(status)) {
+    throw new ErrorResponse(`Project cannot move from ${project.status} to ${status}`, 400);
+  }
+
+  project.status = status;
+  project.statusChangedAt = Date.now();
+};
+
+exports.transition = transition;
+
+// Email and in-app notice to an investor about their investment in a project
+const notifyInvestor = (investment, project, message) =>
+  notifyUser({
+    user: investment.investor,
+    type: 'investment',
+    message,
+    link: `/Listings/${project._id}`,
+    email: {
+      subject: `Update on your investment in ${project.title}`,
+      html: `<p>${message}</p>`
+    }
+  });
+
+/**
+ * Charge waitlisted reservations in the order they were made until the raise is full again.
+ * Reservations whose payment fails are cancelled.
+ * @param {Object} project - Project document with fundingRaised up to date
+ * @returns {Number} - Amount newly raised
+ */
+const promoteWaitlist = async (project) => {
+  const waitlist = await Investment.find({ project: project._id, status: 'waitlisted' })
+    .sort('createdAt')
+    .populate('investor')
+    .populate('entity');
+  let raised = 0;
+
+  for (const investment of waitlist) {
+    if (project.fundingRaised + raised >= project.fundingGoal) break;
+
+    try {
+      const paymentResult = await paymentService.processPayment({
+        amount: investment.amount,
+        paymentMethod: investment.paymentMethod,
+        paymentDetails: investment.paymentDetails,
+        user: investment.investor,
+        project,
+        // Reservations made for an entity are paid from the entity's account
+        account: investment.entity || investment.investor
+      });
+
+      investment.paymentId = paymentResult.paymentId;
+      investment.transactionFee = paymentResult.fee;
+      investment.status = paymentResult.status === 'succeeded' ? 'completed' : 'pending';
+      await investment.save();
+
+      if (investment.status === 'completed') {
+        raised += investment.amount;
+        await TaxLot.fromInvestment(investment);
+      }
+
+      await notifyInvestor(
+        investment,
+        project,
+        `An allocation opened up in ${project.title}. Your $${investment.amount.toFixed(2)} waitlist reservation has been invested.`
+      );
+    } catch (err) {
+      investment.status = 'cancelled';
+      await investment.save();
+
+      await notifyInvestor(
+        investment,
+        project,
+        `An allocation opened up in ${project.title}, but your waitlist reservation could not be charged: ${err.message}`
+      );
+    }
+  }
+
+  return raised;
+};
+
+/**
+ * Recalculate a project's raise from its completed investments and move it between
+ * open and fully funded. Freed-up allocation in a funded raise goes to the waitlist first.
+ * Once the raise is over its total is final, so blocks reinvested in the project after it
+ * closed are not counted.
+ * @param {Object} project - Project document
+ * @returns {Object} - The saved project
+ */
+const refreshFunding = async (project) => {
+  if (!['active', 'funded'].includes(project.status)) {
+    return project;
+  }
+
+  const sumCompleted = async () => {
+    const totalFunded = await Investment.aggregate([
+      {
+        $match: { project: project._id, status: 'completed' }
+      },
+      {
+        $group: {
+          _id: '$project',
+          totalFunding: { $sum: '$amount' }
+        }
+      }
+    ]);
+    return totalFunded.length > 0 ? totalFunded[0].totalFunding : 0;
+  };
+
+  project.fundingRaised = await sumCompleted();
+
+  if (project.status === 'funded' && project.fundingRaised < project.fundingGoal) {
+    if (await promoteWaitlist(project) > 0) {
+      project.fundingRaised = await sumCompleted();
+    }
+  }
+
+  // Stored so listings can be sorted by % raised
+  project.fundingPercentage = Math.round((project.fundingRaised / project.fundingGoal) * 100);
+
+  if (project.status === 'active' && project.fundingRaised >= project.fundingGoal) {
+    transition(project, 'funded');
+  } else if (project.status === 'funded' && project.fundingRaised < project.fundingGoal) {
+    transition(project, 'active');
+  }
+
+  await project.save();
+  publishFunding(project);
+
+  return project;
+};
+
+exports.refreshFunding = refreshFunding;
+
+// Cancel whatever is still on a raise's waitlist once the raise has ended
+const releaseWaitlist = async (project, message) => {
+  const waitlist = await Investment.find({ project: project._id, status: 'waitlisted' }).populate('investor');
+
+  for (const investment of waitlist) {
+    investment.status = 'cancelled';
+    await investment.save();
+    await notifyInvestor(investment, project, message);
+  }
+};
+
+/**
+ * Give back money taken for an investment. Payments are refunded the way they were made;
+ * investments bought without one, like blocks reinvested from a distribution, go back to
+ * the account's available funds. A pending bank, wire or crypto payment has not reached us,
+ * so there is nothing to give back for it. Throws when the refund did not go through.
+ * @param {Object} investment - Investment document
+ * @param {Number} amount - Amount to give back
+ */
+const refundInvestment = async (investment, amount) => {
+  const user = investment.investor._id || investment.investor;
+  const received = investment.status === 'completed' ||
+    (investment.paymentId && !paymentService.isInternalPayment(investment.paymentId));
+
+  if (!received) return;
+
+  if (!investment.paymentId) {
+    await paymentService.creditAccount({ user, entity: investment.entity, amount });
+    return;
+  }
+
+  const refund = await paymentService.processRefund({
+    paymentId: investment.paymentId,
+    amount,
+    user,
+    entity: investment.entity
+  });
+
+  if (['failed', 'canceled'].includes(refund.status)) {
+    throw new Error(`Refund ${refund.refundId} ${refund.status}`);
+  }
+};
+
+// Flag an investment whose refund failed so it can be found and retried
+const flagFailedRefund = async (investment, err) => {
+  investment.refundFailedAt = Date.now();
+  investment.refundError = err.message;
+  await investment.save();
+};
+
+/**
+ * Fail a raise that missed its goal by the deadline: refund every investment in full
+ * and release the waitlist. Investments whose refund fails are flagged and still count
+ * towards the raise, as the money has not left it.
+ * @param {Object} project - Project document
+ * @returns {Object} - { refunded, failedRefunds }
+ */
+const failRaise = async (project) => {
+  transition(project, 'failed');
+
+  const investments = await Investment.find({
+    project: project._id,
+    status: { $in: ['pending', 'completed'] }
+  }).populate('investor');
+  const failedRefunds = [];
+  let stillHeld = 0;
+
+  for (const investment of investments) {
+    try {
+      await refundInvestment(investment, investment.amount);
+    } catch (err) {
+      // Leave it as is so the refund can be retried by hand
+      failedRefunds.push(investment._id);
+      stillHeld += investment.amount;
+      await flagFailedRefund(investment, err);
+      console.error(`Refund for investment ${investment._id} failed: ${err.message}`);
+      continue;
+    }
+
+    investment.status = 'refunded';
+    investment.refundedAmount = investment.amount;
+    investment.refundFailedAt = undefined;
+    investment.refundError = undefined;
+    await investment.save();
+    await TaxLot.deleteMany({ investment: investment._id });
+
+    await notifyInvestor(
+      investment,
+      project,
+      `${project.title} did not reach its funding goal by the deadline. Your $${investment.amount.toFixed(2)} investment is being refunded.`
+    );
+  }
+
+  await releaseWaitlist(project, `${project.title} did not reach its funding goal, so your waitlist reservation was released.`);
+
+  project.fundingRaised = stillHeld;
+  project.fundingPercentage = Math.round((stillHeld / project.fundingGoal) * 100);
+  await project.save();
+  publishFunding(project);
+
+  return { refunded: investments.length - failedRefunds.length, failedRefunds };
+};
+
+/**
+ * Close a funded raise. When it is oversubscribed every completed investment is scaled
+ * back pro rata to fit the goal and the excess is refunded. An investment whose refund
+ * fails keeps its full amount, is flagged for a retry and still counts towards the raise.
+ * @param {Object} project - Project document
+ * @returns {Object} - { allocationRatio, failedRefunds }
+ */
+const closeRaise = async (project) => {
+  transition(project, 'closed');
+
+  const failedRefunds = [];
+  const allocationRatio = project.fundingRaised > project.fundingGoal
+    ? project.fundingGoal / project.fundingRaised
+    : 1;
+
+  if (allocationRatio < 1) {
+    const investments = await Investment.find({ project: project._id, status: 'completed' })
+      .populate('investor');
+
+    for (const investment of investments) {
+      // Round allocations down so the total never exceeds the goal
+      const allocated = Math.floor(toCents(investment.amount) * allocationRatio) / 100;
+      const excess = (toCents(investment.amount) - toCents(allocated)) / 100;
+
+      if (excess <= 0) continue;
+
+      try {
+        await refundInvestment(investment, excess);
+      } catch (err) {
+        failedRefunds.push(investment._id);
+        await flagFailedRefund(investment, err);
+        console.error(`Pro-rata refund for investment ${investment._id} failed: ${err.message}`);
+        continue;
+      }
+
+      const shareRatio = allocated / investment.amount;
+      investment.shares = Math.floor(Number(investment.shares) * shareRatio * 100) / 100;
+      investment.refundedAmount = excess;
+      investment.amount = allocated;
+      await investment.save();
+
+      await TaxLot.updateOne(
+        { investment: investment._id },
+        { shares: investment.shares, remainingShares: investment.shares }
+      );
+
+      await notifyInvestor(
+        investment,
+        project,
+        `${project.title} was oversubscribed. You were allocated $${allocated.toFixed(2)} and the remaining $${excess.toFixed(2)} is being refunded.`
+      );
+    }
+
+    // Scaled-back amounts, plus the full amount of any investment still waiting on its refund
+    project.fundingRaised = investments.reduce((sum, investment) => sum + investment.amount, 0);
+    project.fundingPercentage = Math.round((project.fundingRaised / project.fundingGoal) * 100);
+  }
+
+  await releaseWaitlist(project, `${project.title} has closed, so your waitlist reservation was released.`);
+  await project.save();
+  publishFunding(project);
+
+  return { allocationRatio, failedRefunds };
+};
+
+exports.failRaise = failRaise;
+exports.closeRaise = closeRaise;
+
+/**
+ * Settle every raise whose funding deadline has passed: funded raises close,
+ * raises still open have failed
+ * @param {Date} now - Deadlines at or before this time have passed
+ * @returns {Number} - Number of raises settled
+ */
+exports.closeExpiredRaises = async (now = new Date()) => {
+  const projects = await Project.find({
+    status: { $in: ['active', 'funded'] },
+    fundingDeadline: { $lte: now }
+  });
+
+  for (const project of projects) {
+    try {
+      if (project.status === 'funded') {
+        await closeRaise(project);
+      } else {
+        await failRaise(project);
+      }
+    } catch (err) {
+      // One broken raise shouldn't hold up the rest
+      console.error(`Settling the raise for project ${project._id} failed: ${err.message}`);
+    }
+  }
+
+  return projects.length;
+};
+
+// services/investmentService.js - Place an investment in a project
+const Investment = require('../models/Investment');
+const Project = require('../models/Project');
+const TaxLot = require('../models/TaxLot');
+const ErrorResponse = require('../utils/errorResponse');
+const paymentService = require('./paymentService');
+const { refreshFunding } = require('./projectLifecycleService');
+const { notifyUser } = require('./notificationService');
+const { isAccredited } = require('./accreditationService');
+const { assertWithinLimit } = require('./investmentLimitService');
+
+/**
+ * Validate, charge and record an investment, then update the project's funding.
+ * Once a raise is fully funded, new investments join its waitlist instead and are only
+ * charged if an allocation opens up. Used by the invest endpoint and auto-invest runs.
+ * @param {Object} options
+ * @param {Object} options.user - Investing user
+ * @param {Object} options.entity - Entity the user is investing for, if any
+ * @param {String} options.projectId - Project to invest in
+ * @param {Object} options.investment - { amount, paymentMethod, paymentDetails, shares, sharePrice, ... }
+ * @returns {Object} - The created investment
+ */
+exports.placeInvestment = async ({ user, entity = null, projectId, investment: details }) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ErrorResponse(`Project not found with id of ${projectId}`, 404);
+  }
+
+  // Check if project is open, or fully funded with its waitlist open
+  if (!['active', 'funded'].includes(project.status)) {
+    throw new ErrorResponse(`Project is not currently accepting investments`, 400);
+  }
+
+  // Check if funding deadline has passed
+  if (new Date() > project.fundingDeadline) {
+    throw new ErrorResponse(`Funding deadline has passed`, 400);
+  }
+
+  // Check if minimum investment is met
+  if (details.amount < project.minInvestment) {
+    throw new ErrorResponse(`Minimum investment amount is ${project.minInvestment}`, 400);
+  }
+
+  // Entities can only invest once an admin has verified their formation documents
+  if (entity && entity.status !== 'verified') {
+    throw new ErrorResponse(`${entity.name} must be verified before it can invest`, 403);
+  }
+
+  // Check if accredited investor only and the investor is accredited, with a verification
+  // that has not lapsed since the last expiry job ran
+  if (project.accreditedOnly && !isAccredited(entity || user)) {
+    throw new ErrorResponse(`This project is only available to accredited investors`, 403);
+  }
+
+  // Non-accredited investors may only invest so much in any 12 months
+  await assertWithinLimit(user, details.amount, entity);
+
+  const data = {
+    ...details,
+    investor: user.id,
+    entity: entity ? entity._id : undefined,
+    project: project._id
+  };
+
+  // Reserve a place on the waitlist; payment is taken if the reservation is promoted
+  if (project.status === 'funded') {
+    const investment = await Investment.create({ ...data, status: 'waitlisted' });
+    const position = await Investment.countDocuments({
+      project: project._id,
+      status: 'waitlisted',
+      createdAt: { $lte: investment.createdAt }
+    });
+
+    await notifyUser({
+      user,
+      type: 'investment',
+      message: `${project.title} is fully funded. You are number ${position} on its waitlist and will only be charged if an allocation opens up.`,
+      link: `/Listings/${project._id}`
+    });
+
+    return investment;
+  }
+
+  // Process payment
+  let paymentResult;
+
+  try {
+    paymentResult = await paymentService.processPayment({
+      amount: details.amount,
+      paymentMethod: details.paymentMethod,
+      paymentDetails: details.paymentDetails,
+      user,
+      project,
+      account: entity || user
+    });
+  } catch (err) {
+    throw new ErrorResponse(`Payment processing failed: ${err.message}`, err.statusCode || 400);
+  }
+
+  // Add payment ID and fees to investment
+  data.paymentId = paymentResult.paymentId;
+  data.transactionFee = paymentResult.fee;
+
+  // Mark as completed if payment successful
+  if (paymentResult.status === 'succeeded') {
+    data.status = 'completed';
+  }
+
+  // Create investment
+  const investment = await Investment.create(data);
+
+  // Each completed buy becomes its own cost-basis lot
+  if (investment.status === 'completed') {
+    await TaxLot.fromInvestment(investment);
+  }
+
+  // Update project funding and move the raise on once the goal is met
+  await refreshFunding(project);
+
+  return investment;
+};
+
+// services/autoInvestService.js - Run recurring auto-invest plans
+const AutoInvestPlan = require('../models/AutoInvestPlan');
+const Project = require('../models/Project');
+const { placeInvestment } = require('./investmentService');
+const { notifyUser } = require('./notificationService');
+const { AUTO_INVEST_FREQUENCIES, PAYMENT_METHODS, PROPERTY_TYPES } = require('../utils/constants');
+
+// Basket runs are spread across at most this many projects, highest expected return first
+const BASKET_SIZE = 3;
+
+/**
+ * The `index`-th run of a schedule. Runs keep the start date's day of month and fall
+ * back to the last day of shorter months.
+ */
+const runDate = (startDate, frequency, index) => {
+  const start = new Date(startDate);
+  const date = new Date(start);
+  date.setDate(1);
+  date.setMonth(start.getMonth() + AUTO_INVEST_FREQUENCIES[frequency] * index);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(start.getDate(), lastDay));
+  return date;
+};
+
+/**
+ * First run of a plan's schedule after the given date
+ * @param {Object} plan - Plan with startDate and frequency
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date}
+ */
+const nextRunDate = (plan, after = new Date()) => {
+  let index = 0;
+  while (runDate(plan.startDate, plan.frequency, index) <= after) {
+    index += 1;
+  }
+  return runDate(plan.startDate, plan.frequency, index);
+};
+
+exports.nextRunDate = nextRunDate;
+
+/**
+ * Work out which projects a run buys and how much goes to each
+ * @param {Object} plan - Auto-invest plan
+ * @returns {Array} - [{ project, amount }]
+ */
+const allocateRun = async (plan) => {
+  const { target, amount } = plan;
+
+  if (target.type === 'property') {
+    const project = await Project.findById(target.project);
+    return project ? [{ project, amount }] : [];
+  }
+
+  const query = {
+    status: 'active',
+    fundingDeadline: { $gt: new Date() },
+    pricePerBlock: { $gt: 0 }
+  };
+
+  if (target.minROI != null || target.maxROI != null) {
+    query.expectedReturn = {};
+    if (target.minROI != null) query.expectedReturn.$gte = target.minROI;
+    if (target.maxROI != null) query.expectedReturn.$lte = target.maxROI;
+  }
+
+  if (target.propertyTypes) {
+    query.propertyType = {
+      $in: Object.keys(PROPERTY_TYPES).filter(
+        type => (target.propertyTypes & PROPERTY_TYPES[type]) === PROPERTY_TYPES[type]
+      )
+    };
+  }
+
+  const candidates = await Project.find(query).sort('-expectedReturn').limit(BASKET_SIZE);
+
+  // Drop projects whose minimum a share of the run would not meet
+  const projects = candidates.filter(
+    project => !(project.minInvestment > amount / candidates.length)
+  );
+
+  // Split evenly to the cent; the first project takes any remainder
+  const cents = Math.round(amount * 100);
+  const share = Math.floor(cents / projects.length);
+
+  return projects.map((project, index) => ({
+    project,
+    amount: (index === 0 ? cents - share * (projects.length - 1) : share) / 100
+  }));
+};
+
+/**
+ * Execute a plan's due run through the regular investment path, record the outcome
+ * and move the plan on to its next run date
+ * @param {Object} plan - Auto-invest plan document
+ * @returns {Object} - The recorded run
+ */
+const runPlan = async (plan) => {
+  await plan.populate(['user', 'entity']);
+  const { user, entity, fundingSource } = plan;
+  const run = {
+    date: plan.nextRunAt,
+    amount: plan.amount,
+    investments: []
+  };
+
+  try {
+    // An entity's plan stops investing once the investor who set it up can no longer invest for it
+    if (entity && !entity.can(user._id, 'investments:create')) {
+      run.status = 'failed';
+      run.message = `You are no longer allowed to invest for ${entity.name}`;
+    } else if (
+      fundingSource.paymentMethod === PAYMENT_METHODS.BALANCE &&
+      !((entity || user).availableFunds >= plan.amount)
+    ) {
+      run.status = 'insufficient_funds';
+      run.message = 'Insufficient funds';
+    } else {
+      const allocations = await allocateRun(plan);
+
+      if (allocations.length === 0) {
+        run.status = 'failed';
+        run.message = 'No active properties match this plan';
+      }
+
+      for (const { project, amount } of allocations) {
+        if (!(project.pricePerBlock > 0)) {
+          throw new Error(`${project.title} has no block price to buy at`);
+        }
+
+        const investment = await placeInvestment({
+          user,
+          entity,
+          projectId: project._id,
+          investment: {
+            amount,
+            sharePrice: project.pricePerBlock,
+            shares: Number((amount / project.pricePerBlock).toFixed(2)),
+            paymentMethod: fundingSource.paymentMethod,
+            paymentDetails: fundingSource.paymentDetails,
+            source: 'auto_invest'
+          }
+        });
+        run.investments.push(investment._id);
+      }
+
+      if (allocations.length > 0) {
+        run.status = 'completed';
+      }
+    }
+  } catch (err) {
+    run.status = err.statusCode === 402 ? 'insufficient_funds' : 'failed';
+    run.message = err.message;
+  }
+
+  plan.runs.push(run);
+  plan.nextRunAt = nextRunDate(plan, run.date);
+  await plan.save();
+
+  const nextRun = plan.nextRunAt.toDateString();
+  const messages = {
+    completed: `Your $${plan.amount.toFixed(2)} ${plan.frequency.toLowerCase()} auto-invest was placed.`,
+    insufficient_funds: `Your $${plan.amount.toFixed(2)} auto-invest was skipped because ${fundingSource.label || 'the funding source'} did not have enough funds. The next run is ${nextRun}.`,
+    failed: `Your $${plan.amount.toFixed(2)} auto-invest could not be placed: ${run.message}. The next run is ${nextRun}.`
+  };
+
+  await notifyUser({
+    user,
+    type: 'investment',
+    message: messages[run.status],
+    link: '/account/auto-invest'
+  });
+
+  return run;
+};
+
+exports.runPlan = runPlan;
+
+/**
+ * Run every active plan that is due. A plan that missed runs, say while the job was down,
+ * makes each of them up in order, so every scheduled date it passed gets its own run.
+ * @param {Date} now - Runs scheduled at or before this time are due
+ * @returns {Number} - Number of plans run
+ */
+exports.runDuePlans = async (now = new Date()) => {
+  const plans = await AutoInvestPlan.find({ status: 'active', nextRunAt: { $lte: now } });
+
+  for (const plan of plans) {
+    try {
+      // runPlan always moves nextRunAt on along the schedule, so this ends
+      while (plan.nextRunAt <= now) {
+        await runPlan(plan);
+        // Read the account's balance afresh for the next run
+        plan.depopulate('user');
+        plan.depopulate('entity');
+      }
+    } catch (err) {
+      // One broken plan shouldn't hold up the rest
+      console.error(`Auto-invest plan ${plan._id} failed to run: ${err.message}`);
+    }
+  }
+
+  return plans.length;
+};
+
+// services/realtimeService.js - Server-sent events for live listing updates
+// Streams are kept in memory, so with several API instances behind a load balancer
+// the publish calls need a shared bus (e.g. Redis pub/sub) in front of them.
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// projectId -> Set of open responses
+const channels = new Map();
+
+/**
+ * Attach an SSE response to a project's channel until the client disconnects
+ * @param {String} projectId - Project whose updates to stream
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+exports.subscribe = (projectId, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const key = projectId.toString();
+  if (!channels.has(key)) {
+    channels.set(key, new Set());
+  }
+  channels.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = channels.get(key);
+    if (clients) {
+      clients.delete(res);
+      if (clients.size === 0) channels.delete(key);
+    }
+  });
+};
+
+/**
+ * Push an event to everyone watching a project
+ * @param {String} projectId - Project the event belongs to
+ * @param {String} event - Event name: funding, price, comment, vote, update, book or trade
+ * @param {Object} data - JSON payload
+ */
+exports.publish = (projectId, event, data) => {
+  const clients = channels.get(projectId.toString());
+  if (!clients) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+};
+
+// services/twoFactorService.js - TOTP (RFC 6238) codes, recovery codes and challenge tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code as well, for clocks that drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Login challenges and step-up grants are short lived
+const TWO_FACTOR_TOKEN_EXPIRE = '5m';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = input
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one time step (RFC 4226)
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Generate a new 160-bit TOTP secret
+ * @returns {String} Base32 secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the QR code
+ * @param {String} email - Account label shown in the app
+ * @param {String} secret - Base32 secret
+ * @returns {String} otpauth URI
+ */
+exports.keyUri = (email, secret) => {
+  const issuer = process.env.TOTP_ISSUER || 'Bylderr';
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Object} { codes: codes to show the user once, hashes: what to store }
+ */
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a second-factor code: a TOTP code from the app or, unless disallowed,
+ * an unused recovery code. Accepted codes are used up, so the user is saved.
+ * @param {Object} user - User loaded with the two-factor fields selected
+ * @param {String} code - Code the user entered
+ * @param {Object} options - { allowRecovery }
+ * @returns {Promise<Boolean>} Whether the code was accepted
+ */
+exports.verifySecondFactor = async (user, code, { allowRecovery = true } = {}) => {
+  const entered = String(code).replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(entered) && user.twoFactorSecret) {
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const step = currentStep + drift;
+      if (step > (user.twoFactorLastStep || 0) && codeForStep(user.twoFactorSecret, step) === entered) {
+        user.twoFactorLastStep = step;
+        await user.save({ validateBeforeSave: false });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  if (!allowRecovery) {
+    return false;
+  }
+
+  const hash = hashRecoveryCode(entered);
+  const remaining = (user.twoFactorRecoveryCodes || []).filter(stored => stored !== hash);
+
+  if (remaining.length === (user.twoFactorRecoveryCodes || []).length) {
+    return false;
+  }
+
+  user.twoFactorRecoveryCodes = remaining;
+  await user.save({ validateBeforeSave: false });
+  return true;
+};
+
+/**
+ * Sign a short-lived token proving a password login ('login') or a fresh
+ * second-factor check ('step-up')
+ * @param {Object} user - User the token is for
+ * @param {String} purpose - 'login' or 'step-up'
+ * @returns {String} JWT
+ */
+exports.signTwoFactorToken = (user, purpose) =>
+  jwt.sign(
+    { id: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_TOKEN_EXPIRE }
+  );
+
+/**
+ * Verify a token from signTwoFactorToken
+ * @param {String} token - JWT
+ * @param {String} purpose - Purpose the token must have been signed for
+ * @returns {String|null} User id, or null if the token is invalid or expired
+ */
+exports.verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// services/accreditationService.js - Accredited investor verification and expiry
+const AccreditationVerification = require('../models/AccreditationVerification');
+const User = require('../models/User');
+const { notifyUser } = require('./notificationService');
+const { ACCREDITATION_VALID_DAYS, ACCREDITATION_REMINDER_DAYS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a user is accredited right now
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isAccredited = (user) => {
+  const profile = user.investorProfile || {};
+  return profile.accreditedStatus === 'accredited' &&
+    (!profile.accreditationExpiresAt || profile.accreditationExpiresAt > Date.now());
+};
+
+exports.isAccredited = isAccredited;
+
+/**
+ * Record an admin's decision on a verification and update the investor's status
+ * @param {Object} verification - AccreditationVerification document
+ * @param {Object} review - { status: 'verified' | 'rejected', reason, reviewer }
+ * @returns {Object} - The saved verification
+ */
+exports.reviewVerification = async (verification, { status, reason, reviewer }) => {
+  const user = await User.findById(verification.user);
+
+  verification.status = status;
+  verification.reviewedBy = reviewer;
+  verification.reviewedAt = Date.now();
+
+  if (status === 'verified') {
+    verification.verifiedAt = Date.now();
+    verification.expiresAt = new Date(Date.now() + ACCREDITATION_VALID_DAYS * DAY_MS);
+    verification.rejectionReason = undefined;
+    user.investorProfile.accreditedStatus = 'accredited';
+    user.investorProfile.accreditationExpiresAt = verification.expiresAt;
+  } else {
+    verification.rejectionReason = reason;
+    // A failed re-verification leaves an unexpired accreditation in place
+    if (!isAccredited(user)) {
+      user.investorProfile.accreditedStatus = 'non-accredited';
+    }
+  }
+
+  await verification.save();
+  await user.save({ validateBeforeSave: false });
+
+  const message = status === 'verified'
+    ? `You are verified as an accredited investor until ${verification.expiresAt.toDateString()}.`
+    : `We could not verify your accredited investor status: ${reason}`;
+
+  await notifyUser({
+    user,
+    type: 'account',
+    message,
+    link: '/account/accreditation',
+    email: {
+      subject: status === 'verified' ? 'You are verified as an accredited investor' : 'Your accreditation could not be verified',
+      html: `<p>${message}</p>`
+    }
+  });
+
+  return verification;
+};
+
+/**
+ * Remind investors whose accreditation runs out soon, and lapse the ones past expiry
+ * @param {Date} now - Current time
+ * @returns {Object} - { reminded, expired } counts
+ */
+exports.expireAccreditations = async (now = new Date()) => {
+  const reminderCutoff = new Date(now.getTime() + ACCREDITATION_REMINDER_DAYS * DAY_MS);
+  // Suspended investors' statuses still lapse; deleted investors leave no user to update
+  const withUser = { path: 'user', options: { includeInactive: true } };
+
+  const expiringSoon = await AccreditationVerification.find({
+    status: 'verified',
+    expiresAt: { $gt: now, $lte: reminderCutoff },
+    reminderSentAt: null
+  }).populate(withUser);
+
+  let reminded = 0;
+  for (const verification of expiringSoon) {
+    if (!verification.user) continue;
+
+    const message = `Your accredited investor verification expires on ${verification.expiresAt.toDateString()}. Re-verify to keep investing in accredited-only listings.`;
+    await notifyUser({
+      user: verification.user,
+      type: 'account',
+      message,
+      link: '/account/accreditation',
+      email: { subject: 'Re-verify your accredited investor status', html: `<p>${message}</p>` }
+    });
+    verification.reminderSentAt = now;
+    await verification.save();
+    reminded += 1;
+  }
+
+  const expired = await AccreditationVerification.find({
+    status: 'verified',
+    expiresAt: { $lte: now }
+  }).populate(withUser);
+
+  for (const verification of expired) {
+    verification.status = 'expired';
+    await verification.save();
+
+    // A newer verification may already have replaced this one
+    const { user } = verification;
+    if (user && user.investorProfile.accreditationExpiresAt <= now) {
+      user.investorProfile.accreditedStatus = 'non-accredited';
+      await user.save({ validateBeforeSave: false });
+
+      await notifyUser({
+        user,
+        type: 'account',
+        message: 'Your accredited investor verification has expired. Re-verify to invest in accredited-only listings.',
+        link: '/account/accreditation'
+      });
+    }
+  }
+
+  return { reminded, expired: expired.length };
+};
+
+// services/investmentLimitService.js - Yearly investment limits for non-accredited investors
+const Investment = require('../models/Investment');
+const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
+const { isAccredited } = require('./accreditationService');
+const { INVESTMENT_LIMITS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Investments that are, or may still become, money committed to a raise
+const COUNTED_STATUSES = ['pending', 'waitlisted', 'completed'];
+
+/**
+ * The most a non-accredited investor may invest in any 12 months, from the income and
+ * net worth they gave at signup
+ * @param {Object} profile - user.investorProfile
+ * @returns {Number}
+ */
+const annualLimit = ({ annualIncome = 0, netWorth = 0 } = {}) => {
+  const { threshold, floor, lowerRate, higherRate, max } = INVESTMENT_LIMITS;
+  const greater = Math.max(annualIncome || 0, netWorth || 0);
+
+  if (annualIncome < threshold || netWorth < threshold) {
+    return Math.max(floor, Math.round(greater * lowerRate));
+  }
+
+  return Math.min(max, Math.round(greater * higherRate));
+};
+
+exports.annualLimit = annualLimit;
+
+// Investments held by a user personally, or by an entity whichever of its users placed them
+const heldBy = (investor, entity) => (entity ? { entity: entity._id } : { investor: investor._id, entity: null });
+
+// Secondary market bids count for what they have bought and what they still have reserved
+const bidsBy = (user, entity) => (entity ? { entity: entity._id } : { user: user._id, entity: null });
+
+/**
+ * An investor's limit, what they have invested in the rolling 12-month window and what is left.
+ * Raise investments and secondary market bids both count towards it.
+ * Accredited investors have no limit, so `limit` and `remaining` are null for them.
+ * Entities are limited on their own revenue and net assets.
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @param {Object} entity - Entity document when investing for an entity
+ * @returns {Object} - { accredited, limit, invested, remaining, windowStart }
+ */
+exports.getInvestmentCapacity = async (user, now = new Date(), entity = null) => {
+  const windowStart = new Date(now.getTime() - INVESTMENT_LIMITS.windowDays * DAY_MS);
+  const investor = entity || user;
+
+  const [[totals], [bids]] = await Promise.all([
+    Investment.aggregate([
+      {
+        $match: {
+          ...heldBy(user, entity),
+          status: { $in: COUNTED_STATUSES },
+          createdAt: { $gte: windowStart }
+        }
+      },
+      { $group: { _id: null, invested: { $sum: '$amount' } } }
+    ]),
+    Order.aggregate([
+      {
+        $match: {
+          ...bidsBy(user, entity),
+          side: 'bid',
+          createdAt: { $gte: windowStart }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          invested: {
+            $sum: {
+              $multiply: [
+                '$pricePerBlock',
+                { $add: ['$filledShares', { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, '$remainingShares'] }] }
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const invested = (totals ? totals.invested : 0) + (bids ? Math.round(bids.invested * 100) / 100 : 0);
+
+  if (isAccredited(investor)) {
+    return { accredited: true, limit: null, invested, remaining: null, windowStart };
+  }
+
+  const limit = annualLimit(investor.investorProfile);
+
+  return {
+    accredited: false,
+    limit,
+    invested,
+    remaining: Math.max(0, limit - invested),
+    windowStart
+  };
+};
+
+/**
+ * Throw if an investment would take a non-accredited investor past their limit
+ * @param {Object} user - User document
+ * @param {Number} amount - Amount about to be invested
+ * @param {Object} entity - Entity document when investing for an entity
+ */
+exports.assertWithinLimit = async (user, amount, entity = null) => {
+  const capacity = await exports.getInvestmentCapacity(user, new Date(), entity);
+
+  if (!capacity.accredited && amount > capacity.remaining) {
+    throw new ErrorResponse(
+      `This investment would exceed your 12-month investment limit of $${capacity.limit.toLocaleString()}. You can invest up to $${capacity.remaining.toLocaleString()} more right now.`,
+      403
+    );
+  }
+};
+
+// services/householdService.js - Consolidated reporting across a household's accounts
+const TaxLot = require('../models/TaxLot');
+const Entity = require('../models/Entity');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "SingleFamily" -> "Single Family", as the investment mix shows it
+const propertyTypeLabel = (type) => (type ? type.replace(/([a-z])([A-Z])/g, '$1 $2') : 'Other');
+
+/**
+ * Every account a household's active members hold: each member's personal account, and
+ * each joint account any of them owns, counted once however many of them are its users.
+ * Trusts, LLCs and other entities are left out; their other users never agreed to share them
+ * @param {Object} household - Household document with members.user populated
+ * @returns {Array} - [{ id, name, kind, owners, lots }], where `lots` is the TaxLot filter
+ */
+const householdAccounts = async (household) => {
+  const members = household.activeMembers().map(member => member.user);
+  const entities = await Entity.find({
+    type: 'joint',
+    authorizedUsers: { $elemMatch: { user: { $in: members.map(user => user._id) }, status: { $ne: 'invited' } } }
+  }).populate('authorizedUsers.user', 'firstName lastName')
+    .sort('name');
+
+  return [
+    ...members.map(user => ({
+      id: `personal-${user._id}`,
+      name: `${user.firstName} ${user.lastName}`,
+      kind: 'individual',
+      owners: [`${user.firstName} ${user.lastName}`],
+      lots: { user: user._id, entity: null }
+    })),
+    ...entities.map(entity => ({
+      id: String(entity._id),
+      name: entity.name,
+      kind: entity.type,
+      owners: entity.authorizedUsers
+        .filter(member => member.status !== 'invited')
+        .map(member => `${member.user.firstName} ${member.user.lastName}`),
+      lots: { entity: entity._id }
+    }))
+  ];
+};
+
+exports.householdAccounts = householdAccounts;
+
+/**
+ * Open holdings across a household, valued at current block prices, per account and combined.
+ * Tax documents are not consolidated: each account still gets its own.
+ * @param {Object} household - Household document with members.user populated
+ * @returns {Object} - { accounts, totals, holdings, investmentMix }
+ */
+exports.summarizeHousehold = async (household) => {
+  const accounts = await householdAccounts(household);
+  const lots = await TaxLot.find({ $or: accounts.map(account => account.lots), remainingShares: { $gt: 0 } })
+    .populate('project', 'title propertyType pricePerBlock');
+
+  const accountOf = (lot) => accounts.find(account =>
+    lot.entity ? account.id === String(lot.entity) : account.id === `personal-${lot.user}`
+  );
+
+  const byAccount = new Map(accounts.map(account => [account.id, { value: 0, costBasis: 0 }]));
+  const byProject = new Map();
+  const byType = new Map();
+
+  lots.filter(lot => lot.project).forEach(lot => {
+    const account = accountOf(lot);
+    const value = lot.remainingShares * (lot.project.pricePerBlock || 0);
+    // Fees are spread over the lot's shares, so part-sold lots keep their share of them
+    const costBasis = lot.remainingShares * (lot.pricePerShare + (lot.fees || 0) / lot.shares);
+
+    const accountTotals = byAccount.get(account.id);
+    accountTotals.value += value;
+    accountTotals.costBasis += costBasis;
+
+    const projectId = String(lot.project._id);
+    const holding = byProject.get(projectId) || {
+      propertyId: projectId,
+      property: lot.project.title,
+      shares: 0,
+      value: 0,
+      costBasis: 0,
+      currentPrice: lot.project.pricePerBlock,
+      accounts: []
+    };
+    holding.shares += lot.remainingShares;
+    holding.value += value;
+    holding.costBasis += costBasis;
+    if (!holding.accounts.includes(account.name)) holding.accounts.push(account.name);
+    byProject.set(projectId, holding);
+
+    const type = propertyTypeLabel(lot.project.propertyType);
+    byType.set(type, (byType.get(type) || 0) + value);
+  });
+
+  const totalValue = [...byAccount.values()].reduce((sum, account) => sum + account.value, 0);
+  const costBasis = [...byAccount.values()].reduce((sum, account) => sum + account.costBasis, 0);
+
+  return {
+    accounts: accounts.map(({ id, name, kind, owners }) => ({
+      id,
+      name,
+      kind,
+      owners,
+      value: round2(byAccount.get(id).value),
+      costBasis: round2(byAccount.get(id).costBasis)
+    })),
+    totals: {
+      totalValue: round2(totalValue),
+      costBasis: round2(costBasis),
+      gain: round2(totalValue - costBasis),
+      percentageChange: costBasis > 0 ? round2(((totalValue - costBasis) / costBasis) * 100) : 0
+    },
+    holdings: [...byProject.values()]
+      .map(holding => ({
+        ...holding,
+        value: round2(holding.value),
+        costBasis: round2(holding.costBasis),
+        allocation: totalValue > 0 ? round2((holding.value / totalValue) * 100) : 0
+      }))
+      .sort((a, b) => b.value - a.value),
+    investmentMix: [...byType.entries()].map(([name, value]) => ({ name, value: round2(value) }))
+  };
+};
+
+// services/depositService.js - Track deposits and credit them once they settle
+const Deposit = require('../models/Deposit');
+const User = require('../models/User');
+const Entity = require('../models/Entity');
+const { notifyUser } = require('./notificationService');
+const { DEPOSIT_STATUS_TRANSITIONS } = require('../utils/constants');
+
+// Where a PaymentIntent's status leaves the deposit. ACH debits sit in 'processing'
+// until the bank clears them, which takes a few business days.
+const DEPOSIT_STATUS_FOR_INTENT = {
+  processing: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'requires_action',
+  succeeded: 'settled',
+  requires_payment_method: 'failed',
+  canceled: 'failed'
+};
+
+// Tell the investor who made a deposit that it settled or failed
+const notifyDepositOutcome = async (deposit) => {
+  const user = await User.findById(deposit.user);
+  const settled = deposit.status === 'settled';
+  const message = settled
+    ? `Your deposit of $${deposit.amount.toFixed(2)} from ${deposit.source} has settled and is ready to invest.`
+    : `Your deposit of $${deposit.amount.toFixed(2)} from ${deposit.source} failed: ${deposit.failureReason}`;
+
+  return notifyUser({
+    user,
+    type: 'account',
+    message,
+    link: '/account/payments',
+    email: { subject: settled ? 'Deposit settled' : 'Deposit failed', html: `<p>${message}</p>` }
+  });
+};
+
+/**
+ * Add a deposit that has just settled to its account's available funds and let the
+ * investor know. Call it once per deposit, after moving it to 'settled'.
+ * @param {Object} deposit - Settled Deposit document
+ */
+exports.creditDeposit = async (deposit) => {
+  const Account = deposit.entity ? Entity : User;
+  await Account.updateOne(
+    { _id: deposit.entity || deposit.user },
+    { $inc: { availableFunds: deposit.amount } }
+  );
+
+  notifyDepositOutcome(deposit)
+    .catch(err => console.error(`Deposit notification failed: ${err.message}`));
+};
+
+/**
+ * Bring a deposit up to date with its PaymentIntent, crediting the account the first
+ * time it settles. Safe to call again for the same status, as webhooks can repeat and
+ * arrive out of order.
+ * @param {Object} intent - Stripe PaymentIntent
+ * @returns {Object} The updated deposit, or null if it is unknown or cannot move to the intent's status
+ */
+exports.syncDeposit = async (intent) => {
+  const status = DEPOSIT_STATUS_FOR_INTENT[intent.status];
+  if (!status) {
+    return null;
+  }
+
+  // Only statuses that may move to the new one match, so a settled or failed deposit is
+  // never reopened and only one call ever gets to credit the funds
+  const from = Object.keys(DEPOSIT_STATUS_TRANSITIONS)
+    .filter(current => DEPOSIT_STATUS_TRANSITIONS[current].includes(status));
+
+  const deposit = await Deposit.findOneAndUpdate(
+    { stripePaymentIntentId: intent.id, status: { $in: from } },
+    {
+      status,
+      failureReason: status === 'failed'
+        ? intent.last_payment_error?.message || 'The payment was declined'
+        : undefined,
+      ...(status === 'settled' && { settledAt: Date.now() })
+    },
+    { new: true }
+  );
+
+  if (!deposit) {
+    return null;
+  }
+
+  if (status === 'settled') {
+    await exports.creditDeposit(deposit);
+  } else if (status === 'failed') {
+    notifyDepositOutcome(deposit)
+      .catch(err => console.error(`Deposit notification failed: ${err.message}`));
+  }
+
+  return deposit;
+};
+
+// services/wireService.js - Wire instructions, reference codes and bank statement reconciliation
+const crypto = require('crypto');
+const Deposit = require('../models/Deposit');
+const BankStatementLine = require('../models/BankStatementLine');
+const ErrorResponse = require('../utils/errorResponse');
+const { creditDeposit } = require('./depositService');
+const { WIRE_REFERENCE } = require('../utils/constants');
+
+const REFERENCE_PATTERN = new RegExp(`${WIRE_REFERENCE.prefix}-?([${WIRE_REFERENCE.alphabet}]{${WIRE_REFERENCE.length}})`);
+
+// BAI2 detail type codes 100-399 are credits; everything else is a debit or a summary
+const isBaiCredit = (typeCode) => typeCode >= 100 && typeCode <= 399;
+
+// BAI2 funds types that carry extra availability fields before the bank reference
+const BAI_FUNDS_FIELDS = {
+  S: () => 3,
+  V: () => 2,
+  D: (fields) => 1 + 2 * Number(fields[0] || 0)
+};
+
+const newReference = () => {
+  const bytes = crypto.randomBytes(WIRE_REFERENCE.length);
+  let code = WIRE_REFERENCE.prefix;
+  bytes.forEach(byte => {
+    code += WIRE_REFERENCE.alphabet[byte % WIRE_REFERENCE.alphabet.length];
+  });
+  return code;
+};
+
+// Lines without a bank id are told apart by their contents, and repeats within the file
+const fingerprint = (line, seen) => {
+  const key = crypto
+    .createHash('sha256')
+    .update(`${line.date.toISOString()}|${line.amount}|${line.description}`)
+    .digest('hex')
+    .slice(0, 24);
+  seen[key] = (seen[key] || 0) + 1;
+  return `${key}-${seen[key]}`;
+};
+
+// Split one CSV row, honouring quoted fields
+const splitCsvRow = (row) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const toAmount = (value) => Number(String(value || '').replace(/[$,\s]/g, ''));
+
+/**
+ * The platform account investors wire to, with the reference that identifies their account
+ * @param {String} reference - The account's wire reference
+ * @returns {Object} Wire instructions
+ */
+exports.wireInstructions = (reference) => ({
+  bankName: process.env.WIRE_BANK_NAME,
+  bankAddress: process.env.WIRE_BANK_ADDRESS,
+  beneficiary: process.env.WIRE_BENEFICIARY,
+  accountNumber: process.env.WIRE_ACCOUNT_NUMBER,
+  routingNumber: process.env.WIRE_ROUTING_NUMBER,
+  swiftCode: process.env.WIRE_SWIFT_CODE,
+  reference
+});
+
+/**
+ * The wire reference of a user or entity, assigned the first time it is asked for
+ * @param {Object} account - User or Entity document
+ * @returns {String} The reference, e.g. BYL7KQ2M9XC
+ */
+exports.referenceFor = async (account) => {
+  if (account.wireReference) {
+    return account.wireReference;
+  }
+
+  const Account = account.constructor;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      // Only set it if no other request got there first
+      await Account.updateOne(
+        { _id: account._id, wireReference: null },
+        { wireReference: newReference() }
+      );
+    } catch (err) {
+      // Another account already has this code; draw again
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    const { wireReference } = await Account.findById(account._id).select('wireReference');
+    account.wireReference = wireReference;
+    return wireReference;
+  }
+
+  throw new ErrorResponse('Could not assign a wire reference, please try again', 500);
+};
+
+/**
+ * The wire reference in a statement line's memo text, if there is one. Banks often
+ * drop punctuation or change the case, so BYL-7kq2m9xc is found too.
+ * @param {String} text - Description from the bank statement
+ * @returns {String|undefined} The reference as issued
+ */
+exports.findReference = (text = '') => {
+  const match = text.toUpperCase().match(REFERENCE_PATTERN);
+  return match ? `${WIRE_REFERENCE.prefix}${match[1]}` : undefined;
+};
+
+/**
+ * Credits from a CSV statement export. Needs a header row with a date column and a credit
+ * column, or an amount column when there is no credit one; debit columns are never read.
+ * Description, memo and reference columns are used when present.
+ * @param {String} content - The CSV file
+ * @returns {Array} Lines of { date, amount, description, bankReference }
+ */
+exports.parseCsvStatement = (content) => {
+  const rows = content.split(/\r?\n/).filter(row => row.trim());
+  if (rows.length < 2) {
+    throw new ErrorResponse('The statement has no transactions', 400);
+  }
+
+  const headers = splitCsvRow(rows[0]).map(header => header.toLowerCase().trim());
+  const column = (...names) => headers.findIndex(header => names.some(name => header.includes(name)));
+  const exactColumn = (...names) => headers.findIndex(header => names.includes(header));
+  const isDebit = (header) => ['debit', 'withdrawal'].some(name => header.includes(name));
+  const amountLike = (name) => headers.findIndex(header => header.includes(name) && !isDebit(header));
+  const dateColumn = column('date');
+  // Exports with separate columns often name both "Debit Amount" and "Credit Amount", so
+  // a credit column always wins over a plain amount one
+  const amountColumn = [
+    exactColumn('credit', 'credits', 'credit amount'),
+    amountLike('credit'),
+    exactColumn('amount'),
+    amountLike('amount')
+  ].find(index => index >= 0) ?? -1;
+  const descriptionColumns = headers
+    .map((header, index) => (['description', 'memo', 'detail', 'originator'].some(name => header.includes(name)) ? index : -1))
+    .filter(index => index >= 0);
+  const referenceColumn = column('reference', 'transaction id', 'trace');
+
+  if (dateColumn < 0 || amountColumn < 0) {
+    throw new ErrorResponse('The statement needs date and amount columns', 400);
+  }
+
+  const seen = {};
+  return rows.slice(1)
+    .map(splitCsvRow)
+    .map(fields => ({
+      date: new Date(fields[dateColumn]),
+      amount: toAmount(fields[amountColumn]),
+      description: descriptionColumns.map(index => fields[index]).filter(Boolean).join(' '),
+      bankReference: referenceColumn >= 0 ? fields[referenceColumn] : ''
+    }))
+    // Debits and blank rows are not wires in
+    .filter(line => line.amount > 0 && !isNaN(line.date))
+    .map(line => ({ ...line, bankReference: line.bankReference || fingerprint(line, seen) }));
+};
+
+/**
+ * Credits from a BAI2 file. Amounts are in cents, 88 records continue the record before
+ * them, and the as-of date comes from the group header.
+ * @param {String} content - The BAI2 file
+ * @returns {Array} Lines of { date, amount, description, bankReference }
+ */
+exports.parseBai2Statement = (content) => {
+  // Fold continuation records into the record they continue
+  const records = [];
+  content.split(/\r?\n/).filter(row => row.trim()).forEach(row => {
+    const text = row.trim().replace(/\/$/, '');
+    if (text.startsWith('88,') && records.length) {
+      records[records.length - 1] += `,${text.slice(3)}`;
+    } else {
+      records.push(text);
+    }
+  });
+
+  if (!records.length || !records[0].startsWith('01,')) {
+    throw new ErrorResponse('This does not look like a BAI2 file', 400);
+  }
+
+  const seen = {};
+  const lines = [];
+  let date;
+
+  records.forEach(record => {
+    const fields = record.split(',');
+
+    if (fields[0] === '02') {
+      // 02,receiver,originator,status,YYMMDD,...
+      const asOf = fields[4];
+      date = new Date(Date.UTC(2000 + Number(asOf.slice(0, 2)), Number(asOf.slice(2, 4)) - 1, Number(asOf.slice(4, 6))));
+    }
+
+    if (fields[0] !== '16' || !isBaiCredit(Number(fields[1]))) {
+      return;
+    }
+
+    // 16,type,amount,funds type,[availability],bank ref,customer ref,text
+    const fundsType = fields[3];
+    const extra = BAI_FUNDS_FIELDS[fundsType] ? BAI_FUNDS_FIELDS[fundsType](fields.slice(4)) : 0;
+    const rest = fields.slice(4 + extra);
+    const line = {
+      date,
+      amount: Number(fields[2]) / 100,
+      // The free text may itself contain commas
+      description: rest.slice(2).join(',').trim(),
+      bankReference: rest[0]
+    };
+
+    if (line.amount > 0) {
+      lines.push({ ...line, bankReference: line.bankReference || fingerprint(line, seen) });
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Match a statement line to a pending wire: settle the wire for the amount that actually
+ * arrived and credit the account it was sent for
+ * @param {Object} line - Unmatched BankStatementLine document
+ * @param {Object} deposit - Pending wire Deposit document
+ * @param {Object} admin - Admin matching by hand, if not matched on import
+ * @returns {Object} The matched line
+ */
+exports.matchLine = async (line, deposit, admin = null) => {
+  // Claim the line first so two admins cannot both match it
+  const matched = await BankStatementLine.findOneAndUpdate(
+    { _id: line._id, status: 'unmatched' },
+    {
+      status: 'matched',
+      deposit: deposit._id,
+      ...(admin && { reviewedBy: admin._id }),
+      reviewedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!matched) {
+    throw new ErrorResponse('This statement line has already been reconciled', 409);
+  }
+
+  const settled = await Deposit.findOneAndUpdate(
+    { _id: deposit._id, method: 'wire', status: 'pending' },
+    {
+      status: 'settled',
+      amount: line.amount,
+      statementLine: line._id,
+      settledAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!settled) {
+    await BankStatementLine.updateOne(
+      { _id: line._id },
+      { status: 'unmatched', $unset: { deposit: 1, reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw new ErrorResponse('This wire is no longer pending', 409);
+  }
+
+  await creditDeposit(settled);
+
+  return matched;
+};
+
+/**
+ * Import a CSV or BAI2 statement. Lines already imported are skipped, and each new line
+ * whose reference and amount match a pending wire exactly is matched straight away; the
+ * rest wait for an admin.
+ * @param {Object} options - { content, format, fileName, admin }
+ * @returns {Object} Counts of imported, duplicate, matched and unmatched lines
+ */
+exports.importStatement = async ({ content, format, fileName, admin }) => {
+  const parsed = format === 'bai2'
+    ? exports.parseBai2Statement(content)
+    : exports.parseCsvStatement(content);
+
+  const result = { imported: 0, duplicates: 0, matched: 0, unmatched: 0 };
+
+  for (const fields of parsed) {
+    let line;
+    try {
+      line = await BankStatementLine.create({
+        ...fields,
+        reference: exports.findReference(fields.description),
+        importedFrom: { fileName, format },
+        importedBy: admin._id
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      result.duplicates++;
+      continue;
+    }
+    result.imported++;
+
+    const deposit = line.reference && await Deposit.findOne({
+      method: 'wire',
+      status: 'pending',
+      reference: line.reference,
+      amount: line.amount
+    }).sort('createdAt');
+
+    if (deposit) {
+      await exports.matchLine(line, deposit);
+      result.matched++;
+    } else {
+      result.unmatched++;
+    }
+  }
+
+  return result;
+};
+
+// services/taxLotService.js - Relieve tax lots on sells and record the gains realized
+const TaxLot = require('../models/TaxLot');
+const RealizedGain = require('../models/RealizedGain');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Lots are relieved in whole ten-thousandths of a block, like the fills that relieve them
+const BLOCK_PRECISION = 4;
+
+const roundBlocks = (blocks) => Math.round(blocks * 10 ** BLOCK_PRECISION) / 10 ** BLOCK_PRECISION;
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// What each block in the lot cost, buy fees included
+const costPerShare = (lot) => (lot.shares * lot.pricePerShare + (lot.fees || 0)) / lot.shares;
+
+// Long-term once held for more than one year
+const isLongTerm = (acquiredAt, soldAt) => {
+  const oneYearLater = new Date(acquiredAt);
+  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+  return new Date(soldAt) > oneYearLater;
+};
+
+// Lots a sell draws from, in the order its method relieves them
+const orderLots = (lots, method) => {
+  switch (method) {
+    case 'lifo':
+      return [...lots].reverse();
+    case 'hifo':
+      return [...lots].sort((a, b) => costPerShare(b) - costPerShare(a));
+    default:
+      return lots;
+  }
+};
+
+// The lots an account holds in a project that still have blocks open, oldest first
+const openLots = (ask, session = null) => TaxLot.find({
+  ...(ask.entity ? { entity: ask.entity } : { user: ask.user, entity: null }),
+  project: ask.project,
+  remainingShares: { $gt: 0 }
+}).sort({ acquiredAt: 1 }).session(session);
+
+/**
+ * Check the lots a specific-lot ask designates: each must be one of the account's open
+ * lots in the project, named once, with enough blocks left in it, and together they must
+ * cover exactly the blocks the ask offers.
+ * @param {Object} ask - Unsaved ask order
+ * @param {Array} designated - [{ lotId, shares }] as sent by the client
+ * @param {Object} session - Transaction the ask is being placed in, if any
+ * @returns {Array} - [{ lot, shares }] to store on the order
+ */
+exports.designateLots = async (ask, designated = [], session = null) => {
+  if (!Array.isArray(designated) || designated.length === 0) {
+    throw new ErrorResponse('Please choose the tax lots to sell from', 400);
+  }
+
+  // Only the seller's own open lots in this project can be designated
+  const lots = await openLots(ask, session);
+  const seen = new Set();
+
+  const chosen = designated.map(({ lotId, shares }) => {
+    const lot = lots.find(candidate => candidate._id.toString() === String(lotId));
+    const count = roundBlocks(Number(shares));
+
+    if (!lot) {
+      throw new ErrorResponse(`Tax lot ${lotId} is not an open lot of this holding`, 400);
+    }
+    if (seen.has(String(lotId))) {
+      throw new ErrorResponse(`Tax lot ${lotId} is designated more than once`, 400);
+    }
+    if (!(count > 0) || count > lot.remainingShares) {
+      throw new ErrorResponse(`Tax lot ${lotId} has ${lot.remainingShares} blocks open`, 400);
+    }
+
+    seen.add(String(lotId));
+    return { lot: lot._id, shares: count };
+  });
+
+  const total = roundBlocks(chosen.reduce((sum, { shares }) => sum + shares, 0));
+  if (total !== roundBlocks(ask.shares)) {
+    throw new ErrorResponse(`The lots designated add up to ${total} blocks, but the order is for ${ask.shares}`, 400);
+  }
+
+  return chosen;
+};
+
+/**
+ * Relieve the seller's lots for a fill of an ask, the way the ask was placed: specific-lot
+ * asks take their designated lots first, then FIFO. Records the gain or loss realized on
+ * each lot; the sell fee comes out of the proceeds and buy fees are part of the cost basis.
+ * @param {Object} options
+ * @param {Object} options.ask - Ask order that sold
+ * @param {Object} options.trade - Trade the blocks sold in
+ * @param {Object} options.session - Transaction the fill is settled in, if any
+ * @returns {Array} - The RealizedGain records created
+ */
+exports.relieveLots = async ({ ask, trade, session = null }) => {
+  const lots = await openLots(ask, session);
+  const proceedsPerShare = (trade.shares * trade.pricePerBlock - trade.fee) / trade.shares;
+  const relieved = [];
+  let left = trade.shares;
+
+  const take = (lot, count) => {
+    const shares = roundBlocks(Math.min(count, lot.remainingShares, left));
+    if (shares <= 0) return;
+    lot.remainingShares = roundBlocks(lot.remainingShares - shares);
+    left = roundBlocks(left - shares);
+    relieved.push({ lot, shares });
+  };
+
+  if (ask.lotMethod === 'specific' && ask.lots.length) {
+    // Earlier fills of this ask may already have used up part of a designation
+    const earlier = await RealizedGain.find({ order: ask._id }).session(session);
+    ask.lots.forEach(({ lot: lotId, shares }) => {
+      const lot = lots.find(candidate => candidate._id.equals(lotId));
+      const used = earlier
+        .filter(gain => gain.lot.equals(lotId))
+        .reduce((total, gain) => total + gain.shares, 0);
+      if (lot) take(lot, shares - used);
+    });
+  }
+
+  orderLots(lots, ask.lotMethod).forEach(lot => take(lot, left));
+
+  await Promise.all(relieved.map(({ lot }) => lot.save()));
+
+  return RealizedGain.insertMany(relieved.map(({ lot, shares }) => {
+    const proceeds = roundCents(shares * proceedsPerShare);
+    const costBasis = roundCents(shares * costPerShare(lot));
+
+    return {
+      user: ask.user,
+      entity: ask.entity,
+      project: ask.project,
+      lot: lot._id,
+      order: ask._id,
+      trade: trade._id,
+      acquiredAt: lot.acquiredAt,
+      soldAt: trade.executedAt,
+      shares,
+      proceeds,
+      costBasis,
+      gain: roundCents(proceeds - costBasis),
+      term: isLongTerm(lot.acquiredAt, trade.executedAt) ? 'long' : 'short'
+    };
+  }), { session });
+};
+
+// services/orderService.js - Secondary market: place, match and cancel limit orders
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Trade = require('../models/Trade');
+const TaxLot = require('../models/TaxLot');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Entity = require('../models/Entity');
+const ErrorResponse = require('../utils/errorResponse');
+const { notifyUser } = require('./notificationService');
+const { publish } = require('./realtimeService');
+const { designateLots, relieveLots } = require('./taxLotService');
+const { isAccredited } = require('./accreditationService');
+const { assertWithinLimit } = require('./investmentLimitService');
+const { LOT_METHODS, SECONDARY_MARKET } = require('../utils/constants');
+
+// Blocks are kept to four decimal places, as reinvested distributions buy fractions of one
+const BLOCK_PRECISION = 4;
+
+const roundBlocks = (blocks) => Math.round(blocks * 10 ** BLOCK_PRECISION) / 10 ** BLOCK_PRECISION;
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Orders still on the book
+const RESTING = ['open', 'partially_filled'];
+
+// Orders and lots belong to the entity, or to the user's own account when there is none
+const accountOf = ({ user, entity }) => (entity ? { entity } : { user, entity: null });
+
+// Move cash in or out of the account an order trades for
+const adjustFunds = (order, amount, session = null) => (order.entity ? Entity : User).updateOne(
+  { _id: order.entity || order.user },
+  { $inc: { availableFunds: amount } },
+  { session }
+);
+
+// Blocks the account holds in a project that are not already offered in a resting ask
+const blocksAvailable = async (account, projectId, session = null) => {
+  const [lots, asks] = await Promise.all([
+    TaxLot.find({ ...accountOf(account), project: projectId, remainingShares: { $gt: 0 } }).session(session),
+    Order.find({ ...accountOf(account), project: projectId, side: 'ask', status: { $in: RESTING } }).session(session)
+  ]);
+
+  const held = lots.reduce((total, lot) => total + lot.remainingShares, 0);
+  const offered = asks.reduce((total, ask) => total + ask.remainingShares, 0);
+  return roundBlocks(held - offered);
+};
+
+// Take blocks off a resting order. The guard on remainingShares means two orders
+// matching at once cannot both fill the same blocks; null if they are gone.
+const takeFromResting = (order, shares, session = null) => Order.findOneAndUpdate(
+  { _id: order._id, status: { $in: RESTING }, remainingShares: { $gte: shares } },
+  [
+    {
+      $set: {
+        filledShares: { $round: [{ $add: ['$filledShares', shares] }, BLOCK_PRECISION] },
+        remainingShares: { $round: [{ $subtract: ['$remainingShares', shares] }, BLOCK_PRECISION] }
+      }
+    },
+    { $set: { status: { $cond: [{ $gt: ['$remainingShares', 0] }, 'partially_filled', 'filled'] } } }
+  ],
+  { new: true, session }
+);
+
+// Push the project's book to everyone watching it, after it has changed
+const publishBook = (projectId) => exports.getOrderBook(projectId)
+  .then(book => publish(projectId, 'book', book))
+  .catch(err => console.error(`Order book update failed: ${err.message}`));
+
+const notifyFill = async (order, trade, project) => {
+  const user = await User.findById(order.user);
+  const verb = order.side === 'ask' ? 'sold' : 'bought';
+  const message = `You ${verb} ${trade.shares} blocks of ${project.title} at $${trade.pricePerBlock.toFixed(2)} per block.`;
+
+  return notifyUser({
+    user,
+    type: 'investment',
+    message,
+    link: `/owned-listing/${project._id}`
+  });
+};
+
+// Settle a fill: pay the seller less the fee, relieve the seller's lots by the ask's lot
+// method and record the gain, open a lot for the buyer, and give the buyer back what they
+// reserved above the price
+const settleTrade = async ({ bid, ask, shares, pricePerBlock, project, session }) => {
+  const proceeds = roundCents(shares * pricePerBlock);
+  const fee = roundCents(proceeds * SECONDARY_MARKET.sellerFeeRate);
+
+  const [trade] = await Trade.create([{
+    project: project._id,
+    bid: bid._id,
+    ask: ask._id,
+    shares,
+    pricePerBlock,
+    fee
+  }], { session });
+
+  await adjustFunds(ask, roundCents(proceeds - fee), session);
+  await relieveLots({ ask, trade, session });
+
+  await TaxLot.create([{
+    user: bid.user,
+    entity: bid.entity || undefined,
+    project: project._id,
+    acquiredAt: trade.executedAt,
+    shares,
+    pricePerShare: pricePerBlock,
+    remainingShares: shares
+  }], { session });
+
+  const overReserved = roundCents(shares * bid.pricePerBlock) - proceeds;
+  if (overReserved > 0) {
+    await adjustFunds(bid, overReserved, session);
+  }
+
+  return trade;
+};
+
+/**
+ * Place a limit order and match it against the other side of the project's book, best
+ * price first and oldest first at each price. Fills trade at the resting order's price and
+ * may be partial; whatever does not fill rests on the book. Bids reserve their cost from
+ * the account's available funds and are held to the project's accreditation rule and the
+ * account's investment limit; asks can only offer blocks the account holds, and an ask's
+ * lot method decides which tax lots its blocks come out of as it fills.
+ * @param {Object} options
+ * @param {Object} options.user - User placing the order
+ * @param {Object} options.entity - Entity the user is trading for, if any
+ * @param {String} options.projectId - Project whose blocks are traded
+ * @param {String} options.side - 'bid' or 'ask'
+ * @param {Number} options.shares - Blocks to buy or sell
+ * @param {Number} options.pricePerBlock - Limit price
+ * @param {String} options.lotMethod - Asks only: a LOT_METHODS key
+ * @param {Array} options.lots - Specific-lot asks only: [{ lotId, shares }]
+ * @returns {Object} - { order, trades }
+ */
+exports.placeOrder = async ({ user, entity = null, projectId, side, shares, pricePerBlock, lotMethod = 'fifo', lots }) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    throw new ErrorResponse(`Project not found with id of ${projectId}`, 404);
+  }
+
+  if (!SECONDARY_MARKET.tradableStatuses.includes(project.status)) {
+    throw new ErrorResponse(`${project.title} cannot be traded until its raise has closed`, 400);
+  }
+
+  if (entity && entity.status !== 'verified') {
+    throw new ErrorResponse(`${entity.name} must be verified before it can trade`, 403);
+  }
+
+  const blocks = roundBlocks(Number(shares));
+  const price = roundCents(Number(pricePerBlock));
+
+  if (!(blocks > 0) || !(price > 0)) {
+    throw new ErrorResponse('Please enter the number of blocks and a price per block', 400);
+  }
+
+  if (side === 'ask' && !LOT_METHODS[lotMethod]) {
+    throw new ErrorResponse(`Lot method must be one of ${Object.keys(LOT_METHODS).join(', ')}`, 400);
+  }
+
+  // Buying on the secondary market is held to the same rules as investing in the raise
+  if (side === 'bid') {
+    if (project.accreditedOnly && !isAccredited(entity || user)) {
+      throw new ErrorResponse(`This project is only available to accredited investors`, 403);
+    }
+
+    await assertWithinLimit(user, roundCents(blocks * price), entity);
+  }
+
+  let order;
+  let fills;
+
+  // Reserving, matching and settling commit together or not at all. The transaction may be
+  // retried when it conflicts with another, so everything it builds starts over each time.
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      order = new Order({
+        user: user._id,
+        entity: entity ? entity._id : null,
+        project: project._id,
+        side,
+        pricePerBlock: price,
+        shares: blocks,
+        remainingShares: blocks
+      });
+      fills = [];
+
+      if (side === 'ask') {
+        // Writing to the holding's open lots makes two asks placed at once conflict, so the
+        // later one retries and sees the blocks the first has offered
+        await TaxLot.updateMany(
+          { ...accountOf(order), project: project._id, remainingShares: { $gt: 0 } },
+          { $inc: { __v: 1 } },
+          { session }
+        );
+
+        const available = await blocksAvailable(order, project._id, session);
+        if (blocks > available) {
+          throw new ErrorResponse(`You have ${available} blocks of ${project.title} available to sell`, 400);
+        }
+
+        order.lotMethod = lotMethod;
+        if (lotMethod === 'specific') {
+          order.lots = await designateLots(order, lots, session);
+        }
+      } else {
+        const cost = roundCents(blocks * price);
+        const reserved = await (entity ? Entity : User).updateOne(
+          { _id: entity ? entity._id : user._id, availableFunds: { $gte: cost } },
+          { $inc: { availableFunds: -cost } },
+          { session }
+        );
+        if (reserved.modifiedCount === 0) {
+          throw new ErrorResponse('Insufficient funds', 402);
+        }
+      }
+
+      // The new order is matched before it is saved, so nothing can fill or cancel it meanwhile
+      const opposite = side === 'bid'
+        ? { side: 'ask', pricePerBlock: { $lte: price } }
+        : { side: 'bid', pricePerBlock: { $gte: price } };
+
+      while (order.remainingShares > 0) {
+        const resting = await Order.findOne({
+          project: project._id,
+          status: { $in: RESTING },
+          ...opposite,
+          $nor: [accountOf(order)]
+        }).sort({ pricePerBlock: side === 'bid' ? 1 : -1, createdAt: 1 }).session(session);
+
+        if (!resting) break;
+
+        const fill = roundBlocks(Math.min(order.remainingShares, resting.remainingShares));
+        if (!(await takeFromResting(resting, fill, session))) {
+          // Someone else filled or cancelled it first; look again
+          continue;
+        }
+
+        order.filledShares = roundBlocks(order.filledShares + fill);
+        order.remainingShares = roundBlocks(order.remainingShares - fill);
+
+        const bid = side === 'bid' ? order : resting;
+        const ask = side === 'ask' ? order : resting;
+        const trade = await settleTrade({
+          bid,
+          ask,
+          shares: fill,
+          pricePerBlock: resting.pricePerBlock,
+          project,
+          session
+        });
+        fills.push({ bid, ask, trade });
+      }
+
+      if (order.filledShares > 0) {
+        order.status = order.remainingShares > 0 ? 'partially_filled' : 'filled';
+      }
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Only tell both sides, and anyone watching the project, once the fills have committed
+  fills.forEach(({ bid, ask, trade }) => [bid, ask].forEach(filled => notifyFill(filled, trade, project)
+    .catch(err => console.error(`Order fill notification failed: ${err.message}`))));
+
+  const trades = fills.map(({ trade }) => trade);
+  trades.forEach(trade => publish(project._id, 'trade', {
+    price: trade.pricePerBlock,
+    shares: trade.shares,
+    executedAt: trade.executedAt
+  }));
+  publishBook(project._id);
+
+  return { order, trades };
+};
+
+/**
+ * Cancel what is left of a resting order. Blocks an ask offered are free to sell again
+ * and a bid's unfilled cost goes back to available funds; fills already made stand.
+ * @param {Object} order - Order to cancel
+ * @returns {Object} - The cancelled order, or null if it had already filled or been cancelled
+ */
+exports.cancelOrder = async (order) => {
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: RESTING } },
+    { status: 'cancelled', cancelledAt: Date.now() },
+    { new: true }
+  );
+
+  if (cancelled && cancelled.side === 'bid') {
+    await adjustFunds(cancelled, roundCents(cancelled.remainingShares * cancelled.pricePerBlock));
+  }
+
+  if (cancelled) {
+    publishBook(cancelled.project);
+  }
+
+  return cancelled;
+};
+
+/**
+ * A project's resting bids (highest first) and asks (lowest first), with the last price traded
+ * and the fee sellers pay, so the sell form can estimate proceeds
+ * @param {String} projectId - Project whose book to read
+ * @returns {Object} - { lastPrice, sellerFeeRate, bids: [{ price, shares }], asks: [{ price, shares }] }
+ */
+exports.getOrderBook = async (projectId) => {
+  const [orders, lastTrade] = await Promise.all([
+    Order.find({ project: projectId, status: { $in: RESTING } }).sort({ pricePerBlock: 1, createdAt: 1 }),
+    Trade.findOne({ project: projectId }).sort('-executedAt')
+  ]);
+
+  const level = order => ({ price: order.pricePerBlock, shares: order.remainingShares });
+
+  return {
+    lastPrice: lastTrade ? lastTrade.pricePerBlock : null,
+    sellerFeeRate: SECONDARY_MARKET.sellerFeeRate,
+    bids: orders.filter(order => order.side === 'bid').map(level).reverse(),
+    asks: orders.filter(order => order.side === 'ask').map(level)
+  };
+};
+
+// services/distributionService.js - Pay a project's distributions to its holders
+const Distribution = require('../models/Distribution');
+const TaxLot = require('../models/TaxLot');
+const User = require('../models/User');
+const Entity = require('../models/Entity');
+const ErrorResponse = require('../utils/errorResponse');
+const { processDistribution } = require('./dripService');
+const { notifyUser } = require('./notificationService');
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Pay a distribution on every block of a project still held. Each holding goes through its
+ * account's DRIP setting first, the investor's or the entity's, and only what it does not
+ * reinvest is added to that account's available funds. Each holder's payment is recorded
+ * for their distribution history and activity.
+ * @param {Object} options
+ * @param {Object} options.project - Project paying the distribution
+ * @param {Number} options.amountPerBlock - USD paid on each block held
+ * @returns {Object} - { holders, amount, reinvested, paidOut }
+ */
+exports.payDistribution = async ({ project, amountPerBlock }) => {
+  if (!['closed', 'completed'].includes(project.status)) {
+    throw new ErrorResponse(`${project.title} pays distributions once its raise has closed`, 400);
+  }
+
+  if (!(amountPerBlock > 0)) {
+    throw new ErrorResponse('Please enter the amount paid per block', 400);
+  }
+
+  // One holder per account: the entity, or the user for personal lots
+  const holders = await TaxLot.holders(project._id);
+
+  const totals = { holders: 0, amount: 0, reinvested: 0, paidOut: 0 };
+
+  for (const holder of holders) {
+    const amount = roundCents(holder.blocks * amountPerBlock);
+    if (!(amount > 0)) continue;
+
+    const user = await User.findById(holder.user);
+    const entity = holder.entity ? await Entity.findById(holder.entity) : null;
+    const drip = user
+      ? await processDistribution({ user, entity, project, amount })
+      : { reinvested: false, amountReinvested: 0, blocks: 0, remainder: amount };
+
+    if (drip.remainder > 0) {
+      await (holder.entity ? Entity : User).updateOne(
+        { _id: holder.entity || holder.user },
+        { $inc: { availableFunds: drip.remainder } }
+      );
+    }
+
+    await Distribution.create({
+      user: holder.user,
+      entity: holder.entity || null,
+      project: project._id,
+      blocks: holder.blocks,
+      amountPerBlock,
+      amount,
+      reinvestedAmount: drip.amountReinvested,
+      reinvestedBlocks: drip.blocks,
+      targetProject: drip.investment ? drip.investment.project : undefined,
+      investment: drip.investment ? drip.investment._id : undefined,
+      paidOut: drip.remainder
+    });
+
+    if (drip.remainder > 0 && user) {
+      const message = `$${drip.remainder.toFixed(2)} of your ${project.title} distribution was added to ${holder.entity ? 'the entity account\'s' : 'your'} available funds.`;
+      notifyUser({
+        user,
+        type: 'investment',
+        message,
+        link: '/account/payments'
+      }).catch(err => console.error(`Distribution notification failed: ${err.message}`));
+    }
+
+    totals.holders += 1;
+    totals.amount = roundCents(totals.amount + amount);
+    totals.reinvested = roundCents(totals.reinvested + drip.amountReinvested);
+    totals.paidOut = roundCents(totals.paidOut + drip.remainder);
+  }
+
+  return totals;
+};
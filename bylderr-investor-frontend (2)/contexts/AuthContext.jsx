@@ -1,107 +1,137 @@
-import React, { createContext, useContext, useState } from 'react';
-import { loginUser, fetchUserData } from '../src/api/authApi';
-import CryptoJS from 'crypto-js';
-import Cookies from 'js-cookie';
-
-const AuthContext = createContext();
-
-const ENCRYPTION_KEY = import.meta.env.VITE_ENCRYPTION_KEY;
-
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+    restoreSession,
+    login as loginAction,
+    verifyTwoFactor as verifyTwoFactorAction,
+    logout as logoutAction,
+    cancelTwoFactor as cancelTwoFactorAction,
+    sessionExpired,
+} from '../src/slices/authSlice';
+import { setSessionExpiredHandler, setStepUpHandler } from '../src/api/axiosInstance';
+import useIdleTimeout from '../src/hooks/useIdleTimeout';
+import SessionTimeoutModal from '../src/components/SessionTimeoutModal';
+import StepUpModal from '../src/components/TwoFactor/StepUpModal';
+import { loadAccounts, selectActiveAccount } from '../src/slices/accountSlice';
+import { clearActiveAccountId } from '../src/utils/activeAccount';
+import { hasAccountPermission, hasPermission, hasRole, ROLES } from '../src/auth/permissions';
+
+// Inactive sessions are signed out after 15 minutes, with a warning for the last 2
+const IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+const IDLE_WARNING_MS = 2 * 60 * 1000;
+
+// Returned by login when the account has two-factor on; finish with verifyTwoFactor(code)
+export const TWO_FACTOR_REQUIRED = 'two-factor-required';
+
+/**
+ * Restores the session on load and hosts the session-wide prompts: the idle sign-out
+ * warning and the two-factor step-up check. Who is signed in lives in the auth slice.
+ */
 export const AuthProvider = ({ children }) => {
-    const [isAuthenticated, setIsAuthenticated] = useState(() => {
-        const encryptedAuth = Cookies.get('isAuthenticated');
-        if (encryptedAuth) {
-            const decryptedAuth = CryptoJS.AES.decrypt(encryptedAuth, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
-            return decryptedAuth === 'true';
-        }
-        return false;
-    });
-
-    const [role, setRole] = useState(() => {
-        const encryptedRole = Cookies.get('role');
-        if (encryptedRole) {
-            return CryptoJS.AES.decrypt(encryptedRole, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    const dispatch = useDispatch();
+    const isAuthenticated = useSelector((state) => state.auth.status === 'authenticated');
+    const role = useSelector((state) => state.auth.user?.role);
+
+    // A pending re-verification requested by the API: { resolve, reject }
+    const [stepUpRequest, setStepUpRequest] = useState(null);
+
+    useEffect(() => {
+        dispatch(restoreSession());
+    }, [dispatch]);
+
+    // Requests that fail with 401 after a failed token refresh end the session
+    useEffect(() => {
+        setSessionExpiredHandler(() => {
+            clearActiveAccountId();
+            dispatch(sessionExpired());
+        });
+    }, [dispatch]);
+
+    // Investors may also act for entity accounts; load the ones they can switch to
+    useEffect(() => {
+        if (isAuthenticated && role === ROLES.INVESTOR) {
+            dispatch(loadAccounts());
         }
-        return '';
-    });
-
-    const [userData, setUserData] = useState(() => {
-        const encryptedUserData = Cookies.get('userData');
-        if (encryptedUserData) {
-            const decryptedUserData = CryptoJS.AES.decrypt(encryptedUserData, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
-            return JSON.parse(decryptedUserData);
+    }, [dispatch, isAuthenticated, role]);
+
+    // Sensitive requests the API refuses without a fresh code wait on the step-up modal
+    useEffect(() => {
+        setStepUpHandler(() => new Promise((resolve, reject) => setStepUpRequest({ resolve, reject })));
+    }, []);
+
+    const finishStepUp = (stepUpToken) => {
+        if (stepUpToken) {
+            stepUpRequest.resolve(stepUpToken);
+        } else {
+            stepUpRequest.reject(new Error('Verification cancelled'));
         }
-        return null;
-    });
+        setStepUpRequest(null);
+    };
 
-    const encryptData = (data) => CryptoJS.AES.encrypt(data, ENCRYPTION_KEY).toString();
+    const logout = () => dispatch(logoutAction());
 
-    const decryptData = (data) => CryptoJS.AES.decrypt(data, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    const { isWarning, secondsLeft, stayActive } = useIdleTimeout({
+        enabled: isAuthenticated,
+        timeoutMs: IDLE_TIMEOUT_MS,
+        warningMs: IDLE_WARNING_MS,
+        onTimeout: logout,
+    });
 
-    const login = async (username, password) => {
-        const isDevMode = import.meta.env.VITE_REACT_APP_AUTH_MODE === 'redux';
+    return (
+        <>
+            {children}
+            {stepUpRequest && <StepUpModal onVerified={finishStepUp} onCancel={() => finishStepUp(null)} />}
+            {isAuthenticated && isWarning && (
+                <SessionTimeoutModal secondsLeft={secondsLeft} onStay={stayActive} onLogout={logout} />
+            )}
+        </>
+    );
+};
 
+/**
+ * The signed-in user and the actions to sign in and out.
+ * `login` and `verifyTwoFactor` resolve to true on success and false on failure;
+ * `login` resolves to TWO_FACTOR_REQUIRED when a code is needed next.
+ * `can(permission)` and `hasRole(roles)` check the user against `auth/permissions`; while
+ * acting for an entity, `can` also needs the entity to have granted the permission.
+ */
+export const useAuth = () => {
+    const dispatch = useDispatch();
+    const { status, user, error } = useSelector((state) => state.auth);
+    const activeAccount = useSelector(selectActiveAccount);
+
+    const login = async (email, password) => {
         try {
-            if (!isDevMode) {
-                if (username === 'noah@gmail.com' && password === 'password123') {
-                    const hardcodedUserData = {
-                        id: '1',
-                        name: 'Noah',
-                        role: 'investor',
-                        permissions: ['read', 'write',],
-                        preferences: {
-                            theme: 'dark',
-                            language: 'en',
-                        },
-                    };
-
-                    setIsAuthenticated(true);
-                    setRole(hardcodedUserData.role);
-                    setUserData(hardcodedUserData);
-
-                    Cookies.set('isAuthenticated', encryptData('true'), { secure: true });
-                    Cookies.set('role', encryptData(hardcodedUserData.role), { secure: true });
-                    Cookies.set('userData', encryptData(JSON.stringify(hardcodedUserData)), { secure: true });
-
-                    return true;
-                } else {
-                    return false;
-                }
-            } else {
-                const loginResponse = await loginUser(username, password);
-                setIsAuthenticated(true);
-                setRole(loginResponse.role);
-
-                const userDataResponse = await fetchUserData();
-                setUserData(userDataResponse);
-
-                Cookies.set('isAuthenticated', encryptData('true'), { secure: true });
-                Cookies.set('role', encryptData(loginResponse.role), { secure: true });
-                Cookies.set('userData', encryptData(JSON.stringify(userDataResponse)), { secure: true });
-
-                return true;
-            }
-        } catch (error) {
-            console.error('Login failed:', error);
+            const result = await dispatch(loginAction({ email, password })).unwrap();
+            return result.twoFactorRequired ? TWO_FACTOR_REQUIRED : true;
+        } catch (err) {
+            console.error('Login failed:', err);
             return false;
         }
     };
 
-    const logout = () => {
-        setIsAuthenticated(false);
-        setRole('');
-        setUserData(null);
-
-        Cookies.remove('isAuthenticated');
-        Cookies.remove('role');
-        Cookies.remove('userData');
+    const verifyTwoFactor = async (code) => {
+        try {
+            await dispatch(verifyTwoFactorAction(code)).unwrap();
+            return true;
+        } catch (err) {
+            console.error('Two-factor verification failed:', err);
+            return false;
+        }
     };
 
-    return (
-        <AuthContext.Provider value={{ isAuthenticated, login, logout, role, userData }}>
-            {children}
-        </AuthContext.Provider>
-    );
+    return {
+        isAuthenticated: status === 'authenticated',
+        isRestoring: status === 'restoring',
+        user,
+        userData: user,
+        role: user?.role || '',
+        error,
+        can: (permission) => hasPermission(user, permission) && hasAccountPermission(activeAccount, permission),
+        hasRole: (roles) => hasRole(user, roles),
+        login,
+        verifyTwoFactor,
+        cancelTwoFactor: () => dispatch(cancelTwoFactorAction()),
+        logout: () => dispatch(logoutAction()),
+    };
 };
-
-export const useAuth = () => useContext(AuthContext);
\ No newline at end of file
@@ -18,6 +18,17 @@ import PaymentPayoutScreen from './screens/PaymentPayoutScreen';
 import OwnedListing from './screens/OwnedListing';
 import TaxeScreen from './screens/TaxeScreen';
 import Home from './screens/Home';
+import OpenOrdersScreen from './screens/OpenOrdersScreen';
+import AutoInvestScreen from './screens/AutoInvestScreen';
+import EntityAccountsScreen from './screens/EntityAccountsScreen';
+import HouseholdScreen from './screens/HouseholdScreen';
+import DeveloperSidebar from './components/Layout/DeveloperSidebar';
+import MyListings from './screens/MyListings';
+import ProjectEditor from './screens/ProjectEditor';
+import MessagesScreen from './screens/MessagesScreen';
+import AdminSidebar from './components/Layout/AdminSidebar';
+import AdminConsole from './screens/AdminConsole';
+import { ROLES } from './auth/permissions';
 
 
 const App = () => {
@@ -33,7 +44,7 @@ const App = () => {
                         <Route
                             path="/"
                             element={
-                                <ProtectedRoute requiredRole="investor">
+                                <ProtectedRoute roles={[ROLES.INVESTOR]}>
                                     <Sidebar />
                                 </ProtectedRoute>
                             }
@@ -41,6 +52,7 @@ const App = () => {
                             <Route index element={<Home/>} />
                             <Route path="dashboard" element={<Dashboard />} />
                             <Route path="profile" element={<Profile />} />
+                            <Route path="messages" element={<MessagesScreen />} />
                             <Route path="Listings" element={<ListingsScreen />} />
                             <Route path="/Listings/:propertyId" element={<Listing />} />
                             <Route path="/owned-listing/:propertyId" element={<OwnedListing />}/>
@@ -50,10 +62,52 @@ const App = () => {
                             <Route path='/account/taxes' element={<TaxeScreen />} />
                             <Route path='account' element={<Account />} />
                             <Route path="/account/payments" element={<PaymentPayoutScreen />} />
+                            <Route path="/account/orders" element={<OpenOrdersScreen />} />
+                            <Route path="/account/auto-invest" element={<AutoInvestScreen />} />
+                            <Route path="/account/entities" element={<EntityAccountsScreen />} />
+                            <Route path="/account/entities/:entityId" element={<EntityAccountsScreen />} />
+                            <Route path="/account/household" element={<HouseholdScreen />} />
                             <Route path='account/notifications' element={<Settings startTab={"notifications"} />} />
+                            <Route path='account/searches' element={<Settings startTab={"searches"} />} />
+                            <Route path='account/accreditation' element={<Settings key="accreditation" startTab={"accreditation"} />} />
                             <Route path='Settings/account' element={<Settings startTab={"account"} />} />
                             <Route path='/account/security' element={<Settings startTab={"security"} />} />
                         </Route>
+
+                        {/* Developer Routes */}
+                        <Route
+                            path="/developer"
+                            element={
+                                <ProtectedRoute roles={[ROLES.DEVELOPER]}>
+                                    <DeveloperSidebar />
+                                </ProtectedRoute>
+                            }
+                        >
+                            <Route index element={<MyListings />} />
+                            <Route path="listings" element={<MyListings />} />
+                            <Route path="projects/new" element={<ProjectEditor />} />
+                            <Route path="projects/:projectId/edit" element={<ProjectEditor />} />
+                            <Route path="messages" element={<MessagesScreen />} />
+                            <Route path="profile" element={<Settings startTab={"account"} />} />
+                        </Route>
+
+                        {/* Admin Routes */}
+                        <Route
+                            path="/admin"
+                            element={
+                                <ProtectedRoute roles={[ROLES.ADMIN]}>
+                                    <AdminSidebar />
+                                </ProtectedRoute>
+                            }
+                        >
+                            <Route index element={<AdminConsole key="dashboard" startTab={"dashboard"} />} />
+                            <Route path="kyc" element={<AdminConsole key="kyc" startTab={"kyc"} />} />
+                            <Route path="accreditation" element={<AdminConsole key="accreditation" startTab={"accreditation"} />} />
+                            <Route path="entities" element={<AdminConsole key="entities" startTab={"entities"} />} />
+                            <Route path="users" element={<AdminConsole key="users" startTab={"users"} />} />
+                            <Route path="investments" element={<AdminConsole key="investments" startTab={"investments"} />} />
+                            <Route path="wires" element={<AdminConsole key="wires" startTab={"wires"} />} />
+                        </Route>
                         <Route path="*" element={<NotFound />} />
 
                     </Routes>
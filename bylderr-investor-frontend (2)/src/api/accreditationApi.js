@@ -0,0 +1,45 @@
+import axiosInstance from "./axiosInstance";
+
+// The signed-in investor's accreditation: `{ accreditedStatus, isAccredited, expiresAt, verifications }`
+export const fetchAccreditation = async () => {
+    const response = await axiosInstance.get("/accreditation/me");
+    return response.data.data;
+};
+
+/**
+ * Submits evidence of accredited status for review, resolving to the new verification.
+ * Expects `{ method, annualIncome, jointIncome, netWorth, licenseType, licenseNumber,
+ * letterProvider, files }`; only the fields the chosen method uses are sent.
+ *
+ */
+export const submitAccreditation = async ({ files = [], ...claims }) => {
+    const formData = new FormData();
+    Object.entries(claims).forEach(([field, value]) => {
+        if (value !== undefined && value !== "") formData.append(field, value);
+    });
+    files.forEach((file) => formData.append("evidence", file));
+    const response = await axiosInstance.post("/accreditation", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Verifications waiting for an admin, oldest first
+export const fetchAccreditationQueue = async () => {
+    const response = await axiosInstance.get("/accreditation/queue");
+    return response.data.data;
+};
+
+// Download one file of a verification's evidence; only its investor and admins may
+export const downloadEvidence = async (verificationId, documentId) => {
+    const response = await axiosInstance.get(`/accreditation/${verificationId}/evidence/${documentId}`, {
+        responseType: "blob",
+    });
+    return response.data;
+};
+
+// Verify or reject a verification. Rejections need a `reason`.
+export const reviewAccreditation = async (verificationId, { status, reason }) => {
+    const response = await axiosInstance.put(`/accreditation/${verificationId}/review`, { status, reason });
+    return response.data.data;
+};
@@ -0,0 +1,88 @@
+import axiosInstance from "./axiosInstance";
+
+// Platform totals from the analytics service: projects and investments by status, sign-ups by month
+export const fetchDashboardStats = async () => {
+    const response = await axiosInstance.get("/analytics/dashboard");
+    return response.data.data;
+};
+
+// Investors whose KYC documents are waiting for review, oldest first
+export const fetchKycQueue = async () => {
+    const response = await axiosInstance.get("/admin/kyc");
+    return response.data.data;
+};
+
+// Verify or reject one KYC document. Rejections need a `reason`.
+export const reviewKycDocument = async (userId, documentId, { status, reason }) => {
+    const response = await axiosInstance.put(`/admin/kyc/${userId}/documents/${documentId}`, { status, reason });
+    return response.data.data;
+};
+
+/**
+ * Approves or rejects an investor's KYC, resolving to the updated user.
+ * Approval needs every document verified; a rejection `reason` is sent to the investor.
+ *
+ */
+export const reviewKyc = async (userId, { status, reason }) => {
+    const response = await axiosInstance.put(`/admin/kyc/${userId}`, { status, reason });
+    return response.data.data;
+};
+
+// Search users by name or email, resolving to `{ data, total, pagination }`
+export const searchUsers = async ({ search, role, status, page = 1 }) => {
+    const response = await axiosInstance.get("/admin/users", { params: { search, role, status, page } });
+    return response.data;
+};
+
+// Suspend a user and end their sessions
+export const suspendUser = async (userId, reason) => {
+    const response = await axiosInstance.put(`/admin/users/${userId}/suspend`, { reason });
+    return response.data.data;
+};
+
+export const reactivateUser = async (userId) => {
+    const response = await axiosInstance.put(`/admin/users/${userId}/reactivate`);
+    return response.data.data;
+};
+
+// All investments, newest first, resolving to `{ data, total, pagination }`
+export const fetchAllInvestments = async ({ status, page = 1 }) => {
+    const response = await axiosInstance.get("/investments", {
+        params: { status: status || undefined, page },
+    });
+    return response.data;
+};
+
+// Correct an investment's amount, shares, share price or status. The investor is told the `reason`.
+export const adjustInvestment = async (investmentId, { reason, ...changes }) => {
+    const response = await axiosInstance.put(`/investments/${investmentId}`, { ...changes, reason });
+    return response.data.data;
+};
+
+// Wires investors reported sending that are not yet matched, and unmatched bank statement lines: `{ wires, lines }`
+export const fetchWireQueue = async () => {
+    const response = await axiosInstance.get("/admin/wires");
+    return response.data.data;
+};
+
+/**
+ * Import a bank statement, resolving to `{ imported, duplicates, matched, unmatched }`.
+ * `format` is "csv" or "bai2" and `content` the file's text. Lines whose reference and
+ * amount match a pending wire are credited straight away.
+ */
+export const importStatement = async ({ format, fileName, content }) => {
+    const response = await axiosInstance.post("/admin/wires/statements", { format, fileName, content });
+    return response.data.data;
+};
+
+// Match a statement line to a pending wire, crediting the amount on the line to the investor's account
+export const matchStatementLine = async (lineId, depositId) => {
+    const response = await axiosInstance.put(`/admin/wires/lines/${lineId}/match`, { depositId });
+    return response.data.data;
+};
+
+// Set aside a statement line that is not an investor's wire, e.g. interest or a refund
+export const ignoreStatementLine = async (lineId) => {
+    const response = await axiosInstance.put(`/admin/wires/lines/${lineId}/ignore`);
+    return response.data.data;
+};
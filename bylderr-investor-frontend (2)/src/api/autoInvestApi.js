@@ -0,0 +1,36 @@
+import axiosInstance from "./axiosInstance";
+
+// Fetch the active account's auto-invest plans, resolving to `{ plans, availableFunds }`
+export const fetchAutoInvestPlans = async () => {
+    const response = await axiosInstance.get("/auto-invest");
+    return { plans: response.data.data, availableFunds: response.data.availableFunds };
+};
+
+/**
+ * Creates a recurring investment plan.
+ * Expects `{ amount, frequency, startDate, fundingSource: { paymentMethod, label }, target }`, where
+ * `target` is `{ type: 'property', propertyId }` or `{ type: 'basket', propertyTypes, minROI, maxROI }`.
+ *
+ */
+export const createAutoInvestPlan = async (plan) => {
+    const response = await axiosInstance.post("/auto-invest", plan);
+    return response.data.data;
+};
+
+// Edit a plan, or pause and resume it with `{ status: 'paused' | 'active' }`
+export const updateAutoInvestPlan = async (planId, changes) => {
+    const response = await axiosInstance.put(`/auto-invest/${planId}`, changes);
+    return response.data.data;
+};
+
+// Skip a plan's next run
+export const skipAutoInvestRun = async (planId) => {
+    const response = await axiosInstance.post(`/auto-invest/${planId}/skip`);
+    return response.data.data;
+};
+
+// Cancel a plan; its run history is kept
+export const cancelAutoInvestPlan = async (planId) => {
+    const response = await axiosInstance.delete(`/auto-invest/${planId}`);
+    return response.data.data;
+};
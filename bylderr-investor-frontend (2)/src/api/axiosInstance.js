@@ -1,7 +1,11 @@
 import axios from "axios";
+import { getToken, setToken, clearToken } from "../utils/authTokens";
+import { getActiveAccountId, PERSONAL_ACCOUNT_ID } from "../utils/activeAccount";
 
 const axiosInstance = axios.create({
     baseURL: import.meta.env.VITE_REACT_APP_BASE_URL,
+    // Sends and receives the httpOnly refresh token cookie
+    withCredentials: true,
     headers: {
         "Content-Type": "application/json",
     },
@@ -9,13 +13,104 @@ const axiosInstance = axios.create({
 
 axiosInstance.interceptors.request.use(
     (config) => {
-        const token = localStorage.getItem("authToken");
+        const token = getToken();
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
+        // Requests made while acting for an entity are made on its behalf
+        const accountId = getActiveAccountId();
+        if (accountId !== PERSONAL_ACCOUNT_ID) {
+            config.headers["X-Account-Id"] = accountId;
+        }
         return config;
     },
     (error) => Promise.reject(error)
 );
 
-export default axiosInstance;
\ No newline at end of file
+// Called once the session can no longer be refreshed; the auth slice logs the user out.
+let onSessionExpired = () => {};
+
+export const setSessionExpiredHandler = (handler) => {
+    onSessionExpired = handler;
+};
+
+// Called when the server wants a fresh two-factor check before a sensitive action.
+// Resolves to a step-up token, or rejects if the user cancels. Set by AuthContext.
+let onStepUpRequired = () => Promise.reject(new Error("Two-factor verification is not available"));
+
+export const setStepUpHandler = (handler) => {
+    onStepUpRequired = handler;
+};
+
+// Must match the message from the API's requireStepUp middleware
+const STEP_UP_REQUIRED = "Two-factor verification required";
+
+// The refresh in flight, if any. Requests that fail while it runs wait on it instead
+// of starting their own, since the server only accepts the latest refresh token.
+let refreshRequest = null;
+
+/**
+ * Swaps the refresh token cookie for a new access token.
+ * Resolves to the refresh response, `{ token, user }`.
+ */
+export const refreshSession = () => {
+    if (!refreshRequest) {
+        // Plain axios so a failed refresh is not itself intercepted
+        refreshRequest = axios
+            .post(`${axiosInstance.defaults.baseURL}/auth/refresh-token`, null, { withCredentials: true })
+            .then((response) => {
+                setToken(response.data.token);
+                return response.data;
+            })
+            .finally(() => {
+                refreshRequest = null;
+            });
+    }
+    return refreshRequest;
+};
+
+axiosInstance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error.config;
+
+        // Withdrawals, bank changes and the like: ask for a code and send the request again
+        if (
+            error.response?.status === 403 &&
+            error.response.data?.error === STEP_UP_REQUIRED &&
+            originalRequest &&
+            !originalRequest._stepUp
+        ) {
+            originalRequest._stepUp = true;
+            try {
+                originalRequest.headers["X-Step-Up-Token"] = await onStepUpRequired();
+            } catch {
+                return Promise.reject(error);
+            }
+            return axiosInstance(originalRequest);
+        }
+
+        // Only signed-in requests can be refreshed; a 401 from the login form is just bad credentials
+        if (
+            error.response?.status !== 401 ||
+            !originalRequest?.headers?.Authorization ||
+            originalRequest._retry
+        ) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        try {
+            const { token } = await refreshSession();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return axiosInstance(originalRequest);
+        } catch (refreshError) {
+            console.error("Session refresh failed:", refreshError.message);
+            clearToken();
+            onSessionExpired();
+            return Promise.reject(error);
+        }
+    }
+);
+
+export default axiosInstance;
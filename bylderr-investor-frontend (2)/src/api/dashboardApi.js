@@ -15,7 +15,7 @@ export const fetchPortfolioChartData = async () => {
 // Fetch Activity Data
 export const fetchActivityData = async () => {
     const response = await axiosInstance.get("/activity");
-    return response.data;
+    return response.data.data;
 };
 
 // Add Developers
@@ -1,13 +1,45 @@
 import axiosInstance from "./axiosInstance";
 
-export const fetchDepositOptions = async () => {
-    // Have stripe provide these options based on the user 
-    const response = await axiosInstance.get("/deposit-options");
-    return response.data;
+// Everything here is for the account in the header's account switcher (X-Account-Id)
+
+// Saved cards and linked bank accounts: [{ id, method: 'card' | 'ach', name, last4, expires, accountType }]
+export const fetchFundingSources = async () => {
+    const response = await axiosInstance.get("/funding/sources");
+    return response.data.data;
+};
+
+// Start saving a card ('card') or linking a bank account ('ach'); resolves to the SetupIntent's client secret
+export const createSetupIntent = async (method) => {
+    const response = await axiosInstance.post("/funding/setup-intents", { method });
+    return response.data.data.clientSecret;
+};
+
+export const removeFundingSource = async (sourceId) => {
+    await axiosInstance.delete(`/funding/sources/${sourceId}`);
+};
+
+export const fetchDeposits = async () => {
+    const response = await axiosInstance.get("/funding/deposits");
+    return response.data.data;
+};
+
+/**
+ * Deposit from a saved card or bank account. Resolves to the deposit; `clientSecret` is
+ * set when the card needs 3-D Secure before it can settle.
+ */
+export const createDeposit = async ({ amount, paymentMethodId }) => {
+    const response = await axiosInstance.post("/funding/deposits", { amount, paymentMethodId });
+    return response.data.data;
 };
 
-export const addFunds = async (payload) => {
-    // Add funds using stripe 
-    const response = await axiosInstance.post("/add-funds", payload);
-    return response.data;
-};
\ No newline at end of file
+// Where to wire funds to: { bankName, bankAddress, beneficiary, accountNumber, routingNumber, swiftCode, reference, minimum }
+export const fetchWireInstructions = async () => {
+    const response = await axiosInstance.get("/funding/wire-instructions");
+    return response.data.data;
+};
+
+// Tell us a wire is on its way. Resolves to the pending deposit, credited once the wire arrives.
+export const createWire = async ({ amount, sendingBank }) => {
+    const response = await axiosInstance.post("/funding/wires", { amount, sendingBank });
+    return response.data.data;
+};
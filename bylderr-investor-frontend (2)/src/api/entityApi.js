@@ -0,0 +1,102 @@
+import axiosInstance from "./axiosInstance";
+
+// Entities the signed-in investor can act for: `[{ id, name, type, status, permissions }]`
+export const fetchEntities = async () => {
+    const response = await axiosInstance.get("/entities");
+    return response.data.data;
+};
+
+// One entity with its documents, beneficial owners and authorized users
+export const fetchEntity = async (entityId) => {
+    const response = await axiosInstance.get(`/entities/${entityId}`);
+    return response.data.data;
+};
+
+/**
+ * Opens an entity account with the signed-in investor as its first authorized user.
+ * Expects `{ type, name, ein, formationState, formationDate, custodian, beneficialOwners }`.
+ *
+ */
+export const createEntity = async (entity) => {
+    const response = await axiosInstance.post("/entities", entity);
+    return response.data.data;
+};
+
+// Update the entity's details or `beneficialOwners`; needs the manage permission
+export const updateEntity = async (entityId, changes) => {
+    const response = await axiosInstance.put(`/entities/${entityId}`, changes);
+    return response.data.data;
+};
+
+// Upload one formation document; `kind` is one of the entity type's documents
+export const uploadEntityDocument = async (entityId, kind, file) => {
+    const formData = new FormData();
+    formData.append("kind", kind);
+    formData.append("document", file);
+    const response = await axiosInstance.put(`/entities/${entityId}/documents`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Download one formation document; only the entity's authorized users and admins may
+export const downloadEntityDocument = async (entityId, documentId) => {
+    const response = await axiosInstance.get(`/entities/${entityId}/documents/${documentId}`, {
+        responseType: "blob",
+    });
+    return response.data;
+};
+
+// Send the entity to admins for verification
+export const submitEntity = async (entityId) => {
+    const response = await axiosInstance.put(`/entities/${entityId}/submit`);
+    return response.data.data;
+};
+
+// Give another investor access by email, with the permissions they should have
+export const addAuthorizedUser = async (entityId, { email, permissions }) => {
+    const response = await axiosInstance.post(`/entities/${entityId}/users`, { email, permissions });
+    return response.data.data;
+};
+
+export const updateAuthorizedUser = async (entityId, userId, permissions) => {
+    const response = await axiosInstance.put(`/entities/${entityId}/users/${userId}`, { permissions });
+    return response.data.data;
+};
+
+// Remove a user's access; removing yourself resolves to null
+export const removeAuthorizedUser = async (entityId, userId) => {
+    const response = await axiosInstance.delete(`/entities/${entityId}/users/${userId}`);
+    return response.data.data;
+};
+
+// Joint accounts the signed-in investor has been invited to own: `[{ id, name, invitedBy }]`
+export const fetchEntityInvitations = async () => {
+    const response = await axiosInstance.get("/entities/invitations");
+    return response.data.data;
+};
+
+// Accept a joint account invitation; resolves to the entity, now with full permissions
+export const acceptEntityInvitation = async (entityId) => {
+    const response = await axiosInstance.put(`/entities/${entityId}/accept`);
+    return response.data.data;
+};
+
+// Decline a joint account invitation; resolves to null
+export const declineEntityInvitation = async (entityId) => {
+    const response = await axiosInstance.delete(`/entities/${entityId}/invitation`);
+    return response.data.data;
+};
+
+// Entities waiting for an admin, oldest first
+export const fetchEntityQueue = async () => {
+    const response = await axiosInstance.get("/entities/queue");
+    return response.data.data;
+};
+
+// Verify or reject an entity. Rejections need a `reason`; verifying an entity that signed up
+// as accredited needs `accredited`, the admin's decision on that claim.
+export const reviewEntity = async (entityId, { status, reason, accredited }) => {
+    const response = await axiosInstance.put(`/entities/${entityId}/review`, { status, reason, accredited });
+    return response.data.data;
+};
@@ -0,0 +1,39 @@
+import axiosInstance from "./axiosInstance";
+
+// The signed-in investor's household and invitations: `{ household, invitations }`
+export const fetchMyHousehold = async () => {
+    const response = await axiosInstance.get("/households/mine");
+    return response.data.data;
+};
+
+// Start a household with the signed-in investor at its head
+export const createHousehold = async (name) => {
+    const response = await axiosInstance.post("/households", { name });
+    return response.data.data;
+};
+
+// Invite another investor by email; only the head of the household can
+export const inviteHouseholdMember = async (householdId, email) => {
+    const response = await axiosInstance.post(`/households/${householdId}/members`, { email });
+    return response.data.data;
+};
+
+export const acceptHouseholdInvitation = async (householdId) => {
+    const response = await axiosInstance.put(`/households/${householdId}/accept`);
+    return response.data.data;
+};
+
+// Remove a member or cancel an invitation. Removing yourself (leaving or declining) resolves to null.
+export const removeHouseholdMember = async (householdId, userId) => {
+    const response = await axiosInstance.delete(`/households/${householdId}/members/${userId}`);
+    return response.data.data;
+};
+
+/**
+ * Holdings and totals across every account in the household:
+ * `{ household, accounts, totals, holdings, investmentMix }`.
+ */
+export const fetchHouseholdSummary = async (householdId) => {
+    const response = await axiosInstance.get(`/households/${householdId}/summary`);
+    return response.data.data;
+};
@@ -2,6 +2,7 @@ import axiosInstance from "./axiosInstance";
 
 /**
  * Submits an investment transaction to the server.
+ * Each completed buy is kept as its own tax lot (date, blocks, price per block, fees).
  *
  */
 
@@ -11,10 +12,37 @@ export const submitInvestment = async (investmentData) => {
 };
 
 /**
- * Submits a request to sell Investment Shares.
+ * Places a limit ask on the secondary market.
+ * Expects `{ propertyId, shares, pricePerBlock, lotMethod }`, plus `lots: [{ lotId, shares }]`
+ * when `lotMethod` is 'specific'; the order may fill partially over time.
  *
  */
 export const sellInvestments = async (saleData) => {
-    const response = await axiosInstance.post("/sellInvestments", saleData);
-    return response.data;
-};
\ No newline at end of file
+    const response = await axiosInstance.post("/orders/asks", saleData);
+    return response.data.data;
+};
+
+// Fetch the aggregated bids and asks for a property
+export const fetchOrderBook = async (propertyId) => {
+    const response = await axiosInstance.get(`/orders/book/${propertyId}`);
+    return response.data.data;
+};
+
+// Fetch the current user's open and partially filled orders
+export const fetchOpenOrders = async () => {
+    const response = await axiosInstance.get("/orders/open");
+    return response.data.data;
+};
+
+// Cancel the unfilled remainder of an order
+export const cancelOrder = async (orderId) => {
+    const response = await axiosInstance.delete(`/orders/${orderId}`);
+    return response.data.data;
+};
+
+// The current user's 12-month investment limit: `{ accredited, limit, invested, remaining, windowStart }`.
+// `limit` and `remaining` are null for accredited investors, who have no limit.
+export const fetchInvestmentLimits = async () => {
+    const response = await axiosInstance.get("/investments/limits");
+    return response.data.data;
+};
@@ -1,22 +1,56 @@
 import axiosInstance from "./axiosInstance";
+import { areaToParams } from "../utils/geoSearch";
+
+// Maps a project document from the server onto the shape PropertyCard expects.
+const toListingCard = (project) => ({
+    propertyId: project._id,
+    title: project.title,
+    location: project.location?.formattedAddress || "",
+    realType: project.propertyType,
+    raised: project.fundingRaised,
+    raiseTarget: project.fundingGoal,
+    investment: project.minInvestment,
+    pricePerBlock: project.pricePerBlock,
+    estimate: project.propertyValue,
+    roi: project.expectedReturn,
+    imgSrc: project.images?.[0],
+    latitude: project.location?.coordinates?.[1],
+    longitude: project.location?.coordinates?.[0],
+    createdAt: project.createdAt,
+    fundingDeadline: project.fundingDeadline,
+});
 
 /**
- * Fetches property listings based on provided filters.
+ * Fetches one page of property listings matching the provided filters and sort,
+ * optionally limited to a map area (see `utils/geoSearch`).
+ * Resolves to `{ data, pagination, total }`; `pagination.next` is absent on the last page.
  *
  */
-
-export const fetchListings = async (filters) => {
-    const response = await axiosInstance.get("/listings", {
+export const fetchListings = async (filters, { page = 1, limit, area } = {}) => {
+    const response = await axiosInstance.get("/projects", {
         params: {
-            location: filters.location,
-            minPrice: filters.minPrice,
-            maxPrice: filters.maxPrice,
-            minROI: filters.minROI,
-            maxROI: filters.maxROI,
-            propertyTypes: filters.propertyTypes,
+            location: filters.location || undefined,
+            minPrice: filters.minPrice || undefined,
+            maxPrice: Number.isFinite(filters.maxPrice) ? filters.maxPrice : undefined,
+            minROI: filters.minROI || undefined,
+            maxROI: Number.isFinite(filters.maxROI) ? filters.maxROI : undefined,
+            propertyTypes: filters.propertyTypes || undefined,
+            sort: filters.sort,
+            ...areaToParams(area),
+            page,
+            limit,
         },
     });
-    return response.data;
+
+    if (!Array.isArray(response.data?.data)) {
+        throw new Error("Invalid data format received from the server.");
+    }
+
+    return {
+        data: response.data.data.map(toListingCard),
+        pagination: response.data.pagination || {},
+        total: response.data.total,
+    };
 };
 
 /**
@@ -56,4 +90,43 @@ export const downloadDocument = async (fileName) => {
 export const fetchOwnedListingById = async (propertyId) => {
     const response = await axiosInstance.get(`/listings/${propertyId}`);
     return response.data;
-};
\ No newline at end of file
+};
+// One live stream per listing, shared by every component on the page that subscribes to it.
+const listingChannels = new Map();
+
+/**
+ * Listens for live updates pushed by the server for a listing: `funding`, `price`,
+ * `comment` and `vote` events. The stream is opened on the first subscription and
+ * closed after the last one unsubscribes. Returns the unsubscribe function.
+ *
+ */
+export const subscribeToListing = (propertyId, event, onMessage) => {
+    let channel = listingChannels.get(propertyId);
+    if (!channel) {
+        channel = {
+            source: new EventSource(`${axiosInstance.defaults.baseURL}/projects/${propertyId}/live`),
+            subscribers: 0,
+        };
+        listingChannels.set(propertyId, channel);
+    }
+
+    const listener = (message) => {
+        try {
+            onMessage(JSON.parse(message.data));
+        } catch (error) {
+            console.error(`Ignoring malformed ${event} update:`, error.message);
+        }
+    };
+
+    channel.source.addEventListener(event, listener);
+    channel.subscribers += 1;
+
+    return () => {
+        channel.source.removeEventListener(event, listener);
+        channel.subscribers -= 1;
+        if (channel.subscribers === 0) {
+            channel.source.close();
+            listingChannels.delete(propertyId);
+        }
+    };
+};
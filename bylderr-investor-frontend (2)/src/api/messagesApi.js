@@ -0,0 +1,43 @@
+import axiosInstance from "./axiosInstance";
+
+// The signed-in user's conversations, most recent first, each with its `unread` count
+export const fetchConversations = async () => {
+    const response = await axiosInstance.get("/messages/conversations");
+    return response.data.data;
+};
+
+// Messages in one conversation, oldest first. Loading them marks the received ones as read.
+export const fetchMessages = async (conversation) => {
+    const response = await axiosInstance.get("/messages", { params: { conversation } });
+    return response.data.data;
+};
+
+/**
+ * Sends a message, resolving to the saved message.
+ * Expects `{ recipient, project, body, attachments }`, where `project` is the listing the
+ * conversation is about, if any, and `attachments` is a list of files (5 at most).
+ *
+ */
+export const sendMessage = async ({ recipient, project, body, attachments = [] }) => {
+    const formData = new FormData();
+    formData.append("recipient", recipient);
+    if (project) formData.append("project", project);
+    if (body) formData.append("body", body);
+    attachments.forEach((file) => formData.append("attachments", file));
+    const response = await axiosInstance.post("/messages", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Delete a message the signed-in user sent
+export const deleteMessage = async (messageId) => {
+    const response = await axiosInstance.delete(`/messages/${messageId}`);
+    return response.data;
+};
+
+// How many messages the signed-in user has not read yet
+export const fetchUnreadMessageCount = async () => {
+    const response = await axiosInstance.get("/messages/unread");
+    return response.data.data.count;
+};
@@ -26,7 +26,7 @@ export const requestWithdrawal = async ({ amount, bank }) => {
 // Fetch distribution history
 export const getDistributionHistory = async () => {
     const response = await axiosInstance.get("/payments/distribution-history");
-    return response.data;
+    return response.data.data;
 
 };
 
@@ -48,7 +48,7 @@ export const fetchOnDemandBanks = async () => {
 // Fetch Distribution History
 export const fetchDistributionHistory = async () => {
     const response = await axiosInstance.get("/payments/distribution-history");
-    return response.data;
+    return response.data.data;
 };
 
 
@@ -57,7 +57,7 @@ export const fetchDistributionHistory = async () => {
 // Add a new bank
 export const addBank = async (bank) => {
     const response = await axiosInstance.post("/payments/banks", bank);
-    return response.data.bank;
+    return response.data.data;
 };
 
 // Edit a bank
@@ -75,3 +75,15 @@ export const setPrimaryBank = async (id) => {
     await axiosInstance.post(`/payments/banks/${id}/set-primary`);
 };
 
+
+// Fetch the active account's dividend reinvestment (DRIP) settings, global and per holding
+export const fetchDripSettings = async () => {
+    const response = await axiosInstance.get("/payments/drip");
+    return response.data.data;
+};
+
+// Save dividend reinvestment (DRIP) settings
+export const saveDripSettings = async (settings) => {
+    const response = await axiosInstance.put("/payments/drip", settings);
+    return response.data.data;
+};
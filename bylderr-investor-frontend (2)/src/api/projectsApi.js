@@ -0,0 +1,98 @@
+import axiosInstance from "./axiosInstance";
+
+// Fetch the signed-in developer's projects, drafts included, each with an `investorCount`
+export const fetchMyProjects = async () => {
+    const response = await axiosInstance.get("/projects/mine");
+    return response.data.data;
+};
+
+// Fetch one project as stored on the server
+export const fetchProject = async (projectId) => {
+    const response = await axiosInstance.get(`/projects/${projectId}`);
+    return response.data.data;
+};
+
+/**
+ * Creates a project. New projects are always drafts until published.
+ * Expects the fields built by `toProjectPayload` in `utils/projectDraft`.
+ *
+ */
+export const createProject = async (project) => {
+    const response = await axiosInstance.post("/projects", project);
+    return response.data.data;
+};
+
+// Save changes to a project. Funding goal, deadline and minimum are fixed once it is published.
+export const updateProject = async (projectId, changes) => {
+    const response = await axiosInstance.put(`/projects/${projectId}`, changes);
+    return response.data.data;
+};
+
+// Upload image files to a project, resolving to the updated project
+export const uploadProjectImages = async (projectId, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append("images", file));
+    const response = await axiosInstance.put(`/projects/${projectId}/images`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Upload a PDF under a display name, resolving to the updated project
+export const uploadProjectDocument = async (projectId, file, name) => {
+    const formData = new FormData();
+    formData.append("documents", file);
+    formData.append("name", name);
+    const response = await axiosInstance.put(`/projects/${projectId}/documents`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Publish a draft, opening its raise to investors
+export const publishProject = async (projectId) => {
+    const response = await axiosInstance.put(`/projects/${projectId}/publish`);
+    return response.data.data;
+};
+
+// Delete a project
+export const deleteProject = async (projectId) => {
+    const response = await axiosInstance.delete(`/projects/${projectId}`);
+    return response.data;
+};
+
+// Fetch a project's updates, newest first
+export const fetchProjectUpdates = async (projectId) => {
+    const response = await axiosInstance.get(`/projects/${projectId}/updates`);
+    return response.data.data;
+};
+
+/**
+ * Posts an update to a project's investors, resolving to the project's updates.
+ * Expects `{ title, content, milestone, photos }`, where `content` uses the markup
+ * `utils/richText` renders and `photos` is a list of image files.
+ *
+ */
+export const postProjectUpdate = async (projectId, { title, content, milestone, photos = [] }) => {
+    const formData = new FormData();
+    formData.append("title", title);
+    formData.append("content", content);
+    if (milestone) formData.append("milestone", milestone);
+    photos.forEach((photo) => formData.append("photos", photo));
+    const response = await axiosInstance.post(`/projects/${projectId}/updates`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+    });
+    return response.data.data;
+};
+
+// Mark a project's updates as read by the signed-in investor
+export const markProjectUpdatesRead = async (projectId) => {
+    const response = await axiosInstance.put(`/projects/${projectId}/updates/read`);
+    return response.data;
+};
+
+// Unread update counts for the signed-in investor, as [{ project, count }]
+export const fetchUnreadUpdates = async () => {
+    const response = await axiosInstance.get("/projects/updates/unread");
+    return response.data.data;
+};
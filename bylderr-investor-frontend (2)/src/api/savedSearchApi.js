@@ -0,0 +1,29 @@
+import axiosInstance from "./axiosInstance";
+
+// Fetch the current user's saved listing searches
+export const fetchSavedSearches = async () => {
+    const response = await axiosInstance.get("/saved-searches");
+    return response.data.data;
+};
+
+/**
+ * Saves a named listing search.
+ * `filters` uses the same keys as the listings URL query string.
+ *
+ */
+export const createSavedSearch = async (savedSearch) => {
+    const response = await axiosInstance.post("/saved-searches", savedSearch);
+    return response.data.data;
+};
+
+// Rename a saved search or toggle its new-listing alerts
+export const updateSavedSearch = async (searchId, changes) => {
+    const response = await axiosInstance.put(`/saved-searches/${searchId}`, changes);
+    return response.data.data;
+};
+
+// Delete a saved search
+export const deleteSavedSearch = async (searchId) => {
+    const response = await axiosInstance.delete(`/saved-searches/${searchId}`);
+    return response.data;
+};
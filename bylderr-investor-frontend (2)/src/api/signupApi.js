@@ -1,7 +1,52 @@
 import axiosInstance from './axiosInstance';
 
-// Submit Signup Data
-export const submitSignup = async (payload) => {
-    const response = await axiosInstance.post('/signup', payload);
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+/**
+ * The register body for the wizard's state, as checked by `stepErrors` and the API's
+ * registerValidation. Details that only apply to the other investor type are left out.
+ */
+export const toSignupPayload = (signup) => {
+    const { userDetails } = signup;
+    const isEntity = signup.investorType === 'Entity';
+
+    return {
+        email: signup.email.trim(),
+        password: signup.password,
+        firstName: userDetails.firstName.trim(),
+        lastName: userDetails.lastName.trim(),
+        phone: userDetails.phone.trim(),
+        investorType: signup.investorType,
+        accreditedInvestorStatus: signup.accreditedInvestorStatus,
+        annualIncome: toNumber(signup.annualIncome),
+        netWorth: toNumber(signup.netWorth),
+        userDetails: {
+            dob: userDetails.dob,
+            ssn: isEntity ? undefined : userDetails.ssn,
+            validIdNum: isEntity ? undefined : userDetails.validIdNum,
+            entityType: isEntity ? userDetails.entityType : undefined,
+            entityName: isEntity ? userDetails.entityName : undefined,
+            ein: isEntity ? userDetails.ein : undefined,
+            streetAddress: userDetails.streetAddress,
+            unitNumber: userDetails.unitNumber,
+            city: userDetails.city,
+            state: userDetails.state,
+            zipCode: userDetails.zipCode,
+        },
+        fundingMethod: signup.fundingMethod,
+        preferences: {
+            riskLevel: Number(signup.riskLevel),
+            investmentAmount: toNumber(signup.investmentAmount),
+            locations: signup.locations.map((location) => location.name),
+            commercial: signup.commercial,
+            residential: signup.residential,
+            timeHorizon: signup.timeHorizon,
+        },
+    };
+};
+
+// Creates the user with their investor profile and preferences in one call
+export const submitSignup = async (signup) => {
+    const response = await axiosInstance.post('/auth/register', toSignupPayload(signup));
     return response.data;
-};
\ No newline at end of file
+};
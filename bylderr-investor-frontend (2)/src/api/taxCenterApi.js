@@ -1,6 +1,6 @@
 import axiosInstance from "./axiosInstance";
 
-// Fetch tax data
+// Fetch tax data: filing info, documents, buy/sell activity and dividends across all tax years
 export const fetchTaxData = async () => {
     const response = await axiosInstance.get('/tax-data');
     return response.data;
@@ -0,0 +1,43 @@
+import axiosInstance from "./axiosInstance";
+
+// Fetch whether two-factor is on and how many recovery codes are left
+export const fetchTwoFactorStatus = async () => {
+    const response = await axiosInstance.get("/auth/2fa");
+    return response.data.data;
+};
+
+// Start enrollment; resolves to { secret, otpauthUrl, qrCode }
+export const startTwoFactorSetup = async () => {
+    const response = await axiosInstance.post("/auth/2fa/setup");
+    return response.data.data;
+};
+
+// Confirm enrollment with a code from the authenticator app; resolves to { enabled, recoveryCodes }
+export const enableTwoFactor = async (code) => {
+    const response = await axiosInstance.post("/auth/2fa/enable", { code });
+    return response.data.data;
+};
+
+// Turn two-factor off
+export const disableTwoFactor = async (code) => {
+    const response = await axiosInstance.post("/auth/2fa/disable", { code });
+    return response.data.data;
+};
+
+// Replace the recovery codes; resolves to { recoveryCodes }
+export const regenerateRecoveryCodes = async (code) => {
+    const response = await axiosInstance.post("/auth/2fa/recovery-codes", { code });
+    return response.data.data;
+};
+
+// Finish a login that needs a second factor; resolves like a login ({ token, refreshToken, user })
+export const verifyTwoFactorLogin = async (challengeToken, code) => {
+    const response = await axiosInstance.post("/auth/2fa/verify", { challengeToken, code });
+    return response.data;
+};
+
+// Re-verify before a sensitive action; resolves to a short-lived step-up token
+export const requestStepUp = async (code) => {
+    const response = await axiosInstance.post("/auth/2fa/step-up", { code });
+    return response.data.stepUpToken;
+};
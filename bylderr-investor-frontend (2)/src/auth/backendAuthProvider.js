@@ -0,0 +1,42 @@
+import axiosInstance, { refreshSession } from "../api/axiosInstance";
+import { verifyTwoFactorLogin } from "../api/twoFactorApi";
+import { setToken, clearToken } from "../utils/authTokens";
+
+// Signs in against the API: a short-lived access token in memory and the refresh
+// token in an httpOnly cookie set by /api/auth.
+const backendAuthProvider = {
+    login: async ({ email, password }) => {
+        const response = await axiosInstance.post("/auth/login", { email, password });
+        if (response.data.twoFactorRequired) {
+            return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
+        }
+        setToken(response.data.token);
+        return { user: response.data.user };
+    },
+
+    verifyTwoFactor: async (challengeToken, code) => {
+        const response = await verifyTwoFactorLogin(challengeToken, code);
+        setToken(response.token);
+        return { user: response.user };
+    },
+
+    // No cookie, or an expired one, just means nobody is signed in
+    restoreSession: async () => {
+        try {
+            const { user } = await refreshSession();
+            return user;
+        } catch {
+            return null;
+        }
+    },
+
+    logout: async () => {
+        try {
+            await axiosInstance.get("/auth/logout");
+        } finally {
+            clearToken();
+        }
+    },
+};
+
+export default backendAuthProvider;
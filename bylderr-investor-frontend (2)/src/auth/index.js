@@ -0,0 +1,20 @@
+import backendAuthProvider from "./backendAuthProvider";
+import mockAuthProvider from "./mockAuthProvider";
+
+/**
+ * The auth provider the app signs in with: the mock provider when
+ * VITE_REACT_APP_AUTH_MODE is "mock", otherwise the API.
+ *
+ * Every provider implements:
+ * - `login({ email, password })` resolves to `{ user }`, or to
+ *   `{ twoFactorRequired: true, challengeToken }` when a second step is needed
+ * - `verifyTwoFactor(challengeToken, code)` resolves to `{ user }`
+ * - `restoreSession()` resolves to the signed-in user, or null
+ * - `logout()`
+ *
+ * Failed logins and codes reject.
+ */
+const authProvider =
+    import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock" ? mockAuthProvider : backendAuthProvider;
+
+export default authProvider;
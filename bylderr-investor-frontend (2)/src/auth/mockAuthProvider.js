@@ -0,0 +1,41 @@
+import { mockUsers } from "../mockData/mockUsers";
+
+// Signed-in mock user, kept for the tab so a reload stays signed in
+const SESSION_KEY = "mockAuthUserId";
+
+const findAccount = (predicate) => mockUsers.find(predicate);
+
+// Development stand-in for the API, backed by `mockData/mockUsers`. Same inputs, same results.
+const mockAuthProvider = {
+    login: async ({ email, password }) => {
+        const account = findAccount((item) => item.user.email === email && item.password === password);
+        if (!account) {
+            throw new Error("Invalid credentials");
+        }
+        if (account.twoFactorCode) {
+            return { twoFactorRequired: true, challengeToken: `mock-challenge-${account.user.id}` };
+        }
+        sessionStorage.setItem(SESSION_KEY, account.user.id);
+        return { user: account.user };
+    },
+
+    verifyTwoFactor: async (challengeToken, code) => {
+        const account = findAccount((item) => `mock-challenge-${item.user.id}` === challengeToken);
+        if (!account || account.twoFactorCode !== code) {
+            throw new Error("Invalid verification code");
+        }
+        sessionStorage.setItem(SESSION_KEY, account.user.id);
+        return { user: account.user };
+    },
+
+    restoreSession: async () => {
+        const userId = sessionStorage.getItem(SESSION_KEY);
+        return findAccount((item) => item.user.id === userId)?.user || null;
+    },
+
+    logout: async () => {
+        sessionStorage.removeItem(SESSION_KEY);
+    },
+};
+
+export default mockAuthProvider;
@@ -0,0 +1,75 @@
+// Who may do what. A user's permissions are those of their role plus any extra grants the
+// API sends in `user.permissions`. Admins may do everything.
+
+export const ROLES = {
+    INVESTOR: 'investor',
+    DEVELOPER: 'developer',
+    ADMIN: 'admin',
+};
+
+// The API calls developers "manager"
+const API_ROLE_ALIASES = {
+    manager: ROLES.DEVELOPER,
+};
+
+export const normalizeRole = (role) => API_ROLE_ALIASES[role] || role || '';
+
+export const PERMISSIONS = {
+    LISTINGS_VIEW: 'listings:view',
+    INVESTMENTS_CREATE: 'investments:create',
+    INVESTMENTS_SELL: 'investments:sell',
+    FUNDS_MANAGE: 'funds:manage',
+    COMMENTS_WRITE: 'comments:write',
+    PROJECTS_MANAGE: 'projects:manage',
+    MESSAGES_SEND: 'messages:send',
+    ENTITY_MANAGE: 'entity:manage',
+};
+
+// Permissions granted per entity account (see utils/entityAccounts). Acting for an entity,
+// the user also needs the entity to have given them these; anything else is personal.
+export const ACCOUNT_PERMISSIONS = [
+    PERMISSIONS.INVESTMENTS_CREATE,
+    PERMISSIONS.INVESTMENTS_SELL,
+    PERMISSIONS.FUNDS_MANAGE,
+    PERMISSIONS.ENTITY_MANAGE,
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.INVESTOR]: [
+        PERMISSIONS.LISTINGS_VIEW,
+        PERMISSIONS.INVESTMENTS_CREATE,
+        PERMISSIONS.INVESTMENTS_SELL,
+        PERMISSIONS.FUNDS_MANAGE,
+        PERMISSIONS.COMMENTS_WRITE,
+        PERMISSIONS.MESSAGES_SEND,
+        PERMISSIONS.ENTITY_MANAGE,
+    ],
+    [ROLES.DEVELOPER]: [
+        PERMISSIONS.LISTINGS_VIEW,
+        PERMISSIONS.COMMENTS_WRITE,
+        PERMISSIONS.PROJECTS_MANAGE,
+        PERMISSIONS.MESSAGES_SEND,
+    ],
+};
+
+// Where each role lands after signing in, or when it opens a page it may not see
+const HOME_PATHS = {
+    [ROLES.INVESTOR]: '/',
+    [ROLES.DEVELOPER]: '/developer',
+    [ROLES.ADMIN]: '/admin',
+};
+
+export const homePathFor = (role) => HOME_PATHS[role] || '/';
+
+export const hasRole = (user, roles) =>
+    Boolean(user) && (user.role === ROLES.ADMIN || [].concat(roles).includes(user.role));
+
+export const hasPermission = (user, permission) => {
+    if (!user) return false;
+    if (user.role === ROLES.ADMIN) return true;
+    return (ROLE_PERMISSIONS[user.role] || []).includes(permission) || (user.permissions || []).includes(permission);
+};
+
+// `account` is the entity being acted for, with the user's `permissions` on it, or null
+export const hasAccountPermission = (account, permission) =>
+    !account || !ACCOUNT_PERMISSIONS.includes(permission) || account.permissions.includes(permission);
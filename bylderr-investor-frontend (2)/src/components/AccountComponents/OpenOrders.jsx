@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchOpenOrders, cancelOrder } from '../../api/investmentApi';
+import { openOrdersMockData } from '../../mockData/orderBookMockData';
+import formatToUSD from '../../utils/formatToUSD';
+import LoadingSpinner from '../../utils/LoadingSpinner';
+
+const statusLabels = {
+    open: 'Open',
+    partially_filled: 'Partially Filled',
+};
+
+/**
+ * OpenOrders Component
+ *
+ * Lists the user's resting secondary market orders with their fill progress,
+ * and lets the user cancel whatever has not filled yet.
+ *
+ */
+const OpenOrders = () => {
+    const [orders, setOrders] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [cancellingId, setCancellingId] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+    // Sample orders shown when loading fails can't be cancelled
+    const [isSampleData, setIsSampleData] = useState(false);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock';
+
+    useEffect(() => {
+        const loadOrders = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setOrders(openOrdersMockData);
+                setIsLoading(false);
+            } else {
+                try {
+                    const data = await fetchOpenOrders();
+                    setOrders(data);
+                    setIsSampleData(false);
+                } catch (err) {
+                    console.error("Error fetching open orders:", err.message);
+                    setError("Failed to fetch your open orders. Showing sample data.");
+                    setOrders(openOrdersMockData);
+                    setIsSampleData(true);
+                } finally {
+                    setIsLoading(false);
+                }
+            }
+        };
+
+        loadOrders();
+    }, [isMockMode]);
+
+    const handleCancel = async (orderId) => {
+        setCancellingId(orderId);
+        setError(null);
+        setSuccess(null);
+
+        try {
+            if (!isMockMode) {
+                await cancelOrder(orderId);
+            }
+            setOrders((prevOrders) => prevOrders.filter((order) => order.id !== orderId));
+            setSuccess("Order cancelled. Any filled blocks have already settled.");
+        } catch (err) {
+            console.error("Error cancelling order:", err.message);
+            setError("Failed to cancel the order. Please try again.");
+        } finally {
+            setCancellingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="bg-white rounded-lg shadow-lg p-6 w-auto h-full mx-auto border-2">
+                <div>Loading orders...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto h-full mx-auto border-2">
+            <div className="p-6">
+                <h2 className="text-2xl font-semibold mb-4">Open Orders</h2>
+                {error && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                        {error}
+                    </div>
+                )}
+                {success && (
+                    <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded mb-4">
+                        {success}
+                    </div>
+                )}
+                {orders.length === 0 ? (
+                    <p className="text-gray-500">You have no open orders.</p>
+                ) : (
+                    <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-4 py-2 border-b text-left">Property</th>
+                                    <th className="px-4 py-2 border-b text-center">Side</th>
+                                    <th className="px-4 py-2 border-b text-center">Price / Block</th>
+                                    <th className="px-4 py-2 border-b text-center">Filled</th>
+                                    <th className="px-4 py-2 border-b text-center">Status</th>
+                                    <th className="px-4 py-2 border-b text-center">Placed</th>
+                                    <th className="px-4 py-2 border-b text-center"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {orders.map((order, index) => (
+                                    <tr key={order.id} className={
+                                        index % 2 === 0
+                                            ? "bg-gray-100 hover:bg-neutral-200"
+                                            : "bg-white hover:bg-neutral-200"
+                                    }>
+                                        <td className="px-4 py-2 text-left">
+                                            <Link
+                                                to={`/owned-listing/${order.propertyId}`}
+                                                className="text-midnight-blue hover:underline"
+                                            >
+                                                {order.property}
+                                            </Link>
+                                        </td>
+                                        <td className={`px-4 py-2 text-center ${order.side === 'Sell' ? 'text-red-500' : 'text-green-600'}`}>
+                                            {order.side}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">{formatToUSD(order.pricePerBlock)}</td>
+                                        <td className="px-4 py-2 text-center">
+                                            {order.filledShares} / {order.shares}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            {statusLabels[order.status] || order.status}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">{new Date(order.createdAt).toLocaleDateString()}</td>
+                                        <td className="px-4 py-2 text-center">
+                                            <button
+                                                onClick={() => handleCancel(order.id)}
+                                                disabled={cancellingId !== null || isSampleData}
+                                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm flex items-center justify-center mx-auto disabled:opacity-50"
+                                            >
+                                                {cancellingId === order.id ? <LoadingSpinner /> : "Cancel"}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OpenOrders;
@@ -0,0 +1,161 @@
+import { useState } from "react";
+import useAccreditation from "../../hooks/useAccreditation";
+import VerificationWizard from "./VerificationWizard";
+import InfoButtonModal from "../../utils/InfoButtonModal";
+import PrivateFileLink from "../PrivateFileLink";
+import { downloadEvidence } from "../../api/accreditationApi";
+import { ACCREDITATION_METHODS, daysUntil } from "../../utils/accreditation";
+
+const STATUS_STYLES = {
+    verified: "bg-green-100 text-green-700",
+    submitted: "bg-yellow-100 text-yellow-700",
+    rejected: "bg-red-100 text-red-700",
+    expired: "bg-gray-200 text-gray-600",
+};
+
+const STATE_SUMMARY = {
+    none: "You have not verified accredited status yet. Accredited-only offerings stay locked until you do.",
+    pending: "Your verification is waiting for review. We will notify you when it has been checked.",
+    verified: "You are a verified accredited investor and can invest in accredited-only offerings.",
+    expiring: "You are verified, but your accreditation expires soon. Re-verify now to keep access to accredited-only offerings.",
+    expired: "Your accreditation has expired. Re-verify to invest in accredited-only offerings again.",
+    rejected: "Your last verification was rejected. Please submit again with the requested documents.",
+};
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * AccreditationCenter Component
+ * The investor's accredited status, when it expires, and past verifications, with the
+ * wizard for verifying or re-verifying. Verified accreditation lasts 90 days.
+ */
+const AccreditationCenter = () => {
+    const { accreditation, state, isLoading, error, reload } = useAccreditation();
+    const [isVerifying, setIsVerifying] = useState(false);
+    // Shown at the top of the history until the next reload picks it up
+    const [submitted, setSubmitted] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    const verifications = [
+        ...(submitted ? [submitted] : []),
+        ...(accreditation?.verifications || []).filter((item) => item._id !== submitted?._id),
+    ];
+    const currentState = submitted && state !== "verified" && state !== "expiring" ? "pending" : state;
+    const canVerify = !verifications.some((item) => item.status === "submitted");
+
+    const handleSubmitted = (verification) => {
+        setIsVerifying(false);
+        setSubmitted(verification);
+        if (!isMockMode) reload();
+    };
+
+    return (
+        <div className="space-y-6">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-4">
+                <div className="flex items-center gap-2">
+                    <h3 className="font-bold text-lg">Accredited Investor Status</h3>
+                    <InfoButtonModal
+                        title="Accredited Investors"
+                        description="Some offerings are open only to accredited investors under SEC Regulation D. You qualify through income, net worth, a Series 7, 65 or 82 license, or a letter from a CPA, attorney or adviser. Verification lasts 90 days; we remind you two weeks before it expires."
+                    />
+                </div>
+                <p className="text-gray-600">{STATE_SUMMARY[currentState]}</p>
+                {accreditation?.isAccredited && accreditation.expiresAt && (
+                    <p className="text-sm text-gray-600">
+                        Expires {formatDate(accreditation.expiresAt)} ({daysUntil(accreditation.expiresAt)} days left)
+                    </p>
+                )}
+                {currentState === "expiring" && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                        Your accreditation expires in {daysUntil(accreditation.expiresAt)} days.
+                    </div>
+                )}
+                {!isVerifying && canVerify && (
+                    <button
+                        onClick={() => setIsVerifying(true)}
+                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                    >
+                        {currentState === "none" ? "Verify Accredited Status" : "Re-verify"}
+                    </button>
+                )}
+            </div>
+
+            {isVerifying && (
+                <VerificationWizard onSubmitted={handleSubmitted} onCancel={() => setIsVerifying(false)} />
+            )}
+
+            {verifications.length > 0 && (
+                <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                    <table className="min-w-full bg-white">
+                        <thead>
+                            <tr className="text-gray-600 font-semibold">
+                                <th className="px-4 py-2 border-b text-left">Submitted</th>
+                                <th className="px-4 py-2 border-b text-left">Path</th>
+                                <th className="px-4 py-2 border-b text-left">Documents</th>
+                                <th className="px-4 py-2 border-b text-center">Status</th>
+                                <th className="px-4 py-2 border-b text-left">Notes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {verifications.map((verification, index) => (
+                                <tr
+                                    key={verification._id}
+                                    className={
+                                        index % 2 === 0
+                                            ? "bg-gray-100 hover:bg-neutral-200"
+                                            : "bg-white hover:bg-neutral-200"
+                                    }
+                                >
+                                    <td className="px-4 py-2">{formatDate(verification.createdAt)}</td>
+                                    <td className="px-4 py-2">{ACCREDITATION_METHODS[verification.method]?.label}</td>
+                                    <td className="px-4 py-2 text-sm">
+                                        {verification.evidence.length === 0
+                                            ? "None"
+                                            : verification.evidence.map((doc, docIndex) => (
+                                                <span key={`${doc.name}-${docIndex}`} className="block">
+                                                    {doc._id ? (
+                                                        <PrivateFileLink
+                                                            name={doc.name}
+                                                            download={() => downloadEvidence(verification._id, doc._id)}
+                                                        />
+                                                    ) : (
+                                                        doc.name
+                                                    )}
+                                                </span>
+                                            ))}
+                                    </td>
+                                    <td className="px-4 py-2 text-center">
+                                        <span
+                                            className={`px-2 py-1 rounded-md text-xs font-semibold capitalize ${STATUS_STYLES[verification.status]}`}
+                                        >
+                                            {verification.status === "submitted" ? "In Review" : verification.status}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 py-2 text-sm text-gray-600">
+                                        {verification.status === "rejected" && verification.rejectionReason}
+                                        {verification.status === "verified" && verification.expiresAt &&
+                                            `Valid until ${formatDate(verification.expiresAt)}`}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AccreditationCenter;
@@ -0,0 +1,19 @@
+import useAccreditation from "../../hooks/useAccreditation";
+import AccreditedOnlyNotice from "./AccreditedOnlyNotice";
+
+/**
+ * AccreditationGate Component
+ * Renders its children only for currently accredited investors, and the accredited-only
+ * notice for everyone else. Used around investing on accredited-only listings.
+ */
+const AccreditationGate = ({ children }) => {
+    const { isAccredited, state, isLoading } = useAccreditation();
+
+    if (isLoading) {
+        return null;
+    }
+
+    return isAccredited ? children : <AccreditedOnlyNotice state={state} />;
+};
+
+export default AccreditationGate;
@@ -0,0 +1,34 @@
+import { Link } from "react-router-dom";
+import { FaLock } from "react-icons/fa";
+
+const NOTICE_TEXT = {
+    pending: "Your accreditation is being reviewed. You can invest here once it is verified.",
+    expired: "Your accreditation has expired. Re-verify to invest in this offering.",
+    rejected: "Your last verification was rejected. Submit it again to invest in this offering.",
+};
+
+/**
+ * AccreditedOnlyNotice Component
+ * Takes the place of the invest card on accredited-only listings for investors who are
+ * not currently verified, pointing them to the verification flow.
+ */
+const AccreditedOnlyNotice = ({ state }) => (
+    <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-4 text-center">
+        <FaLock className="mx-auto text-3xl text-midnight-blue" />
+        <h3 className="font-bold text-lg">Accredited Investors Only</h3>
+        <p className="text-gray-600">
+            {NOTICE_TEXT[state] ||
+                "This offering is open only to verified accredited investors. Verification takes a few minutes and lasts 90 days."}
+        </p>
+        {state !== "pending" && (
+            <Link
+                to="/account/accreditation"
+                className="inline-block bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+            >
+                Verify Accreditation
+            </Link>
+        )}
+    </div>
+);
+
+export default AccreditedOnlyNotice;
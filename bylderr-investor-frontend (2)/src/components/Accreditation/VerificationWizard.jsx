@@ -0,0 +1,338 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import formatToUSD from "../../utils/formatToUSD";
+import { submitAccreditation } from "../../api/accreditationApi";
+import { ACCREDITATION_METHODS, validateClaims, validateEvidence } from "../../utils/accreditation";
+
+const STEPS = ["Path", "Details", "Evidence", "Review"];
+
+const selectClassName =
+    "mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+/**
+ * VerificationWizard Component
+ * Walks an investor through choosing how they qualify, stating the figures, uploading
+ * evidence and submitting for review. Income and net worth start from what they gave at
+ * signup. `onSubmitted(verification)` runs once the submission is accepted.
+ */
+const VerificationWizard = ({ onSubmitted, onCancel }) => {
+    const signup = useSelector((state) => state.signup);
+
+    const [step, setStep] = useState(0);
+    const [method, setMethod] = useState("income");
+    const [claims, setClaims] = useState({
+        annualIncome: signup.annualIncome || "",
+        jointIncome: false,
+        netWorth: signup.netWorth || "",
+        licenseType: ACCREDITATION_METHODS["professional-license"].licenses[0],
+        licenseNumber: "",
+        letterProvider: "",
+    });
+    const [files, setFiles] = useState([]);
+    const [error, setError] = useState("");
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+    const rules = ACCREDITATION_METHODS[method];
+
+    const updateClaim = (field, value) => setClaims((prev) => ({ ...prev, [field]: value }));
+
+    // Only send the claims the chosen path uses
+    const methodClaims = () => {
+        switch (method) {
+            case "income":
+                return { annualIncome: claims.annualIncome, jointIncome: claims.jointIncome };
+            case "net-worth":
+                return { netWorth: claims.netWorth };
+            case "professional-license":
+                return { licenseType: claims.licenseType, licenseNumber: claims.licenseNumber.trim() };
+            case "third-party-letter":
+                return { letterProvider: claims.letterProvider.trim() };
+            default:
+                return {};
+        }
+    };
+
+    const handleNext = () => {
+        const problem = step === 1
+            ? validateClaims(method, claims)
+            : step === 2
+                ? validateEvidence(method, files)
+                : "";
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        setError("");
+        setStep(step + 1);
+    };
+
+    const handleSubmit = async () => {
+        setIsSubmitting(true);
+        setError("");
+        try {
+            const verification = isMockMode
+                ? {
+                    _id: `accreditation-${Date.now()}`,
+                    method,
+                    status: "submitted",
+                    ...methodClaims(),
+                    evidence: files.map((file) => ({ name: file.name, size: file.size })),
+                    createdAt: new Date().toISOString(),
+                }
+                : await submitAccreditation({ method, ...methodClaims(), files });
+            onSubmitted(verification);
+        } catch (err) {
+            console.error("Error submitting accreditation:", err.message);
+            setError(err.response?.data?.error || "Failed to submit your verification. Please try again.");
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const renderStep = () => {
+        switch (step) {
+            case 0:
+                return (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {Object.entries(ACCREDITATION_METHODS).map(([key, option]) => (
+                            <button
+                                key={key}
+                                onClick={() => setMethod(key)}
+                                className={`text-left border-2 rounded-lg p-4 ${method === key
+                                    ? "border-midnight-blue bg-glitter"
+                                    : "border-gray-300 hover:border-midnight-blue"
+                                    }`}
+                            >
+                                <p className="font-semibold text-gray-800">{option.label}</p>
+                                <p className="text-sm text-gray-600">{option.description}</p>
+                            </button>
+                        ))}
+                    </div>
+                );
+            case 1:
+                return (
+                    <div className="space-y-4 max-w-md">
+                        <p className="text-sm text-gray-600">{rules.description}</p>
+                        {method === "income" && (
+                            <>
+                                <InputBox
+                                    id="accreditationIncome"
+                                    type="number"
+                                    label="Annual Income (each of the last two years)"
+                                    placeholder="Enter income"
+                                    value={claims.annualIncome}
+                                    onChange={(value) => updateClaim("annualIncome", value)}
+                                    suffix="USD"
+                                    min="0"
+                                />
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={claims.jointIncome}
+                                        onChange={(e) => updateClaim("jointIncome", e.target.checked)}
+                                    />
+                                    This is joint income with my spouse ({formatToUSD(rules.minJointIncome)} minimum)
+                                </label>
+                            </>
+                        )}
+                        {method === "net-worth" && (
+                            <InputBox
+                                id="accreditationNetWorth"
+                                type="number"
+                                label="Net Worth (excluding primary residence)"
+                                placeholder="Enter net worth"
+                                value={claims.netWorth}
+                                onChange={(value) => updateClaim("netWorth", value)}
+                                suffix="USD"
+                                min="0"
+                            />
+                        )}
+                        {method === "professional-license" && (
+                            <>
+                                <div>
+                                    <label htmlFor="accreditationLicense" className="block text-sm font-medium text-gray-700">
+                                        License
+                                    </label>
+                                    <select
+                                        id="accreditationLicense"
+                                        value={claims.licenseType}
+                                        onChange={(e) => updateClaim("licenseType", e.target.value)}
+                                        className={selectClassName}
+                                    >
+                                        {rules.licenses.map((license) => (
+                                            <option key={license} value={license}>
+                                                {license}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <InputBox
+                                    id="accreditationCrd"
+                                    label="CRD Number"
+                                    placeholder="Enter your CRD number"
+                                    value={claims.licenseNumber}
+                                    onChange={(value) => updateClaim("licenseNumber", value)}
+                                />
+                            </>
+                        )}
+                        {method === "third-party-letter" && (
+                            <InputBox
+                                id="accreditationLetterProvider"
+                                label="Letter Written By"
+                                placeholder="Name and firm of your CPA, attorney or adviser"
+                                value={claims.letterProvider}
+                                onChange={(value) => updateClaim("letterProvider", value)}
+                            />
+                        )}
+                    </div>
+                );
+            case 2:
+                return (
+                    <div className="space-y-4">
+                        <p className="text-sm text-gray-600">{rules.evidence}</p>
+                        {method === "professional-license" && (
+                            <p className="text-sm text-gray-500">Documents are optional for this path.</p>
+                        )}
+                        <label className="inline-block bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-md cursor-pointer">
+                            Upload Documents
+                            <input
+                                type="file"
+                                multiple
+                                accept="image/*,.pdf"
+                                className="hidden"
+                                onChange={(e) => {
+                                    const selected = Array.from(e.target.files);
+                                    e.target.value = "";
+                                    if (files.length + selected.length > 5) {
+                                        setError("You can upload up to 5 documents.");
+                                        return;
+                                    }
+                                    setError("");
+                                    setFiles((prev) => [...prev, ...selected]);
+                                }}
+                            />
+                        </label>
+                        {files.length > 0 && (
+                            <ul className="flex flex-wrap gap-2">
+                                {files.map((file, index) => (
+                                    <li
+                                        key={`${file.name}-${index}`}
+                                        className="bg-gray-200 text-gray-600 px-2 py-1 rounded-md text-sm flex items-center gap-2"
+                                    >
+                                        {file.name}
+                                        <button
+                                            onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                                            className="text-gray-500 hover:text-gray-800"
+                                            aria-label={`Remove ${file.name}`}
+                                        >
+                                            &times;
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                );
+            case 3:
+                return (
+                    <div className="space-y-2 text-gray-700">
+                        <p>
+                            Path: <span className="font-semibold">{rules.label}</span>
+                        </p>
+                        {method === "income" && (
+                            <p>
+                                {claims.jointIncome ? "Joint income" : "Income"}:{" "}
+                                <span className="font-semibold">{formatToUSD(parseFloat(claims.annualIncome))}</span>
+                            </p>
+                        )}
+                        {method === "net-worth" && (
+                            <p>
+                                Net worth: <span className="font-semibold">{formatToUSD(parseFloat(claims.netWorth))}</span>
+                            </p>
+                        )}
+                        {method === "professional-license" && (
+                            <p>
+                                License: <span className="font-semibold">{claims.licenseType}, CRD {claims.licenseNumber}</span>
+                            </p>
+                        )}
+                        {method === "third-party-letter" && (
+                            <p>
+                                Letter from: <span className="font-semibold">{claims.letterProvider}</span>
+                            </p>
+                        )}
+                        <p>
+                            Documents: <span className="font-semibold">{files.length}</span>
+                        </p>
+                        <p className="text-sm text-gray-500">
+                            Our team usually reviews verifications within two business days. Once verified, your
+                            accreditation lasts 90 days.
+                        </p>
+                    </div>
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-6">
+            <ol className="flex gap-4 text-sm">
+                {STEPS.map((label, index) => (
+                    <li
+                        key={label}
+                        className={index === step ? "text-midnight-blue font-bold" : index < step ? "text-gray-700" : "text-gray-400"}
+                    >
+                        {index + 1}. {label}
+                    </li>
+                ))}
+            </ol>
+
+            {renderStep()}
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            <div className="flex justify-between items-center">
+                <button
+                    onClick={step === 0 ? onCancel : () => setStep(step - 1)}
+                    disabled={isSubmitting}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                >
+                    {step === 0 ? "Cancel" : "Back"}
+                </button>
+                {step < STEPS.length - 1 ? (
+                    <button
+                        onClick={handleNext}
+                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                    >
+                        Next
+                    </button>
+                ) : (
+                    <button
+                        onClick={handleSubmit}
+                        disabled={isSubmitting}
+                        className={`px-4 py-2 rounded-md ${isSubmitting
+                            ? "bg-indigo-500 cursor-not-allowed"
+                            : "bg-midnight-blue hover:bg-blue-500"
+                            } text-white flex items-center justify-center`}
+                    >
+                        {isSubmitting ? (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        ) : null}
+                        {isSubmitting ? "Submitting..." : "Submit for Review"}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VerificationWizard;
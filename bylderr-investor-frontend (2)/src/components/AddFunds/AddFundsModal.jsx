@@ -3,15 +3,13 @@ import ModalHeader from './ModalHeader';
 import ModalTabs from './ModalTabs';
 import DepositForm from './DepositForm';
 import Stage2 from './Stage2';
-import {
-    onlineDepositOptions,
-    wireTransferOptions,
-} from './depositOptions';
+import { WIRE_TRANSFER, validateDeposit } from '../../utils/deposits';
 
 /**
  * Add Funds Modal Component
  * A modal component that enables the user to add funds to their account
- * It lets the user deposite funds online theough stripe or using a wire deposite into our platform
+ * It lets the user deposit funds online from a card or bank account saved with Stripe, or wire
+ * funds to our platform with the account's reference code
  *
  * Props:
  * - isOpen: Controls the visibility of the modal. `true` to open, `false` to close.
@@ -21,12 +19,11 @@ import {
 const AddFundsModal = ({ isOpen, onClose }) => {
     const [activeTab, setActiveTab] = useState('onlineDeposit');
     const [stepIndex, setStepIndex] = useState(1);
-    const [selectedOnlineDeposit, setSelectedOnlineDeposit] = useState(
-        onlineDepositOptions[0]
-    );
-    const [selectedWireTransfer, setSelectedWireTransfer] = useState(
-        wireTransferOptions[0]
-    );
+    // Chosen once the saved cards and bank accounts have loaded
+    const [selectedOnlineDeposit, setSelectedOnlineDeposit] = useState(null);
+    const [isLinking, setIsLinking] = useState(false);
+    const [wireInstructions, setWireInstructions] = useState(null);
+    const [sendingBank, setSendingBank] = useState('');
     const [amount, setAmount] = useState('');
     const [error, setError] = useState('');
 
@@ -37,6 +34,23 @@ const AddFundsModal = ({ isOpen, onClose }) => {
             setError('Please enter a valid amount.');
             return;
         }
+        if (activeTab === 'onlineDeposit') {
+            const depositError = validateDeposit(selectedOnlineDeposit, amount);
+            if (depositError) {
+                setError(depositError);
+                return;
+            }
+        }
+        if (activeTab === 'wireTransfer') {
+            if (!wireInstructions) {
+                setError('The wire instructions could not be loaded. Please try again later.');
+                return;
+            }
+            if (Number(amount) < WIRE_TRANSFER.min) {
+                setError(`Wires must be at least $${WIRE_TRANSFER.min.toLocaleString()}.`);
+                return;
+            }
+        }
         setStepIndex(stepIndex + 1);
     };
 
@@ -44,20 +58,6 @@ const AddFundsModal = ({ isOpen, onClose }) => {
         setStepIndex(stepIndex - 1);
     };
 
-    const renderWireTransferDisplay = (option) => (
-        <div>
-            <span className="block text-sm font-medium text-gray-700">
-                {option.bankName}
-            </span>
-            <span className="block text-xs text-gray-500">
-                Account Number: {option.accountNumber}
-            </span>
-            <span className="block text-xs text-gray-500">
-                Routing Number: {option.routingNumber}
-            </span>
-        </div>
-    );
-
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
             <div className="bg-white rounded-lg shadow-lg w-96 lg:w-1/3">
@@ -67,7 +67,7 @@ const AddFundsModal = ({ isOpen, onClose }) => {
                 <ModalTabs
                     activeTab={activeTab}
                     setActiveTab={setActiveTab}
-                    disabled={stepIndex !== 1}
+                    disabled={stepIndex !== 1 || isLinking}
                 />
 
                 {stepIndex === 1 && (
@@ -79,28 +79,33 @@ const AddFundsModal = ({ isOpen, onClose }) => {
                             activeTab={activeTab}
                             selectedOnlineDeposit={selectedOnlineDeposit}
                             setSelectedOnlineDeposit={setSelectedOnlineDeposit}
-                            selectedWireTransfer={selectedWireTransfer}
-                            setSelectedWireTransfer={setSelectedWireTransfer}
+                            wireInstructions={wireInstructions}
+                            setWireInstructions={setWireInstructions}
+                            sendingBank={sendingBank}
+                            setSendingBank={setSendingBank}
                             amount={amount}
                             setAmount={setAmount}
                             error={error}
                             setError={setError}
-                            renderWireTransferDisplay={renderWireTransferDisplay}
+                            isLinking={isLinking}
+                            setIsLinking={setIsLinking}
                         />
 
                         {/* Next Options */}
-                        <div className="px-4 py-3 border-t border-gray-300">
-                            <button
-                                className={`w-full bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-500 focus:outline-none ${!amount || Number(amount) <= 0
-                                    ? 'opacity-50 cursor-not-allowed'
-                                    : ''
-                                    }`}
-                                onClick={handleContinue}
-                                disabled={!amount || Number(amount) <= 0}
-                            >
-                                Continue
-                            </button>
-                        </div>
+                        {!isLinking && (
+                            <div className="px-4 py-3 border-t border-gray-300">
+                                <button
+                                    className={`w-full bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-500 focus:outline-none ${!amount || Number(amount) <= 0
+                                        ? 'opacity-50 cursor-not-allowed'
+                                        : ''
+                                        }`}
+                                    onClick={handleContinue}
+                                    disabled={!amount || Number(amount) <= 0}
+                                >
+                                    Continue
+                                </button>
+                            </div>
+                        )}
                     </>
                 )}
                 {stepIndex === 2 && (
@@ -110,7 +115,8 @@ const AddFundsModal = ({ isOpen, onClose }) => {
                             activeTab={activeTab}
                             onBack={handleBack}
                             selectedOnlineDeposit={selectedOnlineDeposit}
-                            selectedWireTransfer={selectedWireTransfer}
+                            wireInstructions={wireInstructions}
+                            sendingBank={sendingBank}
                             amount={amount}
                             onClose={onClose}
                         />
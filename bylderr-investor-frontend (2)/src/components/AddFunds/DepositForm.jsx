@@ -1,53 +1,112 @@
 import React, { useEffect, useState } from 'react';
-import { fetchDepositOptions } from '../../api/depositApi';
+import { fetchFundingSources, fetchWireInstructions, removeFundingSource } from '../../api/depositApi';
 import Dropdown from './Dropdown';
+import LinkFundingSource from './LinkFundingSource';
+import RecentDeposits from './RecentDeposits';
+import WireInstructions from './WireInstructions';
 import InputBox from '../../utils/inputBox';
-import { onlineDepositOptions as fallbackOnlineDepositOptions, wireTransferOptions as fallbackWireTransferOptions } from './depositOptions';
+import { DEPOSIT_METHODS, WIRE_TRANSFER, describeSource } from '../../utils/deposits';
+import { fundingSourcesMockData, wireInstructionsMockData } from '../../mockData/fundingMockData';
+
+// Dropdown options for the saved cards and bank accounts
+const toOption = (source) => ({ ...source, accountInfo: describeSource(source) });
+
+const loadFundingSources = async (setError) => {
+    if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+        return fundingSourcesMockData.map(toOption);
+    }
+    try {
+        return (await fetchFundingSources()).map(toOption);
+    } catch (err) {
+        console.error('Error fetching funding sources:', err.message);
+        setError('Error loading your cards and bank accounts. Showing Mock Options.');
+        return fundingSourcesMockData.map(toOption);
+    }
+};
+
+// No mock fallback here: a made-up reference would leave a real wire unmatched
+const loadWireInstructions = async (setError) => {
+    if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+        return wireInstructionsMockData;
+    }
+    try {
+        return await fetchWireInstructions();
+    } catch (err) {
+        console.error('Error fetching wire instructions:', err.message);
+        setError('Error loading the wire instructions. Please try again later.');
+        return null;
+    }
+};
 
 /**
  * Deposite from Component
  * A component that enables the user to add funds to their account
- * It lets the user deposite funds online theough stripe or using a wire deposite into our platform
+ * It lets the user deposit funds online from a card or bank account saved with Stripe,
+ * or shows where to wire funds to, with the account's reference for the memo
  *
  * Props:
- * - isOpen: Controls the visibility of the modal. `true` to open, `false` to close.
- * - onClose:  Function to close the modal.
+ * - selectedOnlineDeposit: The saved card or bank account to deposit from.
+ * - wireInstructions: Loaded here; null until then, or if they could not be loaded.
+ * - sendingBank: The bank the investor is wiring from, to recognise the wire by.
+ * - isLinking / setIsLinking: Whether a new card or bank account is being added instead.
  */
 
 const DepositForm = ({
     activeTab,
     selectedOnlineDeposit,
     setSelectedOnlineDeposit,
-    selectedWireTransfer,
-    setSelectedWireTransfer,
+    wireInstructions,
+    setWireInstructions,
+    sendingBank,
+    setSendingBank,
     amount,
     setAmount,
     error,
     setError,
-    renderWireTransferDisplay,
+    isLinking,
+    setIsLinking,
 }) => {
-    const [onlineDepositOptions, setOnlineDepositOptions] = useState(fallbackOnlineDepositOptions);
-    const [wireTransferOptions, setWireTransferOptions] = useState(fallbackWireTransferOptions);
+    const [fundingSources, setFundingSources] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
 
     useEffect(() => {
         const fetchDepositOptionsData = async () => {
             setIsLoading(true);
-            try {
-                const data = await fetchDepositOptions();
-                setOnlineDepositOptions(data.onlineDepositOptions || fallbackOnlineDepositOptions);
-                setWireTransferOptions(data.wireTransferOptions || fallbackWireTransferOptions);
-            } catch (err) {
-                setError('Error loading deposit options. Showing Mock Options.');
-                setOnlineDepositOptions(fallbackOnlineDepositOptions);
-                setWireTransferOptions(fallbackWireTransferOptions);
-            } finally {
-                setIsLoading(false);
-            }
+            const sources = await loadFundingSources(setError);
+            setFundingSources(sources);
+            setSelectedOnlineDeposit((selected) => selected || sources[0] || null);
+            setWireInstructions(await loadWireInstructions(setError));
+            setIsLoading(false);
         };
 
         fetchDepositOptionsData();
-    }, [setError]);
+    }, [setError, setSelectedOnlineDeposit, setWireInstructions]);
+
+    // A mock source comes straight from the test fixtures; a real one is fetched again from Stripe
+    const handleLinked = async (source) => {
+        const sources = source ? [...fundingSources, toOption(source)] : await loadFundingSources(setError);
+        setFundingSources(sources);
+        setSelectedOnlineDeposit(source ? toOption(source) : sources[sources.length - 1] || null);
+        setIsLinking(false);
+    };
+
+    const handleRemove = async () => {
+        try {
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE != 'mock') {
+                await removeFundingSource(selectedOnlineDeposit.id);
+            }
+            const sources = fundingSources.filter((source) => source.id !== selectedOnlineDeposit.id);
+            setFundingSources(sources);
+            setSelectedOnlineDeposit(sources[0] || null);
+        } catch (err) {
+            console.error('Error removing funding source:', err.message);
+            setError(err.response?.data?.error || 'Could not remove it. Please try again.');
+        }
+    };
+
+    if (isLinking) {
+        return <LinkFundingSource onLinked={handleLinked} onCancel={() => setIsLinking(false)} />;
+    }
 
     return (
         <div className="p-4 space-y-4">
@@ -66,30 +125,38 @@ const DepositForm = ({
                         Deposit from
                     </label>
                     <Dropdown
-                        options={onlineDepositOptions}
-                        selectedOption={selectedOnlineDeposit}
+                        options={fundingSources}
+                        selectedOption={selectedOnlineDeposit || {}}
                         onSelect={setSelectedOnlineDeposit}
                         displayValue="Select Deposit Method"
                     />
+                    <div className="flex justify-between mt-1 text-sm">
+                        <button
+                            onClick={() => setIsLinking(true)}
+                            className="text-midnight-blue hover:underline"
+                        >
+                            + Add a card or bank account
+                        </button>
+                        {selectedOnlineDeposit && (
+                            <button onClick={handleRemove} className="text-red-500 hover:text-red-700">
+                                Remove
+                            </button>
+                        )}
+                    </div>
                 </div>
             )}
 
-            {activeTab === 'wireTransfer' && (
-                <div>
-                    <label
-                        htmlFor="wireTransferDropdown"
-                        className="block text-sm font-medium text-gray-700"
-                    >
-                        Deposit from
-                    </label>
-                    <Dropdown
-                        options={wireTransferOptions}
-                        selectedOption={selectedWireTransfer}
-                        onSelect={setSelectedWireTransfer}
-                        displayValue="Select Bank"
-                        renderDisplay={renderWireTransferDisplay}
+            {activeTab === 'wireTransfer' && wireInstructions && (
+                <>
+                    <WireInstructions instructions={wireInstructions} />
+                    <InputBox
+                        id="sendingBank"
+                        label="Sending Bank"
+                        placeholder="e.g. Chase"
+                        value={sendingBank}
+                        onChange={setSendingBank}
                     />
-                </div>
+                </>
             )}
 
             <InputBox
@@ -105,6 +172,18 @@ const DepositForm = ({
                 suffix="USD"
                 min="0"
             />
+
+            {activeTab === 'onlineDeposit' && selectedOnlineDeposit && (
+                <p className="text-xs text-gray-500">
+                    {`${DEPOSIT_METHODS[selectedOnlineDeposit.method].label}: $${DEPOSIT_METHODS[selectedOnlineDeposit.method].min.toLocaleString()} to $${DEPOSIT_METHODS[selectedOnlineDeposit.method].max.toLocaleString()} per deposit, available to invest ${DEPOSIT_METHODS[selectedOnlineDeposit.method].available.toLowerCase()}.`}
+                </p>
+            )}
+            {activeTab === 'wireTransfer' && (
+                <p className="text-xs text-gray-500">
+                    {`Wires of $${WIRE_TRANSFER.min.toLocaleString()} or more. Your bank may charge a fee, and we credit the amount that arrives, available to invest ${WIRE_TRANSFER.available.toLowerCase()}.`}
+                </p>
+            )}
+            <RecentDeposits />
         </div>
     );
 };
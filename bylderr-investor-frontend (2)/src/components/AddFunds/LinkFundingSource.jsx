@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { Elements, PaymentElement, useElements, useStripe } from '@stripe/react-stripe-js';
+import { createSetupIntent } from '../../api/depositApi';
+import { DEPOSIT_METHODS, getStripe } from '../../utils/deposits';
+import { testFundingSourcesMockData } from '../../mockData/fundingMockData';
+
+// Stripe's form for the chosen kind of payment method, confirmed against a SetupIntent
+const SetupForm = ({ onLinked, onCancel }) => {
+    const stripe = useStripe();
+    const elements = useElements();
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const handleSave = async () => {
+        if (!stripe || !elements) return;
+
+        setIsSaving(true);
+        setError('');
+        const { setupIntent, error: stripeError } = await stripe.confirmSetup({
+            elements,
+            confirmParams: { return_url: window.location.href },
+            redirect: 'if_required',
+        });
+        setIsSaving(false);
+
+        if (stripeError) {
+            setError(stripeError.message);
+            return;
+        }
+        // Banks that cannot be verified instantly get two small deposits to confirm instead
+        if (setupIntent.next_action?.type === 'verify_with_microdeposits') {
+            setNotice('Stripe will send two small deposits to this account within 1-2 business days. Confirm their amounts from the link in Stripe\'s email, and the account can then be used for deposits.');
+            return;
+        }
+        onLinked();
+    };
+
+    if (notice) {
+        return (
+            <div className="space-y-4">
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {notice}
+                </div>
+                <button
+                    onClick={onCancel}
+                    className="w-full bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-500 focus:outline-none"
+                >
+                    Done
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <PaymentElement />
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            <div className="flex justify-between gap-5">
+                <button
+                    onClick={onCancel}
+                    disabled={isSaving}
+                    className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 focus:outline-none"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleSave}
+                    disabled={!stripe || isSaving}
+                    className="flex-grow bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-500 focus:outline-none"
+                >
+                    {isSaving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Link Funding Source Component
+ * Saves a card, or links a bank account for ACH debits, through Stripe Elements. Stripe
+ * verifies banks instantly through Financial Connections where it can. In mock mode
+ * Stripe's test fixtures are offered instead.
+ *
+ * Props:
+ * - onLinked: Called once the new source is saved; with the source itself in mock mode.
+ * - onCancel: Goes back to the deposit form.
+ */
+const LinkFundingSource = ({ onLinked, onCancel }) => {
+    const [method, setMethod] = useState(null);
+    const [clientSecret, setClientSecret] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock';
+
+    const chooseMethod = async (key) => {
+        setMethod(key);
+        setClientSecret(null);
+        setError('');
+        if (isMockMode) return;
+
+        setIsLoading(true);
+        try {
+            setClientSecret(await createSetupIntent(key));
+        } catch (err) {
+            console.error('Error starting Stripe setup:', err.message);
+            setError(err.response?.data?.error || 'Could not reach Stripe. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="p-4 space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                {Object.entries(DEPOSIT_METHODS).map(([key, option]) => (
+                    <button
+                        key={key}
+                        onClick={() => chooseMethod(key)}
+                        className={`text-left border-2 rounded-lg p-3 ${method === key
+                            ? 'border-midnight-blue bg-glitter'
+                            : 'border-gray-200 hover:border-gray-400'
+                            }`}
+                    >
+                        <p className="font-semibold text-gray-800">{option.label}</p>
+                        <p className="text-xs text-gray-500">Available to invest {option.available.toLowerCase()}</p>
+                    </button>
+                ))}
+            </div>
+
+            {isLoading && <p className="text-sm text-gray-500">Connecting to Stripe...</p>}
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            {method && isMockMode && (
+                <div className="space-y-2">
+                    <p className="text-sm text-gray-500">Mock mode: pick one of Stripe&apos;s test {method === 'card' ? 'cards' : 'bank accounts'}.</p>
+                    {testFundingSourcesMockData[method].map((source) => (
+                        <button
+                            key={source.id}
+                            onClick={() => onLinked(source)}
+                            className="w-full text-left px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            <span className="block text-sm font-medium text-gray-700">
+                                {source.name} ••••{source.last4}
+                            </span>
+                            <span className="block text-xs text-gray-500">{source.description}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {clientSecret && (
+                <Elements key={clientSecret} stripe={getStripe()} options={{ clientSecret }}>
+                    <SetupForm onLinked={() => onLinked()} onCancel={onCancel} />
+                </Elements>
+            )}
+
+            {!clientSecret && (
+                <button
+                    onClick={onCancel}
+                    className="w-full bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 focus:outline-none"
+                >
+                    Back
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default LinkFundingSource;
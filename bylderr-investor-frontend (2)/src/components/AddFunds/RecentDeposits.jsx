@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react';
+import { fetchDeposits } from '../../api/depositApi';
+import { depositsMockData } from '../../mockData/fundingMockData';
+import { DEPOSIT_STATUSES } from '../../utils/deposits';
+import formatToUSD from '../../utils/formatToUSD';
+
+/**
+ * Recent Deposits Component
+ * The account's latest deposits. Card and ACH deposits follow Stripe's webhooks, and ACH
+ * debits stay pending until the bank clears them; wires stay pending until they are found
+ * on our bank statement. Only settled deposits can be invested.
+ */
+const RecentDeposits = ({ limit = 3 }) => {
+    const [deposits, setDeposits] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const loadDeposits = async () => {
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+                setDeposits(depositsMockData);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setDeposits(await fetchDeposits());
+            } catch (err) {
+                // Only a convenience here, so a failure just hides the list
+                console.error('Error fetching deposits:', err.message);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadDeposits();
+    }, []);
+
+    if (isLoading || deposits.length === 0) return null;
+
+    return (
+        <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Recent Deposits</p>
+            <ul className="divide-y text-sm">
+                {deposits.slice(0, limit).map((deposit) => (
+                    <li key={deposit.id} className="flex justify-between items-center py-1">
+                        <div>
+                            <span className="text-gray-700">{formatToUSD(deposit.amount)}</span>
+                            <span className="text-gray-500"> from {deposit.source}</span>
+                            {deposit.status === 'failed' && deposit.failureReason && (
+                                <span className="block text-xs text-red-600">{deposit.failureReason}</span>
+                            )}
+                        </div>
+                        <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${DEPOSIT_STATUSES[deposit.status]?.className}`}>
+                            {DEPOSIT_STATUSES[deposit.status]?.label}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default RecentDeposits;
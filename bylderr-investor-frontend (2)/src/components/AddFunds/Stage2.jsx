@@ -1,13 +1,40 @@
 import React, { useState } from 'react';
-import { addFunds } from '../../api/depositApi';
+import { createDeposit, createWire } from '../../api/depositApi';
 import StepsIcon from './StepsIcon';
 import formatToUSD from '../../utils/formatToUSD';
+import { DEPOSIT_METHODS, WIRE_TRANSFER, getStripe } from '../../utils/deposits';
 import { faBank, faCreditCard, faBolt, faClock } from '@fortawesome/free-solid-svg-icons';
 
+// POST /funding/deposits for the mock data. The test fixture decides the outcome: declined
+// cards fail straight away, bank debits start out pending, and 3-D Secure always passes.
+const mockDeposit = (source) => {
+    if (source.method === 'card' && source.outcome === 'failed') {
+        throw Object.assign(new Error('Card declined'), {
+            response: { data: { error: 'Deposit failed: Your card was declined.' } },
+        });
+    }
+    return source.outcome === 'requires_action'
+        ? { status: 'requires_action', clientSecret: 'mock' }
+        : { status: source.method === 'ach' ? 'pending' : 'settled' };
+};
+
+// Let the card issuer authenticate the payment (3-D Secure); resolves to the deposit's new status
+const authenticate = async (clientSecret) => {
+    if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') return 'settled';
+
+    const stripe = await getStripe();
+    const { paymentIntent, error } = await stripe.handleNextAction({ clientSecret });
+    if (error) {
+        throw Object.assign(new Error(error.message), { response: { data: { error: error.message } } });
+    }
+    return paymentIntent.status === 'succeeded' ? 'settled' : 'pending';
+};
+
 const Stage2 = ({
     activeTab,
     selectedOnlineDeposit,
-    selectedWireTransfer,
+    wireInstructions,
+    sendingBank,
     amount,
     onBack,
     onClose,
@@ -16,48 +43,57 @@ const Stage2 = ({
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
 
+    const isOnline = activeTab === 'onlineDeposit';
+
+    // Cards settle at once, after 3-D Secure if the issuer asks for it; bank debits settle
+    // in a few days, and Stripe tells the API when they do
+    const depositOnline = async () => {
+        const deposit = import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock'
+            ? mockDeposit(selectedOnlineDeposit)
+            : await createDeposit({ amount: Number(amount), paymentMethodId: selectedOnlineDeposit.id });
+        return deposit.clientSecret ? authenticate(deposit.clientSecret) : deposit.status;
+    };
+
     const handleAddFunds = async () => {
         setLoading(true);
         setError('');
         setSuccess('');
 
-        const payload =
-            activeTab === 'onlineDeposit'
-                ? {
-                    method: 'onlineDeposit',
-                    details: selectedOnlineDeposit,
-                    amount: Number(amount),
-                }
-                : {
-                    method: 'wireTransfer',
-                    details: selectedWireTransfer,
-                    amount: Number(amount),
-                };
-
         try {
-            const response = await addFunds(payload);
-            console.log('Funds added successfully', response.data);
-            setSuccess('Funds added successfully! Closing modal...');
-            setLoading(false);
+            // Nothing moves here: this records the wire so it can be matched when it arrives
+            if (!isOnline) {
+                if (import.meta.env.VITE_REACT_APP_AUTH_MODE != 'mock') {
+                    await createWire({ amount: Number(amount), sendingBank: sendingBank.trim() });
+                }
+                setSuccess(`Thanks! We will credit your ${formatToUSD(Number(amount))} wire once it reaches our bank, usually within a business day, and notify you when it is ready to invest. Remember to include reference ${wireInstructions.reference} in the memo.`);
+                return;
+            }
 
-            // Close modal after 2 seconds
-            setTimeout(() => {
-                onClose();
-            }, 2000);
+            const status = await depositOnline();
+            if (status === 'settled') {
+                setSuccess(`${formatToUSD(Number(amount))} was added and is ready to invest. Closing modal...`);
+                // Close modal after 2 seconds
+                setTimeout(() => {
+                    onClose();
+                }, 2000);
+            } else {
+                setSuccess(`Your ${formatToUSD(Number(amount))} deposit is on its way. Bank transfers take about 4 business days to settle, and we will notify you when the funds are ready to invest.`);
+            }
         } catch (err) {
             console.error('Error adding funds', err);
-            setError('There was an error adding funds. Please try again.');
+            setError(err.response?.data?.error || 'There was an error adding funds. Please try again.');
+        } finally {
             setLoading(false);
         }
     };
 
     const steps = [
         {
-            icon: faBank,
+            icon: isOnline && selectedOnlineDeposit?.method === 'card' ? faCreditCard : faBank,
             title:
-                activeTab === 'onlineDeposit'
+                isOnline
                     ? `${selectedOnlineDeposit?.name || 'Bank Name'} - ${selectedOnlineDeposit?.accountInfo || 'Account Info'}`
-                    : `From ${selectedWireTransfer?.bankName || 'Wire Transfer Name'} - Account Number ${selectedWireTransfer?.accountNumber || 'Account Info'}`,
+                    : `Wire from ${sendingBank.trim() || 'your bank'} to ${wireInstructions.bankName} - Reference ${wireInstructions.reference}`,
             description: `${formatToUSD(Number(amount))}`,
         },
         {
@@ -68,7 +104,7 @@ const Stage2 = ({
         {
             icon: faBolt,
             title: 'Start Investing',
-            description: activeTab === 'onlineDeposit' ? 'Instantly' : 'In 24hrs',
+            description: isOnline ? DEPOSIT_METHODS[selectedOnlineDeposit.method].available : WIRE_TRANSFER.available,
         },
         {
             icon: faClock,
@@ -111,22 +147,31 @@ const Stage2 = ({
                 </div>
             )}
             {/* Action Buttons */}
-            <div className="flex justify-between gap-5 mt-5">
+            {success ? (
                 <button
-                    className="bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 focus:outline-none flex-grow-[2] flex-basis-[20%]"
-                    onClick={onBack}
-                    disabled={loading}
+                    className="w-full bg-midnight-blue text-white py-2 rounded-lg hover:bg-blue-500 focus:outline-none mt-5"
+                    onClick={onClose}
                 >
-                    Back
+                    Done
                 </button>
-                <button
-                    className="bg-midnight-blue text-white py-2 rounded-lg hover:bg-blue-500 focus:outline-none flex-grow-[7] flex-basis-[70%]"
-                    onClick={handleAddFunds}
-                    disabled={loading}
-                >
-                    {loading ? 'Processing...' : 'Add Funds Now'}
-                </button>
-            </div>
+            ) : (
+                <div className="flex justify-between gap-5 mt-5">
+                    <button
+                        className="bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 focus:outline-none flex-grow-[2] flex-basis-[20%]"
+                        onClick={onBack}
+                        disabled={loading}
+                    >
+                        Back
+                    </button>
+                    <button
+                        className="bg-midnight-blue text-white py-2 rounded-lg hover:bg-blue-500 focus:outline-none flex-grow-[7] flex-basis-[70%]"
+                        onClick={handleAddFunds}
+                        disabled={loading}
+                    >
+                        {loading ? 'Processing...' : isOnline ? 'Add Funds Now' : "I've Sent the Wire"}
+                    </button>
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,47 @@
+// One line of the instructions, copied as shown
+const Detail = ({ label, value }) => (
+    <div className="flex justify-between gap-4">
+        <span className="text-gray-500">{label}</span>
+        <span className="text-gray-800 text-right">{value}</span>
+    </div>
+);
+
+/**
+ * Wire Instructions Component
+ * Where to wire funds to. The reference is unique to the account being acted for, and is how
+ * the wire is matched to it when it arrives, so it must go in the wire's memo.
+ *
+ * Props:
+ * - instructions: From GET /funding/wire-instructions.
+ */
+const WireInstructions = ({ instructions }) => (
+    <div className="space-y-3">
+        <div className="border border-gray-300 rounded-md p-3 space-y-1 text-sm">
+            <Detail label="Bank" value={instructions.bankName} />
+            <Detail label="Bank Address" value={instructions.bankAddress} />
+            <Detail label="Beneficiary" value={instructions.beneficiary} />
+            <Detail label="Account Number" value={instructions.accountNumber} />
+            <Detail label="Routing Number (ABA)" value={instructions.routingNumber} />
+            <Detail label="SWIFT Code" value={instructions.swiftCode} />
+        </div>
+        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded text-sm">
+            <div className="flex justify-between items-center">
+                <span>
+                    Memo / Reference: <span className="font-mono font-semibold">{instructions.reference}</span>
+                </span>
+                <button
+                    onClick={() => navigator.clipboard.writeText(instructions.reference)}
+                    className="text-midnight-blue hover:underline"
+                >
+                    Copy
+                </button>
+            </div>
+            <p className="text-xs mt-1">
+                Add this reference to the wire&apos;s memo so we can credit it to this account. Wires
+                without it take longer to match.
+            </p>
+        </div>
+    </div>
+);
+
+export default WireInstructions;
@@ -1,48 +0,0 @@
-export const onlineDepositOptions = [
-    {
-        id: "amex",
-        name: "American Express",
-        logo: "https://via.placeholder.com/24?text=AmEx",
-        accountInfo: "Checking: *****0987",
-    },
-    {
-        id: "visa",
-        name: "Visa",
-        logo: "https://via.placeholder.com/24?text=Visa",
-        accountInfo: "Checking: *****1234",
-    },
-    {
-        id: "mastercard",
-        name: "MasterCard",
-        logo: "https://via.placeholder.com/24?text=MC",
-        accountInfo: "Checking: *****5678",
-    },
-
-];
-
-export const wireTransferOptions = [
-    {
-        id: "bankA",
-        bankName: "Pacific Premier Bank",
-        accountNumber: "****1234",
-        routingNumber: "111000025",
-        swiftCode: "BKAAUS33",
-        bankAddress: "123 Bank St, City, Country",
-    },
-    {
-        id: "bankB",
-        bankName: "Bank B",
-        accountNumber: "****5678",
-        routingNumber: "222000036",
-        swiftCode: "BKBBUS44",
-        bankAddress: "456 Finance Ave, City, Country",
-    },
-    {
-        id: "bankC",
-        bankName: "Bank C",
-        accountNumber: "****9012",
-        routingNumber: "333000047",
-        swiftCode: "BKCBCU55",
-        bankAddress: "789 Money Blvd, City, Country",
-    },
-];
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { useState, useEffect } from "react";
+import { fetchAccreditationQueue, reviewAccreditation, downloadEvidence } from "../../api/accreditationApi";
+import PrivateFileLink from "../PrivateFileLink";
+import { accreditationQueueMockData } from "../../mockData/accreditationMockData";
+import { ACCREDITATION_METHODS } from "../../utils/accreditation";
+import formatToUSD from "../../utils/formatToUSD";
+import ReasonModal from "./ReasonModal";
+
+// The figures an investor claimed for their chosen path
+const describeClaim = (verification) => {
+    switch (verification.method) {
+        case "income":
+            return `${verification.jointIncome ? "Joint income" : "Income"} of ${formatToUSD(verification.annualIncome)}`;
+        case "net-worth":
+            return `Net worth of ${formatToUSD(verification.netWorth)}`;
+        case "professional-license":
+            return `${verification.licenseType}, CRD ${verification.licenseNumber}`;
+        case "third-party-letter":
+            return `Letter from ${verification.letterProvider}`;
+        default:
+            return "";
+    }
+};
+
+/**
+ * AccreditationReviewQueue Component
+ * Accredited investor verifications waiting for review, oldest first. Verifying grants
+ * 90 days of accredited status; rejecting sends the investor the reason.
+ */
+const AccreditationReviewQueue = () => {
+    const [queue, setQueue] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [savingId, setSavingId] = useState(null);
+    const [rejecting, setRejecting] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadQueue = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                setQueue(isMockMode ? accreditationQueueMockData : await fetchAccreditationQueue());
+            } catch (err) {
+                console.error("Error fetching accreditation queue:", err.message);
+                setError("Failed to load the accreditation queue. Using mock data.");
+                setQueue(accreditationQueueMockData);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadQueue();
+    }, [isMockMode]);
+
+    const handleReview = async (verification, status, reason) => {
+        setSavingId(verification._id);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await reviewAccreditation(verification._id, { status, reason });
+            }
+            const name = `${verification.user.firstName} ${verification.user.lastName}`;
+            setSuccess(
+                status === "verified"
+                    ? `${name} is verified as accredited for 90 days.`
+                    : `${name}'s verification was rejected and they have been told why.`
+            );
+            setQueue((prev) => prev.filter((item) => item._id !== verification._id));
+            return true;
+        } catch (err) {
+            console.error("Error reviewing accreditation:", err.message);
+            setError(err.response?.data?.error || "Failed to save the decision. Please try again.");
+            return false;
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {queue.length === 0 ? (
+                <p className="text-gray-500">No accreditation verifications are waiting for review.</p>
+            ) : (
+                queue.map((verification) => (
+                    <div key={verification._id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <h2 className="text-lg font-semibold text-gray-800">
+                                    {verification.user.firstName} {verification.user.lastName}
+                                </h2>
+                                <p className="text-sm text-gray-500">
+                                    {verification.user.email} • Submitted{" "}
+                                    {new Date(verification.createdAt).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <span className="px-2 py-1 rounded-md text-xs font-semibold bg-yellow-100 text-yellow-700">
+                                {ACCREDITATION_METHODS[verification.method]?.label}
+                            </span>
+                        </div>
+                        <p className="text-gray-700">{describeClaim(verification)}</p>
+                        {verification.evidence.length === 0 ? (
+                            <p className="text-sm text-gray-500">No documents. Check the license on FINRA BrokerCheck.</p>
+                        ) : (
+                            <ul className="text-sm space-y-1">
+                                {verification.evidence.map((doc) => (
+                                    <li key={doc.file}>
+                                        {doc._id ? (
+                                            <PrivateFileLink
+                                                name={doc.name}
+                                                download={() => downloadEvidence(verification._id, doc._id)}
+                                            />
+                                        ) : (
+                                            doc.name
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <div className="flex justify-end gap-2">
+                            <button
+                                onClick={() => setRejecting(verification)}
+                                disabled={savingId === verification._id}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                            >
+                                Reject
+                            </button>
+                            <button
+                                onClick={() => handleReview(verification, "verified")}
+                                disabled={savingId === verification._id}
+                                className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                            >
+                                {savingId === verification._id ? "Saving..." : "Verify"}
+                            </button>
+                        </div>
+                    </div>
+                ))
+            )}
+
+            {rejecting && (
+                <ReasonModal
+                    title="Reject Verification"
+                    description="The investor is emailed this reason, e.g. the statements are too old or do not show the claimed amount."
+                    confirmLabel="Reject"
+                    onConfirm={(reason) => handleReview(rejecting, "rejected", reason)}
+                    onClose={() => setRejecting(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default AccreditationReviewQueue;
@@ -0,0 +1,170 @@
+import { useState } from "react";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import formatToUSD from "../../utils/formatToUSD";
+import { INVESTMENT_STATUSES } from "../../utils/investmentStatuses";
+
+/**
+ * AdjustInvestmentModal Component
+ * Corrects an investment's amount, blocks, block price or status. Only changed fields
+ * are sent, and the reason is shown to the investor in their notification.
+ */
+const AdjustInvestmentModal = ({ investment, onSave, onClose }) => {
+    const [amount, setAmount] = useState(String(investment.amount ?? ""));
+    const [shares, setShares] = useState(String(investment.shares ?? ""));
+    const [sharePrice, setSharePrice] = useState(String(investment.sharePrice ?? ""));
+    const [status, setStatus] = useState(investment.status);
+    const [reason, setReason] = useState("");
+    const [error, setError] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    const changes = {};
+    if (parseFloat(amount) !== investment.amount) changes.amount = parseFloat(amount);
+    if (parseFloat(shares) !== investment.shares) changes.shares = parseFloat(shares);
+    if (parseFloat(sharePrice) !== investment.sharePrice) changes.sharePrice = parseFloat(sharePrice);
+    if (status !== investment.status) changes.status = status;
+
+    const handleSave = async () => {
+        if (Object.keys(changes).length === 0) {
+            setError("Change at least one field.");
+            return;
+        }
+        if (Object.values(changes).some((value) => typeof value === "number" && !(value >= 0))) {
+            setError("Amounts, blocks and prices must be zero or more.");
+            return;
+        }
+        if (!reason.trim()) {
+            setError("Please give a reason. The investor will see it.");
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        try {
+            await onSave({ ...changes, reason: reason.trim() });
+            onClose();
+        } catch (err) {
+            console.error("Error adjusting investment:", err.message);
+            setError(err.response?.data?.error || "Failed to adjust the investment. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="bg-white rounded-lg shadow-lg max-w-lg w-full">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                    <h3 className="text-xl font-semibold text-gray-800">Adjust Investment</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <p className="text-sm text-gray-600">
+                        {investment.investor?.firstName} {investment.investor?.lastName} in {investment.project?.title},
+                        originally {formatToUSD(investment.amount)} on{" "}
+                        {new Date(investment.createdAt).toLocaleDateString()}.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <InputBox
+                            id="adjustAmount"
+                            type="number"
+                            label="Amount"
+                            value={amount}
+                            onChange={(value) => setAmount(value)}
+                            suffix="USD"
+                            min="0"
+                            step="0.01"
+                        />
+                        <InputBox
+                            id="adjustShares"
+                            type="number"
+                            label="Blocks"
+                            value={shares}
+                            onChange={(value) => setShares(value)}
+                            min="0"
+                        />
+                        <InputBox
+                            id="adjustSharePrice"
+                            type="number"
+                            label="Block Price"
+                            value={sharePrice}
+                            onChange={(value) => setSharePrice(value)}
+                            suffix="USD"
+                            min="0"
+                            step="0.01"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="adjustStatus" className="block text-sm font-medium text-gray-700">
+                            Status
+                        </label>
+                        <select
+                            id="adjustStatus"
+                            value={status}
+                            onChange={(e) => setStatus(e.target.value)}
+                            className="mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 capitalize"
+                        >
+                            {INVESTMENT_STATUSES.map((value) => (
+                                <option key={value} value={value}>
+                                    {value}
+                                </option>
+                            ))}
+                        </select>
+                        {changes.status === "cancelled" && (
+                            <p className="text-xs text-gray-500 mt-1">
+                                Setting the status does not refund the investor. Refunds are issued from their account.
+                            </p>
+                        )}
+                    </div>
+                    <div>
+                        <label htmlFor="adjustReason" className="block text-sm font-medium text-gray-700">
+                            Reason
+                        </label>
+                        <textarea
+                            id="adjustReason"
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            rows={2}
+                            className="mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    {error && (
+                        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                        disabled={isSaving}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className={`px-4 py-2 rounded-md ${isSaving
+                            ? "bg-indigo-500 cursor-not-allowed"
+                            : "bg-midnight-blue hover:bg-blue-500"
+                            } text-white flex items-center justify-center`}
+                    >
+                        {isSaving ? (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        ) : null}
+                        {isSaving ? "Saving..." : "Save Adjustment"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdjustInvestmentModal;
@@ -0,0 +1,170 @@
+import { useState, useEffect } from "react";
+import { fetchDashboardStats } from "../../api/adminApi";
+import { dashboardStatsMockData } from "../../mockData/adminMockData";
+import formatToUSD from "../../utils/formatToUSD";
+import InvestmentStatusPill from "./InvestmentStatusPill";
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const sumBy = (stats, field) => Object.values(stats).reduce((sum, stat) => sum + (stat[field] || 0), 0);
+
+/**
+ * AdminDashboard Component
+ * Platform analytics from the dashboard stats endpoint: raises and investments by status,
+ * sign-ups per month this year and the latest investments.
+ */
+const AdminDashboard = () => {
+    const [stats, setStats] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadStats = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setStats(dashboardStatsMockData);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setStats(await fetchDashboardStats());
+            } catch (err) {
+                console.error("Error fetching dashboard stats:", err.message);
+                setError("Failed to load platform analytics. Using mock data.");
+                setStats(dashboardStatsMockData);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadStats();
+    }, [isMockMode]);
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    const signups = stats.users.reduce((sum, count) => sum + count, 0);
+    const busiestMonth = Math.max(...stats.users, 1);
+    const summary = [
+        ["Sign-ups This Year", signups.toLocaleString()],
+        ["Open Raises", (stats.projects.active?.count || 0).toLocaleString()],
+        ["Raised Across Projects", formatToUSD(sumBy(stats.projects, "totalFundingRaised"))],
+        ["Completed Investments", formatToUSD(stats.investments.completed?.totalAmount || 0)],
+    ];
+
+    return (
+        <div className="space-y-6">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {summary.map(([label, value]) => (
+                    <div key={label} className="bg-white rounded-lg shadow-lg w-auto border-2 p-4">
+                        <p className="text-sm text-gray-500">{label}</p>
+                        <p className="text-2xl font-bold text-midnight-blue">{value}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="bg-white rounded-lg shadow-lg w-auto border-2 p-4">
+                    <h2 className="font-semibold text-gray-700 mb-3">Projects by Status</h2>
+                    <table className="min-w-full text-sm">
+                        <thead>
+                            <tr className="text-gray-600 text-left">
+                                <th className="py-1">Status</th>
+                                <th className="py-1 text-right">Projects</th>
+                                <th className="py-1 text-right">Goal</th>
+                                <th className="py-1 text-right">Raised</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(stats.projects).map(([status, stat]) => (
+                                <tr key={status} className="border-t">
+                                    <td className="py-1 capitalize">{status}</td>
+                                    <td className="py-1 text-right">{stat.count}</td>
+                                    <td className="py-1 text-right">{formatToUSD(stat.totalFundingGoal)}</td>
+                                    <td className="py-1 text-right">{formatToUSD(stat.totalFundingRaised)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <h2 className="font-semibold text-gray-700 mt-6 mb-3">Investments by Status</h2>
+                    <table className="min-w-full text-sm">
+                        <tbody>
+                            {Object.entries(stats.investments).map(([status, stat]) => (
+                                <tr key={status} className="border-t">
+                                    <td className="py-1">
+                                        <InvestmentStatusPill status={status} />
+                                    </td>
+                                    <td className="py-1 text-right">{stat.count}</td>
+                                    <td className="py-1 text-right">{formatToUSD(stat.totalAmount)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="bg-white rounded-lg shadow-lg w-auto border-2 p-4">
+                    <h2 className="font-semibold text-gray-700 mb-3">Sign-ups by Month</h2>
+                    <div className="flex items-end gap-2 h-48">
+                        {stats.users.map((count, index) => (
+                            <div key={MONTHS[index]} className="flex-1 flex flex-col items-center justify-end h-full">
+                                <span className="text-xs text-gray-500">{count || ""}</span>
+                                <div
+                                    className="w-full bg-midnight-blue rounded-t"
+                                    style={{ height: `${(count / busiestMonth) * 100}%` }}
+                                />
+                                <span className="text-xs text-gray-500 mt-1">{MONTHS[index]}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-lg w-auto border-2 p-4">
+                <h2 className="font-semibold text-gray-700 mb-3">Recent Investments</h2>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                        <thead>
+                            <tr className="text-gray-600 text-left">
+                                <th className="py-1">Date</th>
+                                <th className="py-1">Investor</th>
+                                <th className="py-1">Project</th>
+                                <th className="py-1 text-right">Amount</th>
+                                <th className="py-1 text-right">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {stats.recentActivity.map((investment) => (
+                                <tr key={investment._id} className="border-t">
+                                    <td className="py-1">{new Date(investment.createdAt).toLocaleDateString()}</td>
+                                    <td className="py-1">
+                                        {investment.investor
+                                            ? `${investment.investor.firstName} ${investment.investor.lastName}`
+                                            : "Deleted user"}
+                                    </td>
+                                    <td className="py-1">{investment.project?.title}</td>
+                                    <td className="py-1 text-right">{formatToUSD(investment.amount)}</td>
+                                    <td className="py-1 text-right">
+                                        <InvestmentStatusPill status={investment.status} />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminDashboard;
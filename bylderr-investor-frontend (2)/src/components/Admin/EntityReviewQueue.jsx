@@ -0,0 +1,190 @@
+import { useState, useEffect } from "react";
+import { fetchEntityQueue, reviewEntity, downloadEntityDocument } from "../../api/entityApi";
+import { entityQueueMockData } from "../../mockData/entityMockData";
+import { ENTITY_TYPES } from "../../utils/entityAccounts";
+import formatToUSD from "../../utils/formatToUSD";
+import ReasonModal from "./ReasonModal";
+import PrivateFileLink from "../PrivateFileLink";
+
+// Entities that signed up as accredited have that claim decided when they are verified
+const claimsAccreditation = (entity) => entity.investorProfile?.accreditedStatus === "pending";
+
+/**
+ * EntityReviewQueue Component
+ * Entity accounts waiting for verification, oldest first. Verified entities can invest;
+ * rejecting sends the entity's managers the reason.
+ */
+const EntityReviewQueue = () => {
+    const [queue, setQueue] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [savingId, setSavingId] = useState(null);
+    const [rejecting, setRejecting] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadQueue = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                setQueue(isMockMode ? entityQueueMockData : await fetchEntityQueue());
+            } catch (err) {
+                console.error("Error fetching entity queue:", err.message);
+                setError("Failed to load the entity queue. Using mock data.");
+                setQueue(entityQueueMockData);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadQueue();
+    }, [isMockMode]);
+
+    const handleReview = async (entity, status, reason, accredited) => {
+        setSavingId(entity._id);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await reviewEntity(entity._id, { status, reason, accredited });
+            }
+            setSuccess(
+                status === "verified"
+                    ? `${entity.name} is verified${accredited ? " as accredited for 90 days" : ""} and can now invest.`
+                    : `${entity.name} was rejected and its managers have been told why.`
+            );
+            setQueue((prev) => prev.filter((item) => item._id !== entity._id));
+            return true;
+        } catch (err) {
+            console.error("Error reviewing entity:", err.message);
+            setError(err.response?.data?.error || "Failed to save the decision. Please try again.");
+            return false;
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {queue.length === 0 ? (
+                <p className="text-gray-500">No entity accounts are waiting for review.</p>
+            ) : (
+                queue.map((entity) => (
+                    <div key={entity._id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <h2 className="text-lg font-semibold text-gray-800">{entity.name}</h2>
+                                <p className="text-sm text-gray-500">
+                                    Opened by {entity.createdBy.firstName} {entity.createdBy.lastName} ({entity.createdBy.email})
+                                    {" "}• {new Date(entity.createdAt).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <span className="px-2 py-1 rounded-md text-xs font-semibold bg-yellow-100 text-yellow-700">
+                                {ENTITY_TYPES[entity.type]?.label}
+                            </span>
+                        </div>
+                        <p className="text-gray-700">
+                            {entity.type === "ira"
+                                ? `Custodian ${entity.custodian?.name}${entity.custodian?.accountLast4 ? `, account ending ${entity.custodian.accountLast4}` : ""}`
+                                : `EIN ending ${entity.taxIdLast4}${entity.formationState ? `, formed in ${entity.formationState}` : ""}`}
+                        </p>
+                        <ul className="text-sm space-y-1">
+                            {entity.documents.map((doc) => (
+                                <li key={doc._id}>
+                                    {ENTITY_TYPES[entity.type]?.documents[doc.kind]}:{" "}
+                                    <PrivateFileLink
+                                        name={doc.name}
+                                        download={() => downloadEntityDocument(entity._id, doc._id)}
+                                    />
+                                </li>
+                            ))}
+                        </ul>
+                        <div>
+                            <p className="text-sm font-medium text-gray-700">Beneficial Owners</p>
+                            <ul className="text-sm text-gray-600 list-disc ml-5">
+                                {entity.beneficialOwners.map((owner) => (
+                                    <li key={owner._id}>
+                                        {owner.name}
+                                        {owner.title && `, ${owner.title}`} • {owner.ownership}%
+                                        {owner.controlPerson && " • Control person"}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                        {claimsAccreditation(entity) && (
+                            <p className="text-sm text-gray-700">
+                                Signed up as an accredited investor • Revenue of{" "}
+                                {formatToUSD(entity.investorProfile.annualIncome || 0)} • Net assets of{" "}
+                                {formatToUSD(entity.investorProfile.netWorth || 0)}
+                            </p>
+                        )}
+                        <div className="flex justify-end gap-2">
+                            <button
+                                onClick={() => setRejecting(entity)}
+                                disabled={savingId === entity._id}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                            >
+                                Reject
+                            </button>
+                            {claimsAccreditation(entity) ? (
+                                <>
+                                    <button
+                                        onClick={() => handleReview(entity, "verified", undefined, false)}
+                                        disabled={savingId === entity._id}
+                                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                    >
+                                        Verify, Not Accredited
+                                    </button>
+                                    <button
+                                        onClick={() => handleReview(entity, "verified", undefined, true)}
+                                        disabled={savingId === entity._id}
+                                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                    >
+                                        {savingId === entity._id ? "Saving..." : "Verify as Accredited"}
+                                    </button>
+                                </>
+                            ) : (
+                                <button
+                                    onClick={() => handleReview(entity, "verified")}
+                                    disabled={savingId === entity._id}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                >
+                                    {savingId === entity._id ? "Saving..." : "Verify"}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))
+            )}
+
+            {rejecting && (
+                <ReasonModal
+                    title="Reject Entity"
+                    description="The entity's managers are emailed this reason, e.g. the operating agreement is unsigned or an owner is missing."
+                    confirmLabel="Reject"
+                    onConfirm={(reason) => handleReview(rejecting, "rejected", reason)}
+                    onClose={() => setRejecting(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default EntityReviewQueue;
@@ -0,0 +1,187 @@
+import { useState, useEffect } from "react";
+import { fetchAllInvestments, adjustInvestment } from "../../api/adminApi";
+import { adminInvestmentsMockData } from "../../mockData/adminMockData";
+import formatToUSD from "../../utils/formatToUSD";
+import InvestmentStatusPill from "./InvestmentStatusPill";
+import { INVESTMENT_STATUSES } from "../../utils/investmentStatuses";
+import AdjustInvestmentModal from "./AdjustInvestmentModal";
+
+/**
+ * InvestmentAdjustments Component
+ * Every investment on the platform, newest first and filterable by status, with the
+ * option to correct one. Corrections recalculate the project's raise.
+ */
+const InvestmentAdjustments = () => {
+    const [status, setStatus] = useState("");
+    const [page, setPage] = useState(1);
+    const [investments, setInvestments] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [adjusting, setAdjusting] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const mockInvestments = () =>
+            adminInvestmentsMockData.filter((investment) => !status || investment.status === status);
+
+        const loadInvestments = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setInvestments(mockInvestments());
+                setPagination({});
+                setIsLoading(false);
+                return;
+            }
+            try {
+                const response = await fetchAllInvestments({ status, page });
+                setInvestments(response.data);
+                setPagination(response.pagination);
+            } catch (err) {
+                console.error("Error fetching investments:", err.message);
+                setError("Failed to load investments. Showing sample data.");
+                setInvestments(mockInvestments());
+                setPagination({});
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadInvestments();
+    }, [status, page, isMockMode]);
+
+    const handleSave = async (changes) => {
+        setSuccess(null);
+        const { reason, ...fields } = changes;
+        const updated = isMockMode ? { ...adjusting, ...fields } : await adjustInvestment(adjusting._id, changes);
+        // Keep the populated investor and project from the list
+        setInvestments((prev) =>
+            prev.map((investment) =>
+                investment._id === adjusting._id ? { ...investment, ...updated, project: investment.project } : investment
+            )
+        );
+        setSuccess(`Investment adjusted. The investor was notified: "${reason}"`);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center gap-2">
+                <label htmlFor="investmentStatusFilter" className="text-sm font-medium text-gray-700">
+                    Status
+                </label>
+                <select
+                    id="investmentStatusFilter"
+                    value={status}
+                    onChange={(e) => {
+                        setStatus(e.target.value);
+                        setPage(1);
+                    }}
+                    className="border rounded-md shadow-sm px-3 py-2 capitalize focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    <option value="">All</option>
+                    {INVESTMENT_STATUSES.map((value) => (
+                        <option key={value} value={value}>
+                            {value}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {isLoading ? (
+                <div>Loading data...</div>
+            ) : investments.length === 0 ? (
+                <p className="text-gray-500">No investments found.</p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-4 py-2 border-b text-left">Date</th>
+                                    <th className="px-4 py-2 border-b text-left">Investor</th>
+                                    <th className="px-4 py-2 border-b text-left">Project</th>
+                                    <th className="px-4 py-2 border-b text-center">Blocks</th>
+                                    <th className="px-4 py-2 border-b text-center">Amount</th>
+                                    <th className="px-4 py-2 border-b text-center">Status</th>
+                                    <th className="px-4 py-2 border-b text-center"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {investments.map((investment, index) => (
+                                    <tr
+                                        key={investment._id}
+                                        className={index % 2 === 0 ? "bg-gray-100 hover:bg-neutral-200" : "bg-white hover:bg-neutral-200"}
+                                    >
+                                        <td className="px-4 py-2 text-left text-sm">
+                                            {new Date(investment.createdAt).toLocaleDateString()}
+                                        </td>
+                                        <td className="px-4 py-2 text-left">
+                                            <p>
+                                                {investment.investor?.firstName} {investment.investor?.lastName}
+                                            </p>
+                                            <p className="text-sm text-gray-500">{investment.investor?.email}</p>
+                                        </td>
+                                        <td className="px-4 py-2 text-left">{investment.project?.title}</td>
+                                        <td className="px-4 py-2 text-center">{investment.shares}</td>
+                                        <td className="px-4 py-2 text-center">{formatToUSD(investment.amount)}</td>
+                                        <td className="px-4 py-2 text-center">
+                                            <InvestmentStatusPill status={investment.status} />
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            <button
+                                                onClick={() => setAdjusting(investment)}
+                                                className="text-midnight-blue hover:underline text-sm"
+                                            >
+                                                Adjust
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-between">
+                        <button
+                            onClick={() => setPage(pagination.prev.page)}
+                            disabled={!pagination.prev}
+                            className="text-midnight-blue hover:underline disabled:text-gray-400 disabled:no-underline"
+                        >
+                            Previous
+                        </button>
+                        <button
+                            onClick={() => setPage(pagination.next.page)}
+                            disabled={!pagination.next}
+                            className="text-midnight-blue hover:underline disabled:text-gray-400 disabled:no-underline"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {adjusting && (
+                <AdjustInvestmentModal
+                    investment={adjusting}
+                    onSave={handleSave}
+                    onClose={() => setAdjusting(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default InvestmentAdjustments;
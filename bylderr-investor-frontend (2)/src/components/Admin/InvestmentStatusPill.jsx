@@ -0,0 +1,16 @@
+const STATUS_STYLES = {
+    completed: "bg-green-100 text-green-700",
+    pending: "bg-yellow-100 text-yellow-700",
+    waitlisted: "bg-blue-100 text-blue-700",
+    cancelled: "bg-gray-200 text-gray-600",
+    refunded: "bg-red-100 text-red-700",
+};
+
+// An investment's status as a colored pill
+const InvestmentStatusPill = ({ status }) => (
+    <span className={`px-2 py-1 rounded-md text-xs font-semibold capitalize ${STATUS_STYLES[status] || STATUS_STYLES.cancelled}`}>
+        {status}
+    </span>
+);
+
+export default InvestmentStatusPill;
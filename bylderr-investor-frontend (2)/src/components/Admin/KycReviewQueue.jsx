@@ -0,0 +1,253 @@
+import { useState, useEffect } from "react";
+import { fetchKycQueue, reviewKycDocument, reviewKyc } from "../../api/adminApi";
+import { kycQueueMockData } from "../../mockData/adminMockData";
+import ReasonModal from "./ReasonModal";
+
+const DOCUMENT_STYLES = {
+    verified: "bg-green-100 text-green-700",
+    rejected: "bg-red-100 text-red-700",
+    pending: "bg-yellow-100 text-yellow-700",
+};
+
+// Scans and photos preview inline; PDFs and office files only open in a new tab
+const isImage = (url = "") => !/\.(pdf|docx?|xlsx?|csv)$/i.test(url);
+
+/**
+ * KycReviewQueue Component
+ * Investors waiting for identity review. Admins check each uploaded document, then
+ * approve the investor once every document is verified or reject them with a reason
+ * the investor is sent.
+ */
+const KycReviewQueue = () => {
+    const [queue, setQueue] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    // What the reason modal is rejecting: { documentId } for one document, {} for the whole KYC
+    const [rejecting, setRejecting] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadQueue = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                const data = isMockMode ? kycQueueMockData : await fetchKycQueue();
+                setQueue(data);
+                setSelectedId(data[0]?._id ?? null);
+            } catch (err) {
+                console.error("Error fetching KYC queue:", err.message);
+                setError("Failed to load the KYC queue. Using mock data.");
+                setQueue(kycQueueMockData);
+                setSelectedId(kycQueueMockData[0]?._id ?? null);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadQueue();
+    }, [isMockMode]);
+
+    const selected = queue.find((user) => user._id === selectedId);
+
+    const handleDocument = async (documentId, status, reason) => {
+        setError(null);
+        setSuccess(null);
+        try {
+            const updated = isMockMode
+                ? {
+                    ...selected,
+                    investorProfile: {
+                        ...selected.investorProfile,
+                        kycDocuments: selected.investorProfile.kycDocuments.map((doc) =>
+                            doc._id === documentId ? { ...doc, verificationStatus: status, rejectionReason: reason } : doc
+                        ),
+                    },
+                }
+                : await reviewKycDocument(selected._id, documentId, { status, reason });
+            setQueue((prev) => prev.map((user) => (user._id === updated._id ? updated : user)));
+            return true;
+        } catch (err) {
+            console.error("Error reviewing KYC document:", err.message);
+            setError("Failed to update the document. Please try again.");
+            return false;
+        }
+    };
+
+    const handleDecision = async (status, reason) => {
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await reviewKyc(selected._id, { status, reason });
+            }
+            const name = `${selected.firstName} ${selected.lastName}`;
+            setSuccess(status === "verified" ? `${name} is verified.` : `${name}'s KYC was rejected and they have been told why.`);
+            const remaining = queue.filter((user) => user._id !== selected._id);
+            setQueue(remaining);
+            setSelectedId(remaining[0]?._id ?? null);
+            return true;
+        } catch (err) {
+            console.error("Error reviewing KYC:", err.message);
+            setError(err.response?.data?.error || "Failed to save the decision. Please try again.");
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    const documents = selected?.investorProfile.kycDocuments || [];
+    const allVerified = documents.length > 0 && documents.every((doc) => doc.verificationStatus === "verified");
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {queue.length === 0 ? (
+                <p className="text-gray-500">No investors are waiting for KYC review.</p>
+            ) : (
+                <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 flex flex-col md:flex-row">
+                    <ul className="md:w-1/3 divide-y divide-gray-200 border-b md:border-b-0 md:border-r border-gray-300">
+                        {queue.map((user) => (
+                            <li key={user._id}>
+                                <button
+                                    onClick={() => setSelectedId(user._id)}
+                                    className={`w-full text-left px-4 py-3 ${user._id === selectedId ? "bg-glitter" : "hover:bg-gray-100"}`}
+                                >
+                                    <p className="font-semibold text-gray-800">
+                                        {user.firstName} {user.lastName}
+                                    </p>
+                                    <p className="text-sm text-gray-500">{user.email}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {user.investorProfile.kycDocuments.length} documents
+                                    </p>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {selected && (
+                        <div className="md:w-2/3 p-6 space-y-4">
+                            <div>
+                                <h2 className="text-xl font-semibold text-gray-800">
+                                    {selected.firstName} {selected.lastName}
+                                </h2>
+                                <p className="text-sm text-gray-500">
+                                    {selected.email}
+                                    {selected.phone && ` • ${selected.phone}`} • Joined{" "}
+                                    {new Date(selected.createdAt).toLocaleDateString()} • Accreditation:{" "}
+                                    {selected.investorProfile.accreditedStatus}
+                                </p>
+                            </div>
+
+                            {documents.map((doc) => (
+                                <div key={doc._id} className="border border-gray-300 rounded-lg p-4 space-y-2">
+                                    <div className="flex justify-between items-center">
+                                        <div>
+                                            <p className="font-semibold text-gray-700">{doc.documentType}</p>
+                                            <p className="text-xs text-gray-500">
+                                                Uploaded {new Date(doc.uploadDate).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                        <span
+                                            className={`px-2 py-1 rounded-md text-xs font-semibold capitalize ${DOCUMENT_STYLES[doc.verificationStatus]}`}
+                                        >
+                                            {doc.verificationStatus}
+                                        </span>
+                                    </div>
+                                    {isImage(doc.documentUrl) && (
+                                        <img src={doc.documentUrl} alt={doc.documentType} className="rounded-md max-h-64" />
+                                    )}
+                                    {doc.rejectionReason && (
+                                        <p className="text-sm text-red-600">Rejected: {doc.rejectionReason}</p>
+                                    )}
+                                    <div className="flex gap-4 text-sm">
+                                        <a
+                                            href={doc.documentUrl}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-midnight-blue underline"
+                                        >
+                                            Open Document
+                                        </a>
+                                        {doc.verificationStatus !== "verified" && (
+                                            <button
+                                                onClick={() => handleDocument(doc._id, "verified")}
+                                                className="text-green-600 hover:underline"
+                                            >
+                                                Verify
+                                            </button>
+                                        )}
+                                        {doc.verificationStatus !== "rejected" && (
+                                            <button
+                                                onClick={() => setRejecting({ documentId: doc._id })}
+                                                className="text-red-500 hover:underline"
+                                            >
+                                                Reject
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+
+                            <div className="flex justify-end gap-2 pt-2">
+                                <button
+                                    onClick={() => setRejecting({})}
+                                    disabled={isSaving}
+                                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                >
+                                    Reject KYC
+                                </button>
+                                <button
+                                    onClick={() => handleDecision("verified")}
+                                    disabled={isSaving || !allVerified}
+                                    title={allVerified ? "" : "Verify every document first"}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400"
+                                >
+                                    {isSaving ? "Saving..." : "Approve KYC"}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {rejecting && (
+                <ReasonModal
+                    title={rejecting.documentId ? "Reject Document" : "Reject KYC"}
+                    description={
+                        rejecting.documentId
+                            ? "Say what is wrong with this document, e.g. it is expired or unreadable."
+                            : "The investor is emailed this reason and asked to upload new documents."
+                    }
+                    confirmLabel="Reject"
+                    onConfirm={(reason) =>
+                        rejecting.documentId
+                            ? handleDocument(rejecting.documentId, "rejected", reason)
+                            : handleDecision("rejected", reason)
+                    }
+                    onClose={() => setRejecting(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default KycReviewQueue;
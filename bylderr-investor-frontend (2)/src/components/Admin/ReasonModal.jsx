@@ -0,0 +1,68 @@
+import { useState } from "react";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+
+/**
+ * ReasonModal Component
+ * Asks an admin why before a rejection or suspension. `onConfirm(reason)` resolves to
+ * true when the action went through, which closes the modal.
+ */
+const ReasonModal = ({ title, description, confirmLabel, onConfirm, onClose }) => {
+    const [reason, setReason] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleConfirm = async () => {
+        setIsSaving(true);
+        const done = await onConfirm(reason.trim());
+        setIsSaving(false);
+        if (done) onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="bg-white rounded-lg shadow-lg max-w-lg w-full">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                    <h3 className="text-xl font-semibold text-gray-800">{title}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+                <div className="p-6 space-y-2">
+                    <p className="text-sm text-gray-600">{description}</p>
+                    <label htmlFor="adminReason" className="block text-sm font-medium text-gray-700">
+                        Reason
+                    </label>
+                    <textarea
+                        id="adminReason"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={3}
+                        className="w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                </div>
+                <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                        disabled={isSaving}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        disabled={isSaving || !reason.trim()}
+                        className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md disabled:bg-gray-400 flex items-center justify-center"
+                    >
+                        {isSaving && (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        )}
+                        {isSaving ? "Saving..." : confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReasonModal;
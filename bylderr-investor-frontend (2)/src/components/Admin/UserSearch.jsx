@@ -0,0 +1,268 @@
+import { useState, useEffect } from "react";
+import { searchUsers, suspendUser, reactivateUser } from "../../api/adminApi";
+import { adminUsersMockData } from "../../mockData/adminMockData";
+import ReasonModal from "./ReasonModal";
+
+const selectClassName =
+    "border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// The API calls developers "manager"
+const ROLE_LABELS = { investor: "Investor", manager: "Developer", admin: "Admin" };
+
+// Mock mode applies the same filters as GET /admin/users
+const filterMockUsers = ({ search, role, status }) => {
+    const term = search.trim().toLowerCase();
+    return adminUsersMockData.filter(
+        (user) =>
+            (!term || `${user.firstName} ${user.lastName} ${user.email}`.toLowerCase().includes(term)) &&
+            (!role || user.role === role) &&
+            (!status || (status === "suspended") === (user.active === false))
+    );
+};
+
+/**
+ * UserSearch Component
+ * Finds users by name or email and filters them by role and status. Suspending a user
+ * signs them out and blocks sign-in until an admin reactivates them.
+ */
+const UserSearch = () => {
+    const [filters, setFilters] = useState({ search: "", role: "", status: "" });
+    const [query, setQuery] = useState({ search: "", role: "", status: "", page: 1 });
+    const [users, setUsers] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(true);
+    const [suspending, setSuspending] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadUsers = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                const data = filterMockUsers(query);
+                setUsers(data);
+                setTotal(data.length);
+                setPagination({});
+                setIsLoading(false);
+                return;
+            }
+            try {
+                const response = await searchUsers(query);
+                setUsers(response.data);
+                setTotal(response.total);
+                setPagination(response.pagination);
+            } catch (err) {
+                console.error("Error searching users:", err.message);
+                setError("Failed to search users. Showing sample data.");
+                setUsers(filterMockUsers(query));
+                setPagination({});
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadUsers();
+    }, [query, isMockMode]);
+
+    const replaceUser = (updated) =>
+        setUsers((prev) => prev.map((user) => (user._id === updated._id ? { ...user, ...updated } : user)));
+
+    const handleSuspend = async (reason) => {
+        setError(null);
+        setSuccess(null);
+        try {
+            const updated = isMockMode
+                ? { ...suspending, active: false, suspendedAt: new Date().toISOString(), suspensionReason: reason }
+                : await suspendUser(suspending._id, reason);
+            replaceUser(updated);
+            setSuccess(`${suspending.firstName} ${suspending.lastName} is suspended.`);
+            return true;
+        } catch (err) {
+            console.error("Error suspending user:", err.message);
+            setError(err.response?.data?.error || "Failed to suspend the user. Please try again.");
+            return false;
+        }
+    };
+
+    const handleReactivate = async (user) => {
+        setError(null);
+        setSuccess(null);
+        try {
+            const updated = isMockMode
+                ? { ...user, active: true, suspendedAt: undefined, suspensionReason: undefined }
+                : await reactivateUser(user._id);
+            replaceUser(updated);
+            setSuccess(`${user.firstName} ${user.lastName} is active again.`);
+        } catch (err) {
+            console.error("Error reactivating user:", err.message);
+            setError("Failed to reactivate the user. Please try again.");
+        }
+    };
+
+    const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }));
+
+    return (
+        <div className="space-y-4">
+            <form
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    setQuery({ ...filters, page: 1 });
+                }}
+                className="flex flex-wrap gap-2"
+            >
+                <input
+                    type="search"
+                    value={filters.search}
+                    onChange={(e) => updateFilter("search", e.target.value)}
+                    placeholder="Search by name or email"
+                    aria-label="Search users"
+                    className={`${selectClassName} flex-1 min-w-[16rem]`}
+                />
+                <select
+                    value={filters.role}
+                    onChange={(e) => updateFilter("role", e.target.value)}
+                    aria-label="Role"
+                    className={selectClassName}
+                >
+                    <option value="">All roles</option>
+                    {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>
+                            {label}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    value={filters.status}
+                    onChange={(e) => updateFilter("status", e.target.value)}
+                    aria-label="Status"
+                    className={selectClassName}
+                >
+                    <option value="">All statuses</option>
+                    <option value="active">Active</option>
+                    <option value="suspended">Suspended</option>
+                </select>
+                <button type="submit" className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md">
+                    Search
+                </button>
+            </form>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {isLoading ? (
+                <div>Loading data...</div>
+            ) : users.length === 0 ? (
+                <p className="text-gray-500">No users match your search.</p>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-500">{total} users</p>
+                    <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-4 py-2 border-b text-left">User</th>
+                                    <th className="px-4 py-2 border-b text-center">Role</th>
+                                    <th className="px-4 py-2 border-b text-center">KYC</th>
+                                    <th className="px-4 py-2 border-b text-center">Last Sign-in</th>
+                                    <th className="px-4 py-2 border-b text-center">Status</th>
+                                    <th className="px-4 py-2 border-b text-center"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {users.map((user, index) => (
+                                    <tr
+                                        key={user._id}
+                                        className={index % 2 === 0 ? "bg-gray-100 hover:bg-neutral-200" : "bg-white hover:bg-neutral-200"}
+                                    >
+                                        <td className="px-4 py-2 text-left">
+                                            <p className="font-semibold">
+                                                {user.firstName} {user.lastName}
+                                            </p>
+                                            <p className="text-sm text-gray-500">{user.email}</p>
+                                        </td>
+                                        <td className="px-4 py-2 text-center">{ROLE_LABELS[user.role] || user.role}</td>
+                                        <td className="px-4 py-2 text-center capitalize">{user.investorProfile?.kycStatus}</td>
+                                        <td className="px-4 py-2 text-center text-sm">
+                                            {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : "Never"}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            {user.active === false ? (
+                                                <span
+                                                    title={user.suspensionReason}
+                                                    className="px-2 py-1 rounded-md text-xs font-semibold bg-red-100 text-red-700"
+                                                >
+                                                    Suspended
+                                                </span>
+                                            ) : (
+                                                <span className="px-2 py-1 rounded-md text-xs font-semibold bg-green-100 text-green-700">
+                                                    Active
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            {user.role === "admin" ? null : user.active === false ? (
+                                                <button
+                                                    onClick={() => handleReactivate(user)}
+                                                    className="text-midnight-blue hover:underline text-sm"
+                                                >
+                                                    Reactivate
+                                                </button>
+                                            ) : (
+                                                <button
+                                                    onClick={() => setSuspending(user)}
+                                                    className="text-red-500 hover:underline text-sm"
+                                                >
+                                                    Suspend
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-between">
+                        <button
+                            onClick={() => setQuery((prev) => ({ ...prev, page: pagination.prev.page }))}
+                            disabled={!pagination.prev}
+                            className="text-midnight-blue hover:underline disabled:text-gray-400 disabled:no-underline"
+                        >
+                            Previous
+                        </button>
+                        <button
+                            onClick={() => setQuery((prev) => ({ ...prev, page: pagination.next.page }))}
+                            disabled={!pagination.next}
+                            className="text-midnight-blue hover:underline disabled:text-gray-400 disabled:no-underline"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {suspending && (
+                <ReasonModal
+                    title={`Suspend ${suspending.firstName} ${suspending.lastName}`}
+                    description="They are signed out and can not sign in until the suspension is lifted. The reason is kept for other admins."
+                    confirmLabel="Suspend"
+                    onConfirm={handleSuspend}
+                    onClose={() => setSuspending(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default UserSearch;
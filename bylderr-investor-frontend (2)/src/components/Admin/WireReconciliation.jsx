@@ -0,0 +1,275 @@
+import { useState, useEffect } from "react";
+import {
+    fetchWireQueue,
+    importStatement,
+    matchStatementLine,
+    ignoreStatementLine,
+} from "../../api/adminApi";
+import { wireQueueMockData, statementImportMockData } from "../../mockData/adminMockData";
+import formatToUSD from "../../utils/formatToUSD";
+
+const selectClassName =
+    "border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+const STATEMENT_FORMATS = { csv: "CSV", bai2: "BAI2" };
+
+// The account a wire is credited to
+const accountName = (wire) => wire.entity?.name || `${wire.user.firstName} ${wire.user.lastName}`;
+
+// Pending wires most likely to be this line: same reference first, then same amount
+const candidatesFor = (line, wires) => {
+    const score = (wire) => (wire.reference === line.reference ? 2 : 0) + (wire.amount === line.amount ? 1 : 0);
+    return [...wires].sort((a, b) => score(b) - score(a));
+};
+
+// GET /admin/wires, falling back to the mock data
+const loadWireQueue = async (setError) => {
+    if (import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock") {
+        return wireQueueMockData;
+    }
+    try {
+        return await fetchWireQueue();
+    } catch (err) {
+        console.error("Error fetching wire queue:", err.message);
+        setError("Failed to load the wire queue. Using mock data.");
+        return wireQueueMockData;
+    }
+};
+
+/**
+ * WireReconciliation Component
+ * Imports the platform bank's statements and matches incoming wires to the wires investors
+ * reported sending. Matches on reference and amount happen on import; the rest are matched
+ * or set aside here, and matching credits the amount on the statement to the account.
+ */
+const WireReconciliation = () => {
+    const [wires, setWires] = useState([]);
+    const [lines, setLines] = useState([]);
+    const [selected, setSelected] = useState({});
+    const [format, setFormat] = useState("csv");
+    const [file, setFile] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isImporting, setIsImporting] = useState(false);
+    const [savingId, setSavingId] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadQueue = async () => {
+            const queue = await loadWireQueue(setError);
+            setWires(queue.wires);
+            setLines(queue.lines);
+            setIsLoading(false);
+        };
+
+        loadQueue();
+    }, []);
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            const result = isMockMode
+                ? statementImportMockData
+                : await importStatement({ format, fileName: file.name, content: await file.text() });
+            setSuccess(
+                `${file.name}: ${result.imported} new line${result.imported === 1 ? "" : "s"}, ${result.matched} matched and credited, ${result.unmatched} left to review${result.duplicates ? `, ${result.duplicates} already imported` : ""}.`
+            );
+            setFile(null);
+            if (!isMockMode) {
+                const queue = await loadWireQueue(setError);
+                setWires(queue.wires);
+                setLines(queue.lines);
+            }
+        } catch (err) {
+            console.error("Error importing statement:", err.message);
+            setError(err.response?.data?.error || "Failed to import the statement. Please try again.");
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    // Matching or ignoring takes the line off the queue; matching takes its wire too
+    const review = async (line, request, wire) => {
+        setSavingId(line._id);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await request();
+            }
+            setSuccess(
+                wire
+                    ? `${formatToUSD(line.amount)} was credited to ${accountName(wire)} and they have been notified.`
+                    : `The ${formatToUSD(line.amount)} line was set aside.`
+            );
+            setLines((prev) => prev.filter((item) => item._id !== line._id));
+            if (wire) setWires((prev) => prev.filter((item) => item._id !== wire._id));
+        } catch (err) {
+            console.error("Error reconciling statement line:", err.message);
+            setError(err.response?.data?.error || "Failed to save. Please try again.");
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="space-y-6">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-800">Import Bank Statement</h2>
+                <div className="flex flex-col md:flex-row gap-4 md:items-center">
+                    <select
+                        aria-label="Statement format"
+                        value={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                        className={selectClassName}
+                    >
+                        {Object.entries(STATEMENT_FORMATS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                    <input
+                        type="file"
+                        accept=".csv,.txt,.bai,.bai2"
+                        key={file ? "selected" : "empty"}
+                        onChange={(e) => setFile(e.target.files[0] || null)}
+                        className="text-sm flex-1"
+                    />
+                    <button
+                        onClick={handleImport}
+                        disabled={!file || isImporting}
+                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400"
+                    >
+                        {isImporting ? "Importing..." : "Import"}
+                    </button>
+                </div>
+                <p className="text-sm text-gray-500">
+                    Only credits are imported, and lines already imported are skipped. CSV files need a header row
+                    with date and amount columns.
+                </p>
+            </div>
+
+            <div className="space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">Unmatched Statement Lines</h2>
+                {lines.length === 0 ? (
+                    <p className="text-gray-500">Every imported line has been reconciled.</p>
+                ) : (
+                    lines.map((line) => {
+                        const candidates = candidatesFor(line, wires);
+                        const suggested = candidates.find((wire) => wire.reference === line.reference || wire.amount === line.amount);
+                        const depositId = selected[line._id] ?? suggested?._id ?? "";
+                        const wire = wires.find((item) => item._id === depositId);
+                        return (
+                            <div key={line._id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                                <div className="flex justify-between items-start">
+                                    <div>
+                                        <p className="text-lg font-semibold text-gray-800">{formatToUSD(line.amount)}</p>
+                                        <p className="text-sm text-gray-500">
+                                            {new Date(line.date).toLocaleDateString()} • Bank reference {line.bankReference}
+                                        </p>
+                                    </div>
+                                    <span
+                                        className={`px-2 py-1 rounded-md text-xs font-semibold ${line.reference ? "bg-green-100 text-green-700" : "bg-yellow-100 text-yellow-700"}`}
+                                    >
+                                        {line.reference || "No reference"}
+                                    </span>
+                                </div>
+                                <p className="text-gray-700 font-mono text-sm">{line.description}</p>
+                                <div className="flex flex-col md:flex-row gap-2">
+                                    <select
+                                        aria-label="Pending wire"
+                                        value={depositId}
+                                        onChange={(e) => setSelected((prev) => ({ ...prev, [line._id]: e.target.value }))}
+                                        className={`${selectClassName} flex-1`}
+                                    >
+                                        <option value="">Choose a pending wire</option>
+                                        {candidates.map((item) => (
+                                            <option key={item._id} value={item._id}>
+                                                {accountName(item)} • {formatToUSD(item.amount)} • {item.reference}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={() => review(line, () => ignoreStatementLine(line._id))}
+                                        disabled={savingId === line._id}
+                                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                    >
+                                        Ignore
+                                    </button>
+                                    <button
+                                        onClick={() => review(line, () => matchStatementLine(line._id, depositId), wire)}
+                                        disabled={!wire || savingId === line._id}
+                                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400"
+                                    >
+                                        {savingId === line._id ? "Saving..." : "Match & Credit"}
+                                    </button>
+                                </div>
+                                {wire && wire.amount !== line.amount && (
+                                    <p className="text-sm text-yellow-700">
+                                        The investor reported {formatToUSD(wire.amount)}; matching credits the{" "}
+                                        {formatToUSD(line.amount)} that arrived.
+                                    </p>
+                                )}
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-800">Pending Wires</h2>
+                {wires.length === 0 ? (
+                    <p className="text-gray-500">No wires are waiting to arrive.</p>
+                ) : (
+                    <table className="min-w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                                <th className="py-2">Account</th>
+                                <th className="py-2">Reported</th>
+                                <th className="py-2">Amount</th>
+                                <th className="py-2">From</th>
+                                <th className="py-2">Reference</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y">
+                            {wires.map((item) => (
+                                <tr key={item._id}>
+                                    <td className="py-2 text-gray-700">
+                                        {accountName(item)}
+                                        <span className="block text-xs text-gray-500">{item.user.email}</span>
+                                    </td>
+                                    <td className="py-2 text-gray-700">{new Date(item.createdAt).toLocaleDateString()}</td>
+                                    <td className="py-2 text-gray-700">{formatToUSD(item.amount)}</td>
+                                    <td className="py-2 text-gray-700">{item.source}</td>
+                                    <td className="py-2 text-gray-700 font-mono">{item.reference}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WireReconciliation;
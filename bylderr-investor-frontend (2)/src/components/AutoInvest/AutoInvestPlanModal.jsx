@@ -0,0 +1,262 @@
+import { useState } from "react";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import formatToUSD from "../../utils/formatToUSD";
+import PropertyTypeDropdown from "../ListingsComponents/PropertyTypeDropdown";
+import SchedulePreview from "./SchedulePreview";
+import { FREQUENCIES } from "../../utils/scheduleFrequencies";
+import { toISODate } from "../../utils/autoInvest";
+
+const selectClassName =
+    "mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+/**
+ * AutoInvestPlanModal Component
+ * Sets up a recurring investment into one property or a basket of listings picked by
+ * property type and ROI range, with a preview of the upcoming runs.
+ */
+const AutoInvestPlanModal = ({ onClose, onSave, listings, fundingSources, availableFunds }) => {
+    const [amount, setAmount] = useState("");
+    const [frequency, setFrequency] = useState(FREQUENCIES[0]);
+    const [fundingIndex, setFundingIndex] = useState(0);
+    const [targetType, setTargetType] = useState("property");
+    const [propertyId, setPropertyId] = useState(listings[0]?.propertyId ?? "");
+    const [propertyTypes, setPropertyTypes] = useState(0);
+    const [minROI, setMinROI] = useState("");
+    const [maxROI, setMaxROI] = useState("");
+    const [startDate, setStartDate] = useState(toISODate(new Date()));
+    const [error, setError] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    const fundingSource = fundingSources[fundingIndex];
+    const property = listings.find((listing) => String(listing.propertyId) === String(propertyId));
+    const target = targetType === "property"
+        ? { type: "property", propertyId, property: property?.title }
+        : {
+            type: "basket",
+            propertyTypes,
+            minROI: minROI === "" ? undefined : parseFloat(minROI),
+            maxROI: maxROI === "" ? undefined : parseFloat(maxROI),
+        };
+    const plan = { amount, frequency, startDate, target };
+
+    const amountValue = parseFloat(amount);
+    const isShortOfFunds = fundingSource?.paymentMethod === "balance" && amountValue > availableFunds;
+
+    const validate = () => {
+        if (!(amountValue > 0)) return "Please enter an amount to invest each run.";
+        if (!startDate || startDate < toISODate(new Date())) return "The start date must be today or later.";
+        if (targetType === "property") {
+            if (!property) return "Please choose a property.";
+            if (amountValue < property.investment) {
+                return `Minimum investment in ${property.title} is ${formatToUSD(property.investment)}.`;
+            }
+        }
+        if (targetType === "basket" && target.minROI > target.maxROI) {
+            return "Minimum ROI cannot be above maximum ROI.";
+        }
+        return "";
+    };
+
+    const handleSave = async () => {
+        const validationError = validate();
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        try {
+            await onSave({
+                amount: amountValue,
+                frequency,
+                startDate,
+                fundingSource,
+                target,
+            });
+            onClose();
+        } catch (err) {
+            console.error("Error creating auto-invest plan:", err.message);
+            setError("Failed to create the plan. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                    <h3 className="text-xl font-semibold text-gray-800">New Auto-Invest Plan</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+
+                <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-4">
+                        <InputBox
+                            id="autoInvestAmount"
+                            type="number"
+                            label="Amount per Run"
+                            placeholder="Enter amount"
+                            value={amount}
+                            onChange={(value) => setAmount(value)}
+                            suffix="USD"
+                            min="0"
+                        />
+                        <div>
+                            <label htmlFor="autoInvestFrequency" className="block text-sm font-medium text-gray-700">
+                                Frequency
+                            </label>
+                            <select
+                                id="autoInvestFrequency"
+                                value={frequency}
+                                onChange={(e) => setFrequency(e.target.value)}
+                                className={selectClassName}
+                            >
+                                {FREQUENCIES.map((freq) => (
+                                    <option key={freq} value={freq}>
+                                        {freq}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <InputBox
+                            id="autoInvestStartDate"
+                            type="date"
+                            label="First Run"
+                            value={startDate}
+                            onChange={(value) => setStartDate(value)}
+                            min={toISODate(new Date())}
+                        />
+                        <div>
+                            <label htmlFor="autoInvestFunding" className="block text-sm font-medium text-gray-700">
+                                Funding Source
+                            </label>
+                            <select
+                                id="autoInvestFunding"
+                                value={fundingIndex}
+                                onChange={(e) => setFundingIndex(Number(e.target.value))}
+                                className={selectClassName}
+                            >
+                                {fundingSources.map((source, index) => (
+                                    <option key={source.label} value={index}>
+                                        {source.paymentMethod === "balance"
+                                            ? `${source.label} (${formatToUSD(availableFunds)})`
+                                            : source.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <p className="block text-sm font-medium text-gray-700">Invest In</p>
+                            <div className="flex gap-2 mt-1">
+                                {[["property", "One Property"], ["basket", "Basket"]].map(([key, label]) => (
+                                    <button
+                                        key={key}
+                                        onClick={() => setTargetType(key)}
+                                        className={`px-3 py-1 text-sm ${targetType === key
+                                            ? "text-midnight-blue font-bold bg-glitter rounded-md"
+                                            : "text-gray-600 hover:text-midnight-blue"
+                                            }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        {targetType === "property" ? (
+                            <select
+                                id="autoInvestProperty"
+                                aria-label="Property"
+                                value={propertyId}
+                                onChange={(e) => setPropertyId(e.target.value)}
+                                className={selectClassName}
+                            >
+                                {listings.map((listing) => (
+                                    <option key={listing.propertyId} value={listing.propertyId}>
+                                        {listing.title} ({listing.roi}% ROI)
+                                    </option>
+                                ))}
+                            </select>
+                        ) : (
+                            <div className="space-y-2">
+                                <PropertyTypeDropdown value={propertyTypes} onChange={setPropertyTypes} />
+                                <div className="grid grid-cols-2 gap-2">
+                                    <InputBox
+                                        id="autoInvestMinROI"
+                                        type="number"
+                                        label="Min ROI"
+                                        placeholder="Any"
+                                        value={minROI}
+                                        onChange={(value) => setMinROI(value)}
+                                        suffix="%"
+                                        min="0"
+                                    />
+                                    <InputBox
+                                        id="autoInvestMaxROI"
+                                        type="number"
+                                        label="Max ROI"
+                                        placeholder="Any"
+                                        value={maxROI}
+                                        onChange={(value) => setMaxROI(value)}
+                                        suffix="%"
+                                        min="0"
+                                    />
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-gray-700 mb-2">Schedule Preview</h4>
+                        <SchedulePreview plan={plan} listings={listings} />
+                    </div>
+                </div>
+
+                <div className="px-6">
+                    {isShortOfFunds && (
+                        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                            Your available balance of {formatToUSD(availableFunds)} does not cover a run. Runs that
+                            find too little in your balance are skipped and you are notified.
+                        </div>
+                    )}
+                    {error && (
+                        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                        disabled={isSaving}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className={`px-4 py-2 rounded-md ${isSaving
+                            ? "bg-indigo-500 cursor-not-allowed"
+                            : "bg-midnight-blue hover:bg-blue-500"
+                            } text-white flex items-center justify-center`}
+                    >
+                        {isSaving ? (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        ) : null}
+                        {isSaving ? "Saving..." : "Start Plan"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AutoInvestPlanModal;
@@ -0,0 +1,361 @@
+import { useState, useEffect } from "react";
+import {
+    fetchAutoInvestPlans,
+    createAutoInvestPlan,
+    updateAutoInvestPlan,
+    skipAutoInvestRun,
+    cancelAutoInvestPlan,
+} from "../../api/autoInvestApi";
+import { fetchListings } from "../../api/listingsApi";
+import { fetchOnDemandBanks } from "../../api/paymentPayoutApi";
+import { autoInvestMockData, autoInvestFundingSourcesMockData } from "../../mockData/autoInvestMockData";
+import { listingsMockData } from "../../mockData/listingsMockData";
+import { defaultFilters, propertyTypeMap } from "../../utils/listingSearch";
+import { scheduleDates, toISODate } from "../../utils/autoInvest";
+import formatToUSD from "../../utils/formatToUSD";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import AutoInvestPlanModal from "./AutoInvestPlanModal";
+import SchedulePreview from "./SchedulePreview";
+
+const statusStyles = {
+    active: "bg-green-100 text-green-700",
+    paused: "bg-yellow-100 text-yellow-700",
+    cancelled: "bg-gray-200 text-gray-600",
+};
+
+const runLabels = {
+    completed: "Invested",
+    insufficient_funds: "Insufficient Funds",
+    failed: "Failed",
+    skipped: "Skipped",
+};
+
+const balanceSource = autoInvestFundingSourcesMockData[0];
+
+const formatDate = (date) =>
+    new Date(`${String(date).slice(0, 10)}T00:00:00`).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+
+const describeTarget = ({ type, property, propertyTypes, minROI, maxROI }) => {
+    if (type === "property") return property;
+
+    const types = Object.keys(propertyTypeMap).filter(
+        (key) => (propertyTypes & propertyTypeMap[key]) === propertyTypeMap[key]
+    );
+    const roi = minROI == null && maxROI == null
+        ? "any ROI"
+        : `${minROI ?? 0}% - ${maxROI == null ? "any" : `${maxROI}%`} ROI`;
+    return `Basket: ${types.length ? types.join(", ") : "All types"}, ${roi}`;
+};
+
+// The plan's schedule date that follows `date`
+const runAfter = (plan, date) =>
+    scheduleDates({ ...plan, nextRunDate: date }, 2).find((runDate) => toISODate(runDate) > date);
+
+/**
+ * AutoInvestPlans Component
+ * Lists the user's recurring investment plans with their schedule and run history, and
+ * lets the user create, pause, resume, skip the next run of, or cancel a plan.
+ */
+const AutoInvestPlans = () => {
+    const [plans, setPlans] = useState([]);
+    const [availableFunds, setAvailableFunds] = useState(0);
+    const [listings, setListings] = useState([]);
+    const [fundingSources, setFundingSources] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [busyPlanId, setBusyPlanId] = useState(null);
+    const [confirmCancelId, setConfirmCancelId] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const applyMockData = () => {
+            setPlans(autoInvestMockData.plans);
+            setAvailableFunds(autoInvestMockData.availableFunds);
+            setListings(listingsMockData);
+            setFundingSources(autoInvestFundingSourcesMockData);
+        };
+
+        const loadPlans = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                applyMockData();
+                setIsLoading(false);
+                return;
+            }
+            try {
+                const [planData, listingData, banks] = await Promise.all([
+                    fetchAutoInvestPlans(),
+                    fetchListings({ ...defaultFilters, sort: "roi" }, { limit: 50 }),
+                    fetchOnDemandBanks(),
+                ]);
+                setPlans(planData.plans);
+                setAvailableFunds(planData.availableFunds || 0);
+                setListings(listingData.data);
+                setFundingSources([
+                    balanceSource,
+                    ...banks.map((bank) => ({ paymentMethod: "bank_transfer", label: bank })),
+                ]);
+            } catch (err) {
+                console.error("Error fetching auto-invest plans:", err.message);
+                setError("Failed to load your auto-invest plans. Showing sample data.");
+                applyMockData();
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadPlans();
+    }, [isMockMode]);
+
+    // Runs a plan action against the server, or applies it locally in mock mode
+    const updatePlan = async (planId, request, applyLocally, message) => {
+        setBusyPlanId(planId);
+        setError(null);
+        setSuccess(null);
+        try {
+            const current = plans.find((plan) => plan.id === planId);
+            const updated = isMockMode ? applyLocally(current) : await request(planId);
+            setPlans((prev) => prev.map((plan) => (plan.id === planId ? updated : plan)));
+            setSuccess(message);
+        } catch (err) {
+            console.error("Error updating auto-invest plan:", err.message);
+            setError("Failed to update the plan. Please try again.");
+        } finally {
+            setBusyPlanId(null);
+            setConfirmCancelId(null);
+        }
+    };
+
+    const handlePauseResume = (plan) => {
+        const status = plan.status === "active" ? "paused" : "active";
+        updatePlan(
+            plan.id,
+            (planId) => updateAutoInvestPlan(planId, { status }),
+            (current) => {
+                if (status === "paused") return { ...current, status };
+                // Resuming picks up at the next scheduled date; missed runs are not made up
+                const [nextRun] = scheduleDates({ ...current, nextRunDate: toISODate(new Date()) }, 1);
+                return { ...current, status, nextRunDate: toISODate(nextRun) };
+            },
+            status === "paused" ? "Plan paused." : "Plan resumed. It runs again on its next scheduled date."
+        );
+    };
+
+    const handleSkip = (plan) => {
+        updatePlan(
+            plan.id,
+            skipAutoInvestRun,
+            (current) => ({
+                ...current,
+                nextRunDate: toISODate(runAfter(current, current.nextRunDate)),
+                runs: [...current.runs, { date: current.nextRunDate, status: "skipped", amount: 0 }],
+            }),
+            `The run on ${formatDate(plan.nextRunDate)} will be skipped.`
+        );
+    };
+
+    const handleCancel = (plan) => {
+        updatePlan(
+            plan.id,
+            cancelAutoInvestPlan,
+            (current) => ({ ...current, status: "cancelled", nextRunDate: null }),
+            "Plan cancelled. Investments it already made are not affected."
+        );
+    };
+
+    const handleCreate = async (planData) => {
+        setSuccess(null);
+        const plan = isMockMode
+            ? { ...planData, id: `plan-${Date.now()}`, status: "active", nextRunDate: planData.startDate, runs: [] }
+            : await createAutoInvestPlan(planData);
+        setPlans((prev) => [plan, ...prev]);
+        setSuccess(`Plan created. The first run is on ${formatDate(plan.nextRunDate)}.`);
+    };
+
+    if (isLoading) {
+        return (
+            <div className="bg-white rounded-lg shadow-lg p-6 w-auto h-full mx-auto border-2">
+                <div>Loading plans...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <p className="text-gray-600">
+                    Available Balance: <span className="font-semibold text-green-500">{formatToUSD(availableFunds)}</span>
+                </p>
+                <button
+                    onClick={() => setIsModalOpen(true)}
+                    className="bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600"
+                >
+                    New Plan
+                </button>
+            </div>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {plans.length === 0 && (
+                <p className="text-gray-500">You have no auto-invest plans yet.</p>
+            )}
+
+            {plans.map((plan) => {
+                const isBusy = busyPlanId === plan.id;
+                const isShortOfFunds =
+                    plan.status === "active" &&
+                    plan.fundingSource.paymentMethod === "balance" &&
+                    plan.amount > availableFunds;
+
+                return (
+                    <div key={plan.id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+                        <div className="p-6 space-y-4">
+                            <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                                <div>
+                                    <div className="flex items-center gap-2">
+                                        <h2 className="text-xl font-bold">{describeTarget(plan.target)}</h2>
+                                        <span className={`px-2 py-1 rounded-md text-xs font-semibold ${statusStyles[plan.status]}`}>
+                                            {plan.status.charAt(0).toUpperCase() + plan.status.slice(1)}
+                                        </span>
+                                    </div>
+                                    <p className="text-gray-600">
+                                        {formatToUSD(plan.amount)} {plan.frequency.toLowerCase()} from {plan.fundingSource.label}
+                                    </p>
+                                    {plan.status === "active" && plan.nextRunDate && (
+                                        <p className="text-gray-600">
+                                            Next run: <span className="font-semibold">{formatDate(plan.nextRunDate)}</span>
+                                        </p>
+                                    )}
+                                </div>
+                                {plan.status !== "cancelled" && (
+                                    <div className="flex flex-wrap gap-2">
+                                        <button
+                                            onClick={() => handlePauseResume(plan)}
+                                            disabled={busyPlanId !== null}
+                                            className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm"
+                                        >
+                                            {plan.status === "active" ? "Pause" : "Resume"}
+                                        </button>
+                                        {plan.status === "active" && (
+                                            <button
+                                                onClick={() => handleSkip(plan)}
+                                                disabled={busyPlanId !== null}
+                                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm"
+                                            >
+                                                Skip Next
+                                            </button>
+                                        )}
+                                        {confirmCancelId === plan.id ? (
+                                            <>
+                                                <button
+                                                    onClick={() => handleCancel(plan)}
+                                                    disabled={busyPlanId !== null}
+                                                    className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm"
+                                                >
+                                                    Confirm Cancel
+                                                </button>
+                                                <button
+                                                    onClick={() => setConfirmCancelId(null)}
+                                                    className="text-gray-600 hover:text-midnight-blue px-3 py-1 text-sm"
+                                                >
+                                                    Keep Plan
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button
+                                                onClick={() => setConfirmCancelId(plan.id)}
+                                                disabled={busyPlanId !== null}
+                                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm"
+                                            >
+                                                Cancel Plan
+                                            </button>
+                                        )}
+                                        {isBusy && <LoadingSpinner />}
+                                    </div>
+                                )}
+                            </div>
+
+                            {isShortOfFunds && (
+                                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                                    Your available balance of {formatToUSD(availableFunds)} does not cover the next run
+                                    of {formatToUSD(plan.amount)}. Add funds before {formatDate(plan.nextRunDate)} or the
+                                    run will be skipped.
+                                </div>
+                            )}
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                <div>
+                                    <h3 className="font-semibold text-gray-700 mb-2">Upcoming Runs</h3>
+                                    {plan.status === "active" ? (
+                                        <SchedulePreview plan={plan} listings={listings} />
+                                    ) : (
+                                        <p className="text-sm text-gray-500">
+                                            {plan.status === "paused"
+                                                ? "Paused. Resume the plan to schedule more runs."
+                                                : "This plan has been cancelled."}
+                                        </p>
+                                    )}
+                                </div>
+                                <div>
+                                    <h3 className="font-semibold text-gray-700 mb-2">Run History</h3>
+                                    {plan.runs.length === 0 ? (
+                                        <p className="text-sm text-gray-500">No runs yet.</p>
+                                    ) : (
+                                        <ul className="text-sm text-gray-700 space-y-1">
+                                            {[...plan.runs].reverse().map((run, index) => (
+                                                <li key={`${run.date}-${index}`} className="flex justify-between">
+                                                    <span>{formatDate(run.date)}</span>
+                                                    <span
+                                                        className={
+                                                            run.status === "completed"
+                                                                ? "text-green-600"
+                                                                : run.status === "skipped"
+                                                                    ? "text-gray-500"
+                                                                    : "text-red-500"
+                                                        }
+                                                        title={run.message}
+                                                    >
+                                                        {run.status === "completed" ? formatToUSD(run.amount) : runLabels[run.status]}
+                                                    </span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })}
+
+            {isModalOpen && (
+                <AutoInvestPlanModal
+                    onClose={() => setIsModalOpen(false)}
+                    onSave={handleCreate}
+                    listings={listings}
+                    fundingSources={fundingSources}
+                    availableFunds={availableFunds}
+                />
+            )}
+        </div>
+    );
+};
+
+export default AutoInvestPlans;
@@ -0,0 +1,54 @@
+import formatToUSD from "../../utils/formatToUSD";
+import { allocateRun, buildInvestmentData, matchBasket, scheduleDates } from "../../utils/autoInvest";
+
+const formatDate = (date) =>
+    date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * SchedulePreview Component
+ * Upcoming runs of a plan and what each one buys at current block prices. Basket plans
+ * are matched against today's listings, so their picks can change between runs.
+ */
+const SchedulePreview = ({ plan, listings, count = 4 }) => {
+    const amount = parseFloat(plan.amount) || 0;
+    const dates = scheduleDates(plan, count);
+
+    const targets = plan.target.type === "basket"
+        ? matchBasket(listings, plan.target, amount)
+        : listings.filter((listing) => String(listing.propertyId) === String(plan.target.propertyId));
+    const allocations = allocateRun(amount, targets);
+
+    if (dates.length === 0 || amount <= 0) {
+        return <p className="text-sm text-gray-500">Set an amount, frequency and start date to preview the schedule.</p>;
+    }
+
+    return (
+        <div className="space-y-2">
+            <ul className="text-sm text-gray-700 space-y-1">
+                {dates.map((date) => (
+                    <li key={date.getTime()} className="flex justify-between">
+                        <span>{formatDate(date)}</span>
+                        <span className="font-semibold">{formatToUSD(amount)}</span>
+                    </li>
+                ))}
+            </ul>
+            {allocations.length === 0 ? (
+                <p className="text-sm text-yellow-700">
+                    No open listings match this plan right now. Runs are skipped until one does.
+                </p>
+            ) : (
+                <ul className="text-sm text-gray-500 list-disc ml-5">
+                    {allocations.map(({ listing, amount: slice }) => (
+                        <li key={listing.propertyId}>
+                            {formatToUSD(slice)} into {listing.title}
+                            {listing.pricePerBlock > 0 &&
+                                ` (about ${buildInvestmentData({ propertyId: listing.propertyId, amount: slice, pricePerBlock: listing.pricePerBlock }).shares} blocks at ${formatToUSD(listing.pricePerBlock)})`}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SchedulePreview;
@@ -0,0 +1,13 @@
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Can Component
+ * Renders its children only when the signed-in user has `permission` (see `auth/permissions`),
+ * and `fallback` otherwise.
+ */
+const Can = ({ permission, fallback = null, children }) => {
+    const { can } = useAuth();
+    return can(permission) ? children : fallback;
+};
+
+export default Can;
@@ -14,7 +14,53 @@ const dashboardFallbackData = {
     percentageChange: 'N/A',
 };
 
-const AccountCard = () => {
+// Every account in the household with what it holds today
+const HouseholdAccounts = ({ household }) => (
+    <>
+        <div className="flex justify-between items-center mb-6 space-x-5">
+            <div>
+                <div className="text-sm text-gray-600 font-semibold">
+                    Household Value
+                </div>
+                <div className="flex items-center mb-4">
+                    <div className="text-3xl font-bold">{formatToUSD(household.totals.totalValue)}</div>
+                    <div className={`text-sm ml-4 ${household.totals.gain < 0 ? 'text-red-500' : 'text-green-600'}`}>
+                        <span className="font-semibold">{formatToUSD(household.totals.gain)}</span>
+                        <span> ({household.totals.percentageChange}%) All</span>
+                    </div>
+                </div>
+            </div>
+            <div className="text-xs sm:text-sm text-gray-600">
+                <div className="font-semibold">Cost Basis</div>
+                <div>{formatToUSD(household.totals.costBasis)}</div>
+            </div>
+        </div>
+        <ul className="divide-y">
+            {household.accounts.map((account) => (
+                <li key={account.id} className="flex justify-between items-center py-2">
+                    <div>
+                        <p className="font-medium text-gray-700">{account.name}</p>
+                        <p className="text-sm text-gray-500">{account.owners.join(' & ')}</p>
+                    </div>
+                    <div className="text-right">
+                        <p className="font-semibold text-gray-700">{formatToUSD(account.value)}</p>
+                        <p className="text-sm text-gray-500">
+                            {household.totals.totalValue > 0
+                                ? ((account.value / household.totals.totalValue) * 100).toFixed(1)
+                                : 0}% of household
+                        </p>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    </>
+);
+
+/**
+ * The AccountCard component shows the investor's returns and portfolio chart, or, when
+ * given a `household` summary, the combined value of every account in the household.
+ */
+const AccountCard = ({ household }) => {
     const [dashboardData, setDashboardData] = useState(null);
     const [portfolioChartData, setPortfolioChartData] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
@@ -63,65 +109,71 @@ const AccountCard = () => {
     return (
         <div className="bg-white rounded-lg shadow-lg w-auto h-full mx-auto border-2">
             <div className="p-6">
-                <h2 className="text-2xl font-semibold mb-4">Account</h2>
-                {error && (
+                <h2 className="text-2xl font-semibold mb-4">{household ? household.household.name : 'Account'}</h2>
+                {error && !household && (
                     <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
                         {error}
                     </div>
                 )}
-                <div className="flex justify-between items-center mb-6 space-x-5">
-                    <div>
-                        <div className="text-sm text-gray-600 font-semibold">
-                            Total Returns
-                        </div>
-                        <div className="flex items-center mb-4">
-                            <div className="text-3xl font-bold">
-                                {dashboardData?.totalValue && dashboardData.totalValue !== 'N/A'
-                                    ? formatToUSD(dashboardData.totalValue)
-                                    : 'N/A'}
-                            </div>
-                            <div className="text-green-600 text-sm ml-4">
-                                {dashboardData?.totalChange && dashboardData.totalChange !== 'N/A' ? (
-                                    <>
-                                        <span className="font-semibold">
-                                            +${Number(dashboardData.totalChange).toLocaleString()}
-                                        </span>
-                                        <span> ({dashboardData?.percentageChange || 'N/A'}%) All</span>
-                                    </>
-                                ) : (
-                                    ' (N/A%) All'
-                                )}
-                            </div>
-                        </div>
-                    </div>
-                    <div className="flex space-x-5">
-                        <div className="text-xs sm:text-sm text-gray-600">
-                            <div className="font-semibold">Appreciation</div>
-                            <div>
-                                {dashboardData?.appreciation && dashboardData.appreciation !== 'N/A'
-                                    ? formatToUSD(dashboardData.appreciation)
-                                    : 'N/A'}
-                            </div>
-                        </div>
-                        <div className="text-xs sm:text-sm text-gray-600">
-                            <div className="font-semibold">Dividends</div>
+                {household ? (
+                    <HouseholdAccounts household={household} />
+                ) : (
+                    <>
+                        <div className="flex justify-between items-center mb-6 space-x-5">
                             <div>
-                                {dashboardData?.dividends && dashboardData.dividends !== 'N/A'
-                                    ? formatToUSD(dashboardData.dividends)
-                                    : 'N/A'}
+                                <div className="text-sm text-gray-600 font-semibold">
+                                    Total Returns
+                                </div>
+                                <div className="flex items-center mb-4">
+                                    <div className="text-3xl font-bold">
+                                        {dashboardData?.totalValue && dashboardData.totalValue !== 'N/A'
+                                            ? formatToUSD(dashboardData.totalValue)
+                                            : 'N/A'}
+                                    </div>
+                                    <div className="text-green-600 text-sm ml-4">
+                                        {dashboardData?.totalChange && dashboardData.totalChange !== 'N/A' ? (
+                                            <>
+                                                <span className="font-semibold">
+                                                    +${Number(dashboardData.totalChange).toLocaleString()}
+                                                </span>
+                                                <span> ({dashboardData?.percentageChange || 'N/A'}%) All</span>
+                                            </>
+                                        ) : (
+                                            ' (N/A%) All'
+                                        )}
+                                    </div>
+                                </div>
                             </div>
-                        </div>
-                        <div className="text-xs sm:text-sm text-gray-600">
-                            <div className="font-semibold">Contribution</div>
-                            <div>
-                                {dashboardData?.contributions && dashboardData.contributions !== 'N/A'
-                                    ? formatToUSD(dashboardData.contributions)
-                                    : 'N/A'}
+                            <div className="flex space-x-5">
+                                <div className="text-xs sm:text-sm text-gray-600">
+                                    <div className="font-semibold">Appreciation</div>
+                                    <div>
+                                        {dashboardData?.appreciation && dashboardData.appreciation !== 'N/A'
+                                            ? formatToUSD(dashboardData.appreciation)
+                                            : 'N/A'}
+                                    </div>
+                                </div>
+                                <div className="text-xs sm:text-sm text-gray-600">
+                                    <div className="font-semibold">Dividends</div>
+                                    <div>
+                                        {dashboardData?.dividends && dashboardData.dividends !== 'N/A'
+                                            ? formatToUSD(dashboardData.dividends)
+                                            : 'N/A'}
+                                    </div>
+                                </div>
+                                <div className="text-xs sm:text-sm text-gray-600">
+                                    <div className="font-semibold">Contribution</div>
+                                    <div>
+                                        {dashboardData?.contributions && dashboardData.contributions !== 'N/A'
+                                            ? formatToUSD(dashboardData.contributions)
+                                            : 'N/A'}
+                                    </div>
+                                </div>
                             </div>
                         </div>
-                    </div>
-                </div>
-                <PortfolioChart data={portfolioChartData} />
+                        <PortfolioChart data={portfolioChartData} />
+                    </>
+                )}
             </div>
         </div>
     );
@@ -76,7 +76,14 @@ const ActivityTable = () => {
                                         ? "bg-gray-100 hover:bg-neutral-200"
                                         : "bg-white  hover:bg-neutral-200"
                                 }>
-                                    <td className="px-4 py-2 text-left">{item.property}</td>
+                                    <td className="px-4 py-2 text-left">
+                                        {item.property}
+                                        {item.activityType === 'Reinvestment' && (
+                                            <span className="ml-2 bg-glitter text-midnight-blue text-xs font-semibold px-2 py-0.5 rounded-md">
+                                                Reinvested
+                                            </span>
+                                        )}
+                                    </td>
                                     <td className={`px-4 py-2 text-center ${item.activityType === 'Buy' || item.activityType === 'Maintenance' ? 'text-red-500' : 'text-green-600'}`}>
                                         {item.total !== 'N/A' ? formatToUSD(item.total) : 'N/A'}
                                     </td>
@@ -1,7 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, Fragment } from 'react';
 import { fetchHoldings } from '../../api/dashboardApi';
 import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronDown, faChevronRight } from '@fortawesome/free-solid-svg-icons';
 import { holdingMockData } from '../../mockData/holdingMockData';
+import formatToUSD from '../../utils/formatToUSD';
+import { lotCostBasis } from '../../utils/taxLots';
 
 /**
  * The HoldingTable component shows what properties the user has invested in
@@ -13,6 +17,11 @@ import { holdingMockData } from '../../mockData/holdingMockData';
  * - total: Total amount invested in the property
  * - shares: Total number of shares or fractions the user invested
  * - allocation: Percentage of total investments represented by the property
+ * - currentPrice: Current market price per share
+ * - lots: Tax lots making up the shares, one per buy ({ id, date, shares, pricePerShare, fees })
+ *
+ * Given a `household` summary it lists the household's combined holdings instead, with the
+ * accounts each property is held in. Tax lots stay with the individual view.
  */
 
 const mockData = [
@@ -25,10 +34,85 @@ const mockData = [
     },
 ];
 
-const HoldingTable = () => {
+// Each open lot with what it is worth today at the current share price
+const HoldingLots = ({ lots, currentPrice }) => (
+    <table className="min-w-full text-sm">
+        <thead>
+            <tr className="text-gray-500">
+                <th className="px-2 py-1 text-left">Acquired</th>
+                <th className="px-2 py-1 text-center">Shares</th>
+                <th className="px-2 py-1 text-center">Price / Share</th>
+                <th className="px-2 py-1 text-center">Fees</th>
+                <th className="px-2 py-1 text-center">Cost Basis</th>
+                <th className="px-2 py-1 text-center">Market Value</th>
+                <th className="px-2 py-1 text-center">Unrealized Gain</th>
+            </tr>
+        </thead>
+        <tbody>
+            {lots.map((lot) => {
+                const costBasis = lotCostBasis(lot);
+                const marketValue = lot.shares * currentPrice;
+                const gain = marketValue - costBasis;
+                return (
+                    <tr key={lot.id} className="border-t">
+                        <td className="px-2 py-1 text-left">{lot.date}</td>
+                        <td className="px-2 py-1 text-center">{lot.shares}</td>
+                        <td className="px-2 py-1 text-center">{formatToUSD(lot.pricePerShare)}</td>
+                        <td className="px-2 py-1 text-center">{formatToUSD(lot.fees || 0)}</td>
+                        <td className="px-2 py-1 text-center">{formatToUSD(costBasis)}</td>
+                        <td className="px-2 py-1 text-center">{formatToUSD(marketValue)}</td>
+                        <td className={`px-2 py-1 text-center font-semibold ${gain < 0 ? 'text-red-500' : 'text-green-600'}`}>
+                            {formatToUSD(gain)} ({((gain / costBasis) * 100).toFixed(2)}%)
+                        </td>
+                    </tr>
+                );
+            })}
+        </tbody>
+    </table>
+);
+
+// The household's combined holdings, one row per property across all of its accounts
+const HouseholdHoldings = ({ holdings }) => (
+    <table className="min-w-full bg-white">
+        <thead>
+            <tr className="text-gray-600 font-semibold">
+                <th className="px-4 py-2 border-b text-left">Property</th>
+                <th className="px-4 py-2 border-b text-center">Total</th>
+                <th className="px-4 py-2 border-b text-center">Shares</th>
+                <th className="px-4 py-2 border-b text-center">Allocation</th>
+                <th className="px-4 py-2 border-b text-left">Held In</th>
+            </tr>
+        </thead>
+        <tbody>
+            {holdings.map((item, index) => (
+                <tr
+                    key={item.propertyId}
+                    className={
+                        index % 2 === 0
+                            ? "bg-gray-100 hover:bg-neutral-200"
+                            : "bg-white  hover:bg-neutral-200"
+                    }
+                >
+                    <td className="px-4 py-2 text-left">
+                        <Link to={`/listings/${item.propertyId}`} className="text-gray-700 hover:text-midnight-blue">
+                            {item.property}
+                        </Link>
+                    </td>
+                    <td className="px-4 py-2 text-center text-green-600">{formatToUSD(item.value)}</td>
+                    <td className="px-4 py-2 text-center">{item.shares}</td>
+                    <td className="px-4 py-2 text-center">{item.allocation}%</td>
+                    <td className="px-4 py-2 text-left text-sm text-gray-600">{item.accounts.join(', ')}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+const HoldingTable = ({ household }) => {
     const [holdingData, setHoldingData] = useState([]);
     const [status, setStatus] = useState('idle');
     const [error, setError] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
 
     useEffect(() => {
         const fetchHoldingData = async () => {
@@ -62,38 +146,63 @@ const HoldingTable = () => {
         <div className="bg-white rounded-lg shadow-lg w-auto h-full border-2">
             <div className="p-6">
                 <h2 className="text-2xl font-semibold mb-4">Holdings</h2>
-                {error && (
+                {error && !household && (
                     <div className='bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4'>
                         {error}
                     </div>
                 )}
                 <div className="overflow-x-auto rounded-lg shadow border border-gray-300 dark:border-dark-border">
-                    <table className="min-w-full bg-white">
-                        <thead>
-                            <tr className="text-gray-600 font-semibold">
-                                <th className="px-4 py-2 border-b text-left">Property</th>
-                                <th className="px-4 py-2 border-b text-center">Total</th>
-                                <th className="px-4 py-2 border-b text-center">Shares</th>
-                                <th className="px-4 py-2 border-b text-center">Allocation</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {holdingData.map((item, index) => (
-                                <tr key={index} className={
-                                    index % 2 === 0
-                                        ? "bg-gray-100 hover:bg-neutral-200"
-                                        : "bg-white  hover:bg-neutral-200"
-                                }>
-                                    <Link to={`/listings/${item.propertyId}`} className="px-4 py-2 flex items-center m-1 text-gray-700 hover:text-white hover:rounded-md  cursor-pointer hover:bg-midnight-blue">
-                                        <td className="px-4 py-2 text-left">{item.property}</td>
-                                    </Link>
-                                    <td className="px-4 py-2 text-center text-green-600">{item.total}</td>
-                                    <td className="px-4 py-2 text-center">{item.shares}</td>
-                                    <td className="px-4 py-2 text-center">{item.allocation}</td>
+                    {household ? (
+                        <HouseholdHoldings holdings={household.holdings} />
+                    ) : (
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-2 py-2 border-b"></th>
+                                    <th className="px-4 py-2 border-b text-left">Property</th>
+                                    <th className="px-4 py-2 border-b text-center">Total</th>
+                                    <th className="px-4 py-2 border-b text-center">Shares</th>
+                                    <th className="px-4 py-2 border-b text-center">Allocation</th>
                                 </tr>
-                            ))}
-                        </tbody>
-                    </table>
+                            </thead>
+                            <tbody>
+                                {holdingData.map((item, index) => (
+                                    <Fragment key={index}>
+                                        <tr className={
+                                            index % 2 === 0
+                                                ? "bg-gray-100 hover:bg-neutral-200"
+                                                : "bg-white  hover:bg-neutral-200"
+                                        }>
+                                            <td className="px-2 py-2 text-center">
+                                                {item.lots?.length > 0 && (
+                                                    <button
+                                                        onClick={() => setExpandedId(expandedId === item.propertyId ? null : item.propertyId)}
+                                                        className="text-gray-500 hover:text-midnight-blue"
+                                                        aria-label={expandedId === item.propertyId ? 'Hide tax lots' : 'Show tax lots'}
+                                                    >
+                                                        <FontAwesomeIcon icon={expandedId === item.propertyId ? faChevronDown : faChevronRight} />
+                                                    </button>
+                                                )}
+                                            </td>
+                                            <Link to={`/listings/${item.propertyId}`} className="px-4 py-2 flex items-center m-1 text-gray-700 hover:text-white hover:rounded-md  cursor-pointer hover:bg-midnight-blue">
+                                                <td className="px-4 py-2 text-left">{item.property}</td>
+                                            </Link>
+                                            <td className="px-4 py-2 text-center text-green-600">{item.total}</td>
+                                            <td className="px-4 py-2 text-center">{item.shares}</td>
+                                            <td className="px-4 py-2 text-center">{item.allocation}</td>
+                                        </tr>
+                                        {expandedId === item.propertyId && (
+                                            <tr>
+                                                <td colSpan={5} className="px-4 py-2 bg-white">
+                                                    <HoldingLots lots={item.lots} currentPrice={item.currentPrice} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                 </div>
             </div>
         </div>
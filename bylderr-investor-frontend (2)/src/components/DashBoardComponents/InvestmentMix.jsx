@@ -21,7 +21,8 @@ const renderCustomizedLabel = ({ cx, cy, midAngle, innerRadius, outerRadius, val
     );
 };
 
-const InvestmentMix = () => {
+// Given a `household` summary, the mix across every account in the household is shown instead
+const InvestmentMix = ({ household }) => {
     const [investmentMixData, setInvestmentMixData] = useState([]);
     const [status, setStatus] = useState('idle');
     const [error, setError] = useState(null);
@@ -58,13 +59,13 @@ const InvestmentMix = () => {
         <div className="bg-white rounded-lg shadow-lg p-1 w-auto h-full border-2">
             <div className='p-5'>
                 <h2 className="text-2xl font-semibold mb-4">Investment Mix</h2>
-                {error && (
+                {error && !household && (
                     <div className='bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4'>
                         {error}
                     </div>
                 )}
             </div>
-            <ChartAndBreakdown data={investmentMixData} />
+            <ChartAndBreakdown data={household ? household.investmentMix : investmentMixData} />
         </div>
     );
 };
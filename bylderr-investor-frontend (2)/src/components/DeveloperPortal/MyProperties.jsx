@@ -0,0 +1,254 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { fetchMyProjects, deleteProject } from "../../api/projectsApi";
+import { developerProjectsMockData } from "../../mockData/developerProjectsMockData";
+import ListingProgressBar from "../ListingsComponents/Listing/ListingProgressBar";
+import { raiseState } from "../../utils/raiseStatus";
+import formatToUSD from "../../utils/formatToUSD";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import PostUpdateModal from "./PostUpdateModal";
+
+const statusStyles = {
+    draft: "bg-gray-200 text-gray-600",
+    active: "bg-green-100 text-green-700",
+    funded: "bg-blue-100 text-blue-700",
+    closed: "bg-blue-100 text-blue-700",
+    completed: "bg-blue-100 text-blue-700",
+    failed: "bg-yellow-100 text-yellow-700",
+    cancelled: "bg-gray-200 text-gray-600",
+};
+
+const formatDate = (date) =>
+    new Date(`${String(date).slice(0, 10)}T00:00:00`).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+
+/**
+ * MyProperties Component
+ * The developer's projects, drafts included, with each raise's progress and investor count,
+ * and links to edit them, post updates to their investors, or start a new one.
+ */
+const MyProperties = () => {
+    const [projects, setProjects] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyProjectId, setBusyProjectId] = useState(null);
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+    const [updatingProject, setUpdatingProject] = useState(null);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadProjects = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setProjects(developerProjectsMockData);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setProjects(await fetchMyProjects());
+            } catch (err) {
+                console.error("Error fetching projects:", err.message);
+                setError("Failed to load your projects. Showing sample data.");
+                setProjects(developerProjectsMockData);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadProjects();
+    }, [isMockMode]);
+
+    const handleDelete = async (project) => {
+        setBusyProjectId(project._id);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await deleteProject(project._id);
+            }
+            setProjects((prev) => prev.filter((item) => item._id !== project._id));
+            setSuccess(`"${project.title}" was deleted.`);
+        } catch (err) {
+            console.error("Error deleting project:", err.message);
+            setError("Failed to delete the draft. Please try again.");
+        } finally {
+            setBusyProjectId(null);
+            setConfirmDeleteId(null);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="bg-white rounded-lg shadow-lg p-6 w-auto h-full mx-auto border-2">
+                <div>Loading projects...</div>
+            </div>
+        );
+    }
+
+    const published = projects.filter((project) => project.status !== "draft");
+    const totalRaised = published.reduce((sum, project) => sum + (project.fundingRaised || 0), 0);
+    const totalInvestors = published.reduce((sum, project) => sum + (project.investorCount || 0), 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div className="flex flex-wrap gap-6 text-gray-600">
+                    <p>
+                        Total Raised: <span className="font-semibold text-green-500">{formatToUSD(totalRaised)}</span>
+                    </p>
+                    <p>
+                        Investors: <span className="font-semibold">{totalInvestors}</span>
+                    </p>
+                    <p>
+                        Open Raises:{" "}
+                        <span className="font-semibold">
+                            {published.filter((project) => project.status === "active").length}
+                        </span>
+                    </p>
+                </div>
+                <Link
+                    to="/developer/projects/new"
+                    className="bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-center"
+                >
+                    New Project
+                </Link>
+            </div>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {projects.length === 0 && (
+                <p className="text-gray-500">You have no projects yet. Start one to open your first raise.</p>
+            )}
+
+            {projects.map((project) => {
+                const isDraft = project.status === "draft";
+                const state = raiseState({
+                    status: project.status,
+                    raised: project.fundingRaised,
+                    raiseTarget: project.fundingGoal,
+                });
+
+                return (
+                    <div key={project._id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+                        <div className="p-6 flex flex-col md:flex-row gap-6">
+                            {project.images?.[0] ? (
+                                <img src={project.images[0]} alt={project.title} className="rounded-lg w-full md:w-48 h-32 object-cover" />
+                            ) : (
+                                <div className="rounded-lg w-full md:w-48 h-32 bg-gray-200 flex items-center justify-center text-gray-500 text-sm">
+                                    No image yet
+                                </div>
+                            )}
+                            <div className="flex-1 space-y-3">
+                                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-2">
+                                    <div>
+                                        <div className="flex items-center gap-2">
+                                            <h2 className="text-xl font-bold">{project.title}</h2>
+                                            <span className={`px-2 py-1 rounded-md text-xs font-semibold ${statusStyles[project.status] || statusStyles.draft}`}>
+                                                {project.status.charAt(0).toUpperCase() + project.status.slice(1)}
+                                            </span>
+                                        </div>
+                                        <p className="text-gray-500">{project.location?.formattedAddress}</p>
+                                    </div>
+                                    <div className="flex flex-wrap gap-2">
+                                        <Link
+                                            to={`/developer/projects/${project._id}/edit`}
+                                            className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm"
+                                        >
+                                            {isDraft ? "Continue Editing" : "Edit"}
+                                        </Link>
+                                        {!isDraft && (
+                                            <button
+                                                onClick={() => {
+                                                    setSuccess(null);
+                                                    setUpdatingProject(project);
+                                                }}
+                                                className="bg-midnight-blue hover:bg-blue-500 text-white px-3 py-1 rounded-md text-sm"
+                                            >
+                                                Post Update
+                                            </button>
+                                        )}
+                                        {isDraft && (confirmDeleteId === project._id ? (
+                                            <>
+                                                <button
+                                                    onClick={() => handleDelete(project)}
+                                                    disabled={busyProjectId !== null}
+                                                    className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm"
+                                                >
+                                                    Confirm Delete
+                                                </button>
+                                                <button
+                                                    onClick={() => setConfirmDeleteId(null)}
+                                                    className="text-gray-600 hover:text-midnight-blue px-3 py-1 text-sm"
+                                                >
+                                                    Keep Draft
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button
+                                                onClick={() => setConfirmDeleteId(project._id)}
+                                                disabled={busyProjectId !== null}
+                                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-3 py-1 rounded-md text-sm"
+                                            >
+                                                Delete Draft
+                                            </button>
+                                        ))}
+                                        {busyProjectId === project._id && <LoadingSpinner />}
+                                    </div>
+                                </div>
+
+                                {isDraft ? (
+                                    <p className="text-sm text-gray-500">
+                                        Not published yet. Investors will see this project once you publish it.
+                                    </p>
+                                ) : (
+                                    <>
+                                        <ListingProgressBar soldPercentage={Math.round(project.fundingPercentage || 0)} state={state} />
+                                        <div className="flex flex-wrap gap-6 text-sm text-gray-600">
+                                            <p>
+                                                Raised: <span className="font-semibold">{formatToUSD(project.fundingRaised || 0)}</span>{" "}
+                                                of {formatToUSD(project.fundingGoal || 0)}
+                                            </p>
+                                            <p>
+                                                Investors: <span className="font-semibold">{project.investorCount || 0}</span>
+                                            </p>
+                                            {project.fundingDeadline && (
+                                                <p>
+                                                    Deadline: <span className="font-semibold">{formatDate(project.fundingDeadline)}</span>
+                                                </p>
+                                            )}
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                );
+            })}
+
+            {updatingProject && (
+                <PostUpdateModal
+                    project={updatingProject}
+                    onClose={() => setUpdatingProject(null)}
+                    onPosted={setSuccess}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MyProperties;
@@ -0,0 +1,164 @@
+import { useState } from "react";
+import { postProjectUpdate } from "../../api/projectsApi";
+import { PROJECT_MILESTONES } from "../../utils/projectMilestones";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import RichText from "../ListingsComponents/Listing/RichText";
+
+const fieldClassName =
+    "mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+/**
+ * PostUpdateModal Component
+ * Writes an update to a project's investors, with optional photos and a construction
+ * milestone. Everyone holding blocks in the project is notified once it is posted.
+ */
+const PostUpdateModal = ({ project, onClose, onPosted }) => {
+    const [title, setTitle] = useState("");
+    const [content, setContent] = useState("");
+    const [milestone, setMilestone] = useState("");
+    const [photos, setPhotos] = useState([]);
+    const [isPreview, setIsPreview] = useState(false);
+    const [isPosting, setIsPosting] = useState(false);
+    const [error, setError] = useState("");
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    const handlePost = async () => {
+        if (!title.trim() || !content.trim()) {
+            setError("Please add a title and some content.");
+            return;
+        }
+
+        setIsPosting(true);
+        setError("");
+        try {
+            if (!isMockMode) {
+                await postProjectUpdate(project._id, { title: title.trim(), content, milestone, photos });
+            }
+            onPosted(`Update posted. Investors in ${project.title} have been notified.`);
+            onClose();
+        } catch (err) {
+            console.error("Error posting project update:", err.message);
+            setError(err.response?.data?.error || "Failed to post the update. Please try again.");
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                    <h3 className="text-xl font-semibold text-gray-800">Post an Update: {project.title}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <InputBox
+                        id="updateTitle"
+                        label="Title"
+                        placeholder="e.g. Framing is complete"
+                        value={title}
+                        onChange={(value) => setTitle(value)}
+                    />
+                    <div>
+                        <label htmlFor="updateMilestone" className="block text-sm font-medium text-gray-700">
+                            Milestone Reached
+                        </label>
+                        <select
+                            id="updateMilestone"
+                            value={milestone}
+                            onChange={(e) => setMilestone(e.target.value)}
+                            className={fieldClassName}
+                        >
+                            <option value="">None</option>
+                            {PROJECT_MILESTONES.map((name) => (
+                                <option key={name} value={name}>
+                                    {name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <div className="flex items-center justify-between">
+                            <label htmlFor="updateContent" className="block text-sm font-medium text-gray-700">
+                                Update
+                            </label>
+                            <button
+                                onClick={() => setIsPreview(!isPreview)}
+                                className="text-midnight-blue text-sm underline"
+                            >
+                                {isPreview ? "Edit" : "Preview"}
+                            </button>
+                        </div>
+                        {isPreview ? (
+                            <div className="mt-1 border rounded-md px-3 py-2 min-h-[8rem]">
+                                <RichText content={content} />
+                            </div>
+                        ) : (
+                            <textarea
+                                id="updateContent"
+                                rows={6}
+                                value={content}
+                                onChange={(e) => setContent(e.target.value)}
+                                className={fieldClassName}
+                            />
+                        )}
+                        <p className="text-xs text-gray-500 mt-1">
+                            Leave a blank line between paragraphs. Start lines with &quot;- &quot; for a list. Use
+                            **bold**, *italic* and [link text](https://...).
+                        </p>
+                    </div>
+                    <div>
+                        <label htmlFor="updatePhotos" className="block text-sm font-medium text-gray-700">
+                            Photos
+                        </label>
+                        <input
+                            id="updatePhotos"
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            onChange={(e) => setPhotos(Array.from(e.target.files))}
+                            className="mt-1 text-sm"
+                        />
+                    </div>
+                    {error && (
+                        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                        disabled={isPosting}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handlePost}
+                        disabled={isPosting}
+                        className={`px-4 py-2 rounded-md ${isPosting
+                            ? "bg-indigo-500 cursor-not-allowed"
+                            : "bg-midnight-blue hover:bg-blue-500"
+                            } text-white flex items-center justify-center`}
+                    >
+                        {isPosting ? (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        ) : null}
+                        {isPosting ? "Posting..." : "Post Update"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PostUpdateModal;
@@ -0,0 +1,58 @@
+import InputBox from "../../utils/InputBox";
+import { propertyTypeMap } from "../../utils/listingSearch";
+
+const fieldClassName =
+    "mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Wizard step: what and where the project is
+const ProjectDetailsStep = ({ form, onChange }) => (
+    <div className="space-y-4">
+        <InputBox
+            id="projectTitle"
+            label="Project Title"
+            placeholder="e.g. Riverside Lofts"
+            value={form.title}
+            onChange={(value) => onChange("title", value)}
+        />
+        <InputBox
+            id="projectAddress"
+            label="Address"
+            placeholder="Street, city, state and ZIP"
+            value={form.address}
+            onChange={(value) => onChange("address", value)}
+        />
+        <div>
+            <label htmlFor="projectPropertyType" className="block text-sm font-medium text-gray-700">
+                Property Type
+            </label>
+            <select
+                id="projectPropertyType"
+                value={form.propertyType}
+                onChange={(e) => onChange("propertyType", e.target.value)}
+                className={fieldClassName}
+            >
+                <option value="">Choose a type</option>
+                {Object.keys(propertyTypeMap).map((type) => (
+                    <option key={type} value={type}>
+                        {type}
+                    </option>
+                ))}
+            </select>
+        </div>
+        <div>
+            <label htmlFor="projectDescription" className="block text-sm font-medium text-gray-700">
+                Description
+            </label>
+            <textarea
+                id="projectDescription"
+                rows={5}
+                placeholder="What you are building or buying, and the plan for it"
+                value={form.description}
+                onChange={(e) => onChange("description", e.target.value)}
+                className={fieldClassName}
+            />
+        </div>
+    </div>
+);
+
+export default ProjectDetailsStep;
@@ -0,0 +1,63 @@
+import { useState } from "react";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+
+// Wizard step: offering documents investors can download from the listing
+const ProjectDocumentsStep = ({ form, onUpload, isUploading }) => {
+    const [file, setFile] = useState(null);
+    const [name, setName] = useState("");
+
+    const handleUpload = async () => {
+        if (await onUpload(file, name.trim() || file.name)) {
+            setFile(null);
+            setName("");
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {form.documents.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                    No documents yet. Offering memoranda, operating agreements and leases help investors decide.
+                </p>
+            ) : (
+                <ul className="text-sm text-gray-700 list-disc ml-5">
+                    {form.documents.map((document, index) => (
+                        <li key={`${document.file}-${index}`}>{document.name}</li>
+                    ))}
+                </ul>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                <InputBox
+                    id="projectDocumentName"
+                    label="Document Name"
+                    placeholder="e.g. Offering Memorandum"
+                    value={name}
+                    onChange={(value) => setName(value)}
+                />
+                <input
+                    type="file"
+                    accept="application/pdf"
+                    key={file ? "selected" : "empty"}
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                    className="text-sm"
+                />
+            </div>
+            <button
+                onClick={handleUpload}
+                disabled={!file || isUploading}
+                className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400 flex items-center justify-center"
+            >
+                {isUploading && (
+                    <div className="mr-2">
+                        <LoadingSpinner />
+                    </div>
+                )}
+                {isUploading ? "Uploading..." : "Upload Document"}
+            </button>
+            <p className="text-sm text-gray-500">PDF files only, 10MB each.</p>
+        </div>
+    );
+};
+
+export default ProjectDocumentsStep;
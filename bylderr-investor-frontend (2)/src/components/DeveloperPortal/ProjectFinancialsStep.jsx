@@ -0,0 +1,41 @@
+import InputBox from "../../utils/InputBox";
+import formatToUSD from "../../utils/formatToUSD";
+
+// Wizard step: the property's value and the return investors can expect
+const ProjectFinancialsStep = ({ form, onChange }) => {
+    const expectedReturn = parseFloat(form.expectedReturn);
+
+    return (
+        <div className="space-y-4">
+            <InputBox
+                id="projectPropertyValue"
+                type="number"
+                label="Property Value"
+                placeholder="Appraised or purchase value"
+                value={form.propertyValue}
+                onChange={(value) => onChange("propertyValue", value)}
+                suffix="USD"
+                min="0"
+            />
+            <InputBox
+                id="projectExpectedReturn"
+                type="number"
+                label="Expected Annual Return"
+                placeholder="e.g. 8.5"
+                value={form.expectedReturn}
+                onChange={(value) => onChange("expectedReturn", value)}
+                suffix="%"
+                min="0"
+                step="0.1"
+            />
+            {expectedReturn > 0 && (
+                <p className="text-sm text-gray-600">
+                    At {expectedReturn}% a year, a {formatToUSD(1000)} investment is projected to return{" "}
+                    <span className="font-semibold">{formatToUSD(10 * expectedReturn)}</span> a year.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ProjectFinancialsStep;
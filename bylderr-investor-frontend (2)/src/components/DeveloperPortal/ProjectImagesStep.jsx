@@ -0,0 +1,59 @@
+import { useState } from "react";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+
+// Wizard step: photos of the property; the first one is the listing's cover image
+const ProjectImagesStep = ({ form, onUpload, isUploading }) => {
+    const [files, setFiles] = useState([]);
+
+    const handleUpload = async () => {
+        if (await onUpload(files)) {
+            setFiles([]);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {form.images.length === 0 ? (
+                <p className="text-sm text-gray-500">No images yet. Listings need at least one to be published.</p>
+            ) : (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {form.images.map((image, index) => (
+                        <div key={`${image}-${index}`} className="relative">
+                            <img src={image} alt={`Project ${index + 1}`} className="rounded-lg w-full h-28 object-cover" />
+                            {index === 0 && (
+                                <span className="absolute top-1 left-1 bg-white text-xs font-semibold px-2 py-1 rounded-md">
+                                    Cover
+                                </span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div className="flex flex-col md:flex-row md:items-center gap-2">
+                <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    key={files.length === 0 ? "empty" : "selected"}
+                    onChange={(e) => setFiles(Array.from(e.target.files))}
+                    className="text-sm"
+                />
+                <button
+                    onClick={handleUpload}
+                    disabled={files.length === 0 || isUploading}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400 flex items-center justify-center"
+                >
+                    {isUploading && (
+                        <div className="mr-2">
+                            <LoadingSpinner />
+                        </div>
+                    )}
+                    {isUploading ? "Uploading..." : "Upload Images"}
+                </button>
+            </div>
+            <p className="text-sm text-gray-500">Up to 10 images at a time, 10MB each.</p>
+        </div>
+    );
+};
+
+export default ProjectImagesStep;
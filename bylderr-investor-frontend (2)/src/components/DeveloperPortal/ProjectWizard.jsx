@@ -0,0 +1,244 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+    createProject,
+    updateProject,
+    uploadProjectImages,
+    uploadProjectDocument,
+    publishProject,
+} from "../../api/projectsApi";
+import {
+    WIZARD_STEPS,
+    fromProject,
+    toProjectPayload,
+    validateStep,
+    publishBlockers,
+} from "../../utils/projectDraft";
+import joinWithCommaAnd from "../../utils/joinWithCommaAnd";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import ProjectDetailsStep from "./ProjectDetailsStep";
+import ProjectFinancialsStep from "./ProjectFinancialsStep";
+import ProjectImagesStep from "./ProjectImagesStep";
+import ProjectDocumentsStep from "./ProjectDocumentsStep";
+import RaiseTermsStep from "./RaiseTermsStep";
+
+const errorMessage = (err, fallback) => err.response?.data?.error || fallback;
+
+/**
+ * ProjectWizard Component
+ * Creates or edits a project in five steps. Moving between steps saves the project as a
+ * draft, so images and documents always have a project to upload to; the last step
+ * publishes a draft, or saves changes to a project that is already live.
+ */
+const ProjectWizard = ({ initialForm }) => {
+    const navigate = useNavigate();
+    const [form, setForm] = useState(initialForm);
+    const [stepIndex, setStepIndex] = useState(0);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+    const step = WIZARD_STEPS[stepIndex].key;
+    const isLastStep = stepIndex === WIZARD_STEPS.length - 1;
+    const isDraft = form.status === "draft";
+
+    const handleChange = (field, value) => {
+        setSuccess(null);
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    // Creates the project on its first save and updates it afterwards; resolves to the saved form
+    const save = async () => {
+        if (isMockMode) {
+            const saved = { ...form, id: form.id || `dev-project-${Date.now()}` };
+            setForm(saved);
+            return saved;
+        }
+        const payload = toProjectPayload(form);
+        const project = form.id ? await updateProject(form.id, payload) : await createProject(payload);
+        const saved = fromProject(project);
+        setForm(saved);
+        return saved;
+    };
+
+    // Validates the current step and saves; resolves to the saved form, or null on failure
+    const saveStep = async () => {
+        const validationError = validateStep(step, form);
+        if (validationError) {
+            setError(validationError);
+            return null;
+        }
+
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            return await save();
+        } catch (err) {
+            console.error("Error saving project:", err.message);
+            setError(errorMessage(err, "Failed to save the project. Please try again."));
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const goToStep = async (index) => {
+        if (index === stepIndex) return;
+        // Going back never loses anything; going forward saves what is on this step first
+        if (index > stepIndex && !(await saveStep())) return;
+        setError(null);
+        setStepIndex(index);
+    };
+
+    const handleSaveDraft = async () => {
+        if (await saveStep()) {
+            setSuccess(isDraft ? "Draft saved." : "Changes saved.");
+        }
+    };
+
+    const handlePublish = async () => {
+        const blockers = publishBlockers(form);
+        if (blockers.length) {
+            setError(`Add ${joinWithCommaAnd(blockers)} before publishing.`);
+            return;
+        }
+
+        const saved = await saveStep();
+        if (!saved) return;
+
+        setIsSaving(true);
+        try {
+            if (!isMockMode) {
+                await publishProject(saved.id);
+            }
+            navigate("/developer/listings");
+        } catch (err) {
+            console.error("Error publishing project:", err.message);
+            setError(errorMessage(err, "Failed to publish the project. Please try again."));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Runs an upload against the saved project; resolves to true once the form shows the new files
+    const upload = async (request, applyLocally) => {
+        setIsUploading(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (isMockMode) {
+                setForm(applyLocally);
+            } else {
+                const project = await request();
+                setForm((prev) => ({ ...prev, images: project.images || [], documents: project.documents || [] }));
+            }
+            return true;
+        } catch (err) {
+            console.error("Error uploading project files:", err.message);
+            setError(errorMessage(err, "Failed to upload. Please try again."));
+            return false;
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleUploadImages = (files) =>
+        upload(
+            () => uploadProjectImages(form.id, files),
+            (prev) => ({ ...prev, images: [...prev.images, ...files.map((file) => URL.createObjectURL(file))] })
+        );
+
+    const handleUploadDocument = (file, name) =>
+        upload(
+            () => uploadProjectDocument(form.id, file, name),
+            (prev) => ({ ...prev, documents: [...prev.documents, { name, file: file.name }] })
+        );
+
+    const isBusy = isSaving || isUploading;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+            <div className="flex flex-wrap gap-2 px-6 py-4 border-b border-gray-300">
+                {WIZARD_STEPS.map(({ key, label }, index) => (
+                    <button
+                        key={key}
+                        onClick={() => goToStep(index)}
+                        disabled={isBusy}
+                        className={`px-3 py-1 text-sm ${index === stepIndex
+                            ? "text-midnight-blue font-bold bg-glitter rounded-md"
+                            : "text-gray-600 hover:text-midnight-blue"
+                            }`}
+                    >
+                        {index + 1}. {label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="p-6 space-y-4">
+                {step === "details" && <ProjectDetailsStep form={form} onChange={handleChange} />}
+                {step === "financials" && <ProjectFinancialsStep form={form} onChange={handleChange} />}
+                {step === "images" && (
+                    <ProjectImagesStep form={form} onUpload={handleUploadImages} isUploading={isUploading} />
+                )}
+                {step === "documents" && (
+                    <ProjectDocumentsStep form={form} onUpload={handleUploadDocument} isUploading={isUploading} />
+                )}
+                {step === "terms" && <RaiseTermsStep form={form} onChange={handleChange} />}
+
+                {error && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                        {error}
+                    </div>
+                )}
+                {success && (
+                    <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                        {success}
+                    </div>
+                )}
+            </div>
+
+            <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                <button
+                    onClick={() => goToStep(stepIndex - 1)}
+                    disabled={stepIndex === 0 || isBusy}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md disabled:opacity-50"
+                >
+                    Back
+                </button>
+                <div className="flex items-center gap-2">
+                    {isSaving && <LoadingSpinner />}
+                    <button
+                        onClick={handleSaveDraft}
+                        disabled={isBusy}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                    >
+                        {isDraft ? "Save Draft" : "Save Changes"}
+                    </button>
+                    {!isLastStep && (
+                        <button
+                            onClick={() => goToStep(stepIndex + 1)}
+                            disabled={isBusy}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                        >
+                            Next
+                        </button>
+                    )}
+                    {isLastStep && isDraft && (
+                        <button
+                            onClick={handlePublish}
+                            disabled={isBusy}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                        >
+                            Publish
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ProjectWizard;
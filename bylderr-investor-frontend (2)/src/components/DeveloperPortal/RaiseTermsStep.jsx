@@ -0,0 +1,72 @@
+import InputBox from "../../utils/InputBox";
+import formatToUSD from "../../utils/formatToUSD";
+import { toISODate } from "../../utils/autoInvest";
+
+// Wizard step: how much is raised, in what blocks, and by when. Goal, minimum and
+// deadline are fixed once the project is published.
+const RaiseTermsStep = ({ form, onChange }) => {
+    const isLocked = form.status !== "draft";
+    const fundingGoal = parseFloat(form.fundingGoal);
+    const pricePerBlock = parseFloat(form.pricePerBlock);
+
+    return (
+        <div className="space-y-4">
+            {isLocked && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    This raise is live. Its funding goal, minimum investment and deadline can no longer change.
+                </div>
+            )}
+            <InputBox
+                id="projectFundingGoal"
+                type="number"
+                label="Funding Goal"
+                placeholder="Amount to raise"
+                value={form.fundingGoal}
+                onChange={(value) => onChange("fundingGoal", value)}
+                suffix="USD"
+                min="0"
+                disabled={isLocked}
+            />
+            <InputBox
+                id="projectPricePerBlock"
+                type="number"
+                label="Price per Block"
+                placeholder="e.g. 50"
+                value={form.pricePerBlock}
+                onChange={(value) => onChange("pricePerBlock", value)}
+                suffix="USD"
+                min="0"
+                step="0.01"
+            />
+            <InputBox
+                id="projectMinInvestment"
+                type="number"
+                label="Minimum Investment"
+                placeholder="e.g. 500"
+                value={form.minInvestment}
+                onChange={(value) => onChange("minInvestment", value)}
+                suffix="USD"
+                min="0"
+                disabled={isLocked}
+            />
+            <InputBox
+                id="projectFundingDeadline"
+                type="date"
+                label="Funding Deadline"
+                value={form.fundingDeadline}
+                onChange={(value) => onChange("fundingDeadline", value)}
+                min={toISODate(new Date())}
+                disabled={isLocked}
+            />
+            {fundingGoal > 0 && pricePerBlock > 0 && (
+                <p className="text-sm text-gray-600">
+                    Raising {formatToUSD(fundingGoal)} offers{" "}
+                    <span className="font-semibold">{Math.floor(fundingGoal / pricePerBlock).toLocaleString()} blocks</span> at{" "}
+                    {formatToUSD(pricePerBlock)}. If the goal is not met by the deadline, investors are refunded.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default RaiseTermsStep;
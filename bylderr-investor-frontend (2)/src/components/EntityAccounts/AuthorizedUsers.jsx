@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { ENTITY_PERMISSIONS, keepsManager } from "../../utils/entityAccounts";
+
+const NEEDS_MANAGER = "The entity needs at least one user who can manage it.";
+
+/**
+ * AuthorizedUsers Component
+ * Who can act for the entity and what each of them may do. Managers invite other
+ * investors by email and change or remove their access; anyone can leave.
+ */
+const AuthorizedUsers = ({ entity, canManage, isSaving, currentUserId, onAdd, onUpdate, onRemove }) => {
+    const [email, setEmail] = useState("");
+    const [permissions, setPermissions] = useState([]);
+    const [error, setError] = useState("");
+
+    const togglePermission = (list, permission) =>
+        list.includes(permission) ? list.filter((item) => item !== permission) : [...list, permission];
+
+    const handleToggle = (member, permission) => {
+        const updated = togglePermission(member.permissions, permission);
+        const authorizedUsers = entity.authorizedUsers.map((item) =>
+            item.id === member.id ? { ...item, permissions: updated } : item
+        );
+        if (!keepsManager(authorizedUsers)) {
+            setError(NEEDS_MANAGER);
+            return;
+        }
+        setError("");
+        onUpdate(member.id, updated);
+    };
+
+    const handleRemove = (member) => {
+        if (!keepsManager(entity.authorizedUsers.filter((item) => item.id !== member.id))) {
+            setError(NEEDS_MANAGER);
+            return;
+        }
+        setError("");
+        onRemove(member.id);
+    };
+
+    const handleAdd = async () => {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+            setError("Please enter the investor's email address.");
+            return;
+        }
+        if (entity.authorizedUsers.some((member) => member.email === email.trim().toLowerCase())) {
+            setError(`${email.trim()} already has access.`);
+            return;
+        }
+        setError("");
+        if (await onAdd(email.trim().toLowerCase(), permissions)) {
+            setEmail("");
+            setPermissions([]);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+            <h2 className="text-lg font-semibold text-gray-800">Authorized Users</h2>
+            <p className="text-sm text-gray-500">Everyone listed can view the entity, its holdings and its activity.</p>
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full bg-white">
+                    <thead>
+                        <tr className="text-gray-600 font-semibold">
+                            <th className="px-4 py-2 border-b text-left">User</th>
+                            {Object.values(ENTITY_PERMISSIONS).map(({ label, description }) => (
+                                <th key={label} className="px-4 py-2 border-b text-center" title={description}>
+                                    {label}
+                                </th>
+                            ))}
+                            <th className="px-4 py-2 border-b" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entity.authorizedUsers.map((member, index) => {
+                            const isSelf = member.id === currentUserId;
+                            return (
+                                <tr
+                                    key={member.id}
+                                    className={
+                                        index % 2 === 0
+                                            ? "bg-gray-100 hover:bg-neutral-200"
+                                            : "bg-white hover:bg-neutral-200"
+                                    }
+                                >
+                                    <td className="px-4 py-2 text-left">
+                                        <p className="font-medium text-gray-700">
+                                            {member.name || member.email}
+                                            {isSelf && " (you)"}
+                                        </p>
+                                        {member.name && <p className="text-sm text-gray-500">{member.email}</p>}
+                                    </td>
+                                    {Object.keys(ENTITY_PERMISSIONS).map((permission) => (
+                                        <td key={permission} className="px-4 py-2 text-center">
+                                            <input
+                                                type="checkbox"
+                                                aria-label={`${ENTITY_PERMISSIONS[permission].label} for ${member.name || member.email}`}
+                                                checked={member.permissions.includes(permission)}
+                                                disabled={!canManage || isSaving}
+                                                onChange={() => handleToggle(member, permission)}
+                                            />
+                                        </td>
+                                    ))}
+                                    <td className="px-4 py-2 text-right">
+                                        {(canManage || isSelf) && (
+                                            <button
+                                                onClick={() => handleRemove(member)}
+                                                disabled={isSaving}
+                                                className="text-red-500 hover:text-red-700 text-sm"
+                                            >
+                                                {isSelf ? "Leave" : "Remove"}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            {canManage && (
+                <div className="border-t pt-4 space-y-2">
+                    <h3 className="font-semibold text-gray-700">Add a User</h3>
+                    <p className="text-sm text-gray-500">They need their own investor login. We will let them know they have access.</p>
+                    <div className="flex flex-col md:flex-row gap-2">
+                        <input
+                            type="email"
+                            aria-label="Email"
+                            placeholder="investor@example.com"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="flex-1 border border-gray-300 rounded-md px-3 py-2"
+                        />
+                        <button
+                            onClick={handleAdd}
+                            disabled={isSaving}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                        >
+                            {isSaving ? "Saving..." : "Add User"}
+                        </button>
+                    </div>
+                    <div className="flex flex-wrap gap-4">
+                        {Object.entries(ENTITY_PERMISSIONS).map(([permission, { label, description }]) => (
+                            <label key={permission} className="flex items-center gap-2 text-sm text-gray-700" title={description}>
+                                <input
+                                    type="checkbox"
+                                    checked={permissions.includes(permission)}
+                                    onChange={() => setPermissions((prev) => togglePermission(prev, permission))}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AuthorizedUsers;
@@ -0,0 +1,165 @@
+import { useState } from "react";
+import InfoButtonModal from "../../utils/InfoButtonModal";
+import { BENEFICIAL_OWNER_THRESHOLD, ownershipTotal, validateOwners } from "../../utils/entityAccounts";
+
+const EMPTY_OWNER = { name: "", title: "", ownership: "", dateOfBirth: "", controlPerson: false };
+
+const inputClassName = "w-full border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100";
+
+/**
+ * BeneficialOwners Component
+ * The people who own or control the entity. Edits are kept locally until saved, and
+ * saving a changed list sends a verified entity back for review.
+ */
+const BeneficialOwners = ({ entity, canManage, isSaving, onSave }) => {
+    const [owners, setOwners] = useState(entity.beneficialOwners);
+    const [error, setError] = useState("");
+
+    const isChanged = JSON.stringify(owners) !== JSON.stringify(entity.beneficialOwners);
+
+    const updateOwner = (index, changes) => {
+        setError("");
+        setOwners((prev) => prev.map((owner, i) => (i === index ? { ...owner, ...changes } : owner)));
+    };
+
+    const handleSave = async () => {
+        const validationError = validateOwners(owners);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        const beneficialOwners = owners.map((owner) => ({
+            ...owner,
+            name: owner.name.trim(),
+            ownership: parseFloat(owner.ownership),
+        }));
+        if (await onSave({ beneficialOwners }, "Beneficial owners saved.")) {
+            setOwners(beneficialOwners);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+            <div className="flex items-center gap-2">
+                <h2 className="text-lg font-semibold text-gray-800">Beneficial Owners</h2>
+                <InfoButtonModal
+                    title="Beneficial Owners"
+                    description={`List everyone who owns ${BENEFICIAL_OWNER_THRESHOLD}% or more of the entity, and at least one person who controls it, such as a managing member, officer or trustee. For an IRA, list the account owner.`}
+                />
+            </div>
+
+            {owners.length === 0 ? (
+                <p className="text-gray-500">No beneficial owners listed yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full bg-white">
+                        <thead>
+                            <tr className="text-gray-600 font-semibold">
+                                <th className="px-2 py-2 border-b text-left">Name</th>
+                                <th className="px-2 py-2 border-b text-left">Title</th>
+                                <th className="px-2 py-2 border-b text-left">Ownership %</th>
+                                <th className="px-2 py-2 border-b text-left">Date of Birth</th>
+                                <th className="px-2 py-2 border-b text-center">Controls Entity</th>
+                                {canManage && <th className="px-2 py-2 border-b" />}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {owners.map((owner, index) => (
+                                <tr key={owner._id || index}>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            aria-label="Name"
+                                            value={owner.name}
+                                            disabled={!canManage}
+                                            onChange={(e) => updateOwner(index, { name: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            aria-label="Title"
+                                            value={owner.title}
+                                            disabled={!canManage}
+                                            onChange={(e) => updateOwner(index, { title: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            aria-label="Ownership percentage"
+                                            type="number"
+                                            min="0"
+                                            max="100"
+                                            value={owner.ownership}
+                                            disabled={!canManage}
+                                            onChange={(e) => updateOwner(index, { ownership: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1">
+                                        <input
+                                            aria-label="Date of birth"
+                                            type="date"
+                                            value={owner.dateOfBirth ? owner.dateOfBirth.slice(0, 10) : ""}
+                                            disabled={!canManage}
+                                            onChange={(e) => updateOwner(index, { dateOfBirth: e.target.value })}
+                                            className={inputClassName}
+                                        />
+                                    </td>
+                                    <td className="px-2 py-1 text-center">
+                                        <input
+                                            aria-label="Controls entity"
+                                            type="checkbox"
+                                            checked={owner.controlPerson}
+                                            disabled={!canManage}
+                                            onChange={(e) => updateOwner(index, { controlPerson: e.target.checked })}
+                                        />
+                                    </td>
+                                    {canManage && (
+                                        <td className="px-2 py-1 text-right">
+                                            <button
+                                                onClick={() => setOwners((prev) => prev.filter((_, i) => i !== index))}
+                                                className="text-gray-500 hover:text-gray-800"
+                                                aria-label={`Remove ${owner.name || "owner"}`}
+                                            >
+                                                &times;
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <p className="text-sm text-gray-500">Total ownership listed: {ownershipTotal(owners)}%</p>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            {canManage && (
+                <div className="flex justify-between">
+                    <button
+                        onClick={() => setOwners((prev) => [...prev, EMPTY_OWNER])}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                    >
+                        Add Owner
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!isChanged || isSaving}
+                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:opacity-50"
+                    >
+                        {isSaving ? "Saving..." : "Save Owners"}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BeneficialOwners;
@@ -0,0 +1,243 @@
+import { useState } from "react";
+import InputBox from "../../utils/InputBox";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import { ENTITY_TYPES, JOINT_TENANCY, validateEntity } from "../../utils/entityAccounts";
+
+const selectClassName =
+    "mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+/**
+ * CreateEntityModal Component
+ * Opens a joint account with another investor, or an LLC, trust, corporation or
+ * self-directed IRA account. Documents, owners and other users are added from the
+ * account's page once it exists.
+ */
+const CreateEntityModal = ({ onClose, onCreate }) => {
+    const [type, setType] = useState("llc");
+    const [name, setName] = useState("");
+    const [ein, setEin] = useState("");
+    const [formationState, setFormationState] = useState("");
+    const [formationDate, setFormationDate] = useState("");
+    const [custodianName, setCustodianName] = useState("");
+    const [custodianAccount, setCustodianAccount] = useState("");
+    const [coOwnerEmail, setCoOwnerEmail] = useState("");
+    const [jointTenancy, setJointTenancy] = useState("jtwros");
+    const [annualIncome, setAnnualIncome] = useState("");
+    const [netWorth, setNetWorth] = useState("");
+    const [error, setError] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    const isIra = type === "ira";
+    const isJoint = type === "joint";
+
+    const handleCreate = async () => {
+        const validationError = validateEntity({ type, name, ein, custodianName, coOwnerEmail, jointTenancy });
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        try {
+            await onCreate({
+                type,
+                name: name.trim(),
+                ...(isJoint && { coOwnerEmail: coOwnerEmail.trim().toLowerCase(), jointTenancy }),
+                ...(isIra && { custodian: { name: custodianName.trim(), accountLast4: custodianAccount.slice(-4) } }),
+                ...(!isJoint && !isIra && { ein, formationState: formationState.trim(), formationDate }),
+                annualIncome: parseFloat(annualIncome) || 0,
+                netWorth: parseFloat(netWorth) || 0,
+            });
+        } catch (err) {
+            console.error("Error creating entity:", err.message);
+            setError(err.response?.data?.error || "Failed to open the entity account. Please try again.");
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full max-h-screen overflow-y-auto">
+                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                    <h3 className="text-xl font-semibold text-gray-800">Open a Joint or Entity Account</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {Object.entries(ENTITY_TYPES).map(([key, entityType]) => (
+                            <button
+                                key={key}
+                                onClick={() => setType(key)}
+                                className={`text-left border-2 rounded-lg p-3 ${type === key
+                                    ? "border-midnight-blue bg-glitter"
+                                    : "border-gray-200 hover:border-gray-400"
+                                    }`}
+                            >
+                                <p className="font-semibold text-gray-800">{entityType.label}</p>
+                                <p className="text-sm text-gray-500">{entityType.description}</p>
+                            </button>
+                        ))}
+                    </div>
+
+                    <InputBox
+                        id="entityName"
+                        label={isIra || isJoint ? "Account Title" : "Legal Name"}
+                        placeholder={
+                            isJoint
+                                ? "Optional. Defaults to your name"
+                                : isIra
+                                    ? "e.g. Equity Trust FBO Jane Doe IRA"
+                                    : "As shown on formation documents"
+                        }
+                        value={name}
+                        onChange={(value) => setName(value)}
+                    />
+
+                    {isJoint && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <InputBox
+                                id="entityCoOwner"
+                                type="email"
+                                label="Other Owner's Email"
+                                placeholder="They accept the invitation from their Bylderr login"
+                                value={coOwnerEmail}
+                                onChange={(value) => setCoOwnerEmail(value)}
+                            />
+                            <div>
+                                <label htmlFor="entityJointTenancy" className="block text-sm font-medium text-gray-700">
+                                    Held As
+                                </label>
+                                <select
+                                    id="entityJointTenancy"
+                                    value={jointTenancy}
+                                    onChange={(e) => setJointTenancy(e.target.value)}
+                                    className={selectClassName}
+                                >
+                                    {Object.entries(JOINT_TENANCY).map(([key, label]) => (
+                                        <option key={key} value={key}>
+                                            {label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                    )}
+                    {isIra && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <InputBox
+                                id="entityCustodian"
+                                label="Custodian"
+                                placeholder="e.g. Equity Trust Company"
+                                value={custodianName}
+                                onChange={(value) => setCustodianName(value)}
+                            />
+                            <InputBox
+                                id="entityCustodianAccount"
+                                label="Custodian Account Number"
+                                placeholder="Only the last 4 digits are kept"
+                                value={custodianAccount}
+                                onChange={(value) => setCustodianAccount(value)}
+                            />
+                        </div>
+                    )}
+                    {!isJoint && !isIra && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <InputBox
+                                id="entityEin"
+                                label="EIN"
+                                placeholder="12-3456789"
+                                value={ein}
+                                onChange={(value) => setEin(value)}
+                            />
+                            <InputBox
+                                id="entityFormationState"
+                                label="State of Formation"
+                                placeholder="e.g. DE"
+                                value={formationState}
+                                onChange={(value) => setFormationState(value)}
+                            />
+                            <InputBox
+                                id="entityFormationDate"
+                                type="date"
+                                label="Date of Formation"
+                                value={formationDate}
+                                onChange={(value) => setFormationDate(value)}
+                            />
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <InputBox
+                            id="entityAnnualIncome"
+                            type="number"
+                            label="Annual Income"
+                            placeholder="0"
+                            value={annualIncome}
+                            onChange={(value) => setAnnualIncome(value)}
+                            suffix="USD"
+                            min="0"
+                        />
+                        <InputBox
+                            id="entityNetWorth"
+                            type="number"
+                            label="Net Assets"
+                            placeholder="0"
+                            value={netWorth}
+                            onChange={(value) => setNetWorth(value)}
+                            suffix="USD"
+                            min="0"
+                        />
+                    </div>
+                    <p className="text-sm text-gray-500">
+                        {isJoint
+                            ? "Enter the owners' combined income and net worth. They set the account's own investment limit."
+                            : "Income and net assets set the entity's own investment limit, separate from yours."}
+                    </p>
+                    {isJoint && (
+                        <p className="text-sm text-gray-500">
+                            Both owners get full access and are told about the account. It can be sent for
+                            verification once both have verified their identity.
+                        </p>
+                    )}
+
+                    {error && (
+                        <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                    <button
+                        onClick={onClose}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                        disabled={isSaving}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleCreate}
+                        disabled={isSaving}
+                        className={`px-4 py-2 rounded-md ${isSaving
+                            ? "bg-indigo-500 cursor-not-allowed"
+                            : "bg-midnight-blue hover:bg-blue-500"
+                            } text-white flex items-center justify-center`}
+                    >
+                        {isSaving ? (
+                            <div className="mr-2">
+                                <LoadingSpinner />
+                            </div>
+                        ) : null}
+                        {isSaving ? "Saving..." : "Open Account"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CreateEntityModal;
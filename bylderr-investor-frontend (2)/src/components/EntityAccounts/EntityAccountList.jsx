@@ -0,0 +1,210 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+    createEntity,
+    fetchEntityInvitations,
+    acceptEntityInvitation,
+    declineEntityInvitation,
+} from "../../api/entityApi";
+import { accountUpdated, switchAccount } from "../../slices/accountSlice";
+import { useAuth } from "../../../contexts/AuthContext";
+import { ENTITY_PERMISSIONS, ENTITY_STATUSES, ENTITY_TYPES } from "../../utils/entityAccounts";
+import CreateEntityModal from "./CreateEntityModal";
+
+/**
+ * EntityAccountList Component
+ * The joint accounts, LLCs, trusts, corporations and IRAs the investor can act for, what
+ * they may do for each, and a way to open a new one. Only verified accounts can invest.
+ * Investors invited to own a joint account accept or decline it here.
+ */
+const EntityAccountList = () => {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const { accounts, activeAccountId, status, error } = useSelector((state) => state.accounts);
+    const [isCreating, setIsCreating] = useState(false);
+    const [invitations, setInvitations] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [invitationError, setInvitationError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        if (isMockMode) return;
+        fetchEntityInvitations()
+            .then(setInvitations)
+            .catch((err) => console.error("Error fetching entity invitations:", err.message));
+    }, [isMockMode]);
+
+    // POST /entities for the mock data. The other owner of a joint account only joins it
+    // once they accept, so until then the opener is its only owner.
+    const mockCreate = (details) => {
+        const owners = [{ id: user.id, name: `${user.firstName} ${user.lastName}`, email: user.email }];
+        const { coOwnerEmail, ...rest } = details;
+        return {
+            ...rest,
+            ...(details.type === "joint" && { invitedEmail: coOwnerEmail }),
+            id: `entity-${Date.now()}`,
+            name: details.name || `${owners[0].name} Joint Account`,
+            status: "pending",
+            taxIdLast4: details.ein ? details.ein.slice(-4) : "",
+            accreditedStatus: "non-accredited",
+            availableFunds: 0,
+            documents: [],
+            missingDocuments: Object.keys(ENTITY_TYPES[details.type].documents),
+            beneficialOwners: details.type === "joint"
+                ? owners.map((owner) => ({ name: owner.name, title: "Joint Owner", ownership: 50, dateOfBirth: "", controlPerson: true }))
+                : [],
+            authorizedUsers: owners.map((owner) => ({
+                ...owner,
+                permissions: Object.keys(ENTITY_PERMISSIONS),
+                addedAt: new Date().toISOString(),
+            })),
+            permissions: Object.keys(ENTITY_PERMISSIONS),
+        };
+    };
+
+    const handleCreate = async (details) => {
+        const entity = isMockMode ? mockCreate(details) : await createEntity(details);
+        dispatch(accountUpdated(entity));
+        // Mock entities only exist in memory, so hand the new one to its page
+        navigate(`/account/entities/${entity.id}`, { state: { entity } });
+    };
+
+    const handleInvitation = async (invitation, accept) => {
+        setIsSaving(true);
+        setInvitationError(null);
+        setSuccess(null);
+        try {
+            if (accept) {
+                dispatch(accountUpdated(await acceptEntityInvitation(invitation.id)));
+            } else {
+                await declineEntityInvitation(invitation.id);
+            }
+            setInvitations((prev) => prev.filter((item) => item.id !== invitation.id));
+            setSuccess(accept ? `You are now an owner of ${invitation.name}.` : `You declined to own ${invitation.name}.`);
+        } catch (err) {
+            console.error("Error answering entity invitation:", err.message);
+            setInvitationError(err.response?.data?.error || "Failed to answer the invitation. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (status === "loading") {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    Failed to load your entity accounts. {error}
+                </div>
+            )}
+            {invitationError && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {invitationError}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {invitations.length > 0 && (
+                <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                    <h2 className="text-lg font-semibold text-gray-800">Invitations</h2>
+                    {invitations.map((invitation) => (
+                        <div key={invitation.id} className="flex justify-between items-center">
+                            <p className="text-gray-700">
+                                {invitation.invitedBy} invited you to own <span className="font-semibold">{invitation.name}</span>{" "}
+                                with them
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => handleInvitation(invitation, false)}
+                                    disabled={isSaving}
+                                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                >
+                                    Decline
+                                </button>
+                                <button
+                                    onClick={() => handleInvitation(invitation, true)}
+                                    disabled={isSaving}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                >
+                                    Accept
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    <p className="text-sm text-gray-500">
+                        Accepting gives you the same rights over the account as the investor who opened it.
+                    </p>
+                </div>
+            )}
+
+            <div className="flex justify-between items-center">
+                <p className="text-gray-600">
+                    Invest jointly with another investor or through an LLC, trust, corporation or
+                    self-directed IRA, and switch between accounts from the menu at the top of the page.
+                </p>
+                <button
+                    onClick={() => setIsCreating(true)}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md whitespace-nowrap"
+                >
+                    Open Account
+                </button>
+            </div>
+
+            {accounts.length === 0 ? (
+                <p className="text-gray-500">You do not have access to any joint or entity accounts yet.</p>
+            ) : (
+                accounts.map((account) => (
+                    <div key={account.id} className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6">
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <h2 className="text-lg font-semibold text-gray-800">{account.name}</h2>
+                                <p className="text-sm text-gray-500">
+                                    {ENTITY_TYPES[account.type]?.label} • You can{" "}
+                                    {account.permissions.length > 0
+                                        ? account.permissions.map((permission) => ENTITY_PERMISSIONS[permission]?.label.toLowerCase()).join(", ")
+                                        : "view only"}
+                                </p>
+                            </div>
+                            <span className={`px-2 py-1 rounded-md text-xs font-semibold ${ENTITY_STATUSES[account.status]?.className}`}>
+                                {ENTITY_STATUSES[account.status]?.label}
+                            </span>
+                        </div>
+                        <div className="flex justify-end gap-2 mt-4">
+                            <Link
+                                to={`/account/entities/${account.id}`}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                            >
+                                Details
+                            </Link>
+                            {account.id === activeAccountId ? (
+                                <span className="px-4 py-2 text-green-700 font-semibold">Acting for this account</span>
+                            ) : (
+                                <button
+                                    onClick={() => dispatch(switchAccount(account.id))}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                >
+                                    Switch to Account
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))
+            )}
+
+            {isCreating && <CreateEntityModal onClose={() => setIsCreating(false)} onCreate={handleCreate} />}
+        </div>
+    );
+};
+
+export default EntityAccountList;
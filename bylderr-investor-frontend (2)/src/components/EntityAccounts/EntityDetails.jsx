@@ -0,0 +1,256 @@
+import { useState, useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+    fetchEntity,
+    updateEntity,
+    uploadEntityDocument,
+    submitEntity,
+    addAuthorizedUser,
+    updateAuthorizedUser,
+    removeAuthorizedUser,
+} from "../../api/entityApi";
+import { entitiesMockData } from "../../mockData/entityMockData";
+import { accountRemoved, accountUpdated, switchAccount } from "../../slices/accountSlice";
+import { useAuth } from "../../../contexts/AuthContext";
+import { PERMISSIONS } from "../../auth/permissions";
+import { PERSONAL_ACCOUNT_ID } from "../../utils/activeAccount";
+import { ENTITY_STATUSES, ENTITY_TYPES, JOINT_TENANCY, submissionProblems, withChanges } from "../../utils/entityAccounts";
+import formatToUSD from "../../utils/formatToUSD";
+import FormationDocuments from "./FormationDocuments";
+import BeneficialOwners from "./BeneficialOwners";
+import AuthorizedUsers from "./AuthorizedUsers";
+
+// GET /entities/:id for the mock data, with the user's permissions on it
+const mockEntity = (entityId, userId) => {
+    const entity = entitiesMockData.find((item) => item.id === entityId);
+    const member = entity?.authorizedUsers.find((item) => item.id === userId);
+    return member ? { ...entity, permissions: member.permissions } : null;
+};
+
+/**
+ * EntityDetails Component
+ * One joint or entity account: its details, formation documents, beneficial owners and
+ * authorized users, and sending it for verification. Without the manage permission
+ * everything is read-only.
+ */
+const EntityDetails = ({ entityId }) => {
+    const dispatch = useDispatch();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { user } = useAuth();
+    const activeAccountId = useSelector((state) => state.accounts.activeAccountId);
+    const [entity, setEntity] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+    // Set when arriving straight from opening the account
+    const createdEntity = location.state?.entity?.id === entityId ? location.state.entity : null;
+
+    useEffect(() => {
+        const loadEntity = async () => {
+            setIsLoading(true);
+            setError(null);
+            try {
+                setEntity(isMockMode ? createdEntity || mockEntity(entityId, user?.id) : await fetchEntity(entityId));
+            } catch (err) {
+                console.error("Error fetching entity:", err.message);
+                setError("Failed to load the entity account. Using mock data.");
+                setEntity(mockEntity(entityId, user?.id));
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadEntity();
+    }, [entityId, isMockMode, user?.id, createdEntity]);
+
+    // Run one change through the API, or apply it locally in mock mode
+    const save = async (request, changes, message) => {
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            const updated = isMockMode ? withChanges(entity, changes) : await request();
+            setEntity(updated);
+            dispatch(accountUpdated(updated));
+            setSuccess(
+                updated.status === "pending" && entity.status !== "pending"
+                    ? `${message} ${updated.name} needs to be submitted for verification again.`
+                    : message
+            );
+            return true;
+        } catch (err) {
+            console.error("Error updating entity:", err.message);
+            setError(err.response?.data?.error || "Failed to save your changes. Please try again.");
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSaveDetails = (changes, message) =>
+        save(() => updateEntity(entity.id, changes), changes, message);
+
+    const handleUpload = (kind, file) => {
+        const documents = [
+            ...entity.documents.filter((doc) => doc.kind !== kind),
+            { _id: `doc-${Date.now()}`, kind, name: file.name, file: file.name, size: file.size, uploadedAt: new Date().toISOString() },
+        ];
+        return save(
+            () => uploadEntityDocument(entity.id, kind, file),
+            { documents, missingDocuments: entity.missingDocuments.filter((item) => item !== kind) },
+            `${ENTITY_TYPES[entity.type].documents[kind]} uploaded.`
+        );
+    };
+
+    const handleSubmit = () =>
+        save(
+            () => submitEntity(entity.id),
+            { status: "submitted", rejectionReason: undefined },
+            `${entity.name} was sent for verification. We will notify you when it has been reviewed.`
+        );
+
+    const handleAddUser = (email, permissions) =>
+        save(
+            () => addAuthorizedUser(entity.id, { email, permissions }),
+            {
+                authorizedUsers: [
+                    ...entity.authorizedUsers,
+                    { id: `user-${Date.now()}`, email, permissions, addedAt: new Date().toISOString() },
+                ],
+            },
+            `${email} can now act for ${entity.name}.`
+        );
+
+    const handleUpdateUser = (userId, permissions) =>
+        save(
+            () => updateAuthorizedUser(entity.id, userId, permissions),
+            {
+                authorizedUsers: entity.authorizedUsers.map((member) =>
+                    member.id === userId ? { ...member, permissions } : member
+                ),
+                ...(userId === user.id && { permissions }),
+            },
+            "Permissions updated."
+        );
+
+    const handleRemoveUser = async (userId) => {
+        if (userId !== user.id) {
+            return save(
+                () => removeAuthorizedUser(entity.id, userId),
+                { authorizedUsers: entity.authorizedUsers.filter((member) => member.id !== userId) },
+                "Access removed."
+            );
+        }
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            if (!isMockMode) {
+                await removeAuthorizedUser(entity.id, userId);
+            }
+            if (activeAccountId === entity.id) {
+                dispatch(switchAccount(PERSONAL_ACCOUNT_ID));
+            }
+            dispatch(accountRemoved(entity.id));
+            navigate("/account/entities");
+        } catch (err) {
+            console.error("Error leaving entity:", err.message);
+            setError(err.response?.data?.error || "Failed to leave the entity. Please try again.");
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    if (!entity) {
+        return <p className="text-gray-500">This entity account was not found, or you no longer have access to it.</p>;
+    }
+
+    const canManage = entity.permissions.includes(PERMISSIONS.ENTITY_MANAGE);
+    const canSubmit = canManage && ["pending", "rejected"].includes(entity.status);
+    const problems = canSubmit ? submissionProblems(entity) : [];
+
+    return (
+        <div className="space-y-6">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                <div className="flex justify-between items-start">
+                    <div>
+                        <h2 className="text-2xl font-semibold text-gray-800">{entity.name}</h2>
+                        <p className="text-sm text-gray-500">
+                            {ENTITY_TYPES[entity.type].label}
+                            {entity.type === "ira" &&
+                                ` • Custodian ${entity.custodian?.name || "not set"}${entity.custodian?.accountLast4 ? ` (••••${entity.custodian.accountLast4})` : ""}`}
+                            {entity.type === "joint" && ` • ${JOINT_TENANCY[entity.jointTenancy] || "Joint owners"}`}
+                            {entity.taxIdLast4 && ` • EIN ••-•••${entity.taxIdLast4}`}
+                            {entity.formationState && ` • Formed in ${entity.formationState}`}
+                        </p>
+                    </div>
+                    <span className={`px-2 py-1 rounded-md text-xs font-semibold ${ENTITY_STATUSES[entity.status].className}`}>
+                        {ENTITY_STATUSES[entity.status].label}
+                    </span>
+                </div>
+                <p className="text-gray-700">
+                    Available funds: <span className="font-semibold">{formatToUSD(entity.availableFunds)}</span>
+                </p>
+                {entity.status === "rejected" && entity.rejectionReason && (
+                    <p className="text-red-600">Verification was rejected: {entity.rejectionReason}</p>
+                )}
+                {entity.status !== "verified" && (
+                    <p className="text-sm text-gray-500">The entity can invest once it has been verified.</p>
+                )}
+                {canSubmit && (
+                    <div className="border-t pt-3 space-y-2">
+                        {problems.length > 0 && (
+                            <ul className="text-sm text-yellow-700 list-disc ml-5">
+                                {problems.map((problem) => (
+                                    <li key={problem}>{problem}</li>
+                                ))}
+                            </ul>
+                        )}
+                        <button
+                            onClick={handleSubmit}
+                            disabled={isSaving || problems.length > 0}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:opacity-50"
+                        >
+                            {isSaving ? "Saving..." : "Submit for Verification"}
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {Object.keys(ENTITY_TYPES[entity.type].documents).length > 0 && (
+                <FormationDocuments entity={entity} canManage={canManage} isSaving={isSaving} onUpload={handleUpload} />
+            )}
+            <BeneficialOwners entity={entity} canManage={canManage} isSaving={isSaving} onSave={handleSaveDetails} />
+            <AuthorizedUsers
+                entity={entity}
+                canManage={canManage}
+                isSaving={isSaving}
+                currentUserId={user?.id}
+                onAdd={handleAddUser}
+                onUpdate={handleUpdateUser}
+                onRemove={handleRemoveUser}
+            />
+        </div>
+    );
+};
+
+export default EntityDetails;
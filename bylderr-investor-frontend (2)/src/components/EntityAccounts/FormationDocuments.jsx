@@ -0,0 +1,70 @@
+import { downloadEntityDocument } from "../../api/entityApi";
+import PrivateFileLink from "../PrivateFileLink";
+import { ENTITY_TYPES } from "../../utils/entityAccounts";
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * FormationDocuments Component
+ * One slot per document the entity type needs. Uploading replaces the document of
+ * that kind, which sends a verified entity back for review.
+ */
+const FormationDocuments = ({ entity, canManage, isSaving, onUpload }) => {
+    const documents = ENTITY_TYPES[entity.type].documents;
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+            <h2 className="text-lg font-semibold text-gray-800">Formation Documents</h2>
+            {canManage && entity.status === "verified" && (
+                <p className="text-sm text-gray-500">Replacing a document sends the entity back for review.</p>
+            )}
+            <ul className="divide-y">
+                {Object.entries(documents).map(([kind, label]) => {
+                    const doc = entity.documents.find((item) => item.kind === kind);
+                    return (
+                        <li key={kind} className="flex justify-between items-center py-2">
+                            <div>
+                                <p className="font-medium text-gray-700">{label}</p>
+                                {doc ? (
+                                    <p className="text-sm text-gray-500">
+                                        <PrivateFileLink
+                                            name={doc.name}
+                                            download={() => downloadEntityDocument(entity.id, doc._id)}
+                                        />{" "}
+                                        • Uploaded {formatDate(doc.uploadedAt)}
+                                    </p>
+                                ) : (
+                                    <p className="text-sm text-red-500">Missing</p>
+                                )}
+                            </div>
+                            {canManage && (
+                                <label
+                                    className={`inline-block bg-gray-200 text-gray-700 px-4 py-2 rounded-md ${isSaving
+                                        ? "cursor-not-allowed opacity-50"
+                                        : "hover:bg-gray-300 cursor-pointer"
+                                        }`}
+                                >
+                                    {doc ? "Replace" : "Upload"}
+                                    <input
+                                        type="file"
+                                        accept="image/*,.pdf"
+                                        className="hidden"
+                                        disabled={isSaving}
+                                        onChange={(e) => {
+                                            const file = e.target.files[0];
+                                            e.target.value = "";
+                                            if (file) onUpload(kind, file);
+                                        }}
+                                    />
+                                </label>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default FormationDocuments;
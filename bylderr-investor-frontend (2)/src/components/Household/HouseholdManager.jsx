@@ -0,0 +1,282 @@
+import { useState } from "react";
+import useHousehold from "../../hooks/useHousehold";
+import { useAuth } from "../../../contexts/AuthContext";
+import {
+    createHousehold,
+    inviteHouseholdMember,
+    acceptHouseholdInvitation,
+    removeHouseholdMember,
+} from "../../api/householdApi";
+
+const inputClassName = "flex-1 border border-gray-300 rounded-md px-3 py-2";
+
+/**
+ * HouseholdManager Component
+ * Starting a household, inviting family members and answering invitations. Members see
+ * each other's personal and joint accounts combined on the Dashboard; entity accounts are
+ * left out and tax documents stay per account.
+ */
+const HouseholdManager = () => {
+    const { user } = useAuth();
+    const { household, invitations, isLoading, error: loadError, reload, setHousehold } = useHousehold();
+    const [name, setName] = useState("");
+    const [email, setEmail] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+    const isHead = household?.role === "head";
+
+    // Run one change through the API, or apply it locally in mock mode
+    const save = async (request, mockResult, message) => {
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            setHousehold(isMockMode ? mockResult() : await request());
+            setSuccess(message);
+            return true;
+        } catch (err) {
+            console.error("Error updating household:", err.message);
+            setError(err.response?.data?.error || "Failed to save your changes. Please try again.");
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const me = {
+        id: user.id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        joinedAt: new Date().toISOString(),
+    };
+
+    const handleCreate = async () => {
+        if (!name.trim()) {
+            setError("Please name the household.");
+            return;
+        }
+        const created = await save(
+            () => createHousehold(name.trim()),
+            () => ({
+                id: `household-${Date.now()}`,
+                name: name.trim(),
+                role: "head",
+                status: "active",
+                members: [{ ...me, role: "head", status: "active" }],
+            }),
+            `${name.trim()} is ready. Invite your family to share their accounts.`
+        );
+        if (created) setName("");
+    };
+
+    const handleInvite = async () => {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+            setError("Please enter the investor's email address.");
+            return;
+        }
+        const invitee = email.trim().toLowerCase();
+        const invited = await save(
+            () => inviteHouseholdMember(household.id, invitee),
+            () => ({
+                ...household,
+                members: [
+                    ...household.members,
+                    { id: `user-${Date.now()}`, name: invitee, email: invitee, role: "member", status: "invited" },
+                ],
+            }),
+            `${invitee} was invited. Their accounts join the household view once they accept.`
+        );
+        if (invited) setEmail("");
+    };
+
+    const handleRemove = (member) =>
+        save(
+            () => removeHouseholdMember(household.id, member.id),
+            () => ({ ...household, members: household.members.filter((item) => item.id !== member.id) }),
+            member.status === "invited" ? `The invitation to ${member.email} was cancelled.` : `${member.name} was removed.`
+        );
+
+    const handleLeave = () =>
+        save(
+            () => removeHouseholdMember(household.id, user.id),
+            () => null,
+            `You left ${household.name}. Your accounts are no longer shared with it.`
+        );
+
+    const handleInvitation = async (invitation, accept) => {
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await (accept
+                    ? acceptHouseholdInvitation(invitation.id)
+                    : removeHouseholdMember(invitation.id, user.id));
+            }
+            setSuccess(accept ? `You joined ${invitation.name}.` : `You declined to join ${invitation.name}.`);
+            if (!isMockMode) reload();
+        } catch (err) {
+            console.error("Error answering household invitation:", err.message);
+            setError(err.response?.data?.error || "Failed to answer the invitation. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="space-y-6">
+            {(error || loadError) && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error || loadError}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {!household && invitations.length > 0 && (
+                <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                    <h2 className="text-lg font-semibold text-gray-800">Invitations</h2>
+                    {invitations.map((invitation) => (
+                        <div key={invitation.id} className="flex justify-between items-center">
+                            <p className="text-gray-700">
+                                {invitation.invitedBy} invited you to join <span className="font-semibold">{invitation.name}</span>
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => handleInvitation(invitation, false)}
+                                    disabled={isSaving}
+                                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                >
+                                    Decline
+                                </button>
+                                <button
+                                    onClick={() => handleInvitation(invitation, true)}
+                                    disabled={isSaving}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                >
+                                    Join
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    <p className="text-sm text-gray-500">
+                        Joining shares the value and holdings of your personal account and any joint accounts you hold with the household. Entity accounts are not shared.
+                    </p>
+                </div>
+            )}
+
+            {household ? (
+                <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-4">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <h2 className="text-2xl font-semibold text-gray-800">{household.name}</h2>
+                            <p className="text-sm text-gray-500">
+                                Switch the Dashboard to Household to see everyone&apos;s accounts combined. Tax
+                                documents are still issued to each account on its own.
+                            </p>
+                        </div>
+                        <button
+                            onClick={handleLeave}
+                            disabled={isSaving}
+                            className="text-red-500 hover:text-red-700 text-sm whitespace-nowrap"
+                        >
+                            Leave Household
+                        </button>
+                    </div>
+
+                    <ul className="divide-y">
+                        {household.members.map((member) => (
+                            <li key={member.id} className="flex justify-between items-center py-2">
+                                <div>
+                                    <p className="font-medium text-gray-700">
+                                        {member.name}
+                                        {member.id === user.id && " (you)"}
+                                    </p>
+                                    <p className="text-sm text-gray-500">
+                                        {member.email} • {member.role === "head" ? "Head of household" : "Member"}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-4">
+                                    {member.status === "invited" && (
+                                        <span className="px-2 py-1 rounded-md text-xs font-semibold bg-yellow-100 text-yellow-700">
+                                            Invited
+                                        </span>
+                                    )}
+                                    {isHead && member.id !== user.id && (
+                                        <button
+                                            onClick={() => handleRemove(member)}
+                                            disabled={isSaving}
+                                            className="text-red-500 hover:text-red-700 text-sm"
+                                        >
+                                            {member.status === "invited" ? "Cancel Invitation" : "Remove"}
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {isHead && (
+                        <div className="border-t pt-4 space-y-2">
+                            <h3 className="font-semibold text-gray-700">Invite a Family Member</h3>
+                            <p className="text-sm text-gray-500">They need their own investor login and must accept before their accounts are shared.</p>
+                            <div className="flex flex-col md:flex-row gap-2">
+                                <input
+                                    type="email"
+                                    aria-label="Email"
+                                    placeholder="investor@example.com"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className={inputClassName}
+                                />
+                                <button
+                                    onClick={handleInvite}
+                                    disabled={isSaving}
+                                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                                >
+                                    {isSaving ? "Saving..." : "Send Invitation"}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 p-6 space-y-3">
+                    <h2 className="text-lg font-semibold text-gray-800">Start a Household</h2>
+                    <p className="text-sm text-gray-500">
+                        Link your accounts with your family&apos;s to see one combined portfolio. You can belong to
+                        one household at a time.
+                    </p>
+                    <div className="flex flex-col md:flex-row gap-2">
+                        <input
+                            aria-label="Household name"
+                            placeholder="e.g. Carter Household"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className={inputClassName}
+                        />
+                        <button
+                            onClick={handleCreate}
+                            disabled={isSaving}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                        >
+                            {isSaving ? "Saving..." : "Start Household"}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HouseholdManager;
@@ -0,0 +1,111 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBuilding, faCheck, faChevronDown, faUser } from '@fortawesome/free-solid-svg-icons';
+import { useAuth } from '../../../contexts/AuthContext';
+import { selectActiveAccount, switchAccount } from '../../slices/accountSlice';
+import { PERSONAL_ACCOUNT_ID } from '../../utils/activeAccount';
+import { ENTITY_STATUSES, ENTITY_TYPES } from '../../utils/entityAccounts';
+
+/**
+ * AccountSwitcher Component
+ * Lets one login act for the investor's personal account or any entity they are an
+ * authorized user of. Investments, funds and holdings follow the account picked here.
+ */
+const AccountSwitcher = () => {
+    const dispatch = useDispatch();
+    const { user } = useAuth();
+    const accounts = useSelector((state) => state.accounts.accounts);
+    const activeAccount = useSelector(selectActiveAccount);
+    const [isOpen, setIsOpen] = useState(false);
+    const dropdownRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    const handleSwitch = (accountId) => {
+        dispatch(switchAccount(accountId));
+        setIsOpen(false);
+    };
+
+    const personalName = user ? `${user.firstName} ${user.lastName}` : 'Personal';
+
+    const itemClassName = (isActive) =>
+        `w-full flex items-center justify-between gap-4 px-4 py-2 text-left hover:bg-neutral-200 ${isActive ? 'bg-glitter' : ''
+        }`;
+
+    return (
+        <div className="relative" ref={dropdownRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex items-center gap-2 text-md text-midnight-blue border border-gray-300 rounded-full px-4 py-1 hover:bg-gray-100"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                <FontAwesomeIcon icon={activeAccount ? faBuilding : faUser} />
+                <span className="max-w-[12rem] truncate">{activeAccount ? activeAccount.name : personalName}</span>
+                <FontAwesomeIcon icon={faChevronDown} className="text-xs" />
+            </button>
+
+            {isOpen && (
+                <div
+                    className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-300 z-50 py-2"
+                    role="menu"
+                >
+                    <p className="px-4 pb-1 text-xs font-semibold text-gray-500 uppercase">Act for</p>
+                    <button
+                        onClick={() => handleSwitch(PERSONAL_ACCOUNT_ID)}
+                        className={itemClassName(!activeAccount)}
+                        role="menuitem"
+                    >
+                        <span>
+                            <span className="block font-semibold text-gray-800">{personalName}</span>
+                            <span className="block text-xs text-gray-500">Personal account</span>
+                        </span>
+                        {!activeAccount && <FontAwesomeIcon icon={faCheck} className="text-midnight-blue" />}
+                    </button>
+                    {accounts.map((account) => (
+                        <button
+                            key={account.id}
+                            onClick={() => handleSwitch(account.id)}
+                            className={itemClassName(activeAccount?.id === account.id)}
+                            role="menuitem"
+                        >
+                            <span>
+                                <span className="block font-semibold text-gray-800">{account.name}</span>
+                                <span className="block text-xs text-gray-500">
+                                    {ENTITY_TYPES[account.type]?.label}
+                                    {account.status !== 'verified' && ` · ${ENTITY_STATUSES[account.status]?.label}`}
+                                </span>
+                            </span>
+                            {activeAccount?.id === account.id && (
+                                <FontAwesomeIcon icon={faCheck} className="text-midnight-blue" />
+                            )}
+                        </button>
+                    ))}
+                    <div className="border-t border-gray-300 mt-2 pt-2 px-4">
+                        <Link
+                            to="/account/entities"
+                            onClick={() => setIsOpen(false)}
+                            className="text-sm text-midnight-blue hover:underline"
+                        >
+                            Manage Joint & Entity Accounts
+                        </Link>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AccountSwitcher;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import Header from './Header';
+import { Outlet, useLocation } from 'react-router-dom';
+import SideBarButtons from './SideBarButtons';
+import LogoButton from './LogoButton';
+import LogoutButton from '../LogoutButton';
+import BottomBar from './BottomBar';
+import BYLDERR_img from '../../assets/BYLDERR_img.png';
+import Blyderr_logo from '../../assets/Bylderr_logo.png';
+import { MdInsights } from 'react-icons/md';
+import { FaIdCard, FaUsers, FaMoneyCheckAlt, FaCertificate, FaBuilding, FaUniversity } from 'react-icons/fa';
+
+const ADMIN_LINKS = [
+    { section: 'dashboard', to: '/admin', icon: <MdInsights />, label: 'Dashboard' },
+    { section: 'kyc', to: '/admin/kyc', icon: <FaIdCard />, label: 'KYC Review' },
+    { section: 'accreditation', to: '/admin/accreditation', icon: <FaCertificate />, label: 'Accreditation' },
+    { section: 'entities', to: '/admin/entities', icon: <FaBuilding />, label: 'Entities' },
+    { section: 'users', to: '/admin/users', icon: <FaUsers />, label: 'Users' },
+    { section: 'investments', to: '/admin/investments', icon: <FaMoneyCheckAlt />, label: 'Investments' },
+    { section: 'wires', to: '/admin/wires', icon: <FaUniversity />, label: 'Wires' },
+];
+
+const AdminSidebar = () => {
+    const [isCollapsed, setIsCollapsed] = useState(true);
+    const [active, setActive] = useState('dashboard');
+
+    const location = useLocation();
+
+    // Update active tab based on current pathname
+    useEffect(() => {
+        const section = location.pathname.toLowerCase().split('/')[2];
+        setActive(section || 'dashboard');
+    }, [location]);
+
+    const toggleSidebar = () => {
+        setIsCollapsed(!isCollapsed);
+    };
+
+    const links = ADMIN_LINKS.map(({ section, to, icon, label }) => (
+        <SideBarButtons
+            key={section}
+            to={to}
+            icon={icon}
+            label={label}
+            isActive={active === section}
+            isCollapsed={isCollapsed}
+        />
+    ));
+
+    return (
+        <div className="flex h-screen flex-col lg:flex-row">
+            {/* Sidebar */}
+            <div className='hidden sm:block'>
+                <div onClick={toggleSidebar}
+                    className={`fixed top-0 left-0 flex flex-col ${isCollapsed ? 'w-20' : 'w-64'
+                        } h-full bg-white items-center text-gray-600 transition-all duration-100 ease-in-out shadow-lg border-r z-20`}
+                >
+                    <LogoButton
+                        isCollapsed={isCollapsed}
+                        toggleSidebar={toggleSidebar}
+                        expandedLogo={BYLDERR_img}
+                        collapsedLogo={Blyderr_logo}
+                    />
+
+                    <nav className="mt-10 space-y-5 items-center" onClick={(e) => e.stopPropagation()}>
+                        {links}
+                    </nav>
+                    <LogoutButton />
+                </div>
+            </div>
+
+            {/* Main Content */}
+            <div className={`flex-1 flex flex-col transition-all duration-300 ${isCollapsed ? 'sm:ml-20' : 'sm:ml-64'}`}>
+                <div className="flex-1 overflow-y-auto pt-4 mt-16">
+                    <div className={`fixed top-0 left-0 right-0 bg-white z-10 shadow`}>
+                        <Header />
+                    </div>
+                    <Outlet />
+                    <div className={`fixed bottom-0 left-0 right-0 bg-white z-10 shadow`}>
+                        <BottomBar>{links}</BottomBar>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminSidebar;
@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { faThLarge, faHome, faUser } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faThLarge, faHome, faUser, faEnvelope } from '@fortawesome/free-solid-svg-icons';
 import Header from './Header';
 import { Outlet } from 'react-router-dom';
 import SideBarButtons from './SideBarButtons';
 import LogoButton from './LogoButton';
 import LogoutButton from '../LogoutButton';
 import BottomBar from './BottomBar';
+import BYLDERR_img from '../../assets/BYLDERR_img.png';
+import Blyderr_logo from '../../assets/Bylderr_logo.png';
+import useUnreadMessages from '../../hooks/useUnreadMessages';
 
 const DeveloperSidebar = () => {
     const [isCollapsed, setIsCollapsed] = useState(true);
+    const unreadMessages = useUnreadMessages();
     const [active, setActive] = useState(() => {
         const savedActiveSection = localStorage.getItem('activeSection');
         return savedActiveSection ? savedActiveSection : 'dashboard';
@@ -38,14 +43,14 @@ const DeveloperSidebar = () => {
                     <LogoButton
                         isCollapsed={isCollapsed}
                         toggleSidebar={toggleSidebar}
-                        expandedLogo="src/assets/BYLDERR_img.png"
-                        collapsedLogo="src/assets/Bylderr_logo.png"
+                        expandedLogo={BYLDERR_img}
+                        collapsedLogo={Blyderr_logo}
                     />
 
                     <nav className="mt-10 space-y-5 items-center" onClick={(e) => e.stopPropagation()}>
                         <SideBarButtons
                             to="/developer"
-                            icon={faThLarge}
+                            icon={<FontAwesomeIcon icon={faThLarge} />}
                             label="Dashboard"
                             isActive={active === 'dashboard'}
                             onClick={() => handleSetActive('dashboard')}
@@ -53,15 +58,24 @@ const DeveloperSidebar = () => {
                         />
                         <SideBarButtons
                             to="/developer/listings"
-                            icon={faHome}
+                            icon={<FontAwesomeIcon icon={faHome} />}
                             label="Listings"
                             isActive={active === 'listings'}
                             onClick={() => handleSetActive('listings')}
                             isCollapsed={isCollapsed}
                         />
+                        <SideBarButtons
+                            to="/developer/messages"
+                            icon={<FontAwesomeIcon icon={faEnvelope} />}
+                            label="Messages"
+                            isActive={active === 'messages'}
+                            onClick={() => handleSetActive('messages')}
+                            isCollapsed={isCollapsed}
+                            badge={unreadMessages}
+                        />
                         <SideBarButtons
                             to="/developer/profile"
-                            icon={faUser}
+                            icon={<FontAwesomeIcon icon={faUser} />}
                             label="Profile"
                             isActive={active === 'profile'}
                             onClick={() => handleSetActive('profile')}
@@ -82,24 +96,33 @@ const DeveloperSidebar = () => {
                     <div className={`fixed bottom-0 left-0 right-0 bg-white z-10 shadow`}>
                         <BottomBar>
                             <SideBarButtons
-                                to="/"
-                                icon={faThLarge}
+                                to="/developer"
+                                icon={<FontAwesomeIcon icon={faThLarge} />}
                                 label="Dashboard"
                                 isActive={active === 'dashboard'}
                                 onClick={() => handleSetActive('dashboard')}
                                 isCollapsed={isCollapsed}
                             />
                             <SideBarButtons
-                                to="/listings"
-                                icon={faHome}
+                                to="/developer/listings"
+                                icon={<FontAwesomeIcon icon={faHome} />}
                                 label="Listings"
                                 isActive={active === 'listings'}
                                 onClick={() => handleSetActive('listings')}
                                 isCollapsed={isCollapsed}
                             />
                             <SideBarButtons
-                                to="/profile"
-                                icon={faUser}
+                                to="/developer/messages"
+                                icon={<FontAwesomeIcon icon={faEnvelope} />}
+                                label="Messages"
+                                isActive={active === 'messages'}
+                                onClick={() => handleSetActive('messages')}
+                                isCollapsed={isCollapsed}
+                                badge={unreadMessages}
+                            />
+                            <SideBarButtons
+                                to="/developer/profile"
+                                icon={<FontAwesomeIcon icon={faUser} />}
                                 label="Profile"
                                 isActive={active === 'profile'}
                                 onClick={() => handleSetActive('profile')}
@@ -3,6 +3,9 @@ import { Link } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faQuestionCircle, faCog, faBell } from '@fortawesome/free-solid-svg-icons';
 import AddFundsModal from '../AddFunds/AddFundsModal';
+import AccountSwitcher from './AccountSwitcher';
+import Can from '../Can';
+import { PERMISSIONS } from '../../auth/permissions';
 
 const Header = () => {
 	const [isModalOpen, setModalOpen] = useState(false);
@@ -12,12 +15,17 @@ const Header = () => {
 
 	return (
 		<header className="flex items-center justify-end bg-white h-20 px-4 shadow-md">
-			<button
-				className="items-center text-md cursor-pointer mx-5 bg-midnight-blue text-white px-4 py-1 rounded-full hover:bg-blue-100"
-				onClick={openModal}
-			>
-				Add Funds
-			</button>
+			<AccountSwitcher />
+
+			{/* Entities only let some of their users move funds */}
+			<Can permission={PERMISSIONS.FUNDS_MANAGE}>
+				<button
+					className="items-center text-md cursor-pointer mx-5 bg-midnight-blue text-white px-4 py-1 rounded-full hover:bg-blue-100"
+					onClick={openModal}
+				>
+					Add Funds
+				</button>
+			</Can>
 
 			<AddFundsModal isOpen={isModalOpen} onClose={closeModal} />
 			{/* Icons */}
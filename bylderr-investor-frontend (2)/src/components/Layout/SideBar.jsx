@@ -8,15 +8,19 @@ import BottomBar from './BottomBar';
 import BYLDERR_img from '../../assets/BYLDERR_img.png';
 import Blyderr_logo from '../../assets/Bylderr_logo.png';
 import { MdInsights } from 'react-icons/md';
-import { FaUser, FaHome } from 'react-icons/fa';
+import { FaUser, FaHome, FaEnvelope } from 'react-icons/fa';
 import { BsFillBuildingsFill } from "react-icons/bs";
 import Footer from './Footer';
+import useUnreadMessages from '../../hooks/useUnreadMessages';
+import { useSelector } from 'react-redux';
 
 const Sidebar = () => {
     const [isCollapsed, setIsCollapsed] = useState(true);
     const [active, setActive] = useState('dashboard');
 
     const location = useLocation();
+    const unreadMessages = useUnreadMessages();
+    const activeAccountId = useSelector((state) => state.accounts.activeAccountId);
 
     // Update active tab based on current pathname
     useEffect(() => {
@@ -26,6 +30,8 @@ const Sidebar = () => {
             setActive('dashboard');
         } else if (currentPath.startsWith('/listings')) {
             setActive('listings');
+        } else if (currentPath.startsWith('/messages')) {
+            setActive('messages');
         } else if (currentPath.startsWith('/profile')) {
             setActive('profile');
         } else {
@@ -67,6 +73,14 @@ const Sidebar = () => {
                             isActive={active === 'listings'}
                             isCollapsed={isCollapsed}
                         />
+                        <SideBarButtons
+                            to="/messages"
+                            icon={<FaEnvelope/>}
+                            label="Messages"
+                            isActive={active === 'messages'}
+                            isCollapsed={isCollapsed}
+                            badge={unreadMessages}
+                        />
                         <SideBarButtons
                             to="/profile"
                             icon={<FaUser/>}
@@ -85,7 +99,8 @@ const Sidebar = () => {
                     <div className={`fixed top-0 left-0 right-0 bg-white z-10 shadow`}>
                         <Header />
                     </div>
-                    <Outlet />
+                    {/* Switching accounts reloads the page's data for the new account */}
+                    <Outlet key={activeAccountId} />
                     <Footer />
                     <div className={`fixed bottom-0 left-0 right-0 bg-white z-10 shadow`}>
                         <BottomBar>
@@ -103,6 +118,14 @@ const Sidebar = () => {
                                 isActive={active === 'listings'}
                                 isCollapsed={isCollapsed}
                             />
+                            <SideBarButtons
+                                to="/messages"
+                                icon={<FaEnvelope/>}
+                                label="Messages"
+                                isActive={active === 'messages'}
+                                isCollapsed={isCollapsed}
+                                badge={unreadMessages}
+                            />
                             <SideBarButtons
                                 to="/profile"
                                 icon={<FaUser/>}
@@ -5,9 +5,10 @@ import { Link } from 'react-router-dom';
 /**
  * A single navigation link for the sidebar.
  * Renders an icon and label, and applies active styling when selected.
+ * A `badge` count above zero shows on the icon, e.g. unread messages.
  */
 
-const SideBarButtons = ({ to, icon, label, isActive, onClick, isCollapsed }) => {
+const SideBarButtons = ({ to, icon, label, isActive, onClick, isCollapsed, badge = 0 }) => {
     return (
         <Link
             to={to}
@@ -16,7 +17,14 @@ const SideBarButtons = ({ to, icon, label, isActive, onClick, isCollapsed }) =>
                 }`}
         >
             
-            {<span className="text-2xl">{icon}</span>}
+            <span className="text-2xl relative">
+                {icon}
+                {badge > 0 && (
+                    <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-semibold rounded-full px-1.5">
+                        {badge > 99 ? '99+' : badge}
+                    </span>
+                )}
+            </span>
             {!isCollapsed && <span>{label}</span>}
         </Link>
     );
@@ -10,7 +10,8 @@ const CommentItem = ({ comment, onReply, onUpvote, onDownvote }) => {
     const [showReplyBox, setShowReplyBox] = useState(false);
     const [replyText, setReplyText] = useState("");
     const [showReplies, setShowReplies] = useState(true);
-    const [userVote, setUserVote] = useState(null);
+    // Each investor gets one vote per comment; it can be switched but not repeated
+    const [userVote, setUserVote] = useState(comment.myVote || null);
 
     const isManager = comment.authorName.toLowerCase().includes("property manager");
 
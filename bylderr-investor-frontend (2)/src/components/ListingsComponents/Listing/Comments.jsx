@@ -8,6 +8,9 @@ import {
 } from "../../../api/commentsApi";
 import { mockCommentsData } from "../../../mockData/mockCommentsData";
 import CommentItem from "./CommentItem";
+import useListingChannel from "../../../hooks/useListingChannel";
+import Can from "../../Can";
+import { PERMISSIONS } from "../../../auth/permissions";
 
 const generateUniqueId = () => {
     return Date.now() + Math.floor(Math.random() * 1000);
@@ -27,6 +30,22 @@ export const updateNestedComments = (comments, targetId, updater) => {
     });
 };
 
+const hasComment = (comments, id) =>
+    comments.some((comment) => comment.id === id || hasComment(comment.replies || [], id));
+
+/**
+ * Adds a comment at the top of the thread list, or as the last reply to `parentId`.
+ * Comments already shown are skipped, since the server also pushes back our own posts.
+ */
+const insertComment = (comments, comment, parentId) => {
+    if (hasComment(comments, comment.id)) return comments;
+    if (!parentId) return [comment, ...comments];
+    return updateNestedComments(comments, parentId, (parent) => ({
+        ...parent,
+        replies: [...parent.replies, comment],
+    }));
+};
+
 /**
  * Main component to display and manage comments for a specific post.
  */
@@ -67,6 +86,20 @@ const Comments = ({ listingId }) => {
         loadComments();
     }, [listingId, isMockMode]);
 
+    // Comments and votes from other investors arrive while the page is open
+    useListingChannel(listingId, {
+        comment: ({ comment, parentId }) =>
+            setComments((prevComments) => insertComment(prevComments, comment, parentId)),
+        vote: ({ commentId, upvotes, downvotes }) =>
+            setComments((prevComments) =>
+                updateNestedComments(prevComments, commentId, (comment) => ({
+                    ...comment,
+                    upvotes,
+                    downvotes,
+                }))
+            ),
+    });
+
     /**
      * Handles submitting a new top-level comment.
      */
@@ -93,7 +126,7 @@ const Comments = ({ listingId }) => {
         } else {
             try {
                 const newComment = await postComment(listingId, { text: newCommentText });
-                setComments([newComment, ...comments]);
+                setComments((prevComments) => insertComment(prevComments, newComment));
                 setNewCommentText("");
                 setShowAllTopComments(true);
             } catch (err) {
@@ -130,12 +163,7 @@ const Comments = ({ listingId }) => {
         } else {
             try {
                 const newReply = await replyToComment(listingId, commentId, { text: replyText });
-                setComments((prevComments) =>
-                    updateNestedComments(prevComments, commentId, (comment) => ({
-                        ...comment,
-                        replies: [...comment.replies, newReply],
-                    }))
-                );
+                setComments((prevComments) => insertComment(prevComments, newReply, commentId));
             } catch (err) {
                 console.error("Error replying to comment:", err);
                 setError(err || "Failed to reply to comment. Please try again later.");
@@ -160,16 +188,17 @@ const Comments = ({ listingId }) => {
             setIsLoading(false);
         } else {
             try {
-                await upvoteComment(listingId, commentId);
+                const { upvotes, downvotes } = await upvoteComment(listingId, commentId);
                 setComments((prevComments) =>
                     updateNestedComments(prevComments, commentId, (comment) => ({
                         ...comment,
-                        upvotes: comment.upvotes + 1,
+                        upvotes,
+                        downvotes,
                     }))
                 );
             } catch (err) {
                 console.error("Error upvoting comment:", err);
-                setError(err || "Failed to upvote the comment. Please try again.");
+                setError(err.response?.data?.error || "Failed to upvote the comment. Please try again.");
             } finally {
                 setIsLoading(false);
             }
@@ -191,16 +220,17 @@ const Comments = ({ listingId }) => {
             setIsLoading(false);
         } else {
             try {
-                await downvoteComment(listingId, commentId);
+                const { upvotes, downvotes } = await downvoteComment(listingId, commentId);
                 setComments((prevComments) =>
                     updateNestedComments(prevComments, commentId, (comment) => ({
                         ...comment,
-                        downvotes: comment.downvotes + 1,
+                        upvotes,
+                        downvotes,
                     }))
                 );
             } catch (err) {
                 console.error("Error downvoting comment:", err);
-                setError(err || "Failed to downvote the comment. Please try again.");
+                setError(err.response?.data?.error || "Failed to downvote the comment. Please try again.");
             } finally {
                 setIsLoading(false);
             }
@@ -226,23 +256,25 @@ const Comments = ({ listingId }) => {
             {isLoading && <p className="mb-4">Loading...</p>}
 
             {/* New Comment Form */}
-            <div className="mb-4 pl-5">
-                <textarea
-                    className="border rounded w-full p-2 text-sm"
-                    placeholder="Write a comment..."
-                    value={newCommentText}
-                    onChange={(e) => setNewCommentText(e.target.value)}
-                />
-                <div className="mt-2">
-                    <button
-                        onClick={handlePostComment}
-                        className="bg-midnight-blue text-white px-3 py-1 rounded text-sm"
-                        disabled={isLoading}
-                    >
-                        Comment
-                    </button>
+            <Can permission={PERMISSIONS.COMMENTS_WRITE}>
+                <div className="mb-4 pl-5">
+                    <textarea
+                        className="border rounded w-full p-2 text-sm"
+                        placeholder="Write a comment..."
+                        value={newCommentText}
+                        onChange={(e) => setNewCommentText(e.target.value)}
+                    />
+                    <div className="mt-2">
+                        <button
+                            onClick={handlePostComment}
+                            className="bg-midnight-blue text-white px-3 py-1 rounded text-sm"
+                            disabled={isLoading}
+                        >
+                            Comment
+                        </button>
+                    </div>
                 </div>
-            </div>
+            </Can>
 
             {/* Comments List */}
             {visibleComments.map((comment) => (
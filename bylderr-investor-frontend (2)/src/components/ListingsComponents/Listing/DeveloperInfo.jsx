@@ -1,12 +1,23 @@
 import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../../../contexts/AuthContext';
+import Can from '../../Can';
+import { PERMISSIONS } from '../../../auth/permissions';
+
+// `project` ({ id, title }) is the listing a conversation started here is about
+const DeveloperInfo = ({ developerInfo, project }) => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
 
-const DeveloperInfo = ({ developerInfo }) => {
     if (!developerInfo) return null;
 
-    const { name, listingCount, joinedYear } = developerInfo;
+    const { id, name, listingCount, joinedYear } = developerInfo;
+
+    // Opens the inbox on this developer's thread about the listing, starting one if needed
+    const messageDeveloper = () => navigate('/messages', { state: { recipient: { id, name }, project } });
 
     return (
-        <div className="py-5 border-t border-b border-gray-500 mt-10 flex space-x-5 text-gray-500">
+        <div className="py-5 border-t border-b border-gray-500 mt-10 flex justify-between items-center space-x-5 text-gray-500">
             {/* Property Name */}
             <span className="flex flex-col text-left text-lg">
                 <span className="font-bold">Listed by {name}</span>
@@ -15,8 +26,18 @@ const DeveloperInfo = ({ developerInfo }) => {
                     <span>Member Since {joinedYear}</span>
                 </div>
             </span>
+            {id && String(id) !== String(user?.id) && (
+                <Can permission={PERMISSIONS.MESSAGES_SEND}>
+                    <button
+                        onClick={messageDeveloper}
+                        className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                    >
+                        Message Developer
+                    </button>
+                </Can>
+            )}
         </div>
     );
 };
 
-export default DeveloperInfo;
\ No newline at end of file
+export default DeveloperInfo;
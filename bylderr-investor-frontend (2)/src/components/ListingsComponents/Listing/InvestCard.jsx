@@ -2,14 +2,21 @@ import React, { useState } from 'react';
 import formatToUSD from '../../../utils/formatToUSD';
 import InvestmentPurchaseModal from './InvestmentPurchaseModal';
 import InputBox from '../../../utils/inputBox';
+import { raiseState } from '../../../utils/raiseStatus';
+import InfoButtonModal from '../../../utils/InfoButtonModal';
+import useInvestmentLimits from '../../../hooks/useInvestmentLimits';
+import { LIMIT_EXPLANATION, exceedsLimit } from '../../../utils/investmentLimits';
 
 const InvestCard = ({ investData }) => {
     const [amount, setAmount] = useState('');
     const [isModalOpen, setModalOpen] = useState(false);
+    const { capacity, error: limitError } = useInvestmentLimits();
 
     if (!investData) return null;
 
     const { address, pricePerBlock } = investData;
+    const state = raiseState(investData);
+    const overLimit = exceedsLimit(capacity, parseFloat(amount));
 
     const handleOpenModal = () => {
         setModalOpen(true);
@@ -19,6 +26,19 @@ const InvestCard = ({ investData }) => {
         setModalOpen(false);
     };
 
+    if (state === 'closed' || state === 'failed') {
+        return (
+            <div className="bg-white p-6 rounded-lg shadow-md max-w-lg mx-auto text-center">
+                <h2 className="font-bold text-gray-700 text-lg">{address}</h2>
+                <p className="text-gray-500 mt-2">
+                    {state === 'closed'
+                        ? 'This raise has closed. Blocks can still be bought from other investors on the order book.'
+                        : 'This raise did not reach its goal by the deadline. All investments are being refunded.'}
+                </p>
+            </div>
+        );
+    }
+
     return (
         <div className="bg-white p-6 rounded-lg shadow-md max-w-lg mx-auto">
             <h2 className="font-bold text-gray-700 text-center text-lg">
@@ -27,6 +47,12 @@ const InvestCard = ({ investData }) => {
             <div className="text-gray-500 text-xl text-center mb-4">
                 {formatToUSD(pricePerBlock)} / block
             </div>
+            {state === 'waitlist' && (
+                <p className="text-sm text-gray-600 text-center mb-4">
+                    This raise is fully funded. Join the waitlist to be allocated, in order, if an investor
+                    cancels before the raise closes.
+                </p>
+            )}
 
             <div>
                 <InputBox
@@ -41,6 +67,29 @@ const InvestCard = ({ investData }) => {
                 />
             </div>
 
+            {limitError && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4 text-sm">
+                    {limitError}
+                </div>
+            )}
+            {capacity && !capacity.accredited && (
+                <div className="flex items-center justify-center gap-2 text-sm text-gray-600 mb-2">
+                    <span>
+                        You can invest <span className="font-semibold">{formatToUSD(capacity.remaining)}</span> more
+                        in the next 12 months
+                    </span>
+                    <InfoButtonModal
+                        title="Investment Limit"
+                        description={`${LIMIT_EXPLANATION} Your limit is ${formatToUSD(capacity.limit)} and you have invested ${formatToUSD(capacity.invested)} in the last 12 months.`}
+                    />
+                </div>
+            )}
+            {overLimit && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4 text-sm">
+                    This is more than your remaining investment limit of {formatToUSD(capacity.remaining)}.
+                </div>
+            )}
+
             <div className="text-center text-gray-500 mb-2">Or Select</div>
 
             <div className="grid grid-cols-3 gap-4 mb-4">
@@ -57,9 +106,10 @@ const InvestCard = ({ investData }) => {
 
             <button
                 onClick={handleOpenModal}
-                className="bg-midnight-blue text-white w-full py-3 rounded-md hover:bg-blue-800"
+                disabled={overLimit}
+                className="bg-midnight-blue text-white w-full py-3 rounded-md hover:bg-blue-800 disabled:bg-gray-400"
             >
-                Continue
+                {state === 'waitlist' ? 'Join Waitlist' : 'Continue'}
             </button>
 
             {isModalOpen && (
@@ -67,6 +117,7 @@ const InvestCard = ({ investData }) => {
                     investData={investData}
                     amountInvest={amount}
                     sharePrice={pricePerBlock}
+                    capacity={capacity}
                     onClose={handleCloseModal}
 
                 />
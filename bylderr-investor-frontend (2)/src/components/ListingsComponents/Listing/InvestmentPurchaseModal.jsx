@@ -4,8 +4,11 @@ import ListingModalHeader from "./ListingModalHeader";
 import InputBox from "../../../utils/inputBox";
 import { submitInvestment } from "../../../api/investmentApi";
 import LoadingSpinner from "../../../utils/LoadingSpinner";
+import { buildInvestmentData } from "../../../utils/autoInvest";
+import { raiseState } from "../../../utils/raiseStatus";
+import { exceedsLimit } from "../../../utils/investmentLimits";
 
-const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
+const InvestmentPurchaseModal = ({ onClose, investData, amountInvest, capacity }) => {
     const {
         propertyID,
         accountB,
@@ -29,6 +32,7 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
     const [raisedPercent] = useState(Math.round((raised / raiseTarget) * 100));
     const [isLoading, setIsLoading] = useState(false);
     const [success, setSuccess] = useState('');
+    const isWaitlist = raiseState(investData) === "waitlist";
 
 
     useEffect(() => {
@@ -46,6 +50,8 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
             setError(`Minimum investment is ${formatToUSD(minInvestment)}`);
         } else if (amt > accountBalance) {
             setError("Insufficient Funds");
+        } else if (exceedsLimit(capacity, amt)) {
+            setError(`This exceeds your remaining 12-month investment limit of ${formatToUSD(capacity.remaining)}`);
         } else {
             setError("");
         }
@@ -54,7 +60,7 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
             setShares(amt / pricePerBlock);
             setRemainingBalance(accountBalance - amt);
         }
-    }, [amount, accountBalance, pricePerBlock, minInvestment]);
+    }, [amount, accountBalance, pricePerBlock, minInvestment, capacity]);
 
     const handleConfirmPayment = async () => {
         if (error || isLoading) return;
@@ -63,17 +69,14 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
         setError("");
 
         try {
-            const investmentData = {
-                propertyID: parseInt(propertyID),
-                amount: parseFloat(amount),
-                sharePrice: pricePerBlock,
-                shares: parseFloat((amount / pricePerBlock).toFixed(2)),
-            };
+            const investmentData = buildInvestmentData({ propertyId: propertyID, amount, pricePerBlock });
 
             await submitInvestment(investmentData);
 
 
-            setSuccess('Your investment has been successfully completed. Redirecting to the Property page...');
+            setSuccess(isWaitlist
+                ? "You're on the waitlist. You will only be charged, and notified, if an allocation opens up."
+                : 'Your investment has been successfully completed. Redirecting to the Property page...');
             setIsLoading(false);
             // Close modal after 2 seconds
             setTimeout(() => {
@@ -81,7 +84,7 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
             }, 2000);
         } catch (err) {
             console.error("Transaction Error:", err.message);
-            setError("Failed to process the transaction. Please try again.");
+            setError(err.response?.data?.error || "Failed to process the transaction. Please try again.");
         } finally {
             setIsLoading(false);
         }
@@ -92,7 +95,7 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
             <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full">
                 <div>
                     {/* Modal Header */}
-                    <ListingModalHeader title="Investment Summary" onClose={onClose} />
+                    <ListingModalHeader title={isWaitlist ? "Join Waitlist" : "Investment Summary"} onClose={onClose} />
                 </div>
 
                 {/* Modal Body */}
@@ -141,6 +144,12 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
                                 <p className="text-gray-600">
                                     ROI: <span className="font-semibold">{roi}%</span>
                                 </p>
+                                {capacity && !capacity.accredited && (
+                                    <p className="text-gray-600">
+                                        Remaining Investment Limit:{" "}
+                                        <span className="font-semibold">{formatToUSD(capacity.remaining)}</span>
+                                    </p>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -215,7 +224,9 @@ const InvestmentPurchaseModal = ({ onClose, investData, amountInvest }) => {
                             ? "Insufficient Funds"
                             : isLoading
                                 ? "Processing..."
-                                : "Confirm Payment"}
+                                : isWaitlist
+                                    ? "Join Waitlist"
+                                    : "Confirm Payment"}
                     </button>
                 </div>
             </div>
@@ -1,15 +1,19 @@
-const ListingProgressBar = ({ soldPercentage }) => {
+import { raiseStateLabels } from "../../../utils/raiseStatus";
+
+const ListingProgressBar = ({ soldPercentage, state = "open" }) => {
+    const label = state === "open" ? `${soldPercentage}% ${raiseStateLabels.open}` : raiseStateLabels[state];
+
     return (
         <div className="relative w-full sm:w-1/2 h-10 bg-gray-200 rounded-full overflow-hidden">
             <div
-                className="absolute top-0 left-0 h-full bg-green-500"
-                style={{ width: `${soldPercentage}%` }}
+                className={`absolute top-0 left-0 h-full ${state === "failed" ? "bg-gray-400" : "bg-green-500"}`}
+                style={{ width: `${Math.min(soldPercentage, 100)}%` }}
             ></div>
-            <span className="absolute inset-0 flex items-center justify-center text-sm font-medium text-green-700">
-                {soldPercentage}% SOLD
+            <span className={`absolute inset-0 flex items-center justify-center text-sm font-medium ${state === "failed" ? "text-gray-700" : "text-green-700"}`}>
+                {label}
             </span>
         </div>
     );
 };
 
-export default ListingProgressBar;
\ No newline at end of file
+export default ListingProgressBar;
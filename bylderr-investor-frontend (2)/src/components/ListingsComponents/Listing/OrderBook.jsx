@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { fetchOrderBook } from '../../../api/investmentApi';
+import { orderBookMockData } from '../../../mockData/orderBookMockData';
+import formatToUSD from '../../../utils/formatToUSD';
+import useListingChannel from '../../../hooks/useListingChannel';
+
+const emptyBook = { lastPrice: null, bids: [], asks: [] };
+
+// Sums resting orders at the same price so each level is shown once.
+const groupByPrice = (orders, descending) => {
+    const levels = orders.reduce((acc, order) => {
+        acc[order.price] = (acc[order.price] || 0) + order.shares;
+        return acc;
+    }, {});
+
+    return Object.entries(levels)
+        .map(([price, shares]) => ({ price: parseFloat(price), shares }))
+        .sort((a, b) => (descending ? b.price - a.price : a.price - b.price));
+};
+
+/**
+ * OrderBook Component
+ *
+ * Shows the secondary market bids and asks for a property, best prices first.
+ * The book is replaced live whenever an order is placed, fills or is cancelled.
+ *
+ */
+const OrderBook = ({ propertyId }) => {
+    const [orderBook, setOrderBook] = useState(emptyBook);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const loadOrderBook = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+                setOrderBook(orderBookMockData[propertyId] || emptyBook);
+                setIsLoading(false);
+            } else {
+                try {
+                    const data = await fetchOrderBook(propertyId);
+                    setOrderBook({ ...emptyBook, ...data });
+                } catch (err) {
+                    console.error("Error fetching order book:", err.message);
+                    setError("Failed to fetch the order book. Showing sample data.");
+                    setOrderBook(orderBookMockData[propertyId] || emptyBook);
+                } finally {
+                    setIsLoading(false);
+                }
+            }
+        };
+
+        loadOrderBook();
+    }, [propertyId]);
+
+    useListingChannel(propertyId, {
+        book: (book) => setOrderBook({ ...emptyBook, ...book }),
+    });
+
+    const bids = groupByPrice(orderBook.bids, true);
+    const asks = groupByPrice(orderBook.asks, false);
+    const spread = bids.length && asks.length ? asks[0].price - bids[0].price : null;
+
+    const renderSide = (levels, label, priceClass) => (
+        <div className="overflow-x-auto rounded-lg border border-gray-300">
+            <table className="min-w-full bg-white">
+                <thead>
+                    <tr className="text-gray-600 font-semibold">
+                        <th className="px-4 py-2 border-b text-left">{label}</th>
+                        <th className="px-4 py-2 border-b text-right">Blocks</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {levels.length === 0 ? (
+                        <tr>
+                            <td colSpan="2" className="px-4 py-2 text-center text-gray-500">
+                                No {label.toLowerCase()}s
+                            </td>
+                        </tr>
+                    ) : (
+                        levels.map((level, index) => (
+                            <tr key={level.price} className={
+                                index % 2 === 0
+                                    ? "bg-gray-100 hover:bg-neutral-200"
+                                    : "bg-white hover:bg-neutral-200"
+                            }>
+                                <td className={`px-4 py-2 text-left font-semibold ${priceClass}`}>
+                                    {formatToUSD(level.price)}
+                                </td>
+                                <td className="px-4 py-2 text-right">{level.shares}</td>
+                            </tr>
+                        ))
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md max-w-lg mx-auto mt-8">
+            <h2 className="font-bold text-gray-700 text-lg text-center mb-4">Order Book</h2>
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                    {error}
+                </div>
+            )}
+            {isLoading ? (
+                <p className="text-gray-500 text-center">Loading order book...</p>
+            ) : (
+                <>
+                    <div className="flex justify-between text-sm text-gray-500 mb-4">
+                        <span>
+                            Last Trade:{" "}
+                            <span className="font-semibold text-gray-700">
+                                {orderBook.lastPrice != null ? formatToUSD(orderBook.lastPrice) : "N/A"}
+                            </span>
+                        </span>
+                        <span>
+                            Spread:{" "}
+                            <span className="font-semibold text-gray-700">
+                                {spread != null ? formatToUSD(spread) : "N/A"}
+                            </span>
+                        </span>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        {renderSide(bids, "Bid", "text-green-600")}
+                        {renderSide(asks, "Ask", "text-red-500")}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default OrderBook;
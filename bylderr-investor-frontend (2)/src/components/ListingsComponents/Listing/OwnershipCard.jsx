@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import formatToUSD from '../../../utils/formatToUSD';
 import SellSharesModal from './SellSharesModal';
 
-const OwnershipCard = ({ ownershipData }) => {
+const OwnershipCard = ({ ownershipData, propertyId }) => {
     if (!ownershipData) return null;
 
-    const { blocksOwn, paidPrice, currentPrice, accountBalance, title, location, realType, imgSrc } = ownershipData;
+    const { blocksOwn, paidPrice, currentPrice, accountBalance, title, location, realType, imgSrc, lots } = ownershipData;
 
     const [isModalOpen, setIsModalOpen] = useState(false);
 
@@ -44,13 +44,15 @@ const OwnershipCard = ({ ownershipData }) => {
                 <SellSharesModal
                     onClose={handleCloseModal}
                     ownershipData={{
+                        propertyId,
                         blocksOwn,
                         currentPrice,
                         accountBalance,
                         title,
                         location,
                         realType,
-                        imgSrc
+                        imgSrc,
+                        lots
                     }}
                 />
             )}
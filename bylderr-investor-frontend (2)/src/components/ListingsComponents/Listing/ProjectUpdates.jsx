@@ -0,0 +1,146 @@
+import { useState, useEffect } from "react";
+import { fetchProjectUpdates, markProjectUpdatesRead } from "../../../api/projectsApi";
+import { projectUpdatesMockData } from "../../../mockData/projectUpdatesMockData";
+import { PROJECT_MILESTONES } from "../../../utils/projectMilestones";
+import { uploadsUrl } from "../../../utils/uploads";
+import useListingChannel from "../../../hooks/useListingChannel";
+import RichText from "./RichText";
+
+const VISIBLE_COUNT = 3;
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * ProjectUpdates Component
+ * The developer's updates for a project, newest first, with the construction milestones
+ * reached so far. Opening it marks the project's updates as read, and updates posted
+ * while the page is open appear at the top.
+ */
+const ProjectUpdates = ({ propertyId }) => {
+    const [updates, setUpdates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [showAll, setShowAll] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        if (!propertyId) return;
+
+        const loadUpdates = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setUpdates(projectUpdatesMockData[propertyId] || []);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setUpdates(await fetchProjectUpdates(propertyId));
+                // Clears this project's unread badge on Home
+                markProjectUpdatesRead(propertyId).catch((err) =>
+                    console.error("Error marking updates as read:", err.message)
+                );
+            } catch (err) {
+                console.error("Error fetching project updates:", err.message);
+                setError("Failed to load project updates. Using mock data.");
+                setUpdates(projectUpdatesMockData[propertyId] || []);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadUpdates();
+    }, [propertyId, isMockMode]);
+
+    useListingChannel(propertyId, {
+        update: ({ update }) =>
+            setUpdates((prev) => (prev.some((item) => item._id === update._id) ? prev : [update, ...prev])),
+    });
+
+    const reached = updates.reduce(
+        (latest, update) => Math.max(latest, PROJECT_MILESTONES.indexOf(update.milestone)),
+        -1
+    );
+    const visibleUpdates = showAll ? updates : updates.slice(0, VISIBLE_COUNT);
+
+    return (
+        <div className="mt-8 border-t border-gray-500">
+            <h2 className="py-5 pl-5 font-bold text-gray-500 text-xl">Project Updates</h2>
+
+            {error && (
+                <div className="bg-yellow-50 ml-5 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                    {error}
+                </div>
+            )}
+
+            {isLoading ? (
+                <p className="pl-5 mb-4">Loading...</p>
+            ) : updates.length === 0 ? (
+                <p className="pl-5 mb-4 text-gray-500">The developer has not posted any updates yet.</p>
+            ) : (
+                <div className="pl-5 space-y-6">
+                    {reached >= 0 && (
+                        <div className="flex flex-wrap gap-2">
+                            {PROJECT_MILESTONES.map((milestone, index) => (
+                                <span
+                                    key={milestone}
+                                    className={`px-2 py-1 rounded-md text-xs font-semibold ${index <= reached
+                                        ? "bg-green-100 text-green-700"
+                                        : "bg-gray-200 text-gray-500"
+                                        }`}
+                                >
+                                    {milestone}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
+                    <ol className="border-l-2 border-gray-300 space-y-6">
+                        {visibleUpdates.map((update) => (
+                            <li key={update._id} className="relative pl-6">
+                                <span className="absolute -left-2 top-1 w-3.5 h-3.5 rounded-full bg-midnight-blue" />
+                                <p className="text-sm text-gray-500">
+                                    {formatDate(update.createdAt)}
+                                    {update.author && ` · ${update.author.firstName} ${update.author.lastName}`}
+                                </p>
+                                <div className="flex flex-wrap items-center gap-2 py-1">
+                                    <h3 className="font-semibold text-lg text-gray-700">{update.title}</h3>
+                                    {update.milestone && (
+                                        <span className="px-2 py-1 rounded-md text-xs font-semibold bg-green-100 text-green-700">
+                                            {update.milestone}
+                                        </span>
+                                    )}
+                                </div>
+                                <RichText content={update.content} />
+                                {update.photos?.length > 0 && (
+                                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mt-3">
+                                        {update.photos.map((photo) => (
+                                            <a key={photo} href={uploadsUrl(photo)} target="_blank" rel="noopener noreferrer">
+                                                <img src={uploadsUrl(photo)} alt={update.title} className="rounded-lg w-full h-28 object-cover" />
+                                            </a>
+                                        ))}
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+
+                    {updates.length > VISIBLE_COUNT && (
+                        <div className="my-5">
+                            <button
+                                onClick={() => setShowAll(!showAll)}
+                                className="text-midnight-blue text-sm underline"
+                            >
+                                {showAll ? "Show Less" : `Show More (${updates.length - VISIBLE_COUNT} older)`}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectUpdates;
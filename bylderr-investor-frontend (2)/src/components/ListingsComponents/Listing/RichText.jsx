@@ -0,0 +1,52 @@
+import { Fragment } from "react";
+import { parseRichText } from "../../../utils/richText";
+
+const renderSpans = (spans) =>
+    spans.map((span, index) => {
+        switch (span.type) {
+            case "bold":
+                return <strong key={index}>{span.text}</strong>;
+            case "italic":
+                return <em key={index}>{span.text}</em>;
+            case "link":
+                return (
+                    <a
+                        key={index}
+                        href={span.href}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-midnight-blue underline"
+                    >
+                        {span.text}
+                    </a>
+                );
+            default:
+                return <Fragment key={index}>{span.text}</Fragment>;
+        }
+    });
+
+// Renders project update markup (see utils/richText) as paragraphs and bullet lists
+const RichText = ({ content }) => (
+    <div className="space-y-2 text-gray-700">
+        {parseRichText(content).map((block, index) =>
+            block.type === "list" ? (
+                <ul key={index} className="list-disc ml-5">
+                    {block.items.map((item, itemIndex) => (
+                        <li key={itemIndex}>{renderSpans(item)}</li>
+                    ))}
+                </ul>
+            ) : (
+                <p key={index}>
+                    {block.lines.map((line, lineIndex) => (
+                        <Fragment key={lineIndex}>
+                            {lineIndex > 0 && <br />}
+                            {renderSpans(line)}
+                        </Fragment>
+                    ))}
+                </p>
+            )
+        )}
+    </div>
+);
+
+export default RichText;
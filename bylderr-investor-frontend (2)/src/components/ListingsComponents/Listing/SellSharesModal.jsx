@@ -1,12 +1,16 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
 import formatToUSD from "../../../utils/formatToUSD";
 import ListingModalHeader from "./ListingModalHeader";
-import InputBox from "../../../utils/inputBox";
-import { sellInvestments } from "../../../api/investmentApi";
+import InputBox from "../../../utils/InputBox";
+import { fetchOrderBook, sellInvestments } from "../../../api/investmentApi";
+import { orderBookMockData } from "../../../mockData/orderBookMockData";
 import LoadingSpinner from "../../../utils/LoadingSpinner";
+import { LOT_METHODS, lotCostPerShare, selectLots } from "../../../utils/taxLots";
 
 const SellSharesModal = ({ onClose, ownershipData }) => {
     const {
+        propertyId,
         blocksOwn = 0,
         currentPrice = 0,
         accountBalance = 0,
@@ -14,9 +18,13 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
         location = "",
         realType = "",
         imgSrc = "",
+        lots = [],
     } = ownershipData || {};
 
     const [sharesToSell, setSharesToSell] = useState("");
+    const [pricePerBlock, setPricePerBlock] = useState(currentPrice ? String(currentPrice) : "");
+    const [lotMethod, setLotMethod] = useState("fifo");
+    const [specificLots, setSpecificLots] = useState({});
     const [error, setError] = useState("");
     const [success, setSuccess] = useState("");
     const [isLoading, setIsLoading] = useState(false);
@@ -26,11 +34,57 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
     const [proceedsAfterFees, setProceedsAfterFees] = useState(0);
     const [newBalance, setNewBalance] = useState(accountBalance);
 
-    const feeRate = 0.02;
+    // The seller's fee comes from the order book, so the estimate matches what the server charges
+    const [feeRate, setFeeRate] = useState(null);
 
     useEffect(() => {
-        const shares = parseFloat(sharesToSell);
-        if (isNaN(shares) || shares <= 0) {
+        const loadFeeRate = async () => {
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock") {
+                setFeeRate(orderBookMockData[propertyId]?.sellerFeeRate ?? null);
+                return;
+            }
+            try {
+                const book = await fetchOrderBook(propertyId);
+                setFeeRate(book.sellerFeeRate ?? null);
+            } catch (err) {
+                console.error("Error fetching the seller fee:", err.message);
+            }
+        };
+
+        if (propertyId) loadFeeRate();
+    }, [propertyId]);
+
+    // Lots picked by hand, as [{ lotId, shares }]
+    const designatedLots = useMemo(
+        () =>
+            lots
+                .filter((lot) => parseFloat(specificLots[lot.id]) > 0)
+                .map((lot) => ({ lotId: lot.id, shares: parseFloat(specificLots[lot.id]) })),
+        [lots, specificLots]
+    );
+
+    // With specific lots the share count is the sum of the lots picked
+    const sharesEntered = lotMethod === "specific"
+        ? String(designatedLots.reduce((sum, lot) => sum + lot.shares, 0) || "")
+        : sharesToSell;
+
+    const relievedLots = useMemo(() => {
+        const shares = parseFloat(sharesEntered);
+        if (isNaN(shares) || shares <= 0 || shares > blocksOwn) return [];
+        return selectLots(lots, shares, lotMethod, designatedLots);
+    }, [lots, sharesEntered, blocksOwn, lotMethod, designatedLots]);
+
+    const relievedCostBasis = relievedLots.reduce(
+        (sum, { lot, shares }) => sum + shares * lotCostPerShare(lot),
+        0
+    );
+
+    const overdrawnLot = lots.find((lot) => parseFloat(specificLots[lot.id]) > lot.shares);
+
+    useEffect(() => {
+        const shares = parseFloat(sharesEntered);
+        const askPrice = parseFloat(pricePerBlock);
+        if (isNaN(shares) || shares <= 0 || isNaN(askPrice) || askPrice <= 0) {
             setProceeds(0);
             setFees(0);
             setProceedsAfterFees(0);
@@ -39,7 +93,13 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
             return;
         }
 
-        if (shares > blocksOwn) {
+        if (lotMethod === "specific" && overdrawnLot) {
+            setError(`The lot bought on ${overdrawnLot.date} only has ${overdrawnLot.shares} shares.`);
+            setProceeds(0);
+            setFees(0);
+            setProceedsAfterFees(0);
+            setNewBalance(accountBalance);
+        } else if (shares > blocksOwn) {
             setError("You do not have enough shares to sell.");
             setProceeds(0);
             setFees(0);
@@ -47,8 +107,8 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
             setNewBalance(accountBalance);
         } else {
             setError("");
-            const calcProceeds = shares * currentPrice;
-            const calcFees = calcProceeds * feeRate;
+            const calcProceeds = shares * askPrice;
+            const calcFees = calcProceeds * (feeRate || 0);
             const calcProceedsAfterFees = calcProceeds - calcFees;
 
             setProceeds(calcProceeds);
@@ -56,14 +116,19 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
             setProceedsAfterFees(calcProceedsAfterFees);
             setNewBalance(accountBalance + calcProceedsAfterFees);
         }
-    }, [sharesToSell, blocksOwn, currentPrice, accountBalance]);
+    }, [sharesEntered, pricePerBlock, blocksOwn, accountBalance, lotMethod, overdrawnLot, feeRate]);
 
     const handleConfirmSale = async () => {
-        if (!sharesToSell) {
+        if (!sharesEntered) {
             setError("Please enter the number of shares to sell.");
             return;
         }
 
+        if (!(parseFloat(pricePerBlock) > 0)) {
+            setError("Please enter an asking price per block.");
+            return;
+        }
+
         if (error || isLoading) return;
 
         setIsLoading(true);
@@ -72,18 +137,24 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
 
         try {
             const saleData = {
-                shares: parseFloat(sharesToSell),
+                propertyId,
+                shares: parseFloat(sharesEntered),
+                pricePerBlock: parseFloat(pricePerBlock),
+                lotMethod,
             };
+            if (lotMethod === "specific") {
+                saleData.lots = designatedLots;
+            }
 
             await sellInvestments(saleData);
 
-            setSuccess("Your shares have been successfully Listed. Updating account...");
+            setSuccess("Your sell order has been placed. It will fill as buyers match your price.");
             setTimeout(() => {
                 onClose();
             }, 2000);
         } catch (err) {
             console.error("Transaction Error:", err.message);
-            setError("Failed to process the transaction. Please try again.");
+            setError(err.response?.data?.error || "Failed to process the transaction. Please try again.");
         } finally {
             setIsLoading(false);
         }
@@ -130,17 +201,66 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                         </div>
                     </div>
 
-                    <div className="mt-6">
+                    <div className="mt-6 space-y-4">
                         <InputBox
-                            id="sharesToSell"
+                            id="pricePerBlock"
                             type="number"
-                            label="Shares to Sell"
-                            placeholder="Enter number of shares"
-                            value={sharesToSell}
-                            onChange={(value) => setSharesToSell(value)}
-                            suffix="Shares"
+                            label="Asking Price per Block"
+                            placeholder="Enter your limit price"
+                            value={pricePerBlock}
+                            onChange={(value) => setPricePerBlock(value)}
+                            suffix="USD"
                             min="0"
+                            step="0.01"
                         />
+                        {lots.length > 0 && (
+                            <div>
+                                <label htmlFor="lotMethod" className="block text-sm font-medium text-gray-700">
+                                    Lot Relief Method
+                                </label>
+                                <select
+                                    id="lotMethod"
+                                    value={lotMethod}
+                                    onChange={(e) => setLotMethod(e.target.value)}
+                                    className="mt-1 w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                                >
+                                    {Object.entries(LOT_METHODS).map(([key, label]) => (
+                                        <option key={key} value={key}>
+                                            {label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        {lotMethod === "specific" ? (
+                            <div className="space-y-2">
+                                <p className="block text-sm font-medium text-gray-700">Shares to Sell from Each Lot</p>
+                                {lots.map((lot) => (
+                                    <InputBox
+                                        key={lot.id}
+                                        id={`lot-${lot.id}`}
+                                        type="number"
+                                        label={`Bought ${lot.date} at ${formatToUSD(lot.pricePerShare)}`}
+                                        placeholder="0"
+                                        value={specificLots[lot.id] || ""}
+                                        onChange={(value) => setSpecificLots((prev) => ({ ...prev, [lot.id]: value }))}
+                                        suffix={`of ${lot.shares}`}
+                                        min="0"
+                                    />
+                                ))}
+                            </div>
+                        ) : (
+                            <InputBox
+                                id="sharesToSell"
+                                type="number"
+                                label="Shares to Sell"
+                                placeholder="Enter number of shares"
+                                value={sharesToSell}
+                                onChange={(value) => setSharesToSell(value)}
+                                suffix="Shares"
+                                min="0"
+                            />
+                        )}
                         {error && (
                             <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 mt-2 rounded mb-4">
                                 {error}
@@ -153,12 +273,12 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                         )}
                         {proceeds > 0 && (
                             <p className="text-gray-600 mt-2">
-                                Proceeds: <span className="font-bold">{formatToUSD(proceeds)}</span>
+                                Proceeds if Fully Filled: <span className="font-bold">{formatToUSD(proceeds)}</span>
                             </p>
                         )}
                         {fees > 0 && (
                             <p className="text-gray-600 mt-2">
-                                Fees (2%): <span className="font-bold">{formatToUSD(fees)}</span>
+                                Estimated Fees ({+(feeRate * 100).toFixed(2)}%): <span className="font-bold">{formatToUSD(fees)}</span>
                             </p>
                         )}
                         {proceedsAfterFees > 0 && (
@@ -167,6 +287,23 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                                 <span className="font-bold">{formatToUSD(proceedsAfterFees)}</span>
                             </p>
                         )}
+                        {relievedLots.length > 0 && proceedsAfterFees > 0 && (
+                            <div className="text-gray-600 mt-2">
+                                <p>
+                                    Estimated Realized Gain:{" "}
+                                    <span className={`font-bold ${proceedsAfterFees < relievedCostBasis ? "text-red-500" : "text-green-500"}`}>
+                                        {formatToUSD(proceedsAfterFees - relievedCostBasis)}
+                                    </span>
+                                </p>
+                                <ul className="text-sm text-gray-500 list-disc ml-5">
+                                    {relievedLots.map(({ lot, shares }, index) => (
+                                        <li key={`${lot.id}-${index}`}>
+                                            {shares} shares from the lot bought {lot.date} at {formatToUSD(lot.pricePerShare)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
                         {error === "" && proceedsAfterFees > 0 && (
                             <p className="text-gray-600 mt-2">
                                 Account Balance After Sale:{" "}
@@ -175,6 +312,10 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                                 </span>
                             </p>
                         )}
+                        <p className="text-gray-500 text-sm">
+                            Orders can fill partially. Unfilled blocks stay listed until they are bought or you
+                            cancel them from <Link to="/account/orders" className="text-midnight-blue underline">Open Orders</Link>.
+                        </p>
                     </div>
                 </div>
 
@@ -188,7 +329,7 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                     </button>
                     <button
                         onClick={handleConfirmSale}
-                        disabled={error !== "" || isLoading || !sharesToSell}
+                        disabled={error !== "" || isLoading || !sharesEntered || !pricePerBlock}
                         className={`px-4 py-2 rounded-md ${error
                             ? "bg-red-500 cursor-not-allowed"
                             : isLoading
@@ -201,7 +342,7 @@ const SellSharesModal = ({ onClose, ownershipData }) => {
                                 <LoadingSpinner />
                             </div>
                         ) : null}
-                        {isLoading ? "Processing..." : "Sell Shares"}
+                        {isLoading ? "Processing..." : "Place Sell Order"}
                     </button>
                 </div>
             </div>
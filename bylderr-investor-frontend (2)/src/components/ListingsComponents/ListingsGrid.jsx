@@ -1,7 +1,40 @@
-import React from 'react';
+import { useEffect, useRef } from 'react';
 import PropertyCard from './PropertyCard';
 
-const ListingsGrid = ({ listings, status, error, size = 'lg', threeCol = true }) => {
+/**
+ * ListingsGrid Component
+ * Renders property cards and, when `hasMore` is set, calls `onLoadMore` as the
+ * bottom of the grid scrolls into view.
+ */
+const ListingsGrid = ({
+    listings,
+    status,
+    error,
+    size = 'lg',
+    threeCol = true,
+    hasMore = false,
+    isLoadingMore = false,
+    onLoadMore,
+}) => {
+    const sentinelRef = useRef(null);
+
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !hasMore || !onLoadMore) return;
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries[0].isIntersecting) {
+                    onLoadMore();
+                }
+            },
+            { rootMargin: '200px' }
+        );
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, onLoadMore]);
+
     if (status === 'loading') {
         return <p>Loading listings...</p>;
     }
@@ -23,12 +56,17 @@ const ListingsGrid = ({ listings, status, error, size = 'lg', threeCol = true })
                         : 'grid grid-cols-1 sm:grid-cols-1 lg:grid-cols-2 gap-5'
                     }`}
             >
-                {listings.map((property, index) => (
-                    <PropertyCard key={index} {...property} size={size} />
+                {listings.map((property) => (
+                    <PropertyCard key={property.propertyId} {...property} size={size} />
                 ))}
             </div>
+            {hasMore && (
+                <div ref={sentinelRef} className="pb-10 text-center text-gray-500">
+                    {isLoadingMore ? 'Loading more listings...' : ''}
+                </div>
+            )}
         </>
     );
 };
 
-export default ListingsGrid;
\ No newline at end of file
+export default ListingsGrid;
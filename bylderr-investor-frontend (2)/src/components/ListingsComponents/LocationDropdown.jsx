@@ -15,12 +15,19 @@ const cities = {
     Denver: 'CO',
 };
 
-const LocationDropdown = ({ onChange }) => {
+const LocationDropdown = ({ onChange, value }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [selectedCity, setSelectedCity] = useState('All Locations');
     const [searchTerm, setSearchTerm] = useState('');
     const dropdownRef = useRef(null);
 
+    // Keep the label in sync when the location is set from outside, e.g. the URL.
+    useEffect(() => {
+        if (value !== undefined) {
+            setSelectedCity(value || 'All Locations');
+        }
+    }, [value]);
+
     const toggleDropdown = () => setIsOpen((prev) => !prev);
 
     const handleCitySelect = (city) => {
@@ -1,117 +1,65 @@
-import React, { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
+import { areaToRing, distanceKm, openRing } from '../../utils/geoSearch';
 
 mapboxgl.accessToken = import.meta.env.VITE_REACT_APP_TOKEN;
 
-const MapBox = ({
-    lng = -100,
-    lat = 38.5,
-    zoom = 3,
-    addresses = [],
-    height = '600px',
-    disablePopups = false
-}) => {
-    const mapContainerRef = useRef(null);
-    const mapRef = useRef(null);
-    const markersRef = useRef([]);
-    const navigate = useNavigate();
-
-    useEffect(() => {
-        if (!mapRef.current) {
-            mapRef.current = new mapboxgl.Map({
-                container: mapContainerRef.current,
-                style: 'mapbox://styles/mapbox/streets-v11',
-                center: [lng, lat],
-                zoom: zoom,
-            });
-            mapRef.current.addControl(new mapboxgl.NavigationControl());
-        }
+const emptyCollection = { type: 'FeatureCollection', features: [] };
 
-        return () => {
-            if (mapRef.current) {
-                mapRef.current.remove();
-                mapRef.current = null;
-            }
-        };
-    }, []);
+const toFeatureCollection = (addresses) => ({
+    type: 'FeatureCollection',
+    features: addresses
+        .filter(({ lng, lat }) => typeof lng === 'number' && typeof lat === 'number')
+        .map(({ lng, lat, ...properties }) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [lng, lat] },
+            properties,
+        })),
+});
 
-    useEffect(() => {
-        if (mapRef.current) {
-            mapRef.current.flyTo({
-                center: [lng, lat],
-                zoom: zoom,
-                essential: true,
-            });
+const toAreaCollection = (ring) =>
+    ring && ring.length > 1
+        ? {
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties: {} }],
         }
-    }, [lng, lat, zoom]);
+        : emptyCollection;
 
-    useEffect(() => {
-        if (!mapRef.current) return;
-
-        markersRef.current.forEach(marker => marker.remove());
-        markersRef.current = [];
-
-        addresses.forEach(({
-            lng,
-            lat,
-            id,
-            title,
-            location,
-            roi,
-            estimate,
-            investment,
-            imgSrc
-        }) => {
-            const listingUrl = `/listings/${id}`;
-
-            const marker = new mapboxgl.Marker({ color: '#ff6347' })
-                .setLngLat([lng, lat])
-                .addTo(mapRef.current);
-
-            marker.getElement().addEventListener('click', () => {
-                mapRef.current.flyTo({
-                    center: [lng, lat],
-                    zoom: 10,
-                    essential: true,
-                });
-            });
-
-            if (!disablePopups) {
-                const popupHTML = `
+const buildPopupHTML = ({ id, title, location, roi, estimate, investment, imgSrc }, listingUrl) => `
           <div style="
-            display: flex; 
-            flex-direction: column; 
+            display: flex;
+            flex-direction: column;
             max-width: 220px;
-            background: #fff; 
-            border: 1px solid #ccc; 
-            border-radius: 6px; 
-            overflow: hidden; 
+            background: #fff;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+            overflow: hidden;
             box-shadow: 0 2px 8px rgba(0,0,0,0.15);
             font-family: sans-serif;
           ">
             <div style="
-              display: flex; 
-              flex-direction: row; 
-              align-items: center; 
+              display: flex;
+              flex-direction: row;
+              align-items: center;
               padding: 8px;
               border-bottom: 1px solid #eee;
             ">
-              <img 
-                src="${imgSrc}" 
-                alt="${title}" 
+              <img
+                src="${imgSrc}"
+                alt="${title}"
                 style="
-                  width: 60px; 
-                  height: 60px; 
-                  object-fit: cover; 
-                  border-radius: 4px; 
+                  width: 60px;
+                  height: 60px;
+                  object-fit: cover;
+                  border-radius: 4px;
                   margin-right: 8px;
                 "
               />
               <h3 style="
-                margin: 0; 
-                font-size: 14px; 
+                margin: 0;
+                font-size: 14px;
                 color: #0077BE;
               ">
                 ${title}
@@ -119,9 +67,9 @@ const MapBox = ({
             </div>
 
             <div style="
-              padding: 8px; 
-              font-size: 12px; 
-              line-height: 1.4; 
+              padding: 8px;
+              font-size: 12px;
+              line-height: 1.4;
               color: #333;
             ">
               <p style="margin: 0 0 4px;">
@@ -137,16 +85,16 @@ const MapBox = ({
                 <strong>Investment:</strong> $${investment}
               </p>
 
-              <a 
-                href="${listingUrl}" 
+              <a
+                href="${listingUrl}"
                 data-listing-id="${id}"
                 style="
-                  display: inline-block; 
-                  padding: 6px 10px; 
-                  background: #09005c; 
-                  color: #fff; 
-                  border-radius: 4px; 
-                  text-decoration: none; 
+                  display: inline-block;
+                  padding: 6px 10px;
+                  background: #09005c;
+                  color: #fff;
+                  border-radius: 4px;
+                  text-decoration: none;
                   font-weight: bold;
                 "
               >
@@ -156,31 +104,259 @@ const MapBox = ({
           </div>
         `;
 
-                const popup = new mapboxgl.Popup({ offset: 15 }).setHTML(popupHTML);
+/**
+ * MapBox Component
+ *
+ * Renders listings as a clustered GeoJSON layer. Optionally reports the visible bounds
+ * through `onBoundsChange` and lets the user draw a search area (`drawMode` of
+ * 'polygon' or 'radius'), reported through `onAreaDrawn`.
+ */
+const MapBox = ({
+    lng = -100,
+    lat = 38.5,
+    zoom = 3,
+    addresses = [],
+    height = '600px',
+    disablePopups = false,
+    onBoundsChange,
+    drawMode = null,
+    searchArea = null,
+    onAreaDrawn,
+}) => {
+    const mapContainerRef = useRef(null);
+    const mapRef = useRef(null);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const navigate = useNavigate();
+
+    // Map event handlers are registered once, so they read the latest props from here
+    const latestRef = useRef({});
+    latestRef.current = { disablePopups, onBoundsChange, drawMode, onAreaDrawn, navigate };
+
+    // Vertices of the shape currently being drawn
+    const draftRef = useRef([]);
+
+    useEffect(() => {
+        const map = new mapboxgl.Map({
+            container: mapContainerRef.current,
+            style: 'mapbox://styles/mapbox/streets-v11',
+            center: [lng, lat],
+            zoom: zoom,
+        });
+        map.addControl(new mapboxgl.NavigationControl());
+        mapRef.current = map;
+
+        const reportBounds = () => {
+            const { onBoundsChange } = latestRef.current;
+            if (onBoundsChange) {
+                const bounds = map.getBounds();
+                onBoundsChange([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]);
+            }
+        };
+
+        const setDraft = (ring) => map.getSource('search-area')?.setData(toAreaCollection(ring));
+
+        map.on('load', () => {
+            map.addSource('listings', {
+                type: 'geojson',
+                data: emptyCollection,
+                cluster: true,
+                clusterMaxZoom: 14,
+                clusterRadius: 50,
+            });
+
+            map.addLayer({
+                id: 'clusters',
+                type: 'circle',
+                source: 'listings',
+                filter: ['has', 'point_count'],
+                paint: {
+                    'circle-color': ['step', ['get', 'point_count'], '#6366f1', 25, '#4338ca', 100, '#09005c'],
+                    'circle-radius': ['step', ['get', 'point_count'], 18, 25, 24, 100, 32],
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#fff',
+                },
+            });
+
+            map.addLayer({
+                id: 'cluster-count',
+                type: 'symbol',
+                source: 'listings',
+                filter: ['has', 'point_count'],
+                layout: {
+                    'text-field': ['get', 'point_count_abbreviated'],
+                    'text-size': 12,
+                },
+                paint: { 'text-color': '#fff' },
+            });
+
+            map.addLayer({
+                id: 'unclustered-point',
+                type: 'circle',
+                source: 'listings',
+                filter: ['!', ['has', 'point_count']],
+                paint: {
+                    'circle-color': '#ff6347',
+                    'circle-radius': 8,
+                    'circle-stroke-width': 2,
+                    'circle-stroke-color': '#fff',
+                },
+            });
+
+            map.addSource('search-area', { type: 'geojson', data: emptyCollection });
+            map.addLayer({
+                id: 'search-area-fill',
+                type: 'fill',
+                source: 'search-area',
+                paint: { 'fill-color': '#09005c', 'fill-opacity': 0.1 },
+            });
+            map.addLayer({
+                id: 'search-area-line',
+                type: 'line',
+                source: 'search-area',
+                paint: { 'line-color': '#09005c', 'line-width': 2, 'line-dasharray': [2, 1] },
+            });
+
+            setIsLoaded(true);
+            reportBounds();
+        });
+
+        map.on('moveend', reportBounds);
+
+        map.on('click', 'clusters', (e) => {
+            if (latestRef.current.drawMode) return;
+            const [feature] = map.queryRenderedFeatures(e.point, { layers: ['clusters'] });
+            map.getSource('listings').getClusterExpansionZoom(feature.properties.cluster_id, (err, expansionZoom) => {
+                if (err) return;
+                map.easeTo({ center: feature.geometry.coordinates, zoom: expansionZoom });
+            });
+        });
 
-                marker.setPopup(popup);
+        map.on('click', 'unclustered-point', (e) => {
+            const { drawMode, disablePopups, navigate } = latestRef.current;
+            if (drawMode) return;
 
-                popup.on('open', () => {
-                    const popupEl = popup.getElement();
-                    if (!popupEl) return;
+            const feature = e.features[0];
+            const coordinates = feature.geometry.coordinates.slice();
 
-                    const link = popupEl.querySelector(`a[data-listing-id="${id}"]`);
-                    if (link) {
-                        link.addEventListener('click', (e) => {
-                            e.preventDefault();
-                            navigate(listingUrl);
-                        });
-                    }
+            if (disablePopups) {
+                map.flyTo({ center: coordinates, zoom: 10, essential: true });
+                return;
+            }
+
+            const listingUrl = `/listings/${feature.properties.id}`;
+            const popup = new mapboxgl.Popup({ offset: 15 })
+                .setLngLat(coordinates)
+                .setHTML(buildPopupHTML(feature.properties, listingUrl))
+                .addTo(map);
+
+            const link = popup.getElement()?.querySelector(`a[data-listing-id="${feature.properties.id}"]`);
+            if (link) {
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    navigate(listingUrl);
                 });
             }
+        });
+
+        ['clusters', 'unclustered-point'].forEach((layer) => {
+            map.on('mouseenter', layer, () => {
+                if (!latestRef.current.drawMode) map.getCanvas().style.cursor = 'pointer';
+            });
+            map.on('mouseleave', layer, () => {
+                if (!latestRef.current.drawMode) map.getCanvas().style.cursor = '';
+            });
+        });
+
+        // Drawing: polygons take a click per vertex and a double click to finish,
+        // a radius takes a click for the centre and another for the edge.
+        map.on('click', (e) => {
+            const { drawMode, onAreaDrawn } = latestRef.current;
+            if (!drawMode) return;
+
+            const point = [e.lngLat.lng, e.lngLat.lat];
+            const draft = draftRef.current;
+
+            if (drawMode === 'radius') {
+                if (draft.length === 0) {
+                    draftRef.current = [point];
+                } else {
+                    draftRef.current = [];
+                    onAreaDrawn?.({ type: 'radius', center: draft[0], radiusKm: distanceKm(draft[0], point) });
+                }
+                return;
+            }
 
-            markersRef.current.push(marker);
+            draftRef.current = [...draft, point];
+            setDraft([...draftRef.current, draftRef.current[0]]);
         });
-    }, [addresses, navigate, disablePopups]);
+
+        map.on('dblclick', (e) => {
+            const { drawMode, onAreaDrawn } = latestRef.current;
+            if (drawMode !== 'polygon') return;
+
+            e.preventDefault();
+            const draft = openRing(draftRef.current);
+            draftRef.current = [];
+            if (draft.length >= 3) {
+                onAreaDrawn?.({ type: 'polygon', coordinates: draft });
+            }
+        });
+
+        map.on('mousemove', (e) => {
+            const { drawMode } = latestRef.current;
+            const draft = draftRef.current;
+            if (!drawMode || draft.length === 0) return;
+
+            const point = [e.lngLat.lng, e.lngLat.lat];
+            if (drawMode === 'radius') {
+                setDraft(areaToRing({ type: 'radius', center: draft[0], radiusKm: distanceKm(draft[0], point) }));
+            } else {
+                setDraft([...draft, point, draft[0]]);
+            }
+        });
+
+        return () => {
+            map.remove();
+            mapRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (mapRef.current) {
+            mapRef.current.flyTo({
+                center: [lng, lat],
+                zoom: zoom,
+                essential: true,
+            });
+        }
+    }, [lng, lat, zoom]);
+
+    // Swap the source data instead of rebuilding markers, so large result sets stay cheap
+    useEffect(() => {
+        if (!isLoaded) return;
+        mapRef.current.getSource('listings').setData(toFeatureCollection(addresses));
+    }, [addresses, isLoaded]);
+
+    useEffect(() => {
+        if (!isLoaded) return;
+        const map = mapRef.current;
+
+        draftRef.current = [];
+        map.getCanvas().style.cursor = drawMode ? 'crosshair' : '';
+        if (drawMode) {
+            map.doubleClickZoom.disable();
+        } else {
+            map.doubleClickZoom.enable();
+        }
+
+        map.getSource('search-area').setData(
+            searchArea && !drawMode ? toAreaCollection(areaToRing(searchArea)) : emptyCollection
+        );
+    }, [drawMode, searchArea, isLoaded]);
 
     return (
         <div ref={mapContainerRef} style={{ width: '100%', height }} />
     );
 };
 
-export default MapBox;
\ No newline at end of file
+export default MapBox;
@@ -16,7 +16,7 @@ const predefinedPrices = [
     18000000,
 ];
 
-const PriceRangeDropdown = ({ onChange }) => {
+const PriceRangeDropdown = ({ onChange, min, max }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [minPrice, setMinPrice] = useState('');
     const [maxPrice, setMaxPrice] = useState('');
@@ -26,6 +26,20 @@ const PriceRangeDropdown = ({ onChange }) => {
     const [showMaxOptions, setShowMaxOptions] = useState(false);
     const dropdownRef = useRef(null);
 
+    // Keep the inputs in sync when the range is set from outside, e.g. the URL.
+    useEffect(() => {
+        if (min === undefined || max === undefined) return;
+        if (Number.isFinite(max)) {
+            setMinPrice(min);
+            setMaxPrice(max);
+            setPriceRange(`${formatPrice(min)} - ${formatPrice(max)}`);
+        } else {
+            setMinPrice('');
+            setMaxPrice('');
+            setPriceRange('Select Price Range');
+        }
+    }, [min, max]);
+
     // Toggle the dropdown
     const toggleDropdown = () => {
         setIsOpen(!isOpen);
@@ -1,23 +1,19 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { propertyTypeMap } from '../../utils/listingSearch';
 
-const propertyTypeMap = {
-    Industrial: 1,
-    Medical: 2,
-    Hospitality: 4,
-    Office: 8,
-    Retail: 16,
-    SingleFamily: 32,
-    Multifamily: 64,
-    Construction: 128,
-    Land: 256,
-};
-
-const PropertyTypeDropdown = ({ onChange }) => {
+const PropertyTypeDropdown = ({ onChange, value }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [selectedTypes, setSelectedTypes] = useState(0);
     const dropdownRef = useRef(null);
     const propertyTypes = Object.keys(propertyTypeMap);
 
+    // Keep the checkboxes in sync when the selection is set from outside, e.g. the URL.
+    useEffect(() => {
+        if (value !== undefined) {
+            setSelectedTypes(value);
+        }
+    }, [value]);
+
     const toggleDropdown = () => setIsOpen(!isOpen);
 
     const handleCheckboxChange = (type) => {
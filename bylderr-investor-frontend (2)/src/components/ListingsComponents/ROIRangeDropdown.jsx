@@ -4,7 +4,7 @@ const predefinedROIs = [0, 5, 10, 15, 20, 25, 30, 50, 75, 100];
 
 const formatROI = (roi) => `${roi}%`;
 
-const ROIRangeDropdown = ({ onChange }) => {
+const ROIRangeDropdown = ({ onChange, min, max }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [minROI, setMinROI] = useState('');
     const [maxROI, setMaxROI] = useState('');
@@ -14,6 +14,20 @@ const ROIRangeDropdown = ({ onChange }) => {
     const [showMaxOptions, setShowMaxOptions] = useState(false);
     const dropdownRef = useRef(null);
 
+    // Keep the inputs in sync when the range is set from outside, e.g. the URL.
+    useEffect(() => {
+        if (min === undefined || max === undefined) return;
+        if (Number.isFinite(max)) {
+            setMinROI(min);
+            setMaxROI(max);
+            setROIRange(`${formatROI(min)} - ${formatROI(max)}`);
+        } else {
+            setMinROI('');
+            setMaxROI('');
+            setROIRange('Select ROI Range');
+        }
+    }, [min, max]);
+
     // Toggle the dropdown
     const toggleDropdown = () => {
         setIsOpen(!isOpen);
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBookmark } from '@fortawesome/free-solid-svg-icons';
+import { createSavedSearch } from '../../api/savedSearchApi';
+import { describeFilters, filtersToSearchParams } from '../../utils/listingSearch';
+import ToggleSwitch from '../SettingsComponents/ToggleSwitch';
+import LoadingSpinner from '../../utils/LoadingSpinner';
+
+/**
+ * SaveSearchButton Component
+ * Saves the current listing filters under a name, optionally with new-listing alerts.
+ */
+const SaveSearchButton = ({ filters }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [alertsEnabled, setAlertsEnabled] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const openModal = () => {
+        setName('');
+        setAlertsEnabled(true);
+        setError('');
+        setSuccess('');
+        setIsOpen(true);
+    };
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            setError('Please give your search a name.');
+            return;
+        }
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE != 'mock') {
+                await createSavedSearch({
+                    name: name.trim(),
+                    filters: filtersToSearchParams(filters),
+                    alertsEnabled,
+                });
+            }
+            setSuccess('Search saved. Manage it any time from Settings.');
+            setTimeout(() => setIsOpen(false), 1500);
+        } catch (err) {
+            console.error('Error saving search:', err.message);
+            setError('Failed to save your search. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <>
+            <button
+                onClick={openModal}
+                className="flex max-h-xs items-center m-3 px-6 py-3 border-2 border-gray-300 rounded-full hover:border-gray-400"
+            >
+                <FontAwesomeIcon icon={faBookmark} className="text-2xl text-indigo-900 mr-3" />
+                <span className="text-xs font-bold text-gray-900">Save Search</span>
+            </button>
+
+            {isOpen && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+                    <div className="bg-white rounded-lg shadow-lg max-w-md w-full">
+                        <div className="flex items-center justify-between px-4 py-2 border-b border-gray-300">
+                            <h3 className="text-xl font-semibold text-gray-800">Save Search</h3>
+                            <button
+                                onClick={() => setIsOpen(false)}
+                                className="text-gray-500 hover:text-gray-800 focus:outline-none"
+                            >
+                                &times;
+                            </button>
+                        </div>
+
+                        <div className="p-6 space-y-4">
+                            <p className="text-sm text-gray-500">{describeFilters(filters)}</p>
+                            <div>
+                                <label htmlFor="savedSearchName" className="block text-sm font-medium text-gray-700">
+                                    Name
+                                </label>
+                                <input
+                                    id="savedSearchName"
+                                    type="text"
+                                    value={name}
+                                    maxLength={60}
+                                    onChange={(e) => setName(e.target.value)}
+                                    className="mt-1 p-2 block w-full border border-gray-300 rounded-md"
+                                    placeholder="e.g. Phoenix rentals over 8% ROI"
+                                />
+                            </div>
+                            <div className="flex items-center justify-between">
+                                <span className="text-sm text-gray-700">Alert me about new matching listings</span>
+                                <ToggleSwitch isOn={alertsEnabled} onToggle={() => setAlertsEnabled((prev) => !prev)} />
+                            </div>
+                            {error && (
+                                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                                    {error}
+                                </div>
+                            )}
+                            {success && (
+                                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                                    {success}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="flex justify-between items-center px-6 py-4 border-t border-gray-300">
+                            <button
+                                onClick={() => setIsOpen(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                disabled={isSaving}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleSave}
+                                disabled={isSaving || !!success}
+                                className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md flex items-center"
+                            >
+                                {isSaving && (
+                                    <div className="mr-2">
+                                        <LoadingSpinner />
+                                    </div>
+                                )}
+                                {isSaving ? 'Saving...' : 'Save'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default SaveSearchButton;
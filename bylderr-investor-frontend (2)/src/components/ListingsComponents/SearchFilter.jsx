@@ -3,16 +3,18 @@ import LocationDropdown from './LocationDropdown';
 import PriceRangeDropdown from './PriceRangeDropdown';
 import PropertyTypeDropdown from './PropertyTypeDropdown';
 import ROIRangeDropdown from './ROIRangeDropdown';
+import SortDropdown from './SortDropdown';
 
-const SearchFilter = ({ onLocationChange, onPriceRangeChange, onPropertyTypeChange, onROIPriceChange }) => {
+const SearchFilter = ({ filters = {}, onLocationChange, onPriceRangeChange, onPropertyTypeChange, onROIPriceChange, onSortChange }) => {
     return (
         <div className="flex items-center border border-gray-300 rounded-md p-1 my-5 bg-white mx-4">
-            <LocationDropdown onChange={onLocationChange} />
-            <PriceRangeDropdown onChange={onPriceRangeChange} />
-            <PropertyTypeDropdown onChange={onPropertyTypeChange} />
-            <ROIRangeDropdown onChange={onROIPriceChange} />
+            <LocationDropdown onChange={onLocationChange} value={filters.location} />
+            <PriceRangeDropdown onChange={onPriceRangeChange} min={filters.minPrice} max={filters.maxPrice} />
+            <PropertyTypeDropdown onChange={onPropertyTypeChange} value={filters.propertyTypes} />
+            <ROIRangeDropdown onChange={onROIPriceChange} min={filters.minROI} max={filters.maxROI} />
+            {onSortChange && <SortDropdown onChange={onSortChange} value={filters.sort} />}
         </div>
     );
 };
 
-export default SearchFilter;
\ No newline at end of file
+export default SearchFilter;
@@ -0,0 +1,72 @@
+import { useState, useRef, useEffect } from 'react';
+import { sortOptions } from '../../utils/listingSearch';
+
+const SortDropdown = ({ onChange, value = 'newest' }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const dropdownRef = useRef(null);
+
+    const selectedOption = sortOptions.find((option) => option.value === value) || sortOptions[0];
+
+    const toggleDropdown = () => setIsOpen((prev) => !prev);
+
+    const handleSelect = (option) => {
+        setIsOpen(false);
+        if (onChange && option.value !== value) {
+            onChange(option.value);
+        }
+    };
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    return (
+        <div className="relative flex-1 px-4 py-2" ref={dropdownRef}>
+            <label className="block text-sm font-bold text-black">Sort By</label>
+            <button
+                onClick={toggleDropdown}
+                className="flex items-center justify-between w-full text-gray-700 focus:outline-none"
+            >
+                {selectedOption.label}
+                <svg
+                    className={`w-5 h-5 text-gray-500 transition-transform duration-200 ${isOpen ? "transform rotate-180" : ""
+                        }`}
+                    xmlns="http://www.w3.org/2000/svg"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                >
+                    <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M19 9l-7 7-7-7"
+                    />
+                </svg>
+            </button>
+            {isOpen && (
+                <div className="absolute left-0 w-full bg-white border border-gray-300 rounded-lg shadow-md z-10 mt-1">
+                    {sortOptions.map((option) => (
+                        <button
+                            key={option.value}
+                            onClick={() => handleSelect(option)}
+                            className={`block w-full text-left px-2 py-1 hover:bg-indigo-100 ${option.value === selectedOption.value ? 'font-bold' : ''}`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SortDropdown;
@@ -0,0 +1,56 @@
+import { formatMessageTime } from "../../utils/messages";
+
+/**
+ * ConversationList Component
+ * The inbox's threads, most recent first, with the listing each one is about and a
+ * count of unread messages.
+ */
+const ConversationList = ({ conversations, activeId, onSelect }) => {
+    if (conversations.length === 0) {
+        return (
+            <p className="p-4 text-sm text-gray-500">
+                No messages yet. Open a listing and choose Message Developer to ask about it.
+            </p>
+        );
+    }
+
+    return (
+        <ul className="divide-y divide-gray-200">
+            {conversations.map((conversation) => {
+                const { id, counterpart, project, lastMessage, unread } = conversation;
+                return (
+                    <li key={id}>
+                        <button
+                            onClick={() => onSelect(id)}
+                            className={`w-full text-left px-4 py-3 ${id === activeId ? "bg-glitter" : "hover:bg-gray-100"}`}
+                        >
+                            <div className="flex justify-between items-center">
+                                <span className={`text-gray-800 ${unread > 0 ? "font-bold" : "font-semibold"}`}>
+                                    {counterpart?.name || "Deleted user"}
+                                </span>
+                                {lastMessage && (
+                                    <span className="text-xs text-gray-500">{formatMessageTime(lastMessage.createdAt)}</span>
+                                )}
+                            </div>
+                            {project && <p className="text-xs text-midnight-blue truncate">{project.title}</p>}
+                            <div className="flex justify-between items-center gap-2">
+                                <p className="text-sm text-gray-500 truncate">
+                                    {!lastMessage
+                                        ? "New conversation"
+                                        : `${lastMessage.fromMe ? "You: " : ""}${lastMessage.body || "Sent an attachment"}`}
+                                </p>
+                                {unread > 0 && (
+                                    <span className="bg-midnight-blue text-white text-xs font-semibold rounded-full px-2">
+                                        {unread}
+                                    </span>
+                                )}
+                            </div>
+                        </button>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+export default ConversationList;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useRef } from "react";
+import { useLocation, useSearchParams } from "react-router-dom";
+import { useAuth } from "../../../contexts/AuthContext";
+import { fetchConversations, fetchMessages, sendMessage, deleteMessage } from "../../api/messagesApi";
+import { conversationsMockData, messagesMockData } from "../../mockData/messagesMockData";
+import { conversationKey, MESSAGES_READ_EVENT } from "../../utils/messages";
+import ConversationList from "./ConversationList";
+import MessageThread from "./MessageThread";
+import MessageComposer from "./MessageComposer";
+
+/**
+ * Inbox Component
+ * Conversations between investors and developers. Opening a thread marks it read; a
+ * listing's Message Developer button arrives with `{ recipient, project }` in the route
+ * state and opens that thread, or a new one if they have not talked about it yet.
+ * Message notifications link here with `?conversation=`.
+ */
+const Inbox = () => {
+    const { user } = useAuth();
+    const location = useLocation();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [conversations, setConversations] = useState([]);
+    const [messages, setMessages] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isLoadingThread, setIsLoadingThread] = useState(false);
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    // The thread a listing asked for, which may not exist yet
+    const [requested] = useState(() => {
+        const { recipient, project } = location.state || {};
+        if (!recipient?.id) return null;
+        return {
+            id: conversationKey(user.id, recipient.id, project?.id),
+            counterpart: recipient,
+            project,
+            lastMessage: null,
+            unread: 0,
+        };
+    });
+    const activeId = searchParams.get("conversation") || requested?.id;
+    const active = conversations.find((conversation) => conversation.id === activeId);
+
+    // Read when a thread opens, without reloading the thread every time the list changes
+    const conversationsRef = useRef(conversations);
+    conversationsRef.current = conversations;
+
+    useEffect(() => {
+        const startThread = (list) =>
+            !requested || list.some((conversation) => conversation.id === requested.id)
+                ? list
+                : [requested, ...list];
+
+        const loadConversations = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setConversations(startThread(conversationsMockData));
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setConversations(startThread(await fetchConversations()));
+            } catch (err) {
+                console.error("Error fetching conversations:", err.message);
+                setError("Failed to load your messages. Using mock data.");
+                setConversations(startThread(conversationsMockData));
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadConversations();
+    }, [isMockMode, requested]);
+
+    useEffect(() => {
+        // Wait for the list so the opened thread's unread count is known
+        if (!activeId || isLoading) return;
+
+        const loadMessages = async () => {
+            setIsLoadingThread(true);
+            setMessages([]);
+            try {
+                setMessages(isMockMode ? messagesMockData[activeId] || [] : await fetchMessages(activeId));
+            } catch (err) {
+                console.error("Error fetching messages:", err.message);
+                setError("Failed to load this conversation. Showing sample data.");
+                setMessages(messagesMockData[activeId] || []);
+            } finally {
+                setIsLoadingThread(false);
+            }
+
+            // Loading the thread marked it read on the server
+            const unread = conversationsRef.current.find((conversation) => conversation.id === activeId)?.unread;
+            if (unread) {
+                window.dispatchEvent(new CustomEvent(MESSAGES_READ_EVENT, { detail: { count: unread } }));
+                setConversations((prev) =>
+                    prev.map((conversation) =>
+                        conversation.id === activeId ? { ...conversation, unread: 0 } : conversation
+                    )
+                );
+            }
+        };
+
+        loadMessages();
+    }, [activeId, isLoading, isMockMode]);
+
+    const handleSend = async (body, files) => {
+        setIsSending(true);
+        setError(null);
+        try {
+            const message = isMockMode
+                ? {
+                    _id: `message-${Date.now()}`,
+                    sender: user.id,
+                    recipient: active.counterpart.id,
+                    body,
+                    attachments: files.map((file) => ({
+                        name: file.name,
+                        url: URL.createObjectURL(file),
+                        mimetype: file.type,
+                        size: file.size,
+                    })),
+                    createdAt: new Date().toISOString(),
+                }
+                : await sendMessage({
+                    recipient: active.counterpart.id,
+                    project: active.project?.id,
+                    body,
+                    attachments: files,
+                });
+
+            setMessages((prev) => [...prev, message]);
+            // Move the thread to the top with its new last message
+            setConversations((prev) => [
+                {
+                    ...active,
+                    lastMessage: {
+                        body: message.body,
+                        hasAttachments: message.attachments.length > 0,
+                        fromMe: true,
+                        createdAt: message.createdAt,
+                    },
+                },
+                ...prev.filter((conversation) => conversation.id !== active.id),
+            ]);
+            return true;
+        } catch (err) {
+            console.error("Error sending message:", err.message);
+            setError("Failed to send your message. Please try again.");
+            return false;
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleDelete = async (message) => {
+        setError(null);
+        try {
+            if (!isMockMode) {
+                await deleteMessage(message._id);
+            }
+            setMessages((prev) => prev.filter((item) => item._id !== message._id));
+        } catch (err) {
+            console.error("Error deleting message:", err.message);
+            setError("Failed to delete the message. Please try again.");
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading messages...</div>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 flex flex-col md:flex-row min-h-[32rem]">
+                <div className="md:w-1/3 border-b md:border-b-0 md:border-r border-gray-300 overflow-y-auto">
+                    <ConversationList
+                        conversations={conversations}
+                        activeId={activeId}
+                        onSelect={(id) => setSearchParams({ conversation: id })}
+                    />
+                </div>
+                <div className="md:w-2/3 flex flex-col">
+                    {!active ? (
+                        <p className="m-auto p-6 text-gray-500">Choose a conversation to read it.</p>
+                    ) : (
+                        <>
+                            <div className="px-4 py-3 border-b border-gray-300">
+                                <h2 className="font-semibold text-gray-800">{active.counterpart?.name}</h2>
+                                {active.project && <p className="text-sm text-gray-500">About {active.project.title}</p>}
+                            </div>
+                            <div className="flex-1 overflow-y-auto p-4 max-h-[28rem]">
+                                {isLoadingThread ? (
+                                    <p>Loading...</p>
+                                ) : (
+                                    <MessageThread messages={messages} currentUserId={user.id} onDelete={handleDelete} />
+                                )}
+                            </div>
+                            <MessageComposer onSend={handleSend} isSending={isSending} />
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Inbox;
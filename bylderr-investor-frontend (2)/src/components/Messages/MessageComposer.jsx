@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { FaPaperclip } from "react-icons/fa";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENTS } from "../../utils/messages";
+
+/**
+ * MessageComposer Component
+ * Writes a reply with up to five attachments. `onSend(body, files)` resolves to true
+ * once the message is sent, which clears the composer.
+ */
+const MessageComposer = ({ onSend, isSending }) => {
+    const [body, setBody] = useState("");
+    const [files, setFiles] = useState([]);
+    const [error, setError] = useState("");
+
+    const addFiles = (selected) => {
+        const next = [...files, ...selected];
+        if (next.length > MAX_ATTACHMENTS) {
+            setError(`You can attach up to ${MAX_ATTACHMENTS} files per message.`);
+            return;
+        }
+        setError("");
+        setFiles(next);
+    };
+
+    const handleSend = async () => {
+        if (!body.trim() && files.length === 0) return;
+        if (await onSend(body.trim(), files)) {
+            setBody("");
+            setFiles([]);
+        }
+    };
+
+    return (
+        <div className="border-t border-gray-300 p-4 space-y-2">
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {files.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                    {files.map((file, index) => (
+                        <li
+                            key={`${file.name}-${index}`}
+                            className="bg-gray-200 text-gray-600 px-2 py-1 rounded-md text-sm flex items-center gap-2"
+                        >
+                            {file.name}
+                            <button
+                                onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                                className="text-gray-500 hover:text-gray-800"
+                                aria-label={`Remove ${file.name}`}
+                            >
+                                &times;
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                rows={3}
+                placeholder="Write a message..."
+                className="w-full border rounded-md shadow-sm px-3 py-2 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <div className="flex justify-between items-center">
+                <label className="flex items-center gap-2 text-sm text-gray-600 hover:text-midnight-blue cursor-pointer">
+                    <FaPaperclip />
+                    Attach Files
+                    <input
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        className="hidden"
+                        onChange={(e) => {
+                            addFiles(Array.from(e.target.files));
+                            e.target.value = "";
+                        }}
+                    />
+                </label>
+                <button
+                    onClick={handleSend}
+                    disabled={isSending || (!body.trim() && files.length === 0)}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md disabled:bg-gray-400 flex items-center justify-center"
+                >
+                    {isSending && (
+                        <div className="mr-2">
+                            <LoadingSpinner />
+                        </div>
+                    )}
+                    {isSending ? "Sending..." : "Send"}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default MessageComposer;
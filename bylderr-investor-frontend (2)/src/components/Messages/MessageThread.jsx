@@ -0,0 +1,66 @@
+import { useEffect, useRef } from "react";
+import { FaPaperclip } from "react-icons/fa";
+import { uploadsUrl } from "../../utils/uploads";
+import { formatMessageTime } from "../../utils/messages";
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+/**
+ * MessageThread Component
+ * The messages in one conversation, oldest first, scrolled to the newest. Messages the
+ * signed-in user sent sit on the right and can be deleted.
+ */
+const MessageThread = ({ messages, currentUserId, onDelete }) => {
+    const endRef = useRef(null);
+
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ block: "end" });
+    }, [messages]);
+
+    if (messages.length === 0) {
+        return <p className="text-sm text-gray-500 text-center">Send a message to start the conversation.</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {messages.map((message) => {
+                const fromMe = String(message.sender) === String(currentUserId);
+                return (
+                    <div key={message._id} className={`flex flex-col ${fromMe ? "items-end" : "items-start"}`}>
+                        <div
+                            className={`max-w-md rounded-lg px-3 py-2 ${fromMe ? "bg-midnight-blue text-white" : "bg-gray-100 text-gray-800"}`}
+                        >
+                            {message.body && <p className="whitespace-pre-line">{message.body}</p>}
+                            {message.attachments?.map((attachment, index) => (
+                                <a
+                                    key={`${attachment.file || attachment.url}-${index}`}
+                                    href={attachment.url || uploadsUrl(attachment.file)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="flex items-center gap-2 underline text-sm mt-1"
+                                >
+                                    <FaPaperclip />
+                                    {attachment.name}
+                                    {attachment.size > 0 && <span className="opacity-75">({formatSize(attachment.size)})</span>}
+                                </a>
+                            ))}
+                        </div>
+                        <div className="flex gap-2 text-xs text-gray-500 mt-1">
+                            <span>{formatMessageTime(message.createdAt)}</span>
+                            {message.editedAt && <span>Edited</span>}
+                            {fromMe && message.readAt && <span>Read</span>}
+                            {fromMe && (
+                                <button onClick={() => onDelete(message)} className="hover:text-red-500">
+                                    Delete
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+            <div ref={endRef} />
+        </div>
+    );
+};
+
+export default MessageThread;
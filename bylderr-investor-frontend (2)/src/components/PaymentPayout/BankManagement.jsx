@@ -40,7 +40,7 @@ const BankManagement = ({ data }) => {
         try {
             if (modalType === "add") {
                 const response = await addBank(currentBank);
-                setBanks((prev) => [...prev, { ...response, status: "Secondary" }]);
+                setBanks((prev) => [...prev, { status: "Secondary", ...response }]);
             } else if (modalType === "edit") {
                 await editBank(currentBank.id, currentBank);
                 setBanks((prev) =>
@@ -26,8 +26,23 @@ const fallbackDistributionData = [
         bank: "Chase Bank",
         last4: 1234,
     },
+    {
+        date: "12/31/24",
+        type: "Reinvested",
+        amount: "$312.40",
+        status: "Completed",
+        property: "Single-Family-Residential",
+        blocks: 0.5038,
+    },
 ];
 
+// Where a payment went: reinvested blocks, a bank, or the account's available funds
+const accountLabel = (item) => {
+    if (item.type === "Reinvested") return `${item.blocks} blocks of ${item.property}`;
+    if (!item.bank) return "Available funds";
+    return item.last4 ? `${item.bank} - **** ${item.last4}` : item.bank;
+};
+
 const DistributionHistory = () => {
     const [distributionData, setDistributionData] = useState(fallbackDistributionData);
     const [loading, setLoading] = useState(true);
@@ -106,7 +121,7 @@ const DistributionHistory = () => {
                                             {item.status}
                                         </td>
                                         <td className="px-4 py-2 text-center">
-                                            {item.bank} - **** {item.last4}
+                                            {accountLabel(item)}
                                         </td>
                                     </tr>
                                 ))}
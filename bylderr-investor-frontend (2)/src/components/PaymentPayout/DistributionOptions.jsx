@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import ScheduledDistributions from './ScheduledDistributions';
 import OnDemandSchedule from './OnDemandSchedule';
 import DistributionHistory from './DistributionHistory';
+import DividendReinvestment from './DividendReinvestment';
 import { fetchUserPayoutSettings } from '../../api/paymentPayoutApi';
 
 const mockData = [{
@@ -75,6 +76,10 @@ const DistributionOptions = () => {
                         banks={data.banks}
                     />
                 );
+            case "Dividend Reinvestment":
+                return (
+                    <DividendReinvestment />
+                );
             case "Distribution History":
                 return (
                     <DistributionHistory />
@@ -103,7 +108,7 @@ const DistributionOptions = () => {
             {/* Tabs */}
             <div className="bg-white border-t my-5">
                 <div className="flex justify-around space-x-6 border-b overflow-x-auto flex-wrap md:flex-nowrap px-2">
-                    {["Scheduled Distributions", "On-Demand Distributions", "Distribution History"].map((tab) => (
+                    {["Scheduled Distributions", "On-Demand Distributions", "Dividend Reinvestment", "Distribution History"].map((tab) => (
                         <button
                             key={tab}
                             onClick={() => setActiveTab(tab)}
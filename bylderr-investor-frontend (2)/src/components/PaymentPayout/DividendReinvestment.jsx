@@ -0,0 +1,225 @@
+import { useState, useEffect } from "react";
+import { useSelector } from "react-redux";
+import { fetchDripSettings, saveDripSettings } from "../../api/paymentPayoutApi";
+import { fetchHoldings } from "../../api/dashboardApi";
+import { dripSettingsMockData } from "../../mockData/dripMockData";
+import { holdingMockData } from "../../mockData/holdingMockData";
+import ToggleSwitch from "../SettingsComponents/ToggleSwitch";
+import InfoButtonModal from "../../utils/InfoButtonModal";
+import formatToUSD from "../../utils/formatToUSD";
+import { blocksForAmount, resolveDrip } from "../../utils/drip";
+import { selectActiveAccount } from "../../slices/accountSlice";
+
+// Distribution used to illustrate how many blocks a reinvestment buys
+const EXAMPLE_DISTRIBUTION = 100;
+
+/**
+ * DividendReinvestment Component
+ * Global and per-holding DRIP settings. Reinvested distributions buy blocks, fractions
+ * included, of the paying property or of a chosen target at the current block price.
+ * Settings are the active account's; an entity only has its default, as the holdings list
+ * is the investor's personal one.
+ */
+const DividendReinvestment = () => {
+    const [settings, setSettings] = useState(null);
+    const [holdings, setHoldings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(null);
+    const activeAccount = useSelector(selectActiveAccount);
+    const isEntity = Boolean(activeAccount);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadSettings = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setSettings(dripSettingsMockData);
+                setHoldings(isEntity ? [] : holdingMockData);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                const [dripData, holdingsResponse] = await Promise.all([
+                    fetchDripSettings(),
+                    isEntity ? { data: [] } : fetchHoldings(),
+                ]);
+                setSettings(dripData);
+                setHoldings(holdingsResponse.data);
+            } catch (err) {
+                console.error("Error fetching DRIP settings:", err.message);
+                setError("Failed to load your reinvestment settings. Using mock data.");
+                setSettings(dripSettingsMockData);
+                setHoldings(isEntity ? [] : holdingMockData);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadSettings();
+    }, [isMockMode, isEntity]);
+
+    const updateHolding = (propertyId, changes) => {
+        setSuccess(null);
+        setSettings((prev) => {
+            const exists = prev.holdings.some((holding) => holding.propertyId === propertyId);
+            const holdingSettings = exists
+                ? prev.holdings.map((holding) =>
+                    holding.propertyId === propertyId ? { ...holding, ...changes } : holding
+                )
+                : [...prev.holdings, { propertyId, enabled: null, targetPropertyId: null, ...changes }];
+            return { ...prev, holdings: holdingSettings };
+        });
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        setSuccess(null);
+        try {
+            if (!isMockMode) {
+                await saveDripSettings(settings);
+            }
+            setSuccess("Reinvestment settings saved. They apply from your next distribution.");
+        } catch (err) {
+            console.error("Error saving DRIP settings:", err.message);
+            setError("Failed to save your reinvestment settings. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div>Loading data...</div>;
+    }
+
+    const holdingSetting = (propertyId) =>
+        settings.holdings.find((holding) => holding.propertyId === propertyId) || {};
+
+    const toSelectValue = (enabled) => (enabled === null || enabled === undefined ? "default" : enabled ? "on" : "off");
+    const fromSelectValue = (value) => (value === "default" ? null : value === "on");
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <div>
+                    <div className="flex items-center gap-2">
+                        <h3 className="font-bold text-lg">Reinvest All Distributions</h3>
+                        <InfoButtonModal
+                            title="Dividend Reinvestment"
+                            description="With dividend reinvestment (DRIP) turned on, distributions are not paid out. Instead they buy more blocks at the current block price, including fractional blocks. Each holding can follow this default, opt in or out, or reinvest into a different property."
+                        />
+                    </div>
+                    <p className="text-sm text-gray-500">Default for holdings without their own setting.</p>
+                </div>
+                <ToggleSwitch
+                    isOn={settings.enabled}
+                    onToggle={() => {
+                        setSuccess(null);
+                        setSettings((prev) => ({ ...prev, enabled: !prev.enabled }));
+                    }}
+                />
+            </div>
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">
+                    {success}
+                </div>
+            )}
+
+            {isEntity ? (
+                <p className="text-sm text-gray-500">
+                    Every holding of {activeAccount.name} follows this default. Per-holding settings are only
+                    available for your personal account.
+                </p>
+            ) : (
+                <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                    <table className="min-w-full bg-white">
+                        <thead>
+                            <tr className="text-gray-600 font-semibold">
+                                <th className="px-4 py-2 border-b text-left">Holding</th>
+                                <th className="px-4 py-2 border-b text-center">Reinvest</th>
+                                <th className="px-4 py-2 border-b text-center">Reinvest Into</th>
+                                <th className="px-4 py-2 border-b text-center">{formatToUSD(EXAMPLE_DISTRIBUTION)} Buys</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {holdings.map((holding, index) => {
+                                const own = holdingSetting(holding.propertyId);
+                                const { enabled, targetPropertyId } = resolveDrip(settings, holding.propertyId);
+                                const target = holdings.find((item) => item.propertyId === targetPropertyId) || holding;
+                                return (
+                                    <tr
+                                        key={holding.propertyId}
+                                        className={
+                                            index % 2 === 0
+                                                ? "bg-gray-100 hover:bg-neutral-200"
+                                                : "bg-white hover:bg-neutral-200"
+                                        }
+                                    >
+                                        <td className="px-4 py-2 text-left">{holding.property}</td>
+                                        <td className="px-4 py-2 text-center">
+                                            <select
+                                                value={toSelectValue(own.enabled)}
+                                                onChange={(e) => updateHolding(holding.propertyId, { enabled: fromSelectValue(e.target.value) })}
+                                                className="border border-gray-300 rounded-md px-2 py-1"
+                                            >
+                                                <option value="default">Default ({settings.enabled ? "On" : "Off"})</option>
+                                                <option value="on">On</option>
+                                                <option value="off">Off</option>
+                                            </select>
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            <select
+                                                value={own.targetPropertyId ?? ""}
+                                                disabled={!enabled}
+                                                onChange={(e) =>
+                                                    updateHolding(holding.propertyId, {
+                                                        targetPropertyId: e.target.value === "" ? null : Number(e.target.value),
+                                                    })
+                                                }
+                                                className="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-200"
+                                            >
+                                                <option value="">Same property</option>
+                                                {holdings
+                                                    .filter((item) => item.propertyId !== holding.propertyId)
+                                                    .map((item) => (
+                                                        <option key={item.propertyId} value={item.propertyId}>
+                                                            {item.property}
+                                                        </option>
+                                                    ))}
+                                            </select>
+                                        </td>
+                                        <td className="px-4 py-2 text-center text-sm text-gray-600">
+                                            {enabled && target.currentPrice
+                                                ? `${blocksForAmount(EXAMPLE_DISTRIBUTION, target.currentPrice)} blocks at ${formatToUSD(target.currentPrice)}`
+                                                : "Paid out"}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600"
+            >
+                {isSaving ? "Saving..." : "Save Reinvestment Settings"}
+            </button>
+        </div>
+    );
+};
+
+export default DividendReinvestment;
@@ -58,7 +58,7 @@ const OnDemandSchedule = ({ ammountToWithdrawl, banks }) => {
             }
         } catch (err) {
             console.error("Error requesting withdrawal:", err.message);
-            setError(err.response?.data?.message || "An unexpected error occurred. Please try again.");
+            setError(err.response?.data?.error || "An unexpected error occurred. Please try again.");
         } finally {
             setLoading(false);
             setConfirmation(false);
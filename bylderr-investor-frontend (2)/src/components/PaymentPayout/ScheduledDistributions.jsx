@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import ScheduleSettings from "./ScheduleSettings";
 import AdvancedSettings from "./AdvancedSettings";
 import DistributionCalendar from "./DistributionCalendar";
+import { FREQUENCIES } from "../../utils/scheduleFrequencies";
 
 const ScheduledDistributions = ({
     frequency,
@@ -37,14 +38,6 @@ const ScheduledDistributions = ({
     const [uniqueMonthsWithData, setUniqueMonthsWithData] = useState([]);
     const [activeStartDate, setActiveStartDate] = useState(new Date());
 
-    const frequencies = [
-        "Monthly",
-        "Bi-monthly",
-        "Quarterly",
-        "Biannually",
-        "Annually",
-    ];
-
     const bankList = [
         "Chase Bank - **** **** **** 1234",
         "Bank of America - **** **** **** 5678",
@@ -293,7 +286,7 @@ const ScheduledDistributions = ({
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5 p-4">
             {/* Left Column: Schedule Settings */}
             <ScheduleSettings
-                frequencies={frequencies}
+                frequencies={FREQUENCIES}
                 selectedFrequency={selectedFrequency}
                 isOpen={isOpen}
                 toggleDropdown={toggleDropdown}
@@ -0,0 +1,38 @@
+import { useDispatch, useSelector } from "react-redux";
+import { selectActiveAccount, switchAccount } from "../slices/accountSlice";
+import { PERSONAL_ACCOUNT_ID } from "../utils/activeAccount";
+
+/**
+ * PersonalAccountOnly Component
+ * Renders its children only while the investor acts for themselves, for screens whose data
+ * the API does not keep per account yet. While an entity is active it offers to switch back.
+ */
+const PersonalAccountOnly = ({ title, children }) => {
+    const dispatch = useDispatch();
+    const activeAccount = useSelector(selectActiveAccount);
+
+    if (!activeAccount) {
+        return children;
+    }
+
+    return (
+        <div className="pt-5 pb-10 px-10">
+            <div className="bg-white rounded-lg shadow-lg border-2 p-6 space-y-3 max-w-xl">
+                <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+                <p className="text-gray-700">
+                    {title} is only available for your personal account. You are acting for{" "}
+                    <span className="font-semibold">{activeAccount.name}</span>.
+                </p>
+                <button
+                    type="button"
+                    onClick={() => dispatch(switchAccount(PERSONAL_ACCOUNT_ID))}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                >
+                    Switch to Personal Account
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PersonalAccountOnly;
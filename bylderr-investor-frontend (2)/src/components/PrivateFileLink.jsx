@@ -0,0 +1,40 @@
+import { useState } from "react";
+
+/**
+ * PrivateFileLink Component
+ * Downloads a file the API only serves to users allowed to see it, like accreditation
+ * evidence or formation documents, so the request can carry the user's token.
+ * `download` resolves to the file data.
+ */
+const PrivateFileLink = ({ download, name }) => {
+    const [error, setError] = useState(null);
+
+    const handleDownload = async () => {
+        setError(null);
+        try {
+            const fileData = await download();
+            const url = window.URL.createObjectURL(new Blob([fileData]));
+            const link = document.createElement("a");
+            link.href = url;
+            link.setAttribute("download", name);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => window.URL.revokeObjectURL(url), 0);
+        } catch (err) {
+            console.error("Error downloading the file:", err.message);
+            setError("Failed to download the file. Please try again.");
+        }
+    };
+
+    return (
+        <>
+            <button type="button" onClick={handleDownload} className="text-midnight-blue underline text-left">
+                {name}
+            </button>
+            {error && <span className="block text-xs text-red-500">{error}</span>}
+        </>
+    );
+};
+
+export default PrivateFileLink;
@@ -0,0 +1,34 @@
+const formatCountdown = (seconds) =>
+    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+/**
+ * SessionTimeoutModal Component
+ * Warns an inactive user that they are about to be signed out.
+ */
+const SessionTimeoutModal = ({ secondsLeft, onStay, onLogout }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div className="bg-white rounded-lg shadow-lg p-6 max-w-md w-full">
+            <h2 className="text-lg font-bold text-gray-800 mb-4">Are you still there?</h2>
+            <p className="text-gray-600 mb-4">
+                For your security you will be signed out in{" "}
+                <span className="font-semibold">{formatCountdown(secondsLeft)}</span> due to inactivity.
+            </p>
+            <div className="flex justify-between items-center">
+                <button
+                    onClick={onLogout}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                >
+                    Log Out
+                </button>
+                <button
+                    onClick={onStay}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                >
+                    Stay Signed In
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default SessionTimeoutModal;
@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+    fetchSavedSearches,
+    updateSavedSearch,
+    deleteSavedSearch,
+} from "../../api/savedSearchApi";
+import { savedSearchesMockData } from "../../mockData/savedSearchesMockData";
+import { describeFilters, filtersFromSearchParams } from "../../utils/listingSearch";
+import ToggleSwitch from "./ToggleSwitch";
+
+const SavedSearchesSettings = () => {
+    const [searches, setSearches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState("");
+    const [error, setError] = useState("");
+    const [success, setSuccess] = useState("");
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadSearches = async () => {
+            if (isMockMode) {
+                setSearches(savedSearchesMockData);
+                setLoading(false);
+                return;
+            }
+            try {
+                const data = await fetchSavedSearches();
+                setSearches(data);
+            } catch (err) {
+                console.error("Error fetching saved searches:", err.message);
+                setError("Failed to load saved searches. Using fallback data.");
+                setSearches(savedSearchesMockData);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadSearches();
+    }, [isMockMode]);
+
+    // Applies a change locally once the server has accepted it
+    const applyChange = async (searchId, changes, successMessage) => {
+        setError("");
+        setSuccess("");
+        try {
+            if (!isMockMode) {
+                await updateSavedSearch(searchId, changes);
+            }
+            setSearches((prev) =>
+                prev.map((search) => (search._id === searchId ? { ...search, ...changes } : search))
+            );
+            setSuccess(successMessage);
+            return true;
+        } catch (err) {
+            console.error("Error updating saved search:", err.message);
+            setError("Failed to update the saved search. Please try again.");
+            return false;
+        }
+    };
+
+    const startEditing = (search) => {
+        setEditingId(search._id);
+        setEditName(search.name);
+    };
+
+    const saveName = async (searchId) => {
+        if (!editName.trim()) {
+            setError("Saved searches need a name.");
+            return;
+        }
+        if (await applyChange(searchId, { name: editName.trim() }, "Saved search renamed.")) {
+            setEditingId(null);
+        }
+    };
+
+    const toggleAlerts = (search) =>
+        applyChange(
+            search._id,
+            { alertsEnabled: !search.alertsEnabled },
+            search.alertsEnabled ? "Alerts turned off." : "Alerts turned on."
+        );
+
+    const handleDelete = async (searchId) => {
+        setError("");
+        setSuccess("");
+        try {
+            if (!isMockMode) {
+                await deleteSavedSearch(searchId);
+            }
+            setSearches((prev) => prev.filter((search) => search._id !== searchId));
+            setSuccess("Saved search deleted.");
+        } catch (err) {
+            console.error("Error deleting saved search:", err.message);
+            setError("Failed to delete the saved search. Please try again.");
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="bg-white rounded-lg shadow-lg p-6 w-auto mx-auto border-2 mb-10">
+                <h2 className="text-xl font-bold mb-10">Saved Searches</h2>
+                <p>Loading saved searches...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2 mb-10">
+            <div className="p-6">
+                <h2 className="text-xl font-bold mb-2">Saved Searches</h2>
+                <p className="text-gray-500 mb-6">
+                    Get alerted by email and in your notifications when a new listing matches one of your searches.
+                </p>
+                {error && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                        {error}
+                    </div>
+                )}
+                {success && (
+                    <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded mb-4">
+                        {success}
+                    </div>
+                )}
+                {searches.length === 0 ? (
+                    <p className="text-gray-500">
+                        You have no saved searches yet. Use &quot;Save Search&quot; on the{" "}
+                        <Link to="/Listings" className="text-midnight-blue underline">listings page</Link>.
+                    </p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {searches.map((search) => (
+                            <li key={search._id} className="py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                                <div className="flex-1">
+                                    {editingId === search._id ? (
+                                        <div className="flex gap-2">
+                                            <input
+                                                type="text"
+                                                value={editName}
+                                                maxLength={60}
+                                                onChange={(e) => setEditName(e.target.value)}
+                                                className="p-2 border border-gray-300 rounded-md flex-1"
+                                            />
+                                            <button
+                                                onClick={() => saveName(search._id)}
+                                                className="bg-midnight-blue text-white px-3 py-1 rounded text-sm"
+                                            >
+                                                Save
+                                            </button>
+                                            <button
+                                                onClick={() => setEditingId(null)}
+                                                className="bg-gray-300 text-gray-700 px-3 py-1 rounded text-sm"
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <p className="font-semibold text-gray-700">{search.name}</p>
+                                    )}
+                                    <p className="text-sm text-gray-500">
+                                        {describeFilters(filtersFromSearchParams(new URLSearchParams(search.filters)))}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-4">
+                                    <span className="text-sm text-gray-600">Alerts</span>
+                                    <ToggleSwitch isOn={search.alertsEnabled} onToggle={() => toggleAlerts(search)} />
+                                    <Link
+                                        to={`/Listings?${new URLSearchParams(search.filters)}`}
+                                        className="text-midnight-blue text-sm underline"
+                                    >
+                                        View
+                                    </Link>
+                                    <button
+                                        onClick={() => startEditing(search)}
+                                        className="text-midnight-blue text-sm underline"
+                                    >
+                                        Rename
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(search._id)}
+                                        className="text-red-500 text-sm underline"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SavedSearchesSettings;
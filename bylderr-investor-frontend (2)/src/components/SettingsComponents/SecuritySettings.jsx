@@ -1,6 +1,7 @@
 import React from 'react'
 import CredentialsForm from './CredentialsForm'
 import ViewLoginActivity from './ViewLoginActivity'
+import TwoFactorSettings from './TwoFactorSettings'
 
 const SecuritySettings = () => {
     return (
@@ -8,6 +9,7 @@ const SecuritySettings = () => {
             <div className="space-y-6">
                 <h2 className="text-xl font-bold text-gray-800">Security Settings</h2>
                 <CredentialsForm/>    
+                <TwoFactorSettings />
                 <ViewLoginActivity />
             </div>
         </>
@@ -25,6 +25,12 @@ const generateFallbackNotifications = () => [
         description: "Get alerts for deposits, withdrawals, and other account activities.",
         isOn: true,
     },
+    {
+        id: 4,
+        title: "Messages",
+        description: "Get an email when a developer or investor sends you a message.",
+        isOn: true,
+    },
 ];
 
 const StandardNotifications = () => {
@@ -0,0 +1,220 @@
+import { useState, useEffect } from "react";
+import {
+    fetchTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} from "../../api/twoFactorApi";
+import {
+    twoFactorStatusMockData,
+    twoFactorSetupMockData,
+    recoveryCodesMockData,
+} from "../../mockData/twoFactorMockData";
+import TwoFactorCodeForm from "../TwoFactor/TwoFactorCodeForm";
+import RecoveryCodesList from "../TwoFactor/RecoveryCodesList";
+
+/**
+ * TwoFactorSettings Component
+ * Turns authenticator-app (TOTP) two-factor on and off and manages recovery codes.
+ * Once it is on, logins and sensitive actions such as withdrawals ask for a code.
+ */
+const TwoFactorSettings = () => {
+    const [status, setStatus] = useState(null);
+    // idle | setup | disable | regenerate | codes
+    const [step, setStep] = useState("idle");
+    const [setup, setSetup] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState("");
+    const [success, setSuccess] = useState("");
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadStatus = async () => {
+            if (isMockMode) {
+                setStatus(twoFactorStatusMockData);
+                return;
+            }
+            try {
+                setStatus(await fetchTwoFactorStatus());
+            } catch (err) {
+                console.error("Error fetching two-factor status:", err.message);
+                setError("Failed to load your two-factor settings. Using mock data.");
+                setStatus(twoFactorStatusMockData);
+            }
+        };
+
+        loadStatus();
+    }, [isMockMode]);
+
+    const reset = () => {
+        setStep("idle");
+        setSetup(null);
+        setError("");
+    };
+
+    const handleStartSetup = async () => {
+        setIsLoading(true);
+        setError("");
+        setSuccess("");
+        try {
+            setSetup(isMockMode ? twoFactorSetupMockData : await startTwoFactorSetup());
+            setStep("setup");
+        } catch (err) {
+            console.error("Error starting two-factor setup:", err.message);
+            setError("Failed to start two-factor setup. Please try again.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Runs the action for the current step with the code the user entered
+    const handleCode = async (code) => {
+        setIsLoading(true);
+        setError("");
+        try {
+            if (step === "setup") {
+                const result = isMockMode ? { recoveryCodes: recoveryCodesMockData } : await enableTwoFactor(code);
+                setStatus({ enabled: true, recoveryCodesLeft: result.recoveryCodes.length });
+                setRecoveryCodes(result.recoveryCodes);
+                setStep("codes");
+            } else if (step === "regenerate") {
+                const result = isMockMode ? { recoveryCodes: recoveryCodesMockData } : await regenerateRecoveryCodes(code);
+                setStatus((prev) => ({ ...prev, recoveryCodesLeft: result.recoveryCodes.length }));
+                setRecoveryCodes(result.recoveryCodes);
+                setStep("codes");
+            } else if (step === "disable") {
+                if (!isMockMode) {
+                    await disableTwoFactor(code);
+                }
+                setStatus({ enabled: false, recoveryCodesLeft: 0 });
+                setSuccess("Two-factor authentication is off.");
+                reset();
+            }
+        } catch (err) {
+            console.error("Two-factor verification failed:", err.message);
+            setError("That code did not work. Please try again.");
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (!status) {
+        return <div>Loading data...</div>;
+    }
+
+    return (
+        <div className="bg-white border-2 rounded-lg shadow-lg p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-800">Two-Factor Authentication</h3>
+                <span
+                    className={`px-2 py-1 rounded-md text-sm ${status.enabled ? "bg-green-100 text-green-700" : "bg-gray-200 text-gray-600"}`}
+                >
+                    {status.enabled ? "On" : "Off"}
+                </span>
+            </div>
+            <p className="text-sm text-gray-600">
+                Use an authenticator app to confirm it&apos;s you when you log in, withdraw funds or change
+                your bank accounts.
+            </p>
+
+            {success && (
+                <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded">{success}</div>
+            )}
+
+            {step === "idle" && (
+                <>
+                    {error && <p className="text-red-500 text-sm">{error}</p>}
+                    {status.enabled ? (
+                        <>
+                            <p className="text-sm text-gray-600">
+                                You have {status.recoveryCodesLeft} unused recovery code
+                                {status.recoveryCodesLeft === 1 ? "" : "s"} left.
+                            </p>
+                            <div className="flex space-x-4">
+                                <button
+                                    onClick={() => setStep("regenerate")}
+                                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                                >
+                                    New Recovery Codes
+                                </button>
+                                <button
+                                    onClick={() => setStep("disable")}
+                                    className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md"
+                                >
+                                    Turn Off
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <button
+                            onClick={handleStartSetup}
+                            disabled={isLoading}
+                            className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                        >
+                            {isLoading ? "Starting..." : "Set Up Two-Factor"}
+                        </button>
+                    )}
+                </>
+            )}
+
+            {step === "setup" && setup && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-2 text-sm text-gray-600">
+                        <p>1. Scan this QR code with Google Authenticator, 1Password, Authy or a similar app.</p>
+                        {setup.qrCode && <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />}
+                        <p>Can&apos;t scan it? Enter this key instead:</p>
+                        <p className="font-mono break-all bg-gray-100 rounded p-2">{setup.secret}</p>
+                    </div>
+                    <div className="space-y-2">
+                        <p className="text-sm text-gray-600">2. Enter the six-digit code the app shows.</p>
+                        <TwoFactorCodeForm
+                            onSubmit={handleCode}
+                            submitLabel="Turn On"
+                            allowRecovery={false}
+                            isLoading={isLoading}
+                            error={error}
+                        />
+                        <button onClick={reset} className="w-full text-sm text-gray-500 hover:underline">
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {(step === "disable" || step === "regenerate") && (
+                <div className="max-w-sm space-y-2">
+                    <p className="text-sm text-gray-600">
+                        {step === "disable"
+                            ? "Enter a code to turn two-factor authentication off."
+                            : "Enter a code to replace your recovery codes. Your old codes will stop working."}
+                    </p>
+                    <TwoFactorCodeForm
+                        onSubmit={handleCode}
+                        submitLabel={step === "disable" ? "Turn Off" : "Create New Codes"}
+                        isLoading={isLoading}
+                        error={error}
+                    />
+                    <button onClick={reset} className="w-full text-sm text-gray-500 hover:underline">
+                        Cancel
+                    </button>
+                </div>
+            )}
+
+            {step === "codes" && (
+                <RecoveryCodesList
+                    codes={recoveryCodes}
+                    onDone={() => {
+                        setRecoveryCodes([]);
+                        setSuccess("Two-factor authentication is on.");
+                        reset();
+                    }}
+                />
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
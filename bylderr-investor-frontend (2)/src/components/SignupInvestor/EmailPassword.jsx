@@ -1,12 +1,12 @@
 import React, { useState } from 'react';
-import { useDispatch, useSelector } from 'react-redux';
-import { setEmail, setPassword, nextStep } from '../../slices/signupSlice';
+import { setEmail, setPassword } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faEye, faEyeSlash } from '@fortawesome/free-solid-svg-icons';
 
 const EmailPassword = () => {
-    const dispatch = useDispatch();
-    const { email, password } = useSelector((state) => state.signup);
+    const { signup, dispatch, errors, next } = useSignupStep(1);
+    const { email, password } = signup;
 
     const [confirmPassword, setConfirmPassword] = useState('');
     const [showPassword, setShowPassword] = useState(false);
@@ -22,19 +22,14 @@ const EmailPassword = () => {
         setShowPassword((prev) => !prev);
     };
 
+    // Email and password length follow the shared signup rules
     const handleNext = () => {
-        if (!validateEmail(email)) {
-            setEmailError('Please enter a valid email address');
-        } else if (password !== confirmPassword) {
+        setEmailError('');
+        if (password !== confirmPassword) {
             setPasswordError('Passwords do not match');
-            setEmailError('');
-        } else if (password.length < 6) {
-            setPasswordError('Password should be at least 6 characters long');
-            setEmailError('');
         } else {
             setPasswordError('');
-            setEmailError('');
-            dispatch(nextStep());
+            next();
         }
     };
 
@@ -70,7 +65,9 @@ const EmailPassword = () => {
                     }`}
                 required
             />
-            {emailError && <p className="text-red-500 text-sm mt-1">{emailError}</p>}
+            {(emailError || errors.email) && (
+                <p className="text-red-500 text-sm mt-1">{emailError || errors.email}</p>
+            )}
 
             <label
                 htmlFor="password"
@@ -111,7 +108,9 @@ const EmailPassword = () => {
                 required
             />
 
-            {passwordError && <p className="text-red-500 text-sm mt-2">{passwordError}</p>}
+            {(passwordError || errors.password) && (
+                <p className="text-red-500 text-sm mt-2">{passwordError || errors.password}</p>
+            )}
 
             <button
                 type="button"
@@ -0,0 +1,89 @@
+import React from 'react';
+import { setUserDetails } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import SignupField from './SignupField';
+import StepButtons from './StepButtons';
+import { ENTITY_TYPES, SIGNUP_ENTITY_TYPES } from '../../utils/entityAccounts';
+
+// Sent at the top level of the register body rather than under userDetails
+const TOP_LEVEL_FIELDS = ['firstName', 'lastName', 'phone'];
+
+/**
+ * InvestorDetails Component
+ * Step 5: name, contact and address, with an SSN and ID number for individuals or the
+ * entity's name and EIN for entities. Tax IDs are masked while typed.
+ */
+const InvestorDetails = () => {
+    const { signup, dispatch, errors, next, back } = useSignupStep(5);
+    const { userDetails } = signup;
+    const isEntity = signup.investorType === 'Entity';
+
+    // Props for a field bound to one of the user details
+    const detail = (field) => ({
+        id: field,
+        value: userDetails[field],
+        onChange: (value) => dispatch(setUserDetails({ [field]: value })),
+        error: errors[TOP_LEVEL_FIELDS.includes(field) ? field : `userDetails.${field}`],
+    });
+
+    return (
+        <div className="space-y-4">
+            {isEntity && (
+                <div>
+                    <label htmlFor="entityType" className="block text-gray-700 text-sm font-semibold mb-2">
+                        Kind of Entity
+                    </label>
+                    <select
+                        id="entityType"
+                        value={userDetails.entityType}
+                        onChange={(e) => dispatch(setUserDetails({ entityType: e.target.value }))}
+                        className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 ${errors['userDetails.entityType'] ? 'focus:ring-red-500 border-red-500' : 'focus:ring-blue-500'
+                            }`}
+                    >
+                        <option value="">Choose one</option>
+                        {SIGNUP_ENTITY_TYPES.map((value) => (
+                            <option key={value} value={value}>
+                                {ENTITY_TYPES[value].label}
+                            </option>
+                        ))}
+                    </select>
+                    {errors['userDetails.entityType'] && (
+                        <p className="text-red-500 text-sm mt-1">{errors['userDetails.entityType']}</p>
+                    )}
+                </div>
+            )}
+            {isEntity && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <SignupField label="Entity Name" {...detail('entityName')} />
+                    <SignupField label="EIN" type="password" autoComplete="off" placeholder="12-3456789" {...detail('ein')} />
+                </div>
+            )}
+            {isEntity && <p className="text-sm text-gray-600">Authorized signer</p>}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <SignupField label="First Name" autoComplete="given-name" {...detail('firstName')} />
+                <SignupField label="Last Name" autoComplete="family-name" {...detail('lastName')} />
+                <SignupField label="Phone" type="tel" autoComplete="tel" {...detail('phone')} />
+                <SignupField label="Date of Birth" type="date" autoComplete="bday" {...detail('dob')} />
+            </div>
+            {!isEntity && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <SignupField label="Social Security Number" type="password" autoComplete="off" placeholder="123-45-6789" {...detail('ssn')} />
+                    <SignupField label="Driver's License or Passport Number" autoComplete="off" {...detail('validIdNum')} />
+                </div>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <SignupField label="Street Address" autoComplete="address-line1" className="sm:col-span-2" {...detail('streetAddress')} />
+                <SignupField label="Unit" autoComplete="address-line2" {...detail('unitNumber')} />
+                <SignupField label="City" autoComplete="address-level2" {...detail('city')} />
+                <SignupField label="State" autoComplete="address-level1" maxLength={2} placeholder="NY" {...detail('state')} />
+                <SignupField label="ZIP Code" autoComplete="postal-code" {...detail('zipCode')} />
+            </div>
+            <p className="text-xs text-gray-500">
+                Your tax ID is encrypted and only used to verify your identity and prepare tax documents.
+            </p>
+            <StepButtons onBack={back} onNext={next} />
+        </div>
+    );
+};
+
+export default InvestorDetails;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import {
+    setSliderValue,
+    setInvestmentAmount,
+    setSelectedRange,
+    addLocation,
+    removeLocation,
+    toggleSelection,
+} from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import formatToUSD from '../../utils/formatToUSD';
+import SignupField from './SignupField';
+import StepButtons from './StepButtons';
+
+const RISK_LEVELS = ['Conservative', 'Balanced', 'Growth'];
+const AMOUNT_OPTIONS = [1000, 5000, 10000, 25000];
+const PROPERTY_CATEGORIES = {
+    commercial: ['Office', 'Retail', 'Industrial', 'Medical', 'Hospitality'],
+    residential: ['SingleFamily', 'Multifamily', 'Construction', 'Land'],
+};
+const TIME_HORIZONS = ['Under 1 year', '1-3 years', '3-5 years', '5+ years'];
+
+const chipClassName = (isSelected) =>
+    `px-3 py-1 rounded-full border text-sm ${isSelected
+        ? 'border-midnight-blue bg-glitter text-midnight-blue font-semibold'
+        : 'border-gray-300 text-gray-600 hover:border-midnight-blue'
+    }`;
+
+/**
+ * InvestorPreferences Component
+ * Step 7: risk tolerance, how much the investor plans to invest, and the locations,
+ * property types and time horizons they are interested in.
+ */
+const InvestorPreferences = () => {
+    const { signup, dispatch, errors, next, back } = useSignupStep(7);
+    const { riskLevel, investmentAmount, selectedRange, locations, timeHorizon } = signup;
+    const [location, setLocation] = useState('');
+
+    const handleAddLocation = () => {
+        const name = location.trim();
+        if (!name || locations.some((item) => item.name.toLowerCase() === name.toLowerCase())) return;
+        dispatch(addLocation(name));
+        setLocation('');
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <label htmlFor="riskLevel" className="block text-gray-700 text-sm font-semibold mb-2">
+                    Risk Tolerance: <span className="text-midnight-blue">{RISK_LEVELS[riskLevel - 1]}</span>
+                </label>
+                <input
+                    id="riskLevel"
+                    type="range"
+                    min="1"
+                    max={RISK_LEVELS.length}
+                    value={riskLevel}
+                    onChange={(e) => dispatch(setSliderValue(Number(e.target.value)))}
+                    className="w-full"
+                />
+                {errors['preferences.riskLevel'] && (
+                    <p className="text-red-500 text-sm mt-1">{errors['preferences.riskLevel']}</p>
+                )}
+            </div>
+
+            <div>
+                <p className="block text-gray-700 text-sm font-semibold mb-2">How much do you plan to invest?</p>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-2">
+                    {AMOUNT_OPTIONS.map((value) => (
+                        <button
+                            key={value}
+                            type="button"
+                            onClick={() => dispatch(setSelectedRange(value))}
+                            className={chipClassName(selectedRange === value && investmentAmount === value)}
+                        >
+                            {formatToUSD(value)}
+                        </button>
+                    ))}
+                </div>
+                <SignupField
+                    id="investmentAmount"
+                    type="number"
+                    label="Or enter an amount (USD)"
+                    value={investmentAmount}
+                    onChange={(value) => dispatch(setInvestmentAmount(value))}
+                    error={errors['preferences.investmentAmount']}
+                    min="0"
+                />
+            </div>
+
+            <div>
+                <label htmlFor="location" className="block text-gray-700 text-sm font-semibold mb-2">
+                    Locations
+                </label>
+                <div className="flex gap-2">
+                    <input
+                        id="location"
+                        value={location}
+                        onChange={(e) => setLocation(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                handleAddLocation();
+                            }
+                        }}
+                        placeholder="City or state"
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                        type="button"
+                        onClick={handleAddLocation}
+                        className="bg-midnight-blue text-white px-4 rounded-lg hover:bg-blue-600"
+                    >
+                        Add
+                    </button>
+                </div>
+                {locations.length > 0 && (
+                    <ul className="flex flex-wrap gap-2 mt-2">
+                        {locations.map((item) => (
+                            <li
+                                key={item.id}
+                                className="bg-gray-200 text-gray-600 px-2 py-1 rounded-md text-sm flex items-center gap-2"
+                            >
+                                {item.name}
+                                <button
+                                    type="button"
+                                    onClick={() => dispatch(removeLocation(item.id))}
+                                    className="text-gray-500 hover:text-gray-800"
+                                    aria-label={`Remove ${item.name}`}
+                                >
+                                    &times;
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {Object.entries(PROPERTY_CATEGORIES).map(([category, types]) => (
+                <div key={category}>
+                    <p className="block text-gray-700 text-sm font-semibold mb-2 capitalize">{category} Properties</p>
+                    <div className="flex flex-wrap gap-2">
+                        {types.map((type) => (
+                            <button
+                                key={type}
+                                type="button"
+                                onClick={() => dispatch(toggleSelection({ category, value: type }))}
+                                className={chipClassName(signup[category].includes(type))}
+                            >
+                                {type}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+
+            <div>
+                <p className="block text-gray-700 text-sm font-semibold mb-2">Time Horizon</p>
+                <div className="flex flex-wrap gap-2">
+                    {TIME_HORIZONS.map((horizon) => (
+                        <button
+                            key={horizon}
+                            type="button"
+                            onClick={() => dispatch(toggleSelection({ category: 'timeHorizon', value: horizon }))}
+                            className={chipClassName(timeHorizon.includes(horizon))}
+                        >
+                            {horizon}
+                        </button>
+                    ))}
+                </div>
+                {errors['preferences.timeHorizon'] && (
+                    <p className="text-red-500 text-sm mt-1">{errors['preferences.timeHorizon']}</p>
+                )}
+            </div>
+
+            <StepButtons onBack={back} onNext={next} />
+        </div>
+    );
+};
+
+export default InvestorPreferences;
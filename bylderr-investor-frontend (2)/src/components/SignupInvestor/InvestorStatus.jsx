@@ -0,0 +1,88 @@
+import React from 'react';
+import { setAccreditedInvestorStatus, setAnnualIncome, setNetWorth } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import InfoButtonModal from '../../utils/InfoButtonModal';
+import { LIMIT_EXPLANATION } from '../../utils/investmentLimits';
+import SignupField from './SignupField';
+import StepButtons from './StepButtons';
+
+const STATUS_OPTIONS = [
+    { value: 'accredited', label: 'Yes, I am accredited' },
+    { value: 'non-accredited', label: 'No, I am not' },
+];
+
+/**
+ * InvestorStatus Component
+ * Step 3: accredited investor status, annual income and net worth. Income and net worth
+ * set the 12-month limit for non-accredited investors; accredited investors verify their
+ * status with documents once the account exists.
+ */
+const InvestorStatus = () => {
+    const { signup, dispatch, errors, next, back } = useSignupStep(3);
+    const { accreditedInvestorStatus, annualIncome, netWorth } = signup;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-center">
+                <h2 className="text-midnight-blue text-2xl font-bold text-center">
+                    Are you an accredited investor?
+                </h2>
+                <InfoButtonModal
+                    title="Accredited Investors"
+                    description="You are accredited if you earned over $200,000 ($300,000 with a spouse) in each of the last two years, have a net worth over $1,000,000 not counting your home, or hold a Series 7, 65 or 82 license."
+                />
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {STATUS_OPTIONS.map(({ value, label }) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => dispatch(setAccreditedInvestorStatus(value))}
+                        className={`border-2 rounded-lg py-3 px-4 font-semibold ${accreditedInvestorStatus === value
+                            ? 'border-midnight-blue bg-glitter text-midnight-blue'
+                            : 'border-gray-300 text-gray-700 hover:border-midnight-blue'
+                            }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {errors.accreditedInvestorStatus && (
+                <p className="text-red-500 text-sm">{errors.accreditedInvestorStatus}</p>
+            )}
+
+            <SignupField
+                id="annualIncome"
+                type="number"
+                label="Annual Income (USD)"
+                value={annualIncome}
+                onChange={(value) => dispatch(setAnnualIncome(value))}
+                error={errors.annualIncome}
+                min="0"
+            />
+            <SignupField
+                id="netWorth"
+                type="number"
+                label="Net Worth, Excluding Your Primary Residence (USD)"
+                value={netWorth}
+                onChange={(value) => dispatch(setNetWorth(value))}
+                error={errors.netWorth}
+                min="0"
+            />
+
+            {accreditedInvestorStatus === 'accredited' && (
+                <p className="text-sm text-gray-600">
+                    After signing up you will upload documents to verify your status. Until then, the
+                    limits for non-accredited investors apply.
+                </p>
+            )}
+            {accreditedInvestorStatus === 'non-accredited' && (
+                <p className="text-sm text-gray-600">{LIMIT_EXPLANATION}</p>
+            )}
+
+            <StepButtons onBack={back} onNext={next} />
+        </div>
+    );
+};
+
+export default InvestorStatus;
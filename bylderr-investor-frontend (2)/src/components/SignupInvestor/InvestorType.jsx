@@ -0,0 +1,54 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faUser, faBuilding } from '@fortawesome/free-solid-svg-icons';
+import { setInvestorType } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import StepButtons from './StepButtons';
+
+const INVESTOR_TYPES = [
+    {
+        type: 'Individual',
+        icon: faUser,
+        description: 'Invest in your own name with your Social Security number.',
+    },
+    {
+        type: 'Entity',
+        icon: faBuilding,
+        description: 'Invest through an LLC, trust or company with its EIN.',
+    },
+];
+
+/**
+ * InvestorType Component
+ * Step 2: whether the investor signs up as themselves or for an entity.
+ */
+const InvestorType = () => {
+    const { signup, dispatch, errors, next, back } = useSignupStep(2);
+
+    return (
+        <div>
+            <h2 className="text-midnight-blue text-2xl font-bold text-center mb-6">How will you invest?</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {INVESTOR_TYPES.map(({ type, icon, description }) => (
+                    <button
+                        key={type}
+                        type="button"
+                        onClick={() => dispatch(setInvestorType(type))}
+                        className={`border-2 rounded-lg p-4 text-center ${signup.investorType === type
+                            ? 'border-midnight-blue bg-glitter'
+                            : 'border-gray-300 hover:border-midnight-blue'
+                            }`}
+                    >
+                        <FontAwesomeIcon icon={icon} className="text-3xl text-midnight-blue mb-2" />
+                        <p className="font-semibold text-gray-800">{type}</p>
+                        <p className="text-sm text-gray-600">{description}</p>
+                    </button>
+                ))}
+            </div>
+            {errors.investorType && <p className="text-red-500 text-sm mt-2">{errors.investorType}</p>}
+            <StepButtons onBack={back} onNext={next} />
+        </div>
+    );
+};
+
+export default InvestorType;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faIdBadge, faBuildingColumns, faDollarSign } from '@fortawesome/free-solid-svg-icons';
+import useSignupStep from '../../hooks/useSignupStep';
+import StepButtons from './StepButtons';
+
+/**
+ * NextSteps Component
+ * Step 4: what the rest of the signup asks for.
+ */
+const NextSteps = () => {
+    const { signup, next, back } = useSignupStep(4);
+
+    const steps = [
+        {
+            icon: faIdBadge,
+            title: signup.investorType === 'Entity' ? 'Entity Information' : 'Individual Information',
+            description: 'Who is investing, so we can verify identity as the law requires.',
+        },
+        {
+            icon: faBuildingColumns,
+            title: 'Connect your Bank account',
+            description: 'Choose how you will move money in and out of your account.',
+        },
+        {
+            icon: faDollarSign,
+            title: 'Investment Preferences',
+            description: 'What you want to invest in, so we can suggest listings.',
+        },
+    ];
+
+    return (
+        <div>
+            <ol className="space-y-6">
+                {steps.map(({ icon, title, description }, index) => (
+                    <li key={title} className="flex items-center gap-4">
+                        <FontAwesomeIcon
+                            icon={icon}
+                            className="text-white bg-midnight-blue rounded-full p-3 w-10 h-10 text-2xl"
+                        />
+                        <div>
+                            <p className="font-semibold text-gray-800">
+                                {index + 1}. {title}
+                            </p>
+                            <p className="text-sm text-gray-600">{description}</p>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+            <StepButtons onBack={back} onNext={next} nextLabel="Get Started" />
+        </div>
+    );
+};
+
+export default NextSteps;
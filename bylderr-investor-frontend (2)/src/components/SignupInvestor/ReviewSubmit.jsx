@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { goToStep, setPassword, setConfirmPassword, setIsSubmitting, setIsSubmitted } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import { submitSignup, toSignupPayload } from '../../api/signupApi';
+import { clearDraft } from '../../utils/signupDraft';
+import { SIGNUP_TOTAL_STEPS, stepErrors } from '../../utils/signupSchema';
+import formatToUSD from '../../utils/formatToUSD';
+import { ENTITY_TYPES } from '../../utils/entityAccounts';
+import SignupField from './SignupField';
+import StepButtons from './StepButtons';
+
+const FUNDING_LABELS = { bank: 'Bank Account', wire: 'Wire Transfer', later: 'Decide Later' };
+const RISK_LABELS = ['Conservative', 'Balanced', 'Growth'];
+
+const lastFour = (value) => (value ? `••••${value.slice(-4)}` : '');
+
+/**
+ * ReviewSubmit Component
+ * Step 8: everything the investor entered, with a way back to each step, and the single
+ * call that creates their account. Passwords are not kept in saved drafts, so a resumed
+ * signup asks for it again here.
+ */
+const ReviewSubmit = () => {
+    const { signup, dispatch, back } = useSignupStep(SIGNUP_TOTAL_STEPS);
+    const { userDetails, isSubmitting } = signup;
+    const isEntity = signup.investorType === 'Entity';
+    const [error, setError] = useState('');
+    // Decided once, so the fields don't vanish as soon as typing starts
+    const [needsPassword] = useState(!signup.password);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    const sections = [
+        {
+            step: 1,
+            title: 'Account',
+            rows: [['Email', signup.email]],
+        },
+        {
+            step: 2,
+            title: 'Investor Type',
+            rows: [['Investing as', signup.investorType]],
+        },
+        {
+            step: 3,
+            title: 'Investor Status',
+            rows: [
+                ['Accredited', signup.accreditedInvestorStatus === 'accredited' ? 'Yes' : 'No'],
+                ['Annual Income', signup.annualIncome !== '' && formatToUSD(Number(signup.annualIncome))],
+                ['Net Worth', signup.netWorth !== '' && formatToUSD(Number(signup.netWorth))],
+            ],
+        },
+        {
+            step: 5,
+            title: isEntity ? 'Entity Information' : 'Individual Information',
+            rows: [
+                ...(isEntity
+                    ? [
+                        ['Entity', userDetails.entityName],
+                        ['Kind', ENTITY_TYPES[userDetails.entityType]?.label],
+                        ['EIN', lastFour(userDetails.ein)],
+                    ]
+                    : [['SSN', lastFour(userDetails.ssn)], ['ID Number', lastFour(userDetails.validIdNum)]]),
+                ['Name', `${userDetails.firstName} ${userDetails.lastName}`],
+                ['Phone', userDetails.phone],
+                ['Date of Birth', userDetails.dob],
+                [
+                    'Address',
+                    [userDetails.streetAddress, userDetails.unitNumber, userDetails.city, userDetails.state, userDetails.zipCode]
+                        .filter(Boolean)
+                        .join(', '),
+                ],
+            ],
+        },
+        {
+            step: 6,
+            title: 'Funding',
+            rows: [['Method', FUNDING_LABELS[signup.fundingMethod]]],
+        },
+        {
+            step: 7,
+            title: 'Investment Preferences',
+            rows: [
+                ['Risk Tolerance', RISK_LABELS[signup.riskLevel - 1]],
+                ['Planned Investment', signup.investmentAmount !== '' && formatToUSD(Number(signup.investmentAmount))],
+                ['Locations', signup.locations.map((location) => location.name).join(', ')],
+                ['Property Types', [...signup.commercial, ...signup.residential].join(', ')],
+                ['Time Horizon', signup.timeHorizon.join(', ')],
+            ],
+        },
+    ];
+
+    const handleSubmit = async () => {
+        if (signup.password !== signup.confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        // Send the investor back to the first step that still has a problem
+        for (let step = 1; step < SIGNUP_TOTAL_STEPS; step += 1) {
+            const found = stepErrors(step, toSignupPayload(signup));
+            const fields = Object.keys(found);
+            if (fields.length === 0) continue;
+            if (step === 1 && fields.every((field) => field === 'password')) {
+                setError(found.password);
+                return;
+            }
+            dispatch(goToStep(step));
+            return;
+        }
+
+        dispatch(setIsSubmitting(true));
+        setError('');
+        try {
+            if (!isMockMode) {
+                await submitSignup(signup);
+            }
+            await clearDraft();
+            dispatch(setIsSubmitted(true));
+        } catch (err) {
+            console.error('Error creating account:', err.message);
+            setError(err.response?.data?.error || 'Failed to create your account. Please try again.');
+        } finally {
+            dispatch(setIsSubmitting(false));
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {sections.map(({ step, title, rows }) => (
+                <div key={step} className="border rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                        <h3 className="font-semibold text-midnight-blue">{title}</h3>
+                        <button
+                            type="button"
+                            onClick={() => dispatch(goToStep(step))}
+                            disabled={isSubmitting}
+                            className="text-sm text-midnight-blue underline"
+                        >
+                            Edit
+                        </button>
+                    </div>
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                        {rows.map(([label, value]) => (
+                            <React.Fragment key={label}>
+                                <dt className="text-gray-500">{label}</dt>
+                                <dd className="text-gray-800">{value || '—'}</dd>
+                            </React.Fragment>
+                        ))}
+                    </dl>
+                </div>
+            ))}
+
+            {needsPassword && (
+                <div className="border rounded-lg p-4 space-y-4">
+                    <p className="text-sm text-gray-600">
+                        For your security, passwords are not saved with your progress. Please enter it again.
+                    </p>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <SignupField
+                            id="reviewPassword"
+                            type="password"
+                            label="Password"
+                            autoComplete="new-password"
+                            value={signup.password}
+                            onChange={(value) => dispatch(setPassword(value))}
+                        />
+                        <SignupField
+                            id="reviewConfirmPassword"
+                            type="password"
+                            label="Confirm Password"
+                            autoComplete="new-password"
+                            value={signup.confirmPassword}
+                            onChange={(value) => dispatch(setConfirmPassword(value))}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            <StepButtons
+                onBack={back}
+                onNext={handleSubmit}
+                nextLabel={isSubmitting ? 'Creating Account...' : 'Create Account'}
+                disabled={isSubmitting}
+            />
+        </div>
+    );
+};
+
+export default ReviewSubmit;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCircleCheck } from '@fortawesome/free-solid-svg-icons';
+
+/**
+ * SignupComplete Component
+ * Shown once the account is created. Investors who said they are accredited are pointed
+ * to verification, since their status stays pending until it is approved, and entity
+ * signups to the formation documents their entity needs before it can invest.
+ */
+const SignupComplete = ({ email, isAccreditedClaim, entityName }) => (
+    <div className="text-center space-y-4">
+        <FontAwesomeIcon icon={faCircleCheck} className="text-green-500 text-5xl" />
+        <h2 className="text-midnight-blue text-3xl font-bold">Your account is ready</h2>
+        <p className="text-gray-600">
+            We created your account for <span className="font-semibold">{email}</span>. Sign in to finish
+            verifying your identity and start investing.
+        </p>
+        {entityName && (
+            <p className="text-gray-600">
+                Upload the formation documents and beneficial owners for {entityName} from{' '}
+                <Link to="/account/entities" className="text-midnight-blue underline">
+                    Entity Accounts
+                </Link>{' '}
+                so we can verify it.
+            </p>
+        )}
+        {isAccreditedClaim && (
+            <p className="text-gray-600">
+                Once signed in, verify your accredited status from{' '}
+                <Link to="/account/accreditation" className="text-midnight-blue underline">
+                    Accreditation
+                </Link>{' '}
+                to invest in accredited-only listings.
+            </p>
+        )}
+        <Link
+            to="/login"
+            className="inline-block bg-midnight-blue text-white py-2 px-6 rounded-lg hover:bg-blue-600"
+        >
+            Sign In
+        </Link>
+    </div>
+);
+
+export default SignupComplete;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * SignupField Component
+ * A labelled signup input with its validation message underneath.
+ */
+const SignupField = ({ id, label, value, onChange, error, type = 'text', className = '', ...rest }) => (
+    <div className={className}>
+        <label htmlFor={id} className="block text-gray-700 text-sm font-semibold mb-2">
+            {label}
+        </label>
+        <input
+            id={id}
+            type={type}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 ${error ? 'focus:ring-red-500 border-red-500' : 'focus:ring-blue-500'
+                }`}
+            {...rest}
+        />
+        {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+);
+
+export default SignupField;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * StepButtons Component
+ * Back and Next for a signup step. Back is left out on the first step.
+ */
+const StepButtons = ({ onBack, onNext, nextLabel = 'Next', disabled = false }) => (
+    <div className="flex gap-4 mt-5">
+        {onBack && (
+            <button
+                type="button"
+                onClick={onBack}
+                disabled={disabled}
+                className="w-full bg-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-400"
+            >
+                Back
+            </button>
+        )}
+        <button
+            type="button"
+            onClick={onNext}
+            disabled={disabled}
+            className="w-full bg-midnight-blue text-white py-2 px-4 rounded-lg hover:bg-blue-600 disabled:bg-gray-400"
+        >
+            {nextLabel}
+        </button>
+    </div>
+);
+
+export default StepButtons;
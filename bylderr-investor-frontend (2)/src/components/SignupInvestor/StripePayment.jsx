@@ -0,0 +1,59 @@
+import React from 'react';
+import { setFundingMethod } from '../../slices/signupSlice';
+import useSignupStep from '../../hooks/useSignupStep';
+import StepButtons from './StepButtons';
+
+const FUNDING_METHODS = [
+    {
+        value: 'bank',
+        label: 'Bank Account',
+        description: 'Link your bank securely through Stripe for ACH deposits and payouts.',
+    },
+    {
+        value: 'wire',
+        label: 'Wire Transfer',
+        description: 'Send wires from your bank using the instructions we give you.',
+    },
+    {
+        value: 'later',
+        label: 'Decide Later',
+        description: 'Browse listings first and add a funding method when you are ready.',
+    },
+];
+
+/**
+ * StripePayment Component
+ * Step 6: how the investor plans to fund their account. Banks are linked through Stripe
+ * from Payments & Payouts once the account is verified; this records the choice.
+ */
+const StripePayment = () => {
+    const { signup, dispatch, errors, next, back } = useSignupStep(6);
+
+    return (
+        <div className="space-y-4">
+            {FUNDING_METHODS.map(({ value, label, description }) => (
+                <button
+                    key={value}
+                    type="button"
+                    onClick={() => dispatch(setFundingMethod(value))}
+                    className={`w-full text-left border-2 rounded-lg p-4 ${signup.fundingMethod === value
+                        ? 'border-midnight-blue bg-glitter'
+                        : 'border-gray-300 hover:border-midnight-blue'
+                        }`}
+                >
+                    <p className="font-semibold text-gray-800">{label}</p>
+                    <p className="text-sm text-gray-600">{description}</p>
+                </button>
+            ))}
+            {errors.fundingMethod && <p className="text-red-500 text-sm">{errors.fundingMethod}</p>}
+            {signup.fundingMethod === 'bank' && (
+                <p className="text-sm text-gray-600">
+                    You will link your bank from Payments & Payouts once we have verified your identity.
+                </p>
+            )}
+            <StepButtons onBack={back} onNext={next} />
+        </div>
+    );
+};
+
+export default StripePayment;
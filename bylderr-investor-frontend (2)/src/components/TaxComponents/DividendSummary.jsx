@@ -0,0 +1,80 @@
+import { useMemo } from "react";
+import formatToUSD from "../../utils/formatToUSD";
+import { taxYearOf } from "../../utils/taxLots";
+
+/**
+ * DividendSummary Component
+ * Dividend income received in a tax year, totalled by property.
+ */
+const DividendSummary = ({ dividends, year }) => {
+    const byProperty = useMemo(() => {
+        const summary = {};
+        dividends
+            .filter((dividend) => taxYearOf(dividend.date) === year)
+            .forEach((dividend) => {
+                const entry = summary[dividend.propertyId] || (summary[dividend.propertyId] = {
+                    propertyId: dividend.propertyId,
+                    property: dividend.property,
+                    payments: 0,
+                    amount: 0,
+                    withheld: 0,
+                });
+                entry.payments += 1;
+                entry.amount += Number(dividend.amount);
+                entry.withheld += Number(dividend.withheld) || 0;
+            });
+        return Object.values(summary);
+    }, [dividends, year]);
+
+    const totalAmount = byProperty.reduce((sum, entry) => sum + entry.amount, 0);
+    const totalWithheld = byProperty.reduce((sum, entry) => sum + entry.withheld, 0);
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+            <div className="p-6">
+                <h2 className="text-xl font-bold mb-4">Dividend Income</h2>
+                {byProperty.length === 0 ? (
+                    <p className="text-gray-500">No dividends were paid to you in {year}.</p>
+                ) : (
+                    <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-4 py-2 border-b text-left">Property</th>
+                                    <th className="px-4 py-2 border-b text-center">Payments</th>
+                                    <th className="px-4 py-2 border-b text-center">Dividends</th>
+                                    <th className="px-4 py-2 border-b text-center">Tax Withheld</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {byProperty.map((entry, index) => (
+                                    <tr
+                                        key={entry.propertyId}
+                                        className={
+                                            index % 2 === 0
+                                                ? "bg-gray-100 hover:bg-neutral-200"
+                                                : "bg-white hover:bg-neutral-200"
+                                        }
+                                    >
+                                        <td className="px-4 py-2 text-left">{entry.property}</td>
+                                        <td className="px-4 py-2 text-center">{entry.payments}</td>
+                                        <td className="px-4 py-2 text-center text-green-600">{formatToUSD(entry.amount)}</td>
+                                        <td className="px-4 py-2 text-center">{formatToUSD(entry.withheld)}</td>
+                                    </tr>
+                                ))}
+                                <tr className="font-semibold border-t">
+                                    <td className="px-4 py-2 text-left">Total</td>
+                                    <td className="px-4 py-2 text-center"></td>
+                                    <td className="px-4 py-2 text-center text-green-600">{formatToUSD(totalAmount)}</td>
+                                    <td className="px-4 py-2 text-center">{formatToUSD(totalWithheld)}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DividendSummary;
@@ -0,0 +1,156 @@
+import { useState, useEffect } from "react";
+import { saveUserInfo } from "../../api/taxCenterApi";
+import EditableField from "./EditableField";
+import EditableSelect from "./EditableSelect";
+import LoadingSpinner from "../../utils/LoadingSpinner";
+
+const filingStatusOptions = [
+    "Single",
+    "Married Filing Jointly",
+    "Married Filing Separately",
+    "Head of Household",
+    "Qualifying Surviving Spouse",
+];
+
+const toForm = (taxData) => ({
+    taxFilingStatus: taxData.taxFilingStatus || "Single",
+    federal: taxData.taxWithholding?.federal ?? 0,
+    state: taxData.taxWithholding?.state ?? 0,
+    local: taxData.taxWithholding?.local ?? 0,
+    retirementContributions: taxData.retirementContributions ?? 0,
+    estimatedTaxDue: taxData.estimatedTaxDue ?? 0,
+});
+
+/**
+ * FilingInfo Component
+ * Editable filing status, withholding and contribution details used for tax estimates.
+ */
+const FilingInfo = ({ taxData }) => {
+    const [form, setForm] = useState(() => toForm(taxData));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState("");
+    const [success, setSuccess] = useState("");
+
+    useEffect(() => {
+        setForm(toForm(taxData));
+    }, [taxData]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm((prev) => ({ ...prev, [name]: value }));
+        setSuccess("");
+    };
+
+    const handleSave = async () => {
+        const amounts = ["federal", "state", "local", "retirementContributions", "estimatedTaxDue"];
+        if (amounts.some((field) => form[field] === "" || isNaN(form[field]) || Number(form[field]) < 0)) {
+            setError("Amounts must be zero or more.");
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        setSuccess("");
+        try {
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE != "mock") {
+                await saveUserInfo({
+                    taxFilingStatus: form.taxFilingStatus,
+                    taxWithholding: {
+                        federal: Number(form.federal),
+                        state: Number(form.state),
+                        local: Number(form.local),
+                    },
+                    retirementContributions: Number(form.retirementContributions),
+                    estimatedTaxDue: Number(form.estimatedTaxDue),
+                });
+            }
+            setSuccess("Tax info saved.");
+        } catch (err) {
+            console.error("Error saving tax info:", err.message);
+            setError("Failed to save your tax info. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+            <div className="p-6">
+                <h2 className="text-xl font-bold mb-4">Filing Info</h2>
+                {error && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                        {error}
+                    </div>
+                )}
+                {success && (
+                    <div className="bg-green-50 border border-green-500 text-green-700 p-2 rounded mb-4">
+                        {success}
+                    </div>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <EditableSelect
+                        label="Filing Status"
+                        name="taxFilingStatus"
+                        value={form.taxFilingStatus}
+                        options={filingStatusOptions}
+                        onChange={handleChange}
+                    />
+                    <EditableField
+                        label="Estimated Tax Due"
+                        name="estimatedTaxDue"
+                        type="number"
+                        value={form.estimatedTaxDue}
+                        onChange={handleChange}
+                        currency
+                    />
+                    <EditableField
+                        label="Federal Withholding"
+                        name="federal"
+                        type="number"
+                        value={form.federal}
+                        onChange={handleChange}
+                        currency
+                    />
+                    <EditableField
+                        label="State Withholding"
+                        name="state"
+                        type="number"
+                        value={form.state}
+                        onChange={handleChange}
+                        currency
+                    />
+                    <EditableField
+                        label="Local Withholding"
+                        name="local"
+                        type="number"
+                        value={form.local}
+                        onChange={handleChange}
+                        currency
+                    />
+                    <EditableField
+                        label="Retirement Contributions"
+                        name="retirementContributions"
+                        type="number"
+                        value={form.retirementContributions}
+                        onChange={handleChange}
+                        currency
+                    />
+                </div>
+                <button
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="mt-6 bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600 flex items-center"
+                >
+                    {isSaving && (
+                        <div className="mr-2">
+                            <LoadingSpinner />
+                        </div>
+                    )}
+                    {isSaving ? "Saving..." : "Save Tax Info"}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FilingInfo;
@@ -0,0 +1,116 @@
+import { useMemo } from "react";
+import formatToUSD from "../../utils/formatToUSD";
+import { LOT_METHODS, computeRealizedGains, summarizeGains, taxYearOf } from "../../utils/taxLots";
+
+const formatDate = (isoDate) =>
+    new Date(`${isoDate}T00:00:00`).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+    });
+
+const gainColor = (value) => (value < 0 ? "text-red-500" : "text-green-600");
+
+// "As Sold" uses the method each sale was placed with; the others re-run every sale
+const reportMethods = { elected: "As Sold", ...LOT_METHODS };
+
+/**
+ * GainLossReport Component
+ * Realized gains and losses for the sales made in a tax year, matched to lots by the
+ * method each sale was placed with or, for comparison, by a single method.
+ */
+const GainLossReport = ({ transactions, year, method, onMethodChange }) => {
+    // Lots carry over between years, so the full history is replayed before filtering
+    const rows = useMemo(
+        () => computeRealizedGains(transactions, method).filter((row) => taxYearOf(row.sold) === year),
+        [transactions, method, year]
+    );
+    const totals = useMemo(() => summarizeGains(rows), [rows]);
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+            <div className="p-6">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 gap-4">
+                    <h2 className="text-xl font-bold">Realized Gains &amp; Losses</h2>
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(reportMethods).map(([key, label]) => (
+                            <button
+                                key={key}
+                                onClick={() => onMethodChange(key)}
+                                className={`px-3 py-1 text-sm ${method === key
+                                    ? "text-midnight-blue font-bold bg-glitter rounded-md"
+                                    : "text-gray-600 hover:text-midnight-blue"
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {rows.length === 0 ? (
+                    <p className="text-gray-500">You did not sell any shares in {year}.</p>
+                ) : (
+                    <div className="overflow-x-auto rounded-lg shadow border border-gray-300">
+                        <table className="min-w-full bg-white">
+                            <thead>
+                                <tr className="text-gray-600 font-semibold">
+                                    <th className="px-4 py-2 border-b text-left">Property</th>
+                                    <th className="px-4 py-2 border-b text-center">Acquired</th>
+                                    <th className="px-4 py-2 border-b text-center">Sold</th>
+                                    <th className="px-4 py-2 border-b text-center">Shares</th>
+                                    <th className="px-4 py-2 border-b text-center">Proceeds</th>
+                                    <th className="px-4 py-2 border-b text-center">Cost Basis</th>
+                                    <th className="px-4 py-2 border-b text-center">Gain/Loss</th>
+                                    <th className="px-4 py-2 border-b text-center">Term</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row, index) => (
+                                    <tr
+                                        key={row.id}
+                                        className={
+                                            index % 2 === 0
+                                                ? "bg-gray-100 hover:bg-neutral-200"
+                                                : "bg-white hover:bg-neutral-200"
+                                        }
+                                    >
+                                        <td className="px-4 py-2 text-left">{row.property}</td>
+                                        <td className="px-4 py-2 text-center">{formatDate(row.acquired)}</td>
+                                        <td className="px-4 py-2 text-center">{formatDate(row.sold)}</td>
+                                        <td className="px-4 py-2 text-center">{row.shares}</td>
+                                        <td className="px-4 py-2 text-center">{formatToUSD(row.proceeds)}</td>
+                                        <td className="px-4 py-2 text-center">{formatToUSD(row.costBasis)}</td>
+                                        <td className={`px-4 py-2 text-center font-semibold ${gainColor(row.gain)}`}>
+                                            {formatToUSD(row.gain)}
+                                        </td>
+                                        <td className="px-4 py-2 text-center">
+                                            {row.term === "long" ? "Long-term" : "Short-term"}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                    <div className="p-4 bg-gray-50 border rounded-lg">
+                        <p className="text-gray-600">Short-term</p>
+                        <p className={`text-lg font-semibold ${gainColor(totals.short)}`}>{formatToUSD(totals.short)}</p>
+                    </div>
+                    <div className="p-4 bg-gray-50 border rounded-lg">
+                        <p className="text-gray-600">Long-term</p>
+                        <p className={`text-lg font-semibold ${gainColor(totals.long)}`}>{formatToUSD(totals.long)}</p>
+                    </div>
+                    <div className="p-4 bg-gray-50 border rounded-lg">
+                        <p className="text-gray-600">Net Realized</p>
+                        <p className={`text-lg font-semibold ${gainColor(totals.net)}`}>{formatToUSD(totals.net)}</p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GainLossReport;
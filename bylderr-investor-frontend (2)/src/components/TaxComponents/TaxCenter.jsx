@@ -1,17 +1,153 @@
+import { useState, useEffect, useMemo } from "react";
+import { fetchTaxData } from "../../api/taxCenterApi";
+import mockTaxData from "../../mockData/mockTaxData";
+import formatToUSD from "../../utils/formatToUSD";
+import { computeRealizedGains, summarizeGains, taxYearOf } from "../../utils/taxLots";
+import TaxDocuments from "./TaxDocuments";
+import GainLossReport from "./GainLossReport";
+import DividendSummary from "./DividendSummary";
+import FilingInfo from "./FilingInfo";
+
+const noRecords = [];
+
+/**
+ * TaxCenter Component
+ * Per-year tax documents, realized gain/loss and dividend reports, plus editable filing info.
+ * The tax data API is not kept per account yet, so this covers the personal account only and
+ * TaxeScreen keeps it out of entity accounts.
+ */
 const TaxCenter = () => {
-    return (
-        <>
-            <div className="min-h-screen p-6 space-y-6">
+    const [taxData, setTaxData] = useState(null);
+    const [selectedYear, setSelectedYear] = useState(null);
+    const [lotMethod, setLotMethod] = useState("elected");
+    const [status, setStatus] = useState("idle");
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const loadTaxData = async () => {
+            setStatus("loading");
+            setError(null);
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock") {
+                setTaxData(mockTaxData);
+                setStatus("succeeded");
+            } else {
+                try {
+                    const data = await fetchTaxData();
+                    if (!data || !Array.isArray(data.documents)) {
+                        throw new Error("Invalid data format received from the server.");
+                    }
+                    setTaxData(data);
+                    setStatus("succeeded");
+                } catch (err) {
+                    console.error("Error fetching tax data:", err.message);
+                    setError("Failed to load your tax data. Using fallback data.");
+                    setTaxData(mockTaxData);
+                    setStatus("failed");
+                }
+            }
+        };
+
+        loadTaxData();
+    }, []);
+
+    const documents = taxData?.documents || noRecords;
+    const transactions = taxData?.transactions || noRecords;
+    const dividends = taxData?.dividends || noRecords;
+
+    // Every year with a document, a sale or a dividend, newest first
+    const taxYears = useMemo(() => {
+        const years = new Set([
+            ...documents.map((doc) => doc.year),
+            ...transactions.filter((tx) => tx.type === "sell").map((tx) => taxYearOf(tx.date)),
+            ...dividends.map((dividend) => taxYearOf(dividend.date)),
+        ]);
+        return [...years].sort((a, b) => b - a);
+    }, [documents, transactions, dividends]);
+
+    const year = selectedYear ?? taxYears[0] ?? new Date().getFullYear();
 
+    const yearSummary = useMemo(() => {
+        const gains = summarizeGains(
+            computeRealizedGains(transactions, lotMethod).filter((row) => taxYearOf(row.sold) === year)
+        );
+        const yearDividends = dividends.filter((dividend) => taxYearOf(dividend.date) === year);
+        return {
+            realizedGains: gains.net,
+            dividendIncome: yearDividends.reduce((sum, dividend) => sum + Number(dividend.amount), 0),
+            withheld: yearDividends.reduce((sum, dividend) => sum + (Number(dividend.withheld) || 0), 0),
+        };
+    }, [transactions, dividends, year, lotMethod]);
+
+    if (status === "idle" || status === "loading") {
+        return (
+            <div className="min-h-screen p-6">
+                <h2 className="text-xl font-bold text-gray-800 mb-4">Tax Center</h2>
+                <p>Loading tax data...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen p-6 space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
                 <h2 className="text-xl font-bold text-gray-800">Tax Center</h2>
-                <p>Tax Center Comming!</p>
+                <div className="flex items-center gap-2">
+                    <label htmlFor="taxYear" className="text-gray-600 font-semibold">Tax Year</label>
+                    <select
+                        id="taxYear"
+                        value={year}
+                        onChange={(e) => setSelectedYear(Number(e.target.value))}
+                        className="border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring focus:ring-blue-300"
+                    >
+                        {taxYears.map((taxYear) => (
+                            <option key={taxYear} value={taxYear}>
+                                {taxYear}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <p className="text-sm text-gray-500">
+                Showing tax documents for your personal account. Joint and entity accounts, and the
+                accounts of others in your household, are issued their own documents, which are not
+                shown here yet.
+            </p>
 
-                <button className="bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600">
-                    Save Tax Info
-                </button>
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                    {error}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow-lg p-6 border-2">
+                    <p className="text-gray-600">Net Realized Gains</p>
+                    <p className={`text-2xl font-bold ${yearSummary.realizedGains < 0 ? "text-red-500" : "text-green-600"}`}>
+                        {formatToUSD(yearSummary.realizedGains)}
+                    </p>
+                </div>
+                <div className="bg-white rounded-lg shadow-lg p-6 border-2">
+                    <p className="text-gray-600">Dividend Income</p>
+                    <p className="text-2xl font-bold text-green-600">{formatToUSD(yearSummary.dividendIncome)}</p>
+                </div>
+                <div className="bg-white rounded-lg shadow-lg p-6 border-2">
+                    <p className="text-gray-600">Tax Withheld</p>
+                    <p className="text-2xl font-bold text-gray-800">{formatToUSD(yearSummary.withheld)}</p>
+                </div>
             </div>
-        </>
-    )
-}
 
-export default TaxCenter
\ No newline at end of file
+            <TaxDocuments documents={documents} year={year} />
+            <GainLossReport
+                transactions={transactions}
+                year={year}
+                method={lotMethod}
+                onMethodChange={setLotMethod}
+            />
+            <DividendSummary dividends={dividends} year={year} />
+            <FilingInfo taxData={taxData} />
+        </div>
+    );
+};
+
+export default TaxCenter;
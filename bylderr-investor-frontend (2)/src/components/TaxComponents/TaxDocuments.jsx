@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faFileLines } from "@fortawesome/free-solid-svg-icons";
+import { downloadDocument } from "../../api/listingsApi";
+
+/**
+ * TaxDocuments Component
+ * Lists the tax forms issued for a year and downloads them through the document route.
+ */
+const TaxDocuments = ({ documents, year }) => {
+    const [downloadingId, setDownloadingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const yearDocuments = documents.filter((doc) => doc.year === year);
+
+    const handleDownload = async (doc) => {
+        const fileName = doc.url.split("/").pop();
+        setDownloadingId(doc.id);
+        setError(null);
+        try {
+            const fileData = await downloadDocument(fileName);
+            const url = window.URL.createObjectURL(new Blob([fileData]));
+            const link = document.createElement("a");
+            link.href = url;
+            link.setAttribute("download", fileName);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        } catch (err) {
+            console.error("Error downloading the tax document:", err.message);
+            setError(`Failed to download ${doc.name}. Please try again.`);
+        } finally {
+            setDownloadingId(null);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg w-auto mx-auto border-2">
+            <div className="p-6">
+                <h2 className="text-xl font-bold mb-4">Tax Documents</h2>
+                {error && (
+                    <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                        {error}
+                    </div>
+                )}
+                {yearDocuments.length === 0 ? (
+                    <p className="text-gray-500">No tax documents have been issued for {year}.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {yearDocuments.map((doc) => (
+                            <li key={doc.id} className="py-3 flex items-center justify-between gap-4">
+                                <div className="flex items-center">
+                                    <FontAwesomeIcon className="text-midnight-blue pr-4" icon={faFileLines} />
+                                    <div>
+                                        <p className="font-semibold text-gray-700">{doc.name}</p>
+                                        <p className="text-sm text-gray-500">{doc.type}</p>
+                                    </div>
+                                </div>
+                                {doc.status === "Available" && doc.url ? (
+                                    <button
+                                        onClick={() => handleDownload(doc)}
+                                        disabled={downloadingId === doc.id}
+                                        className="bg-midnight-blue text-white px-4 py-2 rounded-lg hover:bg-blue-600 text-sm"
+                                    >
+                                        {downloadingId === doc.id ? "Downloading..." : "Download"}
+                                    </button>
+                                ) : (
+                                    <span className="text-sm font-semibold text-yellow-500">{doc.status}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TaxDocuments;
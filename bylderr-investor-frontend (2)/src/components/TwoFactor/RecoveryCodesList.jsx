@@ -0,0 +1,53 @@
+/**
+ * RecoveryCodesList Component
+ * Shows freshly issued recovery codes. They are only ever shown once, so the user
+ * is prompted to download or copy them.
+ */
+const RecoveryCodesList = ({ codes, onDone }) => {
+    const text = codes.join("\n");
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "bylderr-recovery-codes.txt";
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose
+                your device, and they will not be shown again.
+            </div>
+            <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-gray-100 rounded-lg p-4">
+                {codes.map((code) => (
+                    <li key={code}>{code}</li>
+                ))}
+            </ul>
+            <div className="flex space-x-4">
+                <button
+                    onClick={handleDownload}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                >
+                    Download
+                </button>
+                <button
+                    onClick={() => navigator.clipboard.writeText(text)}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-700 px-4 py-2 rounded-md"
+                >
+                    Copy
+                </button>
+                <button
+                    onClick={onDone}
+                    className="bg-midnight-blue hover:bg-blue-500 text-white px-4 py-2 rounded-md"
+                >
+                    I&apos;ve Saved Them
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RecoveryCodesList;
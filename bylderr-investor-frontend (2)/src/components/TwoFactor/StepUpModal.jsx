@@ -0,0 +1,44 @@
+import { useState } from "react";
+import TwoFactorCodeForm from "./TwoFactorCodeForm";
+import { requestStepUp } from "../../api/twoFactorApi";
+
+/**
+ * StepUpModal Component
+ * Re-verifies the signed-in user with a second-factor code before a sensitive action,
+ * such as a withdrawal or a bank change, goes through.
+ */
+const StepUpModal = ({ onVerified, onCancel }) => {
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState("");
+
+    const handleSubmit = async (code) => {
+        setIsLoading(true);
+        setError("");
+        try {
+            onVerified(await requestStepUp(code));
+        } catch (err) {
+            console.error("Step-up verification failed:", err.message);
+            setError("That code did not work. Please try again.");
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg shadow-lg p-6 max-w-md w-full">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-lg font-bold text-gray-800">Confirm It&apos;s You</h2>
+                    <button onClick={onCancel} className="text-gray-500 hover:text-gray-800 focus:outline-none">
+                        &times;
+                    </button>
+                </div>
+                <p className="text-gray-600 mb-4">
+                    For your security, enter a code from your authenticator app to continue.
+                </p>
+                <TwoFactorCodeForm onSubmit={handleSubmit} submitLabel="Continue" isLoading={isLoading} error={error} />
+            </div>
+        </div>
+    );
+};
+
+export default StepUpModal;
@@ -0,0 +1,71 @@
+import { useState } from "react";
+
+/**
+ * TwoFactorCodeForm Component
+ * Asks for a six-digit code from the authenticator app or, when `allowRecovery` is set,
+ * one of the user's one-time recovery codes.
+ */
+const TwoFactorCodeForm = ({ onSubmit, submitLabel = "Verify", allowRecovery = true, isLoading = false, error = "" }) => {
+    const [code, setCode] = useState("");
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+    const isComplete = useRecoveryCode ? code.trim().length >= 10 : /^\d{6}$/.test(code);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (isComplete && !isLoading) {
+            onSubmit(code.trim());
+        }
+    };
+
+    const toggleRecoveryCode = () => {
+        setUseRecoveryCode((prev) => !prev);
+        setCode("");
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+                    {useRecoveryCode ? "Recovery Code" : "Authentication Code"}
+                </label>
+                <input
+                    id="twoFactorCode"
+                    type="text"
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? "text" : "numeric"}
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                    value={code}
+                    onChange={(e) =>
+                        setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ""))
+                    }
+                    className="mt-1 p-2 block w-full rounded-md border border-gray-300 shadow-sm text-center tracking-widest focus:border-indigo-500 focus:ring-indigo-500"
+                    autoFocus
+                />
+            </div>
+
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+
+            <button
+                type="submit"
+                disabled={!isComplete || isLoading}
+                className="w-full py-2 text-white bg-midnight-blue rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+            >
+                {isLoading ? "Verifying..." : submitLabel}
+            </button>
+
+            {allowRecovery && (
+                <button
+                    type="button"
+                    onClick={toggleRecoveryCode}
+                    className="w-full text-sm text-indigo-600 hover:underline"
+                >
+                    {useRecoveryCode ? "Use your authenticator app instead" : "Lost your device? Use a recovery code"}
+                </button>
+            )}
+        </form>
+    );
+};
+
+export default TwoFactorCodeForm;
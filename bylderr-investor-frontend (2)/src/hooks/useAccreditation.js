@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAccreditation } from '../api/accreditationApi';
+import { accreditationMockData } from '../mockData/accreditationMockData';
+import { accreditationState } from '../utils/accreditation';
+
+/**
+ * The signed-in investor's accreditation from GET /accreditation/me.
+ * Returns `{ accreditation, state, isAccredited, isLoading, error, reload }`, where `state`
+ * comes from `accreditationState`.
+ */
+const useAccreditation = () => {
+    const [accreditation, setAccreditation] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    const reload = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        if (isMockMode) {
+            setAccreditation(accreditationMockData);
+            setIsLoading(false);
+            return;
+        }
+        try {
+            setAccreditation(await fetchAccreditation());
+        } catch (err) {
+            console.error('Error fetching accreditation:', err.message);
+            setError('Failed to load your accreditation status. Using mock data.');
+            setAccreditation(accreditationMockData);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [isMockMode]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    return {
+        accreditation,
+        state: accreditationState(accreditation),
+        isAccredited: Boolean(accreditation?.isAccredited),
+        isLoading,
+        error,
+        reload,
+    };
+};
+
+export default useAccreditation;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchMyHousehold } from '../api/householdApi';
+import { householdMockData } from '../mockData/householdMockData';
+
+/**
+ * The signed-in investor's household and invitations from GET /households/mine.
+ * Returns `{ household, invitations, isLoading, error, reload, setHousehold }`; `household`
+ * is null when they do not belong to one.
+ */
+const useHousehold = () => {
+    const [data, setData] = useState({ household: null, invitations: [] });
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    const reload = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        if (isMockMode) {
+            setData(householdMockData);
+            setIsLoading(false);
+            return;
+        }
+        try {
+            setData(await fetchMyHousehold());
+        } catch (err) {
+            console.error('Error fetching household:', err.message);
+            setError('Failed to load your household. Using mock data.');
+            setData(householdMockData);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [isMockMode]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    // After a change made from the household page
+    const setHousehold = useCallback((household) => {
+        setData((prev) => ({ ...prev, household }));
+    }, []);
+
+    return {
+        household: data.household,
+        invitations: data.invitations,
+        isLoading,
+        error,
+        reload,
+        setHousehold,
+    };
+};
+
+export default useHousehold;
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * Tracks user activity while `enabled` and reports when the session is about to time out.
+ * `isWarning` turns on `warningMs` before `timeoutMs` of inactivity, and `onTimeout` runs
+ * once the full timeout passes. While the warning shows, only `stayActive` restarts the
+ * clock, so moving the mouse over the warning does not silently dismiss it.
+ *
+ * Returns `{ isWarning, secondsLeft, stayActive }`.
+ */
+const useIdleTimeout = ({ enabled, timeoutMs, warningMs, onTimeout }) => {
+    const [isWarning, setIsWarning] = useState(false);
+    const [secondsLeft, setSecondsLeft] = useState(Math.round(warningMs / 1000));
+    const lastActivityRef = useRef(Date.now());
+    const isWarningRef = useRef(false);
+    const onTimeoutRef = useRef(onTimeout);
+    onTimeoutRef.current = onTimeout;
+
+    const stayActive = useCallback(() => {
+        lastActivityRef.current = Date.now();
+        isWarningRef.current = false;
+        setIsWarning(false);
+    }, []);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+
+        stayActive();
+
+        const handleActivity = () => {
+            if (!isWarningRef.current) {
+                lastActivityRef.current = Date.now();
+            }
+        };
+
+        // Compare against the clock rather than chaining timeouts, so a laptop
+        // waking from sleep times out straight away
+        const interval = setInterval(() => {
+            const remaining = timeoutMs - (Date.now() - lastActivityRef.current);
+            if (remaining <= 0) {
+                isWarningRef.current = false;
+                setIsWarning(false);
+                onTimeoutRef.current();
+            } else if (remaining <= warningMs) {
+                isWarningRef.current = true;
+                setIsWarning(true);
+                setSecondsLeft(Math.ceil(remaining / 1000));
+            }
+        }, 1000);
+
+        ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+
+        return () => {
+            clearInterval(interval);
+            ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+        };
+    }, [enabled, timeoutMs, warningMs, stayActive]);
+
+    return { isWarning, secondsLeft, stayActive };
+};
+
+export default useIdleTimeout;
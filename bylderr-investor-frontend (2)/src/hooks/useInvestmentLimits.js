@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { fetchInvestmentLimits } from '../api/investmentApi';
+import { investmentLimitsMockData } from '../mockData/investmentLimitsMockData';
+
+/**
+ * The signed-in investor's 12-month investment limit from GET /investments/limits.
+ * Returns `{ capacity, isLoading, error }`. `capacity` stays null when the limit could not be
+ * loaded, and the server checks the limit when the investment is placed.
+ */
+const useInvestmentLimits = () => {
+    const [capacity, setCapacity] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        const loadLimits = async () => {
+            setIsLoading(true);
+            setError(null);
+            if (isMockMode) {
+                setCapacity(investmentLimitsMockData);
+                setIsLoading(false);
+                return;
+            }
+            try {
+                setCapacity(await fetchInvestmentLimits());
+            } catch (err) {
+                console.error('Error fetching investment limits:', err.message);
+                setError('Failed to load your investment limit. It will be checked when you invest.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadLimits();
+    }, [isMockMode]);
+
+    return { capacity, isLoading, error };
+};
+
+export default useInvestmentLimits;
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToListing } from '../api/listingsApi';
+
+/**
+ * Subscribes to live updates for a listing while the component is mounted.
+ * `handlers` maps event names (`funding`, `price`, `comment`, `vote`, `update`, `book`, `trade`) to callbacks
+ * that receive the event payload. Nothing is streamed in mock mode.
+ *
+ * The latest handlers are always used, so callers can pass an inline object
+ * without reopening the stream on every render.
+ */
+const useListingChannel = (propertyId, handlers) => {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    const eventsKey = Object.keys(handlers).sort().join(',');
+
+    useEffect(() => {
+        if (!propertyId || import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') return undefined;
+
+        const unsubscribers = eventsKey
+            .split(',')
+            .filter(Boolean)
+            .map((event) =>
+                subscribeToListing(propertyId, event, (data) => handlersRef.current[event]?.(data))
+            );
+
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [propertyId, eventsKey]);
+};
+
+export default useListingChannel;
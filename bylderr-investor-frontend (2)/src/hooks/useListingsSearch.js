@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { fetchListings } from '../api/listingsApi';
+import { listingsMockData } from '../mockData/listingsMockData';
+import {
+    LISTINGS_PAGE_SIZE,
+    filtersFromSearchParams,
+    filtersToSearchParams,
+    searchLocalListings,
+} from '../utils/listingSearch';
+
+/**
+ * Drives a paginated listings search whose filters live in the URL query string,
+ * so searches are shareable and survive the back button.
+ * An optional map `area` (viewport or drawn shape) further limits the results.
+ *
+ * Returns the current filters, the listings loaded so far and a `loadMore` callback
+ * that fetches the next page for infinite scroll. While a new search loads, the previous
+ * results stay on screen with a status of 'refreshing', so panning the map does not blank them.
+ */
+const useListingsSearch = ({ limit = LISTINGS_PAGE_SIZE, area = null } = {}) => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const queryString = searchParams.toString();
+    const filters = useMemo(
+        () => filtersFromSearchParams(new URLSearchParams(queryString)),
+        [queryString]
+    );
+
+    const [listings, setListings] = useState([]);
+    const [nextPage, setNextPage] = useState(null);
+    const [total, setTotal] = useState(0);
+    const [status, setStatus] = useState('idle');
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Areas are rebuilt on every map move, so compare them by value
+    const areaKey = JSON.stringify(area);
+    const searchArea = useMemo(() => JSON.parse(areaKey), [areaKey]);
+
+    // Ignores responses for a previous search that resolve after the filters changed.
+    const requestIdRef = useRef(0);
+
+    const loadPage = useCallback(async (page) => {
+        const requestId = ++requestIdRef.current;
+        const isFirstPage = page === 1;
+
+        if (isFirstPage) {
+            setStatus((current) => (current === 'succeeded' || current === 'refreshing' ? 'refreshing' : 'loading'));
+            setError(null);
+        } else {
+            setIsLoadingMore(true);
+        }
+
+        let result;
+        if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+            result = searchLocalListings(listingsMockData, filters, { page, limit, area: searchArea });
+        } else {
+            try {
+                result = await fetchListings(filters, { page, limit, area: searchArea });
+            } catch (err) {
+                console.error('Error fetching listings:', err.message);
+                if (requestId === requestIdRef.current) {
+                    setError('Failed to fetch listings. Using mock data.');
+                }
+                result = searchLocalListings(listingsMockData, filters, { page, limit, area: searchArea });
+            }
+        }
+
+        if (requestId !== requestIdRef.current) return;
+
+        setListings((prevListings) => (isFirstPage ? result.data : [...prevListings, ...result.data]));
+        setNextPage(result.pagination.next ? result.pagination.next.page : null);
+        setTotal(result.total ?? result.data.length);
+        setStatus('succeeded');
+        setIsLoadingMore(false);
+    }, [filters, limit, searchArea]);
+
+    useEffect(() => {
+        loadPage(1);
+    }, [loadPage]);
+
+    const loadMore = useCallback(() => {
+        if (nextPage && status === 'succeeded' && !isLoadingMore) {
+            loadPage(nextPage);
+        }
+    }, [nextPage, status, isLoadingMore, loadPage]);
+
+    // Pushes a new history entry so the back button restores the previous search.
+    const updateFilters = useCallback((changes) => {
+        setSearchParams(filtersToSearchParams({ ...filters, ...changes }));
+    }, [filters, setSearchParams]);
+
+    return {
+        filters,
+        updateFilters,
+        listings,
+        total,
+        status,
+        error,
+        hasMore: nextPage !== null,
+        isLoadingMore,
+        loadMore,
+    };
+};
+
+export default useListingsSearch;
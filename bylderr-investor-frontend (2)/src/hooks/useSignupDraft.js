@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { restoreDraft } from '../slices/signupSlice';
+import { loadDraft, saveDraft } from '../utils/signupDraft';
+
+// Wait this long after the last change before saving, rather than on every keystroke
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Restores the investor's saved signup draft, then keeps it saved as they go.
+ * Returns true once any draft has been restored and the wizard can be shown.
+ */
+const useSignupDraft = () => {
+    const dispatch = useDispatch();
+    const signup = useSelector((state) => state.signup);
+    const [isRestored, setIsRestored] = useState(false);
+
+    useEffect(() => {
+        let isCancelled = false;
+
+        loadDraft().then((draft) => {
+            if (isCancelled) return;
+            if (draft) dispatch(restoreDraft(draft));
+            setIsRestored(true);
+        });
+
+        return () => {
+            isCancelled = true;
+        };
+    }, [dispatch]);
+
+    useEffect(() => {
+        // Nothing to keep before the restore, or once the account exists
+        if (!isRestored || signup.isSubmitted) return;
+
+        const timer = setTimeout(() => {
+            saveDraft(signup).catch((err) => console.error('Error saving signup draft:', err.message));
+        }, SAVE_DELAY_MS);
+
+        return () => clearTimeout(timer);
+    }, [signup, isRestored]);
+
+    return isRestored;
+};
+
+export default useSignupDraft;
@@ -0,0 +1,30 @@
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { nextStep, prevStep } from '../slices/signupSlice';
+import { toSignupPayload } from '../api/signupApi';
+import { stepErrors } from '../utils/signupSchema';
+
+/**
+ * State and navigation for one signup wizard step. `next` checks the step's fields against
+ * the shared signup rules and only moves on when they pass; `errors` maps field paths,
+ * e.g. 'userDetails.ssn', to the message to show.
+ */
+const useSignupStep = (step) => {
+    const dispatch = useDispatch();
+    const signup = useSelector((state) => state.signup);
+    const [errors, setErrors] = useState({});
+
+    const next = () => {
+        const found = stepErrors(step, toSignupPayload(signup));
+        setErrors(found);
+        if (Object.keys(found).length === 0) {
+            dispatch(nextStep());
+        }
+    };
+
+    const back = () => dispatch(prevStep());
+
+    return { signup, dispatch, errors, next, back };
+};
+
+export default useSignupStep;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { fetchUnreadMessageCount } from '../api/messagesApi';
+import { unreadMessagesMockData } from '../mockData/messagesMockData';
+import { MESSAGES_READ_EVENT } from '../utils/messages';
+
+// How often the unread count is refreshed while the app is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The signed-in user's unread message count, for the sidebar badge.
+ * Polls the API, and drops by `detail.count` whenever the inbox fires MESSAGES_READ_EVENT
+ * so the badge clears as soon as a conversation is opened.
+ */
+const useUnreadMessages = () => {
+    const [count, setCount] = useState(0);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+    useEffect(() => {
+        if (isMockMode) {
+            setCount(unreadMessagesMockData);
+            return undefined;
+        }
+
+        const loadCount = async () => {
+            try {
+                setCount(await fetchUnreadMessageCount());
+            } catch (err) {
+                console.error('Error fetching unread messages:', err.message);
+            }
+        };
+
+        loadCount();
+        const interval = setInterval(loadCount, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isMockMode]);
+
+    useEffect(() => {
+        const handleRead = (event) => setCount((prev) => Math.max(0, prev - (event.detail?.count || 0)));
+        window.addEventListener(MESSAGES_READ_EVENT, handleRead);
+        return () => window.removeEventListener(MESSAGES_READ_EVENT, handleRead);
+    }, []);
+
+    return count;
+};
+
+export default useUnreadMessages;
@@ -0,0 +1,51 @@
+// Shaped like GET /accreditation/me and GET /accreditation/queue
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+// Verified, and close enough to expiry to show the re-verification reminder
+export const accreditationMockData = {
+    accreditedStatus: "accredited",
+    isAccredited: true,
+    expiresAt: daysFromNow(10),
+    verifications: [
+        {
+            _id: "accreditation-1",
+            method: "income",
+            status: "verified",
+            annualIncome: 240000,
+            jointIncome: false,
+            evidence: [
+                { name: "2025 Form 1040.pdf", file: "1040-2025.pdf", size: 412000 },
+                { name: "2024 Form 1040.pdf", file: "1040-2024.pdf", size: 398000 },
+            ],
+            verifiedAt: daysFromNow(-80),
+            expiresAt: daysFromNow(10),
+            createdAt: daysFromNow(-82),
+        },
+    ],
+};
+
+export const accreditationQueueMockData = [
+    {
+        _id: "accreditation-7",
+        user: { _id: "2", firstName: "Ava", lastName: "Brooks", email: "ava@gmail.com" },
+        method: "net-worth",
+        status: "submitted",
+        netWorth: 1350000,
+        evidence: [
+            { name: "Brokerage Statement - September.pdf", file: "brokerage-september.pdf", size: 220000 },
+            { name: "Credit Report.pdf", file: "credit-report.pdf", size: 140000 },
+        ],
+        createdAt: daysFromNow(-2),
+    },
+    {
+        _id: "accreditation-8",
+        user: { _id: "6", firstName: "Ethan", lastName: "Price", email: "ethan.price@outlook.com" },
+        method: "professional-license",
+        status: "submitted",
+        licenseType: "Series 65",
+        licenseNumber: "7012345",
+        evidence: [],
+        createdAt: daysFromNow(-1),
+    },
+];
@@ -23,4 +23,10 @@ export const activityMockData = [
         imgSrc: 'https://photos.zillowstatic.com/fp/b672b9da33faa7c003e467842e0f4ee1-cc_ft_1536.webp',
         total: "-$365.60", shares: '', date: 'July 30, 2020', activityType: 'Maintenance'
     },
+    {
+        property: 'Single-Family-Residential',
+        devLogo: 'src/assets/tempLogo.png',
+        imgSrc: 'https://photos.zillowstatic.com/fp/4b0c63202cdf1b44d4e597a41b75f9c4-uncropped_scaled_within_1536_1152.webp',
+        total: "+$312.40", shares: '0.5038', date: 'December 31, 2020', activityType: 'Reinvestment'
+    },
 ];
\ No newline at end of file
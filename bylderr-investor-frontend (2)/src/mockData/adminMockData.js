@@ -0,0 +1,231 @@
+// Admin console data, shaped like GET /analytics/dashboard, /admin/kyc, /admin/users, /investments and /admin/wires
+
+const recentInvestments = [
+    {
+        _id: "investment-101",
+        investor: { _id: "1", firstName: "Noah", lastName: "Carter", email: "noah@gmail.com" },
+        project: { _id: "1", title: "3 Bed / 3 Bath Short Term Rental" },
+        amount: 2500,
+        shares: 100,
+        sharePrice: 25,
+        status: "completed",
+        createdAt: "2026-10-17T14:12:00.000Z",
+    },
+    {
+        _id: "investment-102",
+        investor: { _id: "2", firstName: "Ava", lastName: "Brooks", email: "ava@gmail.com" },
+        project: { _id: "2", title: "2 Bed / 2 Bath Urban Apartment" },
+        amount: 1000,
+        shares: 40,
+        sharePrice: 25,
+        status: "pending",
+        createdAt: "2026-10-16T09:40:00.000Z",
+    },
+    {
+        _id: "investment-103",
+        investor: { _id: "5", firstName: "Mia", lastName: "Lopez", email: "mia.lopez@gmail.com" },
+        project: { _id: "1", title: "3 Bed / 3 Bath Short Term Rental" },
+        amount: 500,
+        shares: 20,
+        sharePrice: 25,
+        status: "waitlisted",
+        createdAt: "2026-10-14T18:05:00.000Z",
+    },
+    {
+        _id: "investment-104",
+        investor: { _id: "1", firstName: "Noah", lastName: "Carter", email: "noah@gmail.com" },
+        project: { _id: "3", title: "4 Bed / 3 Bath Suburban Home" },
+        amount: 5000,
+        shares: 200,
+        sharePrice: 25,
+        status: "cancelled",
+        createdAt: "2026-10-02T11:30:00.000Z",
+    },
+];
+
+export const dashboardStatsMockData = {
+    projects: {
+        draft: { count: 3, totalFundingGoal: 1450000, totalFundingRaised: 0 },
+        active: { count: 8, totalFundingGoal: 4200000, totalFundingRaised: 2310000 },
+        funded: { count: 5, totalFundingGoal: 2750000, totalFundingRaised: 2750000 },
+        completed: { count: 2, totalFundingGoal: 900000, totalFundingRaised: 900000 },
+    },
+    investments: {
+        completed: { count: 412, totalAmount: 5960000 },
+        pending: { count: 18, totalAmount: 74500 },
+        waitlisted: { count: 9, totalAmount: 31000 },
+        cancelled: { count: 21, totalAmount: 88000 },
+    },
+    users: [34, 41, 38, 52, 47, 60, 71, 66, 58, 83, 0, 0],
+    recentActivity: recentInvestments,
+};
+
+export const kycQueueMockData = [
+    {
+        _id: "5",
+        firstName: "Mia",
+        lastName: "Lopez",
+        email: "mia.lopez@gmail.com",
+        phone: "(602) 555-0148",
+        createdAt: "2026-10-10T15:00:00.000Z",
+        investorProfile: {
+            kycStatus: "submitted",
+            accreditedStatus: "pending",
+            kycDocuments: [
+                {
+                    _id: "kyc-5-1",
+                    documentType: "Driver's License",
+                    documentUrl: "https://placehold.co/600x380?text=Driver%27s+License",
+                    uploadDate: "2026-10-15T12:00:00.000Z",
+                    verificationStatus: "pending",
+                },
+                {
+                    _id: "kyc-5-2",
+                    documentType: "Proof of Address",
+                    documentUrl: "https://placehold.co/600x800?text=Utility+Bill",
+                    uploadDate: "2026-10-15T12:02:00.000Z",
+                    verificationStatus: "pending",
+                },
+            ],
+        },
+    },
+    {
+        _id: "6",
+        firstName: "Ethan",
+        lastName: "Price",
+        email: "ethan.price@outlook.com",
+        phone: "(212) 555-0193",
+        createdAt: "2026-10-12T08:30:00.000Z",
+        investorProfile: {
+            kycStatus: "submitted",
+            accreditedStatus: "accredited",
+            kycDocuments: [
+                {
+                    _id: "kyc-6-1",
+                    documentType: "Passport",
+                    documentUrl: "https://placehold.co/600x380?text=Passport",
+                    uploadDate: "2026-10-17T19:45:00.000Z",
+                    verificationStatus: "verified",
+                },
+            ],
+        },
+    },
+];
+
+export const adminUsersMockData = [
+    {
+        _id: "1",
+        firstName: "Noah",
+        lastName: "Carter",
+        email: "noah@gmail.com",
+        role: "investor",
+        active: true,
+        createdAt: "2025-03-02T10:00:00.000Z",
+        lastLogin: "2026-10-18T21:10:00.000Z",
+        investorProfile: { kycStatus: "verified", accreditedStatus: "accredited" },
+    },
+    {
+        _id: "2",
+        firstName: "Ava",
+        lastName: "Brooks",
+        email: "ava@gmail.com",
+        role: "investor",
+        active: true,
+        createdAt: "2025-06-19T10:00:00.000Z",
+        lastLogin: "2026-10-16T08:02:00.000Z",
+        investorProfile: { kycStatus: "verified", accreditedStatus: "non-accredited" },
+    },
+    {
+        _id: "3",
+        firstName: "Liam",
+        lastName: "Hayes",
+        email: "liam@bylderr.com",
+        role: "manager",
+        active: true,
+        createdAt: "2024-11-04T10:00:00.000Z",
+        lastLogin: "2026-10-18T16:45:00.000Z",
+        investorProfile: { kycStatus: "verified", accreditedStatus: "not-applicable" },
+    },
+    {
+        _id: "5",
+        firstName: "Mia",
+        lastName: "Lopez",
+        email: "mia.lopez@gmail.com",
+        role: "investor",
+        active: true,
+        createdAt: "2026-10-10T15:00:00.000Z",
+        investorProfile: { kycStatus: "submitted", accreditedStatus: "pending" },
+    },
+    {
+        _id: "7",
+        firstName: "Lucas",
+        lastName: "Reed",
+        email: "lucas.reed@yahoo.com",
+        role: "investor",
+        active: false,
+        suspendedAt: "2026-09-30T13:00:00.000Z",
+        suspensionReason: "Chargeback on two card deposits",
+        createdAt: "2026-01-22T10:00:00.000Z",
+        lastLogin: "2026-09-29T22:15:00.000Z",
+        investorProfile: { kycStatus: "rejected", accreditedStatus: "pending" },
+    },
+];
+
+export const adminInvestmentsMockData = recentInvestments;
+
+export const wireQueueMockData = {
+    wires: [
+        {
+            _id: "deposit-201",
+            user: { _id: "1", firstName: "Noah", lastName: "Carter", email: "noah@gmail.com" },
+            entity: null,
+            amount: 15000,
+            method: "wire",
+            source: "Chase (wire)",
+            reference: "BYL7KQ2M9XC",
+            status: "pending",
+            createdAt: "2026-10-16T10:05:00.000Z",
+        },
+        {
+            _id: "deposit-202",
+            user: { _id: "2", firstName: "Ava", lastName: "Brooks", email: "ava@gmail.com" },
+            entity: { _id: "entity-9", name: "Brooks Revocable Trust" },
+            amount: 50000,
+            method: "wire",
+            source: "Wells Fargo (wire)",
+            reference: "BYLH4TW8PNA",
+            status: "pending",
+            createdAt: "2026-10-17T16:30:00.000Z",
+        },
+    ],
+    lines: [
+        {
+            _id: "line-301",
+            date: "2026-10-17T00:00:00.000Z",
+            amount: 14975,
+            description: "WIRE IN CARTER NOAH CHASE BANK OBI BYL7KQ2M9XC",
+            reference: "BYL7KQ2M9XC",
+            bankReference: "FW2026101700041",
+            status: "unmatched",
+        },
+        {
+            _id: "line-302",
+            date: "2026-10-18T00:00:00.000Z",
+            amount: 50000,
+            description: "WIRE IN BROOKS REVOCABLE TRUST WELLS FARGO",
+            bankReference: "FW2026101800017",
+            status: "unmatched",
+        },
+        {
+            _id: "line-303",
+            date: "2026-10-18T00:00:00.000Z",
+            amount: 12.4,
+            description: "INTEREST PAYMENT",
+            bankReference: "IN2026101800001",
+            status: "unmatched",
+        },
+    ],
+};
+
+// POST /admin/wires/statements
+export const statementImportMockData = { imported: 4, duplicates: 2, matched: 1, unmatched: 3 };
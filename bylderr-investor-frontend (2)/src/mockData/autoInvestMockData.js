@@ -0,0 +1,42 @@
+// Funding sources are `{ paymentMethod, label }`; 'balance' draws on the account's available funds.
+// `nextRunDate` is null once a plan is cancelled.
+export const autoInvestFundingSourcesMockData = [
+    { paymentMethod: "balance", label: "Account Balance" },
+    { paymentMethod: "bank_transfer", label: "Chase Bank - **** **** **** 1234" },
+    { paymentMethod: "bank_transfer", label: "Bank of America - **** **** **** 5678" },
+];
+
+export const autoInvestMockData = {
+    availableFunds: 1250,
+    plans: [
+        {
+            id: "plan-1",
+            amount: 500,
+            frequency: "Monthly",
+            fundingSource: { paymentMethod: "balance", label: "Account Balance" },
+            target: { type: "property", propertyId: "2", property: "Luxury Beach House" },
+            status: "active",
+            startDate: "2024-09-15",
+            nextRunDate: "2025-01-15",
+            runs: [
+                { date: "2024-09-15", status: "completed", amount: 500 },
+                { date: "2024-10-15", status: "completed", amount: 500 },
+                { date: "2024-11-15", status: "insufficient_funds", amount: 500, message: "Insufficient funds" },
+                { date: "2024-12-15", status: "skipped", amount: 0 },
+            ],
+        },
+        {
+            id: "plan-2",
+            amount: 1000,
+            frequency: "Quarterly",
+            fundingSource: { paymentMethod: "bank_transfer", label: "Chase Bank - **** **** **** 1234" },
+            target: { type: "basket", propertyTypes: 96, minROI: 8, maxROI: 15 },
+            status: "paused",
+            startDate: "2024-10-01",
+            nextRunDate: "2025-01-01",
+            runs: [
+                { date: "2024-10-01", status: "completed", amount: 1000 },
+            ],
+        },
+    ],
+};
@@ -0,0 +1,66 @@
+// The mock developer's projects, shaped like GET /projects/mine
+export const developerProjectsMockData = [
+    {
+        _id: "dev-project-1",
+        title: "Riverside Lofts",
+        status: "active",
+        description: "Conversion of a 1920s warehouse into 48 loft apartments a short walk from downtown.",
+        location: { formattedAddress: "1200 E Cesar Chavez St, Austin, TX 78702" },
+        propertyType: "Multifamily",
+        propertyValue: 4200000,
+        expectedReturn: 8.5,
+        fundingGoal: 1500000,
+        fundingRaised: 975000,
+        fundingPercentage: 65,
+        minInvestment: 500,
+        pricePerBlock: 50,
+        fundingDeadline: "2026-12-31",
+        images: ["https://via.placeholder.com/500?text=Multifamily"],
+        documents: [
+            { name: "Offering Memorandum", file: "riverside_offering_memorandum.pdf" },
+            { name: "Operating Agreement", file: "riverside_operating_agreement.pdf" },
+        ],
+        investorCount: 142,
+        createdAt: "2026-08-04T15:00:00.000Z",
+    },
+    {
+        _id: "dev-project-2",
+        title: "Harbor Point Medical Offices",
+        status: "funded",
+        description: "Two-story medical office building, fully leased to a regional healthcare group.",
+        location: { formattedAddress: "55 Harbor Point Blvd, Tampa, FL 33602" },
+        propertyType: "Medical",
+        propertyValue: 2800000,
+        expectedReturn: 7.2,
+        fundingGoal: 900000,
+        fundingRaised: 900000,
+        fundingPercentage: 100,
+        minInvestment: 1000,
+        pricePerBlock: 100,
+        fundingDeadline: "2026-10-01",
+        images: ["https://via.placeholder.com/500?text=Medical"],
+        documents: [{ name: "Lease Abstract", file: "harbor_point_lease_abstract.pdf" }],
+        investorCount: 87,
+        createdAt: "2026-05-12T15:00:00.000Z",
+    },
+    {
+        _id: "dev-project-3",
+        title: "Maple Street Townhomes",
+        status: "draft",
+        description: "Six new-build townhomes on a corner lot.",
+        location: { formattedAddress: "310 Maple St, Raleigh, NC 27601" },
+        propertyType: "SingleFamily",
+        propertyValue: 1900000,
+        expectedReturn: 9.1,
+        fundingGoal: 600000,
+        fundingRaised: 0,
+        fundingPercentage: 0,
+        minInvestment: "",
+        pricePerBlock: 25,
+        fundingDeadline: "",
+        images: [],
+        documents: [],
+        investorCount: 0,
+        createdAt: "2026-10-02T15:00:00.000Z",
+    },
+];
@@ -0,0 +1,9 @@
+// `enabled: null` on a holding means it follows the global setting.
+// `targetPropertyId: null` reinvests into the property that paid the distribution.
+export const dripSettingsMockData = {
+    enabled: false,
+    holdings: [
+        { propertyId: 1, enabled: true, targetPropertyId: null },
+        { propertyId: 2, enabled: null, targetPropertyId: 1 },
+    ],
+};
@@ -0,0 +1,104 @@
+// Shaped like GET /entities/:id and GET /entities/queue. GET /entities lists the same
+// entities with just id, name, type, status and the signed-in user's permissions.
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const ALL_PERMISSIONS = ["investments:create", "investments:sell", "funds:manage", "entity:manage"];
+
+export const entitiesMockData = [
+    {
+        id: "entity-1",
+        name: "Carter Family Holdings LLC",
+        type: "llc",
+        status: "verified",
+        taxIdLast4: "4821",
+        formationState: "DE",
+        formationDate: "2019-03-14",
+        custodian: null,
+        annualIncome: 310000,
+        netWorth: 2400000,
+        accreditedStatus: "non-accredited",
+        availableFunds: 18250,
+        documents: [
+            { _id: "doc-1", kind: "articles-of-organization", name: "Certificate of Formation.pdf", file: "formation.pdf", size: 184000, uploadedAt: daysAgo(40) },
+            { _id: "doc-2", kind: "operating-agreement", name: "Operating Agreement.pdf", file: "operating.pdf", size: 522000, uploadedAt: daysAgo(40) },
+        ],
+        missingDocuments: [],
+        beneficialOwners: [
+            { _id: "owner-1", name: "Noah Carter", title: "Managing Member", ownership: 60, dateOfBirth: "1981-07-02", controlPerson: true },
+            { _id: "owner-2", name: "Emma Carter", title: "Member", ownership: 40, dateOfBirth: "1983-11-19", controlPerson: false },
+        ],
+        authorizedUsers: [
+            { id: "1", name: "Noah Carter", email: "noah@gmail.com", permissions: ALL_PERMISSIONS, addedAt: daysAgo(40) },
+            { id: "2", name: "Ava Brooks", email: "ava@gmail.com", permissions: ["investments:create"], addedAt: daysAgo(12) },
+        ],
+        permissions: ALL_PERMISSIONS,
+    },
+    {
+        id: "entity-2",
+        name: "Carter Self-Directed IRA",
+        type: "ira",
+        status: "pending",
+        taxIdLast4: "",
+        formationState: "",
+        formationDate: "",
+        custodian: { name: "Equity Trust Company", accountLast4: "7730" },
+        annualIncome: 0,
+        netWorth: 185000,
+        accreditedStatus: "non-accredited",
+        availableFunds: 0,
+        documents: [],
+        missingDocuments: ["custodian-letter"],
+        beneficialOwners: [],
+        authorizedUsers: [
+            { id: "1", name: "Noah Carter", email: "noah@gmail.com", permissions: ALL_PERMISSIONS, addedAt: daysAgo(3) },
+        ],
+        permissions: ALL_PERMISSIONS,
+    },
+    {
+        id: "entity-3",
+        name: "Noah & Emma Carter",
+        type: "joint",
+        status: "verified",
+        taxIdLast4: "",
+        formationState: "",
+        formationDate: "",
+        custodian: null,
+        jointTenancy: "jtwros",
+        annualIncome: 265000,
+        netWorth: 1150000,
+        accreditedStatus: "accredited",
+        availableFunds: 6400,
+        documents: [],
+        missingDocuments: [],
+        beneficialOwners: [
+            { _id: "owner-3", name: "Noah Carter", title: "Joint Owner", ownership: 50, dateOfBirth: "1981-07-02", controlPerson: true },
+            { _id: "owner-4", name: "Emma Carter", title: "Joint Owner", ownership: 50, dateOfBirth: "1983-11-19", controlPerson: true },
+        ],
+        authorizedUsers: [
+            { id: "1", name: "Noah Carter", email: "noah@gmail.com", permissions: ALL_PERMISSIONS, addedAt: daysAgo(200) },
+            { id: "5", name: "Emma Carter", email: "emma@gmail.com", permissions: ALL_PERMISSIONS, addedAt: daysAgo(200) },
+        ],
+        permissions: ALL_PERMISSIONS,
+    },
+];
+
+export const entityQueueMockData = [
+    {
+        _id: "entity-9",
+        name: "Brooks Revocable Trust",
+        type: "trust",
+        status: "submitted",
+        taxIdLast4: "1187",
+        formationState: "CA",
+        investorProfile: { accreditedStatus: "pending", annualIncome: 0, netWorth: 6400000 },
+        documents: [
+            { _id: "doc-9", kind: "trust-certificate", name: "Certification of Trust.pdf", file: "trust-cert.pdf", size: 96000 },
+        ],
+        beneficialOwners: [
+            { _id: "owner-9", name: "Ava Brooks", title: "Trustee", ownership: 100, controlPerson: true },
+        ],
+        createdBy: { _id: "2", firstName: "Ava", lastName: "Brooks", email: "ava@gmail.com" },
+        createdAt: daysAgo(2),
+    },
+];
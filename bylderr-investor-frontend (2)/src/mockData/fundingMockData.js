@@ -0,0 +1,70 @@
+// Stand-ins for Stripe in mock mode, modelled on Stripe's test mode fixtures
+// (https://stripe.com/docs/testing). `outcome` is what depositing from each one does.
+
+export const fundingSourcesMockData = [
+    { id: "pm_card_visa", method: "card", name: "Visa", last4: "4242", expires: "12/30", outcome: "settled" },
+    { id: "pm_usBankAccount_success", method: "ach", name: "STRIPE TEST BANK", last4: "6789", accountType: "checking", outcome: "pending" },
+];
+
+// What "linking" a new card or bank account offers in mock mode
+export const testFundingSourcesMockData = {
+    card: [
+        { id: "pm_card_mastercard", method: "card", name: "Mastercard", last4: "4444", expires: "12/30", outcome: "settled", description: "Succeeds" },
+        { id: "pm_card_threeDSecure2Required", method: "card", name: "Visa", last4: "3220", expires: "12/30", outcome: "requires_action", description: "Asks for 3-D Secure" },
+        { id: "pm_card_visa_chargeDeclined", method: "card", name: "Visa", last4: "0002", expires: "12/30", outcome: "failed", description: "Is declined" },
+    ],
+    ach: [
+        { id: "pm_usBankAccount_savings", method: "ach", name: "STRIPE TEST BANK", last4: "6789", accountType: "savings", outcome: "pending", description: "Verified instantly, settles later" },
+        { id: "pm_usBankAccount_insufficientFunds", method: "ach", name: "STRIPE TEST BANK", last4: "2227", accountType: "checking", outcome: "failed", description: "Fails with insufficient funds" },
+    ],
+};
+
+// GET /funding/wire-instructions
+export const wireInstructionsMockData = {
+    bankName: "Pacific Premier Bank",
+    bankAddress: "17901 Von Karman Ave, Irvine, CA 92614",
+    beneficiary: "Bylderr Investor Funds LLC",
+    accountNumber: "4820017736",
+    routingNumber: "122241255",
+    swiftCode: "PPBIUS6I",
+    reference: "BYL7KQ2M9XC",
+    minimum: 1000,
+};
+
+export const depositsMockData = [
+    {
+        id: "deposit-4",
+        amount: 15000,
+        method: "wire",
+        source: "Chase (wire)",
+        status: "pending",
+        reference: "BYL7KQ2M9XC",
+        createdAt: "2024-10-16T10:05:00.000Z",
+    },
+    {
+        id: "deposit-3",
+        amount: 2500,
+        method: "ach",
+        source: "STRIPE TEST BANK ••••6789",
+        status: "pending",
+        createdAt: "2024-10-14T15:20:00.000Z",
+    },
+    {
+        id: "deposit-2",
+        amount: 500,
+        method: "card",
+        source: "Visa ••••4242",
+        status: "settled",
+        settledAt: "2024-10-02T09:12:00.000Z",
+        createdAt: "2024-10-02T09:12:00.000Z",
+    },
+    {
+        id: "deposit-1",
+        amount: 1000,
+        method: "ach",
+        source: "STRIPE TEST BANK ••••2227",
+        status: "failed",
+        failureReason: "The customer's account has insufficient funds to cover this payment.",
+        createdAt: "2024-09-20T11:45:00.000Z",
+    },
+];
@@ -6,7 +6,12 @@ export const holdingMockData = [
         imgSrc: "https://photos.zillowstatic.com/fp/4b0c63202cdf1b44d4e597a41b75f9c4-uncropped_scaled_within_1536_1152.webp",
         total: "+$45,135.23 (16.70%)",
         shares: 50,
-        allocation: "50%"
+        allocation: "50%",
+        currentPrice: 620,
+        lots: [
+            { id: "lot-101", date: "2022-03-15", shares: 30, pricePerShare: 500, fees: 20 },
+            { id: "lot-102", date: "2023-01-10", shares: 20, pricePerShare: 560, fees: 10 },
+        ],
     },
     {
         propertyId: 2,
@@ -15,7 +20,11 @@ export const holdingMockData = [
         imgSrc: "https://photos.zillowstatic.com/fp/b672b9da33faa7c003e467842e0f4ee1-cc_ft_1536.webp",
         total: "+$45,135.23 (16.70%)",
         shares: 100,
-        allocation:
-            "50%"
+        allocation: "50%",
+        currentPrice: 1040,
+        lots: [
+            { id: "lot-201", date: "2022-06-01", shares: 60, pricePerShare: 1000, fees: 30 },
+            { id: "lot-202", date: "2024-02-12", shares: 40, pricePerShare: 980, fees: 15 },
+        ],
     },
 ];
\ No newline at end of file
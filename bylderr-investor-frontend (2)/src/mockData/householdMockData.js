@@ -0,0 +1,62 @@
+// Shaped like GET /households/mine and GET /households/:id/summary
+
+export const householdMockData = {
+    household: {
+        id: "household-1",
+        name: "Carter Household",
+        role: "head",
+        status: "active",
+        members: [
+            { id: "1", name: "Noah Carter", email: "noah@gmail.com", role: "head", status: "active", joinedAt: "2024-02-01T00:00:00.000Z" },
+            { id: "5", name: "Emma Carter", email: "emma@gmail.com", role: "member", status: "active", joinedAt: "2024-02-03T00:00:00.000Z" },
+        ],
+    },
+    invitations: [],
+};
+
+export const householdSummaryMockData = {
+    household: householdMockData.household,
+    accounts: [
+        { id: "personal-1", name: "Noah Carter", kind: "individual", owners: ["Noah Carter"], value: 114200, costBasis: 96000 },
+        { id: "personal-5", name: "Emma Carter", kind: "individual", owners: ["Emma Carter"], value: 42000, costBasis: 38000 },
+        { id: "entity-3", name: "Noah & Emma Carter", kind: "joint", owners: ["Noah Carter", "Emma Carter"], value: 31200, costBasis: 27900 },
+    ],
+    totals: { totalValue: 187400, costBasis: 161900, gain: 25500, percentageChange: 15.75 },
+    holdings: [
+        {
+            propertyId: 2,
+            property: "Luxury Beach House",
+            shares: 110,
+            value: 114400,
+            costBasis: 101500,
+            currentPrice: 1040,
+            allocation: 61.05,
+            accounts: ["Noah Carter", "Noah & Emma Carter"],
+        },
+        {
+            propertyId: 3,
+            property: "Downtown Office Suites",
+            shares: 84,
+            value: 42000,
+            costBasis: 38000,
+            currentPrice: 500,
+            allocation: 22.41,
+            accounts: ["Emma Carter"],
+        },
+        {
+            propertyId: 1,
+            property: "Single-Family-Residential",
+            shares: 50,
+            value: 31000,
+            costBasis: 22400,
+            currentPrice: 620,
+            allocation: 16.54,
+            accounts: ["Noah Carter"],
+        },
+    ],
+    investmentMix: [
+        { name: "Hospitality", value: 114400 },
+        { name: "Office", value: 42000 },
+        { name: "Single Family", value: 31000 },
+    ],
+};
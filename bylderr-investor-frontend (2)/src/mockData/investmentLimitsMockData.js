@@ -0,0 +1,9 @@
+// Shaped like GET /investments/limits for a non-accredited investor with $52,000 income
+
+export const investmentLimitsMockData = {
+    accredited: false,
+    limit: 2600,
+    invested: 1850,
+    remaining: 750,
+    windowStart: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString(),
+};
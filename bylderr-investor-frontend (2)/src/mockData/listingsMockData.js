@@ -7,164 +7,200 @@ export const listingsMockData = [
         raised: 4000,
         raiseTarget: 90000,
         investment: 100,
+        pricePerBlock: 26.5,
         estimate: 835000,
         roi: 7, 
         imgSrc: "https://via.placeholder.com/500?text=ShortTermRental",
         latitude: 33.5032,
-        longitude: -111.9796
+        longitude: -111.9796,
+        createdAt: "2024-11-02",
+        fundingDeadline: "2025-03-01"
     },
     {
         propertyId: "2",
         title: "Luxury Beach House",
         location: "901 N Riverside Dr APT 3E, Pompano Beach, FL 33062",
         realType: "SingleFamily",
-        raised: 4000,
+        raised: 36000,
         raiseTarget: 90000,
         investment: 250,
+        pricePerBlock: 30,
         estimate: 1200000,
         roi: 11, 
         imgSrc: "https://via.placeholder.com/500?text=SingleFamily",
         latitude: 26.2379,
-        longitude: -80.0942
+        longitude: -80.0942,
+        createdAt: "2024-10-15",
+        fundingDeadline: "2025-02-10"
     },
     {   
         propertyId: "3",
         title: "Mountain Retreat",
         location: "9059 William Cody Drive, Evergreen, CO 80439",
         realType: "SingleFamily",
-        raised: 4000,
+        raised: 81000,
         raiseTarget: 90000,
         investment: 200,
+        pricePerBlock: 28,
         estimate: 950000,
         roi: 12, 
         imgSrc: "https://via.placeholder.com/500?text=SingleFamily",
         latitude: 39.6333,
-        longitude: -105.3172
+        longitude: -105.3172,
+        createdAt: "2024-12-01",
+        fundingDeadline: "2025-01-20"
     },
     {
         propertyId: 4,
         title: "Industrial Warehouse",
         location: "1234 Industrial Ave, Los Angeles, CA 90001",
         realType: "Industrial",
-        raised: 4000,
+        raised: 12500,
         raiseTarget: 90000,
         investment: 500,
+        pricePerBlock: 50,
         estimate: 1200000,
         roi: 10, 
         imgSrc: "https://via.placeholder.com/500?text=Industrial",
         latitude: 34.0522,
-        longitude: -118.2437
+        longitude: -118.2437,
+        createdAt: "2024-09-20",
+        fundingDeadline: "2025-04-15"
     },
     {
         propertyId: 5,
         title: "Medical Office",
         location: "5678 Health St, San Francisco, CA 94103",
         realType: "Medical",
-        raised: 4000,
+        raised: 54000,
         raiseTarget: 90000,
         investment: 300,
+        pricePerBlock: 25,
         estimate: 950000,
         roi: 5, 
         imgSrc: "https://via.placeholder.com/500?text=Medical",
         latitude: 37.7749,
-        longitude: -122.4194
+        longitude: -122.4194,
+        createdAt: "2024-11-18",
+        fundingDeadline: "2025-02-28"
     },
     {
         propertyId: 6,
         title: "Luxury Hotel",
         location: "91011 Hospitality Blvd, Las Vegas, NV 89109",
         realType: "Hospitality",
-        raised: 4000,
+        raised: 22000,
         raiseTarget: 90000,
         investment: 800,
+        pricePerBlock: 40,
         estimate: 5000000,
         roi: 4, 
         imgSrc: "https://via.placeholder.com/500?text=Hospitality",
         latitude: 36.1699,
-        longitude: -115.1398
+        longitude: -115.1398,
+        createdAt: "2024-08-30",
+        fundingDeadline: "2025-01-31"
     },
     {
         propertyId: 7,
         title: "Corporate Office Space",
         location: "1213 Business Park Dr, New York, NY 10001",
         realType: "Office",
-        raised: 4000,
+        raised: 67500,
         raiseTarget: 90000,
         investment: 400,
+        pricePerBlock: 35,
         estimate: 2500000,
         roi: 3, 
         imgSrc: "https://via.placeholder.com/500?text=Office",
         latitude: 40.7128,
-        longitude: -74.0060
+        longitude: -74.0060,
+        createdAt: "2024-12-10",
+        fundingDeadline: "2025-05-01"
     },
     {
         propertyId: 8,
         title: "Retail Storefront",
         location: "1415 Shopping Ln, Miami, FL 33101",
         realType: "Retail",
-        raised: 4000,
+        raised: 9000,
         raiseTarget: 90000,
         investment: 200,
+        pricePerBlock: 22.5,
         estimate: 1100000,
         roi: 14, 
         imgSrc: "https://via.placeholder.com/500?text=Retail",
         latitude: 25.7617,
-        longitude: -80.1918
+        longitude: -80.1918,
+        createdAt: "2024-10-05",
+        fundingDeadline: "2025-03-20"
     },
     {
         propertyId: 9,
         title: "Single Family Home",
         location: "1617 Suburbia Dr, Dallas, TX 75201",
         realType: "SingleFamily",
-        raised: 4000,
+        raised: 45000,
         raiseTarget: 90000,
         investment: 150,
+        pricePerBlock: 26.5,
         estimate: 750000,
         roi: 7, 
         imgSrc: "https://via.placeholder.com/500?text=SingleFamily",
         latitude: 32.7767,
-        longitude: -96.7970
+        longitude: -96.7970,
+        createdAt: "2024-11-25",
+        fundingDeadline: "2025-02-14"
     },
     {
         propertyId: 10,
         title: "Multifamily Apartment",
         location: "1819 Urban St, Chicago, IL 60601",
         realType: "Multifamily",
-        raised: 4000,
+        raised: 88000,
         raiseTarget: 90000,
         investment: 600,
+        pricePerBlock: 45,
         estimate: 3200000,
         roi: 12, 
         imgSrc: "https://via.placeholder.com/500?text=MultifamilyApartment",
         latitude: 41.8781,
-        longitude: -87.6298
+        longitude: -87.6298,
+        createdAt: "2024-07-14",
+        fundingDeadline: "2025-01-10"
     },
     {
         propertyId: 11,
         title: "Construction Site",
         location: "2021 Build Rd, Seattle, WA 98101",
         realType: "Construction",
-        raised: 4000,
+        raised: 30000,
         raiseTarget: 90000,
         investment: 700,
+        pricePerBlock: 32,
         estimate: 4000000,
         roi: 8, 
         imgSrc: "https://via.placeholder.com/500?text=ConstructionSite",
         latitude: 47.6062,
-        longitude: -122.3321
+        longitude: -122.3321,
+        createdAt: "2024-12-04",
+        fundingDeadline: "2025-04-01"
     },
     {
         propertyId: 12,
         title: "Vacant Land",
         location: "2223 Open Field, Denver, CO 80201",
         realType: "Land",
-        raised: 4000,
+        raised: 18000,
         raiseTarget: 90000,
         investment: 100,
+        pricePerBlock: 20,
         estimate: 500000,
         roi: 20, 
         imgSrc: "https://via.placeholder.com/500?text=VacantLand",
         latitude: 39.7392,
-        longitude: -104.9903
+        longitude: -104.9903,
+        createdAt: "2024-09-09",
+        fundingDeadline: "2025-03-10"
     }
 ];
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Inbox of the mock investor (id "1") with the mock developer (id "3"), shaped like
+// GET /messages/conversations and GET /messages?conversation=
+export const conversationsMockData = [
+    {
+        id: "1-3-1",
+        counterpart: { id: "3", name: "Liam Hayes", role: "manager" },
+        project: { id: "1", title: "3 Bed / 3 Bath Short Term Rental" },
+        lastMessage: {
+            body: "The rent roll is attached. Occupancy has held above 95% all year.",
+            hasAttachments: true,
+            fromMe: false,
+            createdAt: "2026-10-18T15:20:00.000Z",
+        },
+        unread: 1,
+    },
+    {
+        id: "1-3-2",
+        counterpart: { id: "3", name: "Liam Hayes", role: "manager" },
+        project: { id: "2", title: "2 Bed / 2 Bath Urban Apartment" },
+        lastMessage: {
+            body: "Thanks, that answers it.",
+            hasAttachments: false,
+            fromMe: true,
+            createdAt: "2026-10-02T10:05:00.000Z",
+        },
+        unread: 0,
+    },
+];
+
+export const messagesMockData = {
+    "1-3-1": [
+        {
+            _id: "message-1",
+            sender: "1",
+            recipient: "3",
+            body: "Hi Liam, could you share the current rent roll before I invest?",
+            attachments: [],
+            createdAt: "2026-10-18T14:02:00.000Z",
+        },
+        {
+            _id: "message-2",
+            sender: "3",
+            recipient: "1",
+            body: "The rent roll is attached. Occupancy has held above 95% all year.",
+            attachments: [
+                {
+                    name: "Rent Roll - September.pdf",
+                    url: "https://example.com/rent-roll.pdf",
+                    mimetype: "application/pdf",
+                    size: 184320,
+                },
+            ],
+            createdAt: "2026-10-18T15:20:00.000Z",
+        },
+    ],
+    "1-3-2": [
+        {
+            _id: "message-3",
+            sender: "1",
+            recipient: "3",
+            body: "Is the renovation budget already included in the funding goal?",
+            attachments: [],
+            readAt: "2026-10-01T18:00:00.000Z",
+            createdAt: "2026-10-01T17:45:00.000Z",
+        },
+        {
+            _id: "message-4",
+            sender: "3",
+            recipient: "1",
+            body: "Yes, the goal covers the purchase and the full renovation, with a 10% contingency.",
+            attachments: [],
+            readAt: "2026-10-02T10:00:00.000Z",
+            createdAt: "2026-10-01T19:30:00.000Z",
+        },
+        {
+            _id: "message-5",
+            sender: "1",
+            recipient: "3",
+            body: "Thanks, that answers it.",
+            attachments: [],
+            createdAt: "2026-10-02T10:05:00.000Z",
+        },
+    ],
+};
+
+export const unreadMessagesMockData = 1;
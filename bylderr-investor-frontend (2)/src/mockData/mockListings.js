@@ -35,8 +35,13 @@ export const mockListings = [
             title: "3 Bed / 3 Bath Short Term Rental",
             location: "Miami, FL",
             realType: "SingleFamily",
-            imgSrc: "https://placehold.co/200x150?text=ShortTermRental"
-
+            imgSrc: "https://placehold.co/200x150?text=ShortTermRental",
+            // Open tax lots behind blocksOwn, oldest first
+            lots: [
+                { id: "lot-1-1", date: "2023-02-14", shares: 100, pricePerShare: 10, fees: 0 },
+                { id: "lot-1-2", date: "2023-09-05", shares: 60, pricePerShare: 12.4, fees: 0 },
+                { id: "lot-1-3", date: "2024-06-03", shares: 40, pricePerShare: 13.9, fees: 4 },
+            ],
         },
         investData: {
             propertyId: 1,
@@ -48,6 +53,7 @@ export const mockListings = [
             realType: "SingleFamily",
             raised: 400000,
             raiseTarget: 900000,
+            status: "active",
             investment: 100,
             estimate: 835000,
             roi: 7,
@@ -146,6 +152,7 @@ export const mockListings = [
             perShare: 0.5,
         },
         developerInfo: {
+            id: "3",
             name: "Real Estate-Premium Properties",
             listingCount: 14,
             joinedYear: 2020,
@@ -153,6 +160,7 @@ export const mockListings = [
     },
     {
         id: "2",
+        accreditedOnly: true,
         data: {
             name: "2 Bed / 2 Bath Urban Apartment",
             street: "123 Main St",
@@ -186,8 +194,13 @@ export const mockListings = [
             title: "3 Bed / 3 Bath Short Term Rental",
             location: "Miami, FL",
             realType: "SingleFamily",
-            imgSrc: "https://placehold.co/200x150?text=ShortTermRental"
-
+            imgSrc: "https://placehold.co/200x150?text=ShortTermRental",
+            // Open tax lots behind blocksOwn, oldest first
+            lots: [
+                { id: "lot-2-1", date: "2023-02-14", shares: 100, pricePerShare: 10, fees: 0 },
+                { id: "lot-2-2", date: "2023-09-05", shares: 60, pricePerShare: 12.4, fees: 0 },
+                { id: "lot-2-3", date: "2024-06-03", shares: 40, pricePerShare: 13.9, fees: 4 },
+            ],
         },
         investData: {
             address: "4324 E Stanford Drive",
@@ -198,6 +211,7 @@ export const mockListings = [
             realType: "SingleFamily",
             raised: 400000,
             raiseTarget: 900000,
+            status: "active",
             investment: 100,
             estimate: 835000,
             roi: 7,
@@ -236,6 +250,7 @@ export const mockListings = [
             perShare: 0.6,
         },
         developerInfo: {
+            id: "3",
             name: "Urban Living Developers",
             listingCount: 20,
             joinedYear: 2018,
@@ -256,7 +271,7 @@ export const mockListings = [
                 "A beautiful family home located in the quiet suburbs, featuring spacious rooms and a large backyard...",
             lng: -122.4194,
             lat: 37.7749,
-            soldPercentage: 30,
+            soldPercentage: 100,
             initialSave: "false",
         },
         initialImages: [
@@ -276,8 +291,13 @@ export const mockListings = [
             title: "3 Bed / 3 Bath Short Term Rental",
             location: "Miami, FL",
             realType: "SingleFamily",
-            imgSrc: "https://placehold.co/200x150?text=ShortTermRental"
-
+            imgSrc: "https://placehold.co/200x150?text=ShortTermRental",
+            // Open tax lots behind blocksOwn, oldest first
+            lots: [
+                { id: "lot-3-1", date: "2023-02-14", shares: 100, pricePerShare: 10, fees: 0 },
+                { id: "lot-3-2", date: "2023-09-05", shares: 60, pricePerShare: 12.4, fees: 0 },
+                { id: "lot-3-3", date: "2024-06-03", shares: 40, pricePerShare: 13.9, fees: 4 },
+            ],
         },
         investData: {
             address: "4324 E Stanford Drive",
@@ -286,8 +306,10 @@ export const mockListings = [
             title: "3 Bed / 3 Bath Short Term Rental",
             location: "4324 E Stanford Dr, Phoenix, AZ 85018",
             realType: "SingleFamily",
-            raised: 400000,
+            raised: 900000,
             raiseTarget: 900000,
+            // Fully funded, so new investments join the waitlist
+            status: "funded",
             investment: 100,
             estimate: 835000,
             roi: 7,
@@ -322,6 +344,7 @@ export const mockListings = [
             perShare: 0.7,
         },
         developerInfo: {
+            id: "3",
             name: "Suburban Estates LLC",
             listingCount: 10,
             joinedYear: 2015,
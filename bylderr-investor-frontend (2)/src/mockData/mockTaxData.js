@@ -75,6 +75,50 @@ const mockTaxData = {
             status: "Pending",
             url: "",
         },
+        {
+            id: 5,
+            year: 2024,
+            name: "Form 1099-B 2024",
+            type: "Form 1099-B",
+            status: "Pending",
+            url: "",
+        },
+        {
+            id: 6,
+            year: 2022,
+            name: "Form 1099-DIV 2022",
+            type: "Form 1099-DIV",
+            status: "Available",
+            url: "/docs/1099-div-2022.pdf",
+        },
+    ],
+    // Buy and sell activity used for the realized gain/loss report.
+    // Sells record their lot relief method; specific-lot sells designate the lots they relieve.
+    transactions: [
+        { id: "t1", propertyId: 1, property: "Single-Family-Residential", type: "buy", shares: 40, pricePerShare: 500, fees: 20, date: "2022-03-15" },
+        { id: "t2", propertyId: 2, property: "Luxury Beach House", type: "buy", shares: 30, pricePerShare: 1000, fees: 30, date: "2022-06-01" },
+        { id: "t3", propertyId: 1, property: "Single-Family-Residential", type: "buy", shares: 20, pricePerShare: 560, fees: 10, date: "2023-01-10" },
+        {
+            id: "t4", propertyId: 1, property: "Single-Family-Residential", type: "sell", shares: 30, pricePerShare: 610, fees: 18, date: "2023-08-20",
+            lotMethod: "specific", lots: [{ lotId: "t3", shares: 20 }, { lotId: "t1", shares: 10 }],
+        },
+        { id: "t5", propertyId: 2, property: "Luxury Beach House", type: "sell", shares: 10, pricePerShare: 950, fees: 10, date: "2023-11-05", lotMethod: "fifo" },
+        { id: "t6", propertyId: 2, property: "Luxury Beach House", type: "buy", shares: 15, pricePerShare: 980, fees: 15, date: "2024-02-12" },
+        { id: "t7", propertyId: 1, property: "Single-Family-Residential", type: "sell", shares: 15, pricePerShare: 640, fees: 10, date: "2024-05-02", lotMethod: "hifo" },
+        {
+            id: "t8", propertyId: 2, property: "Luxury Beach House", type: "sell", shares: 20, pricePerShare: 1040, fees: 20, date: "2024-09-30",
+            lotMethod: "specific", lots: [{ lotId: "t6", shares: 15 }, { lotId: "t2", shares: 5 }],
+        },
+    ],
+    dividends: [
+        { id: "d1", propertyId: 1, property: "Single-Family-Residential", amount: 420, withheld: 0, date: "2022-09-30" },
+        { id: "d2", propertyId: 2, property: "Luxury Beach House", amount: 610.5, withheld: 0, date: "2022-12-31" },
+        { id: "d3", propertyId: 1, property: "Single-Family-Residential", amount: 515.25, withheld: 0, date: "2023-03-31" },
+        { id: "d4", propertyId: 2, property: "Luxury Beach House", amount: 745, withheld: 74.5, date: "2023-06-30" },
+        { id: "d5", propertyId: 1, property: "Single-Family-Residential", amount: 498.1, withheld: 0, date: "2023-09-30" },
+        { id: "d6", propertyId: 2, property: "Luxury Beach House", amount: 702.4, withheld: 70.24, date: "2023-12-31" },
+        { id: "d7", propertyId: 1, property: "Single-Family-Residential", amount: 260.75, withheld: 0, date: "2024-03-31" },
+        { id: "d8", propertyId: 2, property: "Luxury Beach House", amount: 880, withheld: 88, date: "2024-06-30" },
     ],
     notifications: [
         {
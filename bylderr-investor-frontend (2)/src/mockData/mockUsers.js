@@ -0,0 +1,48 @@
+// Accounts for the mock auth provider. `twoFactorCode` marks an account with two-factor on.
+export const mockUsers = [
+    {
+        password: "password123",
+        user: {
+            id: "1",
+            firstName: "Noah",
+            lastName: "Carter",
+            email: "noah@gmail.com",
+            role: "investor",
+            isEmailVerified: true,
+        },
+    },
+    {
+        password: "password123",
+        twoFactorCode: "123456",
+        user: {
+            id: "2",
+            firstName: "Ava",
+            lastName: "Brooks",
+            email: "ava@gmail.com",
+            role: "investor",
+            isEmailVerified: true,
+        },
+    },
+    {
+        password: "password123",
+        user: {
+            id: "3",
+            firstName: "Liam",
+            lastName: "Hayes",
+            email: "liam@bylderr.com",
+            role: "developer",
+            isEmailVerified: true,
+        },
+    },
+    {
+        password: "password123",
+        user: {
+            id: "4",
+            firstName: "Grace",
+            lastName: "Ellis",
+            email: "admin@bylderr.com",
+            role: "admin",
+            isEmailVerified: true,
+        },
+    },
+];
@@ -0,0 +1,57 @@
+// Secondary market order book per property, keyed by propertyId
+export const orderBookMockData = {
+    1: {
+        lastPrice: 28.5,
+        sellerFeeRate: 0.02,
+        bids: [
+            { price: 28.25, shares: 40 },
+            { price: 28.0, shares: 120 },
+            { price: 27.5, shares: 75 },
+            { price: 27.25, shares: 210 },
+        ],
+        asks: [
+            { price: 28.75, shares: 30 },
+            { price: 29.0, shares: 85 },
+            { price: 29.5, shares: 150 },
+            { price: 30.0, shares: 60 },
+        ],
+    },
+    2: {
+        lastPrice: 28.5,
+        sellerFeeRate: 0.02,
+        bids: [
+            { price: 28.0, shares: 20 },
+            { price: 27.75, shares: 45 },
+        ],
+        asks: [
+            { price: 29.0, shares: 15 },
+            { price: 29.25, shares: 40 },
+            { price: 30.0, shares: 25 },
+        ],
+    },
+};
+
+export const openOrdersMockData = [
+    {
+        id: "ord-1001",
+        propertyId: 1,
+        property: "3 Bed / 3 Bath Short Term Rental",
+        side: "Sell",
+        pricePerBlock: 29.5,
+        shares: 100,
+        filledShares: 35,
+        status: "partially_filled",
+        createdAt: "12/18/24",
+    },
+    {
+        id: "ord-1002",
+        propertyId: 2,
+        property: "Luxury Beach House",
+        side: "Sell",
+        pricePerBlock: 29.25,
+        shares: 40,
+        filledShares: 0,
+        status: "open",
+        createdAt: "12/22/24",
+    },
+];
@@ -0,0 +1,57 @@
+// Project updates by listing id, newest first, shaped like GET /projects/:id/updates
+export const projectUpdatesMockData = {
+    1: [
+        {
+            _id: "update-1-3",
+            title: "Framing is complete",
+            content:
+                "All three floors are framed and the roof trusses went up this week.\n\n" +
+                "Next up:\n- Rough-in plumbing and electrical\n- Window installation\n\n" +
+                "We remain **on schedule** for a spring opening.",
+            milestone: "Framing",
+            photos: [
+                "https://via.placeholder.com/500?text=Framing",
+                "https://via.placeholder.com/500?text=Roof+Trusses",
+            ],
+            author: { firstName: "Liam", lastName: "Hayes" },
+            createdAt: "2026-10-12T16:00:00.000Z",
+        },
+        {
+            _id: "update-1-2",
+            title: "Foundation poured",
+            content:
+                "The foundation was poured and passed inspection. You can read the inspector's report on the " +
+                "[city permit portal](https://example.com/permits).",
+            milestone: "Foundation",
+            photos: ["https://via.placeholder.com/500?text=Foundation"],
+            author: { firstName: "Liam", lastName: "Hayes" },
+            createdAt: "2026-08-28T16:00:00.000Z",
+        },
+        {
+            _id: "update-1-1",
+            title: "We broke ground",
+            content: "Thank you to everyone who invested. Site work started on Monday.",
+            milestone: "Groundbreaking",
+            photos: [],
+            author: { firstName: "Liam", lastName: "Hayes" },
+            createdAt: "2026-07-15T16:00:00.000Z",
+        },
+    ],
+    2: [
+        {
+            _id: "update-2-1",
+            title: "First tenant signed",
+            content: "A *regional coffee roaster* signed a five-year lease for the ground floor retail unit.",
+            milestone: "Leasing",
+            photos: [],
+            author: { firstName: "Liam", lastName: "Hayes" },
+            createdAt: "2026-09-30T16:00:00.000Z",
+        },
+    ],
+};
+
+// Unread update counts for the mock investor, shaped like GET /projects/updates/unread
+export const unreadUpdatesMockData = [
+    { project: "1", count: 2 },
+    { project: "2", count: 1 },
+];
@@ -0,0 +1,16 @@
+export const savedSearchesMockData = [
+    {
+        _id: "search-1",
+        name: "Phoenix single family",
+        filters: { location: "Phoenix, AZ", propertyTypes: "32", sort: "roi" },
+        alertsEnabled: true,
+        createdAt: "2024-12-02",
+    },
+    {
+        _id: "search-2",
+        name: "High yield under $1M",
+        filters: { maxPrice: "1000000", minROI: "10", maxROI: "100" },
+        alertsEnabled: false,
+        createdAt: "2024-11-19",
+    },
+];
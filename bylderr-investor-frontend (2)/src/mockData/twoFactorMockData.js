@@ -0,0 +1,24 @@
+// Enrollment in mock mode uses a fixed secret; any six-digit code is accepted.
+export const twoFactorStatusMockData = {
+    enabled: false,
+    recoveryCodesLeft: 0,
+};
+
+export const twoFactorSetupMockData = {
+    secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+    otpauthUrl: "otpauth://totp/Bylderr:noah%40gmail.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Bylderr",
+    qrCode: "",
+};
+
+export const recoveryCodesMockData = [
+    "3f9a1-c2e07",
+    "8b4d2-61fa9",
+    "a07c3-9e154",
+    "5d2e8-b0c76",
+    "e61b9-47a3d",
+    "0c8f5-d2961",
+    "9a3e7-15bc0",
+    "b4f06-e8a21",
+    "72d1c-3f5e8",
+    "c5a90-6b47d",
+];
@@ -1,18 +1,27 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { homePathFor } from '../auth/permissions';
 
-const ProtectedRoute = ({ children, role }) => {
-    const { isAuthenticated, userType } = useAuth();
+/**
+ * Renders its children for signed-in users. With `roles` and/or `permission` set, other
+ * users are sent back to their own home page instead.
+ */
+const ProtectedRoute = ({ children, roles, permission }) => {
+    const { isAuthenticated, isRestoring, role, hasRole, can } = useAuth();
 
+    // Wait for the saved session before deciding where to send the user
+    if (isRestoring) {
+        return <div className="text-center mt-20 text-2xl">Loading...</div>;
+    }
     if (!isAuthenticated) {
         return <Navigate to="/login" replace />;
     }
-    if (role && userType !== role) {
-        return <Navigate to="/" replace />;
+    if ((roles && !hasRole(roles)) || (permission && !can(permission))) {
+        return <Navigate to={homePathFor(role)} replace />;
     }
 
     return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -1,10 +1,15 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { homePathFor } from '../auth/permissions';
 
+// Pages for signed-out users; anyone signed in goes to their home page.
 const PublicRoute = ({ children }) => {
-    const { isAuthenticated } = useAuth();
-    return isAuthenticated ? <Navigate to="/" /> : children;
+    const { isAuthenticated, isRestoring, role } = useAuth();
+    if (isRestoring) {
+        return <div className="text-center mt-20 text-2xl">Loading...</div>;
+    }
+    return isAuthenticated ? <Navigate to={homePathFor(role)} replace /> : children;
 };
 
-export default PublicRoute;
\ No newline at end of file
+export default PublicRoute;
@@ -7,6 +7,12 @@ import {
     faDollarSign,
     faFileAlt,
     faBell,
+    faArrowRightArrowLeft,
+    faBookmark,
+    faRepeat,
+    faCertificate,
+    faBuilding,
+    faPeopleRoof,
 } from '@fortawesome/free-solid-svg-icons';
 
 const Account = () => {
@@ -23,12 +29,42 @@ const Account = () => {
             description: 'Update your password and secure your account',
             link: '/account/security',
         },
+        {
+            icon: faCertificate,
+            title: 'Accreditation',
+            description: 'Verify accredited investor status for accredited-only offerings',
+            link: '/account/accreditation',
+        },
+        {
+            icon: faBuilding,
+            title: 'Joint & Entity Accounts',
+            description: 'Invest jointly, or through an LLC, trust, corporation or self-directed IRA',
+            link: '/account/entities',
+        },
+        {
+            icon: faPeopleRoof,
+            title: 'Household',
+            description: 'Link family accounts and see your combined portfolio',
+            link: '/account/household',
+        },
         {
             icon: faDollarSign,
             title: 'Payments & Payouts',
             description: 'Review payment method, bank connection, and payouts',
             link: '/account/payments',
         },
+        {
+            icon: faArrowRightArrowLeft,
+            title: 'Open Orders',
+            description: 'Track and cancel your secondary market sell orders',
+            link: '/account/orders',
+        },
+        {
+            icon: faRepeat,
+            title: 'Auto-Invest',
+            description: 'Set up recurring investments into a property or a basket of listings',
+            link: '/account/auto-invest',
+        },
         {
             icon: faFileAlt,
             title: 'Taxes',
@@ -41,6 +77,12 @@ const Account = () => {
             description: 'Choose notification preferences and how you want to be contacted',
             link: '/account/notifications',
         },
+        {
+            icon: faBookmark,
+            title: 'Saved Searches',
+            description: 'Manage saved listing searches and new-listing alerts',
+            link: '/account/searches',
+        },
     ];
 
     return (
@@ -0,0 +1,76 @@
+import { useState } from "react";
+import AdminDashboard from "../components/Admin/AdminDashboard";
+import KycReviewQueue from "../components/Admin/KycReviewQueue";
+import AccreditationReviewQueue from "../components/Admin/AccreditationReviewQueue";
+import EntityReviewQueue from "../components/Admin/EntityReviewQueue";
+import UserSearch from "../components/Admin/UserSearch";
+import InvestmentAdjustments from "../components/Admin/InvestmentAdjustments";
+import WireReconciliation from "../components/Admin/WireReconciliation";
+
+const TABS = {
+    dashboard: "Dashboard",
+    kyc: "KYC Review",
+    accreditation: "Accreditation",
+    entities: "Entities",
+    users: "Users",
+    investments: "Investments",
+    wires: "Wires",
+};
+
+const AdminConsole = ({ startTab }) => {
+    const [activeTab, setActiveTab] = useState(startTab);
+
+    const renderContent = () => {
+        switch (activeTab) {
+            case "dashboard":
+                return <AdminDashboard />;
+            case "kyc":
+                return <KycReviewQueue />;
+            case "accreditation":
+                return <AccreditationReviewQueue />;
+            case "entities":
+                return <EntityReviewQueue />;
+            case "users":
+                return <UserSearch />;
+            case "investments":
+                return <InvestmentAdjustments />;
+            case "wires":
+                return <WireReconciliation />;
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div className="bg-white min-h-screen">
+            {/* Header */}
+            <header className="bg-white shadow-sm py-4 px-6">
+                <h1 className="text-3xl font-semibold text-gray-800">Admin Console</h1>
+                <p className="text-gray-500">Review identity checks, manage users, correct investments and reconcile wires.</p>
+            </header>
+
+            {/* Tabs */}
+            <div className="bg-white border-t">
+                <div className="flex justify-center space-x-6 border-b overflow-x-auto flex-wrap md:flex-nowrap px-4">
+                    {Object.entries(TABS).map(([tab, label]) => (
+                        <button
+                            key={tab}
+                            onClick={() => setActiveTab(tab)}
+                            className={`py-4 px-6 text-sm whitespace-nowrap ${activeTab === tab
+                                    ? "text-midnight-blue font-bold bg-glitter rounded-md"
+                                    : "text-gray-600 font-medium hover:text-midnight-blue"
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Content */}
+            <main className="container mx-auto px-4 py-6">{renderContent()}</main>
+        </div>
+    );
+};
+
+export default AdminConsole;
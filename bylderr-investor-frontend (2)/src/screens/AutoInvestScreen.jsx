@@ -0,0 +1,14 @@
+import AutoInvestPlans from '../components/AutoInvest/AutoInvestPlans';
+import BackButton from '../components/BackButton';
+
+const AutoInvestScreen = () => {
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <BackButton />
+            <h1 className="font-bold text-3xl pb-5">Auto-Invest</h1>
+            <AutoInvestPlans />
+        </div>
+    );
+};
+
+export default AutoInvestScreen;
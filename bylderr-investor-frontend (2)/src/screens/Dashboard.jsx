@@ -1,32 +1,91 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import InvestmentMix from '../components/DashBoardComponents/InvestmentMix';
 import AccountCard from '../components/DashBoardComponents/AccountCard';
 import HoldingTable from '../components/DashBoardComponents/HoldingTable';
 import MyDevelopers from '../components/DashBoardComponents/MyDevelopers';
 import ActivityTable from '../components/DashBoardComponents/ActivityTable';
 import Watchlist from '../components/DashBoardComponents/Watchlist';
+import useHousehold from '../hooks/useHousehold';
+import { fetchHouseholdSummary } from '../api/householdApi';
+import { householdSummaryMockData } from '../mockData/householdMockData';
+import PersonalAccountOnly from '../components/PersonalAccountOnly';
+
+const VIEWS = { individual: 'Individual', household: 'Household' };
 
 const Dashboard = () => {
+    const { household } = useHousehold();
+    const [view, setView] = useState('individual');
+    const [householdSummary, setHouseholdSummary] = useState(null);
+    const [householdError, setHouseholdError] = useState(null);
+
+    const isHouseholdView = view === 'household' && household?.status === 'active';
+
+    // The consolidated view is only loaded once it is asked for
+    useEffect(() => {
+        if (!isHouseholdView) return;
+
+        const loadHouseholdSummary = async () => {
+            setHouseholdError(null);
+            if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
+                setHouseholdSummary(householdSummaryMockData);
+                return;
+            }
+            try {
+                setHouseholdSummary(await fetchHouseholdSummary(household.id));
+            } catch (err) {
+                console.error('Error fetching household summary:', err.message);
+                setHouseholdError('Failed to load the household totals. Using mock data.');
+                setHouseholdSummary(householdSummaryMockData);
+            }
+        };
+
+        loadHouseholdSummary();
+    }, [isHouseholdView, household?.id]);
+
+    // Components show their own, individual data until the household totals arrive
+    const summary = isHouseholdView ? householdSummary : null;
+
+    // The portfolio endpoints only know the investor's personal holdings
     return (
-        <>
+        <PersonalAccountOnly title='My Portfolio'>
             <div className='pt-5 pb-10 px-10 min-h-screen'>
-                <h1 className='lg:p-4 font-bold text-3xl pb-2'>My Portfolio</h1>
+                <div className='flex justify-between items-center lg:px-4'>
+                    <h1 className='lg:py-4 font-bold text-3xl pb-2'>My Portfolio</h1>
+                    {household?.status === 'active' && (
+                        <div className='flex rounded-md border-2 border-midnight-blue overflow-hidden'>
+                            {Object.entries(VIEWS).map(([key, label]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setView(key)}
+                                    className={`px-4 py-1 font-semibold ${view === key ? 'bg-glitter text-midnight-blue' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                {isHouseholdView && householdError && (
+                    <div className='bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded lg:mx-4'>
+                        {householdError}
+                    </div>
+                )}
 
                 {/* Grid Splits the screen into 3 */}
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 lg:p-4">
                     {/* The first column - takes up 2 columns on md and lg screens */}
                     <div className="md:col-span-2">
-                        <AccountCard />
+                        <AccountCard household={summary} />
                     </div>
 
                     {/* The second column - takes up 1 column in md and lg screeens */}
                     <div className="md:col-span-1">
-                        <InvestmentMix />
+                        <InvestmentMix household={summary} />
                     </div>
 
                     {/* The first column - takes up 2 columns on md and lg screens */}
                     <div className="md:col-span-2">
-                        <HoldingTable />
+                        <HoldingTable household={summary} />
                     </div>
 
                     {/* The second column - takes up 1 column in md and lg screeens */}
@@ -45,7 +104,7 @@ const Dashboard = () => {
                     </div>
                 </div>
             </div>
-        </>
+        </PersonalAccountOnly>
     )
 }
 
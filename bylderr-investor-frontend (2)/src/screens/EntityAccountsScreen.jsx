@@ -0,0 +1,18 @@
+import { useParams } from 'react-router-dom';
+import EntityAccountList from '../components/EntityAccounts/EntityAccountList';
+import EntityDetails from '../components/EntityAccounts/EntityDetails';
+import BackButton from '../components/BackButton';
+
+const EntityAccountsScreen = () => {
+    const { entityId } = useParams();
+
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <BackButton />
+            <h1 className="font-bold text-3xl pb-5">Joint &amp; Entity Accounts</h1>
+            {entityId ? <EntityDetails entityId={entityId} /> : <EntityAccountList />}
+        </div>
+    );
+};
+
+export default EntityAccountsScreen;
@@ -4,12 +4,14 @@ import {
     fetchUserProfileData as apiFetchUserProfileData,
     fetchListingsData as apiFetchListingsData,
 } from "../api/homeApi";
+import { fetchUnreadUpdates as apiFetchUnreadUpdates } from "../api/projectsApi";
+import { unreadUpdatesMockData } from "../mockData/projectUpdatesMockData";
 
 const mockListingsData = [
     { id: 1, to:"/profile", name: "Investment Update:", update: "Your portfolio increased by 5%." },
-    { id: 2, to:"/Listings/2", name: "New Opportunity:", update: "New Property available for investment." },
+    { id: 2, to:"/Listings/2", propertyId: "2", name: "New Opportunity:", update: "New Property available for investment." },
     { id: 3, to:"/account/payments", name: "Account Activity:", update: "$1,000 deposited into your account." },
-    { id: 4, to:"/Listings/1", name: "Investment Update:", update: "Property B met the fund goal." },
+    { id: 4, to:"/Listings/1", propertyId: "1", name: "Investment Update:", update: "Property B met the fund goal." },
 ];
 
 const mockProfileData = {
@@ -33,6 +35,8 @@ const mockFetchListingsData = () =>
         }, 500);
     });
 
+const mockFetchUnreadUpdates = () => Promise.resolve([...unreadUpdatesMockData]);
+
 const Home = () => {
     const [user, setUser] = useState(null);
     const [listings, setListings] = useState([]);
@@ -41,6 +45,8 @@ const Home = () => {
     const [loadingListings, setLoadingListings] = useState(true);
     const [errorProfile, setErrorProfile] = useState(null);
     const [errorListings, setErrorListings] = useState(null);
+    // Unread project update counts by property id
+    const [unreadUpdates, setUnreadUpdates] = useState({});
 
     const backgrounds = {
         hero: "https://media.gettyimages.com/id/1412803631/photo/guangzhou-cityscape-in-the-morning.jpg?s=2048x2048&w=gi&k=20&c=5mobv2lDeITCzYDBtUJ2l_hZZsK-aMGEhVgp9HGUXpg=",
@@ -52,6 +58,7 @@ const Home = () => {
 
     const fetchUserProfile = useMock ? mockFetchUserProfileData : apiFetchUserProfileData;
     const fetchListings = useMock ? mockFetchListingsData : apiFetchListingsData;
+    const fetchUnreadUpdates = useMock ? mockFetchUnreadUpdates : apiFetchUnreadUpdates;
 
     useEffect(() => {
         const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
@@ -94,9 +101,20 @@ const Home = () => {
             }
         };
 
+        // Badges are a nice-to-have; the cards still show without them
+        const getUnreadUpdates = async () => {
+            try {
+                const unread = await fetchUnreadUpdates();
+                setUnreadUpdates(Object.fromEntries(unread.map(({ project, count }) => [String(project), count])));
+            } catch (error) {
+                console.error("Error fetching unread updates:", error);
+            }
+        };
+
         getProfileData();
         getListingsData();
-    }, [fetchUserProfile, fetchListings]);
+        getUnreadUpdates();
+    }, [fetchUserProfile, fetchListings, fetchUnreadUpdates]);
 
     const isScrollable = listings.length > 4;
 
@@ -177,7 +195,14 @@ const Home = () => {
                                 >
                                     <div className="flex items-center justify-between">
                                         <div>
-                                            <h4 className="text-lg font-semibold">{listing.name}</h4>
+                                            <div className="flex items-center gap-2">
+                                                <h4 className="text-lg font-semibold">{listing.name}</h4>
+                                                {unreadUpdates[listing.propertyId] > 0 && (
+                                                    <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-500 text-white">
+                                                        {unreadUpdates[listing.propertyId]} new
+                                                    </span>
+                                                )}
+                                            </div>
                                             <p className="text-sm text-gray-600 dark:text-gray-400">
                                             Update: <span className="font-medium">{listing.update}</span>
                                             </p>
@@ -0,0 +1,14 @@
+import HouseholdManager from '../components/Household/HouseholdManager';
+import BackButton from '../components/BackButton';
+
+const HouseholdScreen = () => {
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <BackButton />
+            <h1 className="font-bold text-3xl pb-5">Household</h1>
+            <HouseholdManager />
+        </div>
+    );
+};
+
+export default HouseholdScreen;
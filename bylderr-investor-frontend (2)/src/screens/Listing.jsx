@@ -8,6 +8,7 @@ import CashAndFinancing from '../components/ListingsComponents/Listing/CashAndFi
 import Documents from '../components/ListingsComponents/Listing/Documents';
 import InvestCard from '../components/ListingsComponents/Listing/InvestCard';
 import OwnershipCard from '../components/ListingsComponents/Listing/OwnershipCard';
+import OrderBook from '../components/ListingsComponents/Listing/OrderBook';
 import ListingProgressBar from '../components/ListingsComponents/Listing/ListingProgressBar';
 import PriceActions from '../components/ListingsComponents/Listing/PriceAction';
 import SavePropertyButton from '../components/ListingsComponents/Listing/SavePropertyButton';
@@ -16,9 +17,15 @@ import { faUserGroup, faHouse } from '@fortawesome/free-solid-svg-icons';
 import { fetchListingById } from '../api/listingsApi';
 import { mockListings } from '../mockData/mockListings';
 import Comments from '../components/ListingsComponents/Listing/Comments';
+import ProjectUpdates from '../components/ListingsComponents/Listing/ProjectUpdates';
 import AdditionalPropertyDetails from '../components/ListingsComponents/Listing/AdditionalPropertyDetails';
 import LocationDetails from '../components/ListingsComponents/Listing/LocationDetails';
 import BackButton from '../components/BackButton';
+import { raiseState } from '../utils/raiseStatus';
+import useListingChannel from '../hooks/useListingChannel';
+import Can from '../components/Can';
+import AccreditationGate from '../components/Accreditation/AccreditationGate';
+import { PERMISSIONS } from '../auth/permissions';
 
 
 const Listing = () => {
@@ -86,6 +93,21 @@ const Listing = () => {
         fetchData();
     }, [propertyId]);
 
+    // Keep the raise progress and block price current while the page is open
+    useListingChannel(propertyId, {
+        funding: ({ fundingRaised, fundingGoal, fundingPercentage, status }) =>
+            setListing((prev) => prev && {
+                ...prev,
+                data: { ...prev.data, soldPercentage: Math.round(fundingPercentage) },
+                investData: { ...prev.investData, raised: fundingRaised, raiseTarget: fundingGoal, status },
+            }),
+        price: ({ pricePerBlock }) =>
+            setListing((prev) => prev && {
+                ...prev,
+                investData: { ...prev.investData, pricePerBlock },
+            }),
+    });
+
     const formatCurrency = (value) =>
         `${value.toLocaleString('en', {
             style: 'currency',
@@ -120,11 +142,18 @@ const Listing = () => {
                     </div>
                 )}
                 <div className='flex justify-between mb-10'>
-                    <h1 className="font-bold text-2xl text-gray-600">{data.name}</h1>
+                    <div className='flex items-center gap-3'>
+                        <h1 className="font-bold text-2xl text-gray-600">{data.name}</h1>
+                        {listing.accreditedOnly && (
+                            <span className="px-2 py-1 rounded-md text-xs font-semibold bg-indigo-100 text-midnight-blue">
+                                Accredited Only
+                            </span>
+                        )}
+                    </div>
                     <SavePropertyButton initialSave={data.initialSave} />
                 </div>
                 <div className="flex justify-between mt-2">
-                    <ListingProgressBar soldPercentage={data.soldPercentage} />
+                    <ListingProgressBar soldPercentage={data.soldPercentage} state={raiseState(listing.investData)} />
                     <PriceActions pricePerShare={listing.investData.pricePerBlock} />
                 </div>
                 <div className=''>
@@ -168,15 +197,27 @@ const Listing = () => {
                         />
 
                         {/* Pass the relevant data as props */}
-                        <DeveloperInfo developerInfo={listing.developerInfo} />
+                        <DeveloperInfo developerInfo={listing.developerInfo} project={{ id: listing.id, title: data.name }} />
                         <DividentInfo financialDetails={listing.financialDetails} />
 
                         <Documents documents={listing.documents} />
+                        <ProjectUpdates propertyId={listing.id} />
                         <Comments listingId={listing.id} />
                     </div>
                     <div className="pt-20">
-                        <InvestCard investData={listing.investData} />
-                        <OwnershipCard ownershipData={listing.ownershipData} />
+                        <Can permission={PERMISSIONS.INVESTMENTS_CREATE}>
+                            {listing.accreditedOnly ? (
+                                <AccreditationGate>
+                                    <InvestCard investData={listing.investData} />
+                                </AccreditationGate>
+                            ) : (
+                                <InvestCard investData={listing.investData} />
+                            )}
+                        </Can>
+                        <Can permission={PERMISSIONS.INVESTMENTS_SELL}>
+                            <OwnershipCard ownershipData={listing.ownershipData} propertyId={listing.id} />
+                        </Can>
+                        <OrderBook propertyId={listing.id} />
                     </div>
                 </div>
             </div>
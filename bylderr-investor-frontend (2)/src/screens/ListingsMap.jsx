@@ -1,139 +1,100 @@
-import React, { useState, useEffect } from 'react';
-import { fetchListings } from '../api/listingsApi';
+import { useState, useMemo, useRef, useEffect } from 'react';
+import useListingsSearch from '../hooks/useListingsSearch';
 import MapBox from '../components/ListingsComponents/MapBox';
 import ListingsGrid from '../components/ListingsComponents/ListingsGrid';
 import SearchFilter from '../components/ListingsComponents/SearchFilter';
 import MapViewButton from '../components/ListingsComponents/MapViewButton';
-import { listingsMockData } from '../mockData/listingsMockData';
+import SaveSearchButton from '../components/ListingsComponents/SaveSearchButton';
+
+// Enough to fill the map at once; the list still pages in the rest
+const MAP_PAGE_SIZE = 100;
+
+// Wait for the map to settle before searching the new viewport
+const BOUNDS_DEBOUNCE_MS = 400;
+
+const drawHints = {
+    polygon: 'Click to add points, double-click to finish the area.',
+    radius: 'Click the centre, then click again to set the radius.',
+};
 
 /**
  * ListingsMap Component
  * Displays a map with listings and a grid of property listings with search filters.
+ * Results follow the map viewport unless the user draws a search area.
  */
 const ListingsMap = () => {
     // State for map coordinates
-    const [coordinates, setCoordinates] = useState({ lng: -100, lat: 38.5, zoom: 3 });
-
-    // State variables for filters and data
-    const [location, setLocation] = useState('');
-    const [priceRange, setPriceRange] = useState({ min: 0, max: Infinity });
-    const [roiRange, setRoiRange] = useState({ min: 0, max: Infinity });
-    const [propertyTypes, setPropertyTypes] = useState(0);
-    const [listings, setListings] = useState([]);
-    const [status, setStatus] = useState('idle');
-    const [error, setError] = useState(null);
-
-    /**
-     * Fetch listings from the API or use mock data in case of an error.
-     */
-    const fetchListingsData = async () => {
-        setStatus('loading');
-        setError(null);
-
-        try {
-            const filters = {
-                location,
-                minPrice: priceRange.min,
-                maxPrice: priceRange.max,
-                minROI: roiRange.min,
-                maxROI: roiRange.max,
-                propertyTypes,
-            };
-
-            // Make API request
-            const response = await fetchListings(filters);
-
-            // Validate response
-            if (response.data && Array.isArray(response.data.listings)) {
-                setListings(response.data.listings);
-                setStatus('succeeded');
-            } else {
-                throw new Error('Invalid data format received from the server.');
-            }
-        } catch (err) {
-            console.error('Error fetching listings:', err);
-
-            // Handle error by using mock data
-            setError('Failed to fetch listings. Using mock data.');
-            let filteredData = listingsMockData;
-
-            // Apply filters to the mock data
-            if (location) {
-                filteredData = filteredData.filter((property) =>
-                    property.location.toLowerCase().includes(location.toLowerCase())
-                );
-            }
-
-            if (typeof priceRange.min === 'number' && typeof priceRange.max === 'number') {
-                filteredData = filteredData.filter((property) => {
-                    const investmentValue = parseFloat(
-                        String(property.estimate).replace(/[\$,]/g, '')
-                    );
-                    return (
-                        !isNaN(investmentValue) &&
-                        investmentValue >= priceRange.min &&
-                        investmentValue <= priceRange.max
-                    );
-                });
-            }
-
-            if (typeof roiRange.min === 'number' && typeof roiRange.max === 'number') {
-                filteredData = filteredData.filter((property) => {
-                    const roiValue = parseFloat(property.roi);
-                    return (
-                        !isNaN(roiValue) &&
-                        roiValue >= roiRange.min &&
-                        roiValue <= roiRange.max
-                    );
-                });
-            }
-
-            if (propertyTypes && propertyTypes !== 0) {
-                const propertyTypeMap = {
-                    Industrial: 1,
-                    Medical: 2,
-                    Hospitality: 4,
-                    Office: 8,
-                    Retail: 16,
-                    SingleFamily: 32,
-                    Multifamily: 64,
-                    Construction: 128,
-                    Land: 256,
-                };
-
-                filteredData = filteredData.filter((property) => {
-                    const propertyTypeBit = propertyTypeMap[property.realType];
-                    return (
-                        propertyTypeBit !== undefined &&
-                        (propertyTypes & propertyTypeBit) === propertyTypeBit
-                    );
-                });
-            }
-
-            setListings(filteredData);
-            setStatus('succeeded');
-        }
+    const [coordinates] = useState({ lng: -100, lat: 38.5, zoom: 3 });
+    const [viewportBbox, setViewportBbox] = useState(null);
+    const [drawMode, setDrawMode] = useState(null);
+    const [drawnArea, setDrawnArea] = useState(null);
+
+    const area = drawnArea || (viewportBbox ? { type: 'bbox', bbox: viewportBbox } : null);
+
+    const boundsTimerRef = useRef(null);
+    const handleBoundsChange = (bbox) => {
+        clearTimeout(boundsTimerRef.current);
+        boundsTimerRef.current = setTimeout(() => setViewportBbox(bbox), BOUNDS_DEBOUNCE_MS);
+    };
+    useEffect(() => () => clearTimeout(boundsTimerRef.current), []);
+
+    const {
+        filters,
+        updateFilters,
+        listings,
+        status,
+        error,
+        hasMore,
+        isLoadingMore,
+        loadMore,
+        total,
+    } = useListingsSearch({ limit: MAP_PAGE_SIZE, area });
+
+    const addresses = useMemo(
+        () =>
+            listings.map((listing) => ({
+                id: listing.propertyId,
+                title: listing.title,
+                location: listing.location,
+                roi: listing.roi,
+                estimate: listing.estimate,
+                investment: listing.investment,
+                imgSrc: listing.imgSrc,
+                lng: listing.longitude,
+                lat: listing.latitude,
+            })),
+        [listings]
+    );
+
+    const handleAreaDrawn = (newArea) => {
+        setDrawnArea(newArea);
+        setDrawMode(null);
     };
 
-    // Trigger fetchListings when filters change
-    useEffect(() => {
-        fetchListingsData();
-    }, [location, priceRange, propertyTypes, roiRange]);
+    const toggleDrawMode = (mode) => setDrawMode((current) => (current === mode ? null : mode));
+
+    const clearArea = () => {
+        setDrawnArea(null);
+        setDrawMode(null);
+    };
 
     // Handlers for filter changes
-    const handleLocationChange = (newLocation) => setLocation(newLocation);
-    const handlePriceRangeChange = (min, max) => setPriceRange({ min, max });
-    const handleROIPriceChange = (min, max) => setRoiRange({ min, max });
-    const handlePropertyTypeChange = (selectedBitmask) => setPropertyTypes(selectedBitmask);
+    const handleLocationChange = (newLocation) => updateFilters({ location: newLocation });
+    const handlePriceRangeChange = (min, max) => updateFilters({ minPrice: min, maxPrice: max });
+    const handleROIPriceChange = (min, max) => updateFilters({ minROI: min, maxROI: max });
+    const handlePropertyTypeChange = (selectedBitmask) => updateFilters({ propertyTypes: selectedBitmask });
+    const handleSortChange = (sort) => updateFilters({ sort });
 
     return (
         <div className="flex flex-col h-screen bg-white">
             {/* Search Filter */}
             <SearchFilter
+                filters={filters}
                 onLocationChange={handleLocationChange}
                 onPriceRangeChange={handlePriceRangeChange}
                 onROIPriceChange={handleROIPriceChange}
                 onPropertyTypeChange={handlePropertyTypeChange}
+                onSortChange={handleSortChange}
             />
 
             {/* Title and Map View Button */}
@@ -141,7 +102,8 @@ const ListingsMap = () => {
                 <h1 className="font-bold lg:text-2xl sm:text-sm">
                     Explore Opportunities
                 </h1>
-                <div className="hidden sm:block">
+                <div className="hidden sm:flex">
+                    <SaveSearchButton filters={filters} />
                     <MapViewButton />
                 </div>
             </div>
@@ -158,22 +120,55 @@ const ListingsMap = () => {
             {/* Main Content Area */}
             <div className="flex flex-1 overflow-hidden px-10">
                 {/* MapBox Component */}
-                <div className="w-1/2 h-full mx-4">
+                <div className="w-1/2 h-full mx-4 flex flex-col">
+                    {/* Search Area Tools */}
+                    <div className="flex items-center space-x-2 mb-2 text-sm">
+                        <button
+                            onClick={() => toggleDrawMode('polygon')}
+                            className={`px-3 py-1 rounded-md border ${drawMode === 'polygon'
+                                ? 'text-midnight-blue font-bold bg-glitter border-midnight-blue'
+                                : 'text-gray-600 border-gray-300 hover:text-midnight-blue'
+                                }`}
+                        >
+                            Draw Area
+                        </button>
+                        <button
+                            onClick={() => toggleDrawMode('radius')}
+                            className={`px-3 py-1 rounded-md border ${drawMode === 'radius'
+                                ? 'text-midnight-blue font-bold bg-glitter border-midnight-blue'
+                                : 'text-gray-600 border-gray-300 hover:text-midnight-blue'
+                                }`}
+                        >
+                            Radius
+                        </button>
+                        {(drawnArea || drawMode) && (
+                            <button
+                                onClick={clearArea}
+                                className="px-3 py-1 rounded-md border border-gray-300 text-gray-600 hover:text-midnight-blue"
+                            >
+                                {drawnArea ? 'Clear Area' : 'Cancel'}
+                            </button>
+                        )}
+                        <span className="text-gray-500">
+                            {drawMode
+                                ? drawHints[drawMode]
+                                : `${total} listings in ${drawnArea ? 'this area' : 'view'}`}
+                        </span>
+                        {!drawMode && listings.length < total && (
+                            <span className="text-yellow-700">
+                                The map shows {listings.length} of them; zoom in or scroll the list to see more.
+                            </span>
+                        )}
+                    </div>
                     <MapBox
                         lng={coordinates.lng}
                         lat={coordinates.lat}
                         zoom={coordinates.zoom}
-                        addresses={listings.map((listing) => ({
-                            id: listing.propertyId,
-                            title: listing.title,
-                            location: listing.location,
-                            roi: listing.roi,
-                            estimate: listing.estimate,
-                            investment: listing.investment,
-                            imgSrc: listing.imgSrc,
-                            lng: listing.longitude,
-                            lat: listing.latitude,
-                        }))}
+                        addresses={addresses}
+                        onBoundsChange={handleBoundsChange}
+                        drawMode={drawMode}
+                        searchArea={drawnArea}
+                        onAreaDrawn={handleAreaDrawn}
                     />
                 </div>
 
@@ -185,6 +180,9 @@ const ListingsMap = () => {
                         error={error}
                         size="xs"
                         threeCol={false}
+                        hasMore={hasMore}
+                        isLoadingMore={isLoadingMore}
+                        onLoadMore={loadMore}
                     />
                 </div>
             </div>
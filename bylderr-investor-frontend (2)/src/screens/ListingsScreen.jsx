@@ -1,9 +1,8 @@
-import React, { useState, useEffect } from 'react';
-import { fetchListings } from '../api/listingsApi';
+import useListingsSearch from '../hooks/useListingsSearch';
 import SearchFilter from '../components/ListingsComponents/SearchFilter';
 import ListingsGrid from '../components/ListingsComponents/ListingsGrid';
-import { listingsMockData } from '../mockData/listingsMockData';
 import MapViewButton from '../components/ListingsComponents/MapViewButton';
+import SaveSearchButton from '../components/ListingsComponents/SaveSearchButton';
 
 
 /**
@@ -12,180 +11,40 @@ import MapViewButton from '../components/ListingsComponents/MapViewButton';
  */
 
 const ListingsScreen = () => {
-    // State variables for filters and data
-    const [location, setLocation] = useState(''); // Location filter
-    const [priceRange, setPriceRange] = useState({ min: 0, max: Infinity }); // Price range filter
-    const [roiRange, setRoiRange] = useState({ min: 0, max: Infinity }); // ROI range filter
-    const [propertyTypes, setPropertyTypes] = useState(0); // Bitmask for property types
-    const [listings, setListings] = useState([]); // Fetched or filtered listings
-    const [status, setStatus] = useState('idle'); // Loading state: 'idle', 'loading', 'succeeded', 'failed', 'mock'
-    const [error, setError] = useState(null); // Error state
-
-    /**
-     * Fetch listings from the API or use mock data in case of an error.
-     */
-    const fetchListingsData = async () => {
-        setStatus('loading');
-        setError(null);
-        if (import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock') {
-            let filteredData = listingsMockData;
-
-            // Apply filters
-            if (location) {
-                filteredData = filteredData.filter((property) =>
-                    property.location.toLowerCase().includes(location.toLowerCase())
-                );
-            }
-
-            if (typeof priceRange.min === 'number' && typeof priceRange.max === 'number') {
-                filteredData = filteredData.filter((property) => {
-                    const investmentValue = parseFloat(property.estimate);
-                    return (
-                        !isNaN(investmentValue) &&
-                        investmentValue >= priceRange.min &&
-                        investmentValue <= priceRange.max
-                    );
-                });
-            }
-
-            if (typeof roiRange.min === 'number' && typeof roiRange.max === 'number') {
-                filteredData = filteredData.filter((property) => {
-                    const roiValue = parseFloat(property.roi);
-                    return (
-                        !isNaN(roiValue) &&
-                        roiValue >= roiRange.min &&
-                        roiValue <= roiRange.max
-                    );
-                });
-            }
-
-            if (propertyTypes && propertyTypes !== 0) {
-                const propertyTypeMap = {
-                    Industrial: 1,
-                    Medical: 2,
-                    Hospitality: 4,
-                    Office: 8,
-                    Retail: 16,
-                    SingleFamily: 32,
-                    Multifamily: 64,
-                    Construction: 128,
-                    Land: 256,
-                };
-
-                filteredData = filteredData.filter((property) => {
-                    const propertyTypeBit = propertyTypeMap[property.realType];
-                    return (
-                        propertyTypeBit !== undefined &&
-                        (propertyTypes & propertyTypeBit) === propertyTypeBit
-                    );
-                });
-            }
-
-            setListings(filteredData);
-            setStatus('succeeded');
-        } else {
-            try {
-                const filters = {
-                    location,
-                    minPrice: priceRange.min,
-                    maxPrice: priceRange.max,
-                    minROI: roiRange.min,
-                    maxROI: roiRange.max,
-                    propertyTypes,
-                };
-                const response = await fetchListings(filters);
-
-                if (response.data && Array.isArray(response.data.listings)) {
-                    setListings(response.data.listings);
-                    setStatus('succeeded');
-                } else {
-                    throw new Error('Invalid data format received from the server.');
-                }
-            } catch (error) {
-                console.error('Error fetching listings:', error.message);
-                setError('Failed to fetch listings. Using mock data.');
-                let filteredData = listingsMockData;
-
-                // Apply filters
-                if (location) {
-                    filteredData = filteredData.filter((property) =>
-                        property.location.toLowerCase().includes(location.toLowerCase())
-                    );
-                }
-
-                if (typeof priceRange.min === 'number' && typeof priceRange.max === 'number') {
-                    filteredData = filteredData.filter((property) => {
-                        const investmentValue = parseFloat(property.estimate);
-                        return (
-                            !isNaN(investmentValue) &&
-                            investmentValue >= priceRange.min &&
-                            investmentValue <= priceRange.max
-                        );
-                    });
-                }
-
-                if (typeof roiRange.min === 'number' && typeof roiRange.max === 'number') {
-                    filteredData = filteredData.filter((property) => {
-                        const roiValue = parseFloat(property.roi);
-                        return (
-                            !isNaN(roiValue) &&
-                            roiValue >= roiRange.min &&
-                            roiValue <= roiRange.max
-                        );
-                    });
-                }
-
-                if (propertyTypes && propertyTypes !== 0) {
-                    const propertyTypeMap = {
-                        Industrial: 1,
-                        Medical: 2,
-                        Hospitality: 4,
-                        Office: 8,
-                        Retail: 16,
-                        SingleFamily: 32,
-                        Multifamily: 64,
-                        Construction: 128,
-                        Land: 256,
-                    };
-
-                    filteredData = filteredData.filter((property) => {
-                        const propertyTypeBit = propertyTypeMap[property.realType];
-                        return (
-                            propertyTypeBit !== undefined &&
-                            (propertyTypes & propertyTypeBit) === propertyTypeBit
-                        );
-                    });
-                }
-
-                setListings(filteredData);
-                setStatus('succeeded');
-            }
-        }
-    };
-
-    useEffect(() => {
-        fetchListingsData();
-    }, [location, priceRange, propertyTypes, roiRange]);
-
-    const handleLocationChange = (newLocation) => setLocation(newLocation);
-    const handlePriceRangeChange = (min, max) => setPriceRange({ min, max });
-    const handleROIPriceChange = (min, max) => setRoiRange({ min, max });
-    const handlePropertyTypeChange = (selectedBitmask) => setPropertyTypes(selectedBitmask);
+    const {
+        filters,
+        updateFilters,
+        listings,
+        status,
+        error,
+        hasMore,
+        isLoadingMore,
+        loadMore,
+    } = useListingsSearch();
+
+    const handleLocationChange = (newLocation) => updateFilters({ location: newLocation });
+    const handlePriceRangeChange = (min, max) => updateFilters({ minPrice: min, maxPrice: max });
+    const handleROIPriceChange = (min, max) => updateFilters({ minROI: min, maxROI: max });
+    const handlePropertyTypeChange = (selectedBitmask) => updateFilters({ propertyTypes: selectedBitmask });
+    const handleSortChange = (sort) => updateFilters({ sort });
 
     return (
         <div className="h-screen overflow-auto">
             {/* Search Filter */}
             <SearchFilter
+                filters={filters}
                 onLocationChange={handleLocationChange}
                 onPriceRangeChange={handlePriceRangeChange}
                 onPropertyTypeChange={handlePropertyTypeChange}
                 onROIPriceChange={handleROIPriceChange}
+                onSortChange={handleSortChange}
             />
 
             {/* Title and Map View Button */}
             <div className="flex justify-between px-5 pt-5">
                 <h1 className="font-bold lg:text-2xl sm:text-sm">Explore Opportunities</h1>
-                <div className="hidden sm:block">
+                <div className="hidden sm:flex">
+                    <SaveSearchButton filters={filters} />
                     <MapViewButton />
                 </div>
             </div>
@@ -199,7 +58,14 @@ const ListingsScreen = () => {
 
             {/* Listings Grid */}
             <div className="flex-1 overflow-y-auto">
-                <ListingsGrid listings={listings} status={status} error={error} />
+                <ListingsGrid
+                    listings={listings}
+                    status={status}
+                    error={error}
+                    hasMore={hasMore}
+                    isLoadingMore={isLoadingMore}
+                    onLoadMore={loadMore}
+                />
             </div>
         </div>
     );
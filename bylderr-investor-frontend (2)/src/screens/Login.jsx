@@ -1,33 +1,49 @@
 import React, { useState } from 'react';
-import { useAuth } from '../../contexts/AuthContext';
-import { useNavigate, Link } from 'react-router-dom';
+import { useAuth, TWO_FACTOR_REQUIRED } from '../../contexts/AuthContext';
+import { Link } from 'react-router-dom';
 import logo from '../assets/BYLDERR_img.png';
+import TwoFactorCodeForm from '../components/TwoFactor/TwoFactorCodeForm';
 
 
 const LoginPage = () => {
-    const { login, role } = useAuth();
-    const navigate = useNavigate();
+    const { login, verifyTwoFactor, cancelTwoFactor } = useAuth();
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [userType, setUserType] = useState('investor');
+    const [isTwoFactorStep, setIsTwoFactorStep] = useState(false);
+    const [isVerifying, setIsVerifying] = useState(false);
 
     const handleLogin = async (e) => {
         e.preventDefault();
         setError('');
 
         const success = await login(username, password);
-        if (success) {
-            if (role === 'developer') {
-                navigate('/developer-dashboard');
-            } else if (role === 'investor') {
-                navigate('/investor-dashboard');
-            }
-        } else {
+        // Once signed in, PublicRoute sends the user on to their role's home page
+        if (success === TWO_FACTOR_REQUIRED) {
+            setIsTwoFactorStep(true);
+        } else if (!success) {
             setError('Invalid username or password');
         }
     };
 
+    const handleTwoFactor = async (code) => {
+        setError('');
+        setIsVerifying(true);
+        const success = await verifyTwoFactor(code);
+        setIsVerifying(false);
+        if (!success) {
+            setError('That code did not work. Please try again.');
+        }
+    };
+
+    const handleBackToLogin = () => {
+        cancelTwoFactor();
+        setIsTwoFactorStep(false);
+        setPassword('');
+        setError('');
+    };
+
     return (
         <div className="relative w-full h-screen">
             <img src={logo} alt="Logo" className="absolute top-1 left-4 w-40 h-auto" />
@@ -41,31 +57,49 @@ const LoginPage = () => {
                         <h2 className="text-2xl font-bold text-center mb-6">
                             {userType === 'developer' ? 'Developer Login' : 'Investor Login'}
                         </h2>
-                        {error && <p className="text-red-500 text-center mb-4">{error}</p>}
-                        <form onSubmit={handleLogin}>
-                            <input
-                                type="text"
-                                placeholder="Username"
-                                value={username}
-                                onChange={(e) => setUsername(e.target.value)}
-                                className="border border-gray-300 p-2 rounded mb-4 w-full"
-                                required
-                            />
-                            <input
-                                type="password"
-                                placeholder="Password"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
-                                className="border border-gray-300 p-2 rounded mb-4 w-full"
-                                required
-                            />
-                            <button
-                                type="submit"
-                                className="w-full py-2 text-white bg-midnight-blue rounded-full hover:bg-blue-700"
-                            >
-                                Log In
-                            </button>
-                        </form>
+                        {isTwoFactorStep ? (
+                            <>
+                                <p className="text-gray-600 text-center mb-4">
+                                    Enter the code from your authenticator app to finish logging in.
+                                </p>
+                                <TwoFactorCodeForm onSubmit={handleTwoFactor} isLoading={isVerifying} error={error} />
+                                <button
+                                    type="button"
+                                    onClick={handleBackToLogin}
+                                    className="w-full text-sm text-gray-500 hover:underline mt-2"
+                                >
+                                    Back to login
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+                                <form onSubmit={handleLogin}>
+                                    <input
+                                        type="email"
+                                        placeholder="Email"
+                                        value={username}
+                                        onChange={(e) => setUsername(e.target.value)}
+                                        className="border border-gray-300 p-2 rounded mb-4 w-full"
+                                        required
+                                    />
+                                    <input
+                                        type="password"
+                                        placeholder="Password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        className="border border-gray-300 p-2 rounded mb-4 w-full"
+                                        required
+                                    />
+                                    <button
+                                        type="submit"
+                                        className="w-full py-2 text-white bg-midnight-blue rounded-full hover:bg-blue-700"
+                                    >
+                                        Log In
+                                    </button>
+                                </form>
+                            </>
+                        )}
                         <div className="text-center mt-4">
                             <p className="text-sm text-gray-600">
                                 {userType === 'investor' ? (
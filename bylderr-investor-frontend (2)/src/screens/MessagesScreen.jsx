@@ -0,0 +1,12 @@
+import Inbox from '../components/Messages/Inbox';
+
+const MessagesScreen = () => {
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <h1 className="font-bold text-3xl pb-5">Messages</h1>
+            <Inbox />
+        </div>
+    );
+};
+
+export default MessagesScreen;
@@ -1,15 +1,15 @@
 import React from 'react'
-import MyProperties from './MyProperties'
+import MyProperties from '../components/DeveloperPortal/MyProperties'
 
 const MyListings = () => {
     return (
         <>
             <div className="p-6">
-                <h1 className="text-3xl font-bold">My Listings</h1>
+                <h1 className="text-3xl font-bold pb-5">My Listings</h1>
                 <MyProperties/>
             </div>
         </>
     )
 }
 
-export default MyListings
\ No newline at end of file
+export default MyListings
@@ -0,0 +1,14 @@
+import OpenOrders from '../components/AccountComponents/OpenOrders';
+import BackButton from '../components/BackButton';
+
+const OpenOrdersScreen = () => {
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <BackButton />
+            <h1 className="font-bold text-3xl pb-5">Open Orders</h1>
+            <OpenOrders />
+        </div>
+    );
+};
+
+export default OpenOrdersScreen;
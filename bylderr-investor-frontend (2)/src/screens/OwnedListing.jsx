@@ -8,12 +8,17 @@ import CashAndFinancing from '../components/ListingsComponents/Listing/CashAndFi
 import Documents from '../components/ListingsComponents/Listing/Documents';
 import InvestCard from '../components/ListingsComponents/Listing/InvestCard';
 import OwnershipCard from '../components/ListingsComponents/Listing/OwnershipCard';
+import OrderBook from '../components/ListingsComponents/Listing/OrderBook';
+import ProjectUpdates from '../components/ListingsComponents/Listing/ProjectUpdates';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faUserGroup, faHouse } from '@fortawesome/free-solid-svg-icons';
 import { fetchOwnedListingById } from '../api/listingsApi';
 
 import { mockListings } from '../mockData/mockListings';
 import BackButton from '../components/BackButton';
+import Can from '../components/Can';
+import AccreditationGate from '../components/Accreditation/AccreditationGate';
+import { PERMISSIONS } from '../auth/permissions';
 
 const OwnedListing = () => {
     const { propertyId } = useParams();
@@ -130,14 +135,26 @@ const OwnedListing = () => {
                             height={'300px'}
                         />
 
-                        <DeveloperInfo developerInfo={listing.developerInfo} />
+                        <DeveloperInfo developerInfo={listing.developerInfo} project={{ id: listing.id, title: data.name }} />
                         <DividentInfo dividendInfo={listing.dividendInfo} />
                         <CashAndFinancing cashAndFinancing={listing.cashAndFinancing} />
                         <Documents documents={listing.documents} />
+                        <ProjectUpdates propertyId={listing.id} />
                     </div>
                     <div className="pt-20">
-                        <InvestCard investData={listing.investData} />
-                        <OwnershipCard ownershipData={listing.ownershipData} />
+                        <Can permission={PERMISSIONS.INVESTMENTS_CREATE}>
+                            {listing.accreditedOnly ? (
+                                <AccreditationGate>
+                                    <InvestCard investData={listing.investData} />
+                                </AccreditationGate>
+                            ) : (
+                                <InvestCard investData={listing.investData} />
+                            )}
+                        </Can>
+                        <Can permission={PERMISSIONS.INVESTMENTS_SELL}>
+                            <OwnershipCard ownershipData={listing.ownershipData} propertyId={listing.id} />
+                        </Can>
+                        <OrderBook propertyId={listing.id} />
                     </div>
                 </div>
             </div>
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import BackButton from '../components/BackButton';
+import ProjectWizard from '../components/DeveloperPortal/ProjectWizard';
+import { fetchProject } from '../api/projectsApi';
+import { developerProjectsMockData } from '../mockData/developerProjectsMockData';
+import { emptyProject, fromProject } from '../utils/projectDraft';
+
+// Creates a project at /developer/projects/new and edits one at /developer/projects/:projectId/edit
+const ProjectEditor = () => {
+    const { projectId } = useParams();
+    const [initialForm, setInitialForm] = useState(projectId ? null : emptyProject);
+    const [error, setError] = useState(null);
+
+    const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == 'mock';
+
+    useEffect(() => {
+        if (!projectId) return;
+
+        const findMockProject = () =>
+            developerProjectsMockData.find((project) => project._id === projectId) || developerProjectsMockData[0];
+
+        const loadProject = async () => {
+            setError(null);
+            if (isMockMode) {
+                setInitialForm(fromProject(findMockProject()));
+                return;
+            }
+            try {
+                setInitialForm(fromProject(await fetchProject(projectId)));
+            } catch (err) {
+                console.error('Error fetching project:', err.message);
+                setError('Failed to load this project. Showing sample data.');
+                setInitialForm(fromProject(findMockProject()));
+            }
+        };
+
+        loadProject();
+    }, [projectId, isMockMode]);
+
+    return (
+        <div className="px-10 pt-5 min-h-screen">
+            <BackButton />
+            <h1 className="font-bold text-3xl pb-5">{projectId ? 'Edit Project' : 'New Project'}</h1>
+            {error && (
+                <div className="bg-yellow-50 border border-yellow-500 text-yellow-700 p-2 rounded mb-4">
+                    {error}
+                </div>
+            )}
+            {initialForm ? (
+                <ProjectWizard key={projectId || 'new'} initialForm={initialForm} />
+            ) : (
+                <div>Loading project...</div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectEditor;
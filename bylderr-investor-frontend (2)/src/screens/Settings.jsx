@@ -4,6 +4,8 @@ import InvestmentSettings from "../components/SettingsComponents/InvestmentSetti
 import NotificationSettings from "../components/SettingsComponents/NotificationSettings";
 import SecuritySettings from "../components/SettingsComponents/SecuritySettings";
 import SubscriptionSettings from "../components/SettingsComponents/SubscriptionSettings";
+import SavedSearchesSettings from "../components/SettingsComponents/SavedSearchesSettings";
+import AccreditationCenter from "../components/Accreditation/AccreditationCenter";
 
 const Settings = ({ startTab }) => {
     const [activeTab, setActiveTab] = useState(startTab);
@@ -20,6 +22,10 @@ const Settings = ({ startTab }) => {
                 return <SecuritySettings />;
             case "subscription":
                 return <SubscriptionSettings />;
+            case "searches":
+                return <SavedSearchesSettings />;
+            case "accreditation":
+                return <AccreditationCenter />;
             default:
                 return null;
         }
@@ -38,7 +44,7 @@ const Settings = ({ startTab }) => {
             {/* Tabs */}
             <div className="bg-white border-t">
                 <div className="flex justify-center space-x-6 border-b overflow-x-auto flex-wrap md:flex-nowrap px-4">
-                    {["account", "investment", "notifications", "security", "subscription"].map((tab) => (
+                    {["account", "investment", "accreditation", "notifications", "searches", "security", "subscription"].map((tab) => (
                         <button
                             key={tab}
                             onClick={() => setActiveTab(tab)}
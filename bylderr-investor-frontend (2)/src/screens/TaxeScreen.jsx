@@ -1,10 +1,13 @@
 import React from 'react'
 import TaxCenter from '../components/TaxComponents/TaxCenter'
+import PersonalAccountOnly from '../components/PersonalAccountOnly'
 
 const TaxeScreen = () => {
   return (
     <div>
-      <TaxCenter/>
+      <PersonalAccountOnly title='Tax Center'>
+        <TaxCenter/>
+      </PersonalAccountOnly>
     </div>
   )
 }
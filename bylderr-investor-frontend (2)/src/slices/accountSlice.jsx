@@ -0,0 +1,102 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { fetchEntities } from '../api/entityApi';
+import { entitiesMockData } from '../mockData/entityMockData';
+import { logout, sessionExpired } from './authSlice';
+import { getActiveAccountId, setActiveAccountId, PERSONAL_ACCOUNT_ID } from '../utils/activeAccount';
+
+// The entity accounts the signed-in investor can act for, and which account they are acting
+// for: PERSONAL_ACCOUNT_ID or an entity id. The API is told through utils/activeAccount.
+
+const isMockMode = import.meta.env.VITE_REACT_APP_AUTH_MODE == "mock";
+
+// GET /entities for the mock data: the entities the user is an authorized user of
+const mockAccounts = (userId) =>
+    entitiesMockData
+        .filter((entity) => entity.authorizedUsers.some((member) => member.id === userId))
+        .map(({ id, name, type, status, authorizedUsers }) => ({
+            id,
+            name,
+            type,
+            status,
+            permissions: authorizedUsers.find((member) => member.id === userId).permissions,
+        }));
+
+export const loadAccounts = createAsyncThunk(
+    'accounts/load',
+    async (_, { getState, rejectWithValue }) => {
+        try {
+            const accounts = isMockMode ? mockAccounts(getState().auth.user?.id) : await fetchEntities();
+            // Access to the entity last acted for may have been removed since
+            if (!accounts.some((account) => account.id === getActiveAccountId())) {
+                setActiveAccountId(PERSONAL_ACCOUNT_ID);
+            }
+            return accounts;
+        } catch (err) {
+            return rejectWithValue(err.response?.data?.error || err.message);
+        }
+    }
+);
+
+// Act for an entity, or for yourself with PERSONAL_ACCOUNT_ID
+export const switchAccount = (accountId) => (dispatch) => {
+    setActiveAccountId(accountId);
+    dispatch(accountSwitched(accountId));
+};
+
+const initialState = {
+    accounts: [],
+    activeAccountId: getActiveAccountId(),
+    status: 'idle',
+    error: null,
+};
+
+const accountSlice = createSlice({
+    name: 'accounts',
+    initialState,
+    reducers: {
+        accountSwitched: (state, action) => {
+            state.activeAccountId = action.payload;
+        },
+        // An entity was created or changed, e.g. renamed, from Entity Accounts
+        accountUpdated: (state, action) => {
+            const { id, name, type, status, permissions } = action.payload;
+            const account = { id, name, type, status, permissions };
+            const index = state.accounts.findIndex((item) => item.id === id);
+            if (index === -1) {
+                state.accounts.push(account);
+            } else {
+                state.accounts[index] = account;
+            }
+        },
+        // The user no longer has access, e.g. after leaving the entity
+        accountRemoved: (state, action) => {
+            state.accounts = state.accounts.filter((account) => account.id !== action.payload);
+        },
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(loadAccounts.pending, (state) => {
+                state.status = 'loading';
+                state.error = null;
+            })
+            .addCase(loadAccounts.fulfilled, (state, action) => {
+                state.status = 'succeeded';
+                state.accounts = action.payload;
+                state.activeAccountId = getActiveAccountId();
+            })
+            .addCase(loadAccounts.rejected, (state, action) => {
+                state.status = 'failed';
+                state.error = action.payload;
+            })
+            .addCase(logout.pending, () => ({ ...initialState, activeAccountId: PERSONAL_ACCOUNT_ID }))
+            .addCase(sessionExpired, () => ({ ...initialState, activeAccountId: PERSONAL_ACCOUNT_ID }));
+    },
+});
+
+// The entity being acted for, with the user's permissions on it, or null when acting for yourself
+export const selectActiveAccount = (state) =>
+    state.accounts.accounts.find((account) => account.id === state.accounts.activeAccountId) || null;
+
+export const { accountSwitched, accountUpdated, accountRemoved } = accountSlice.actions;
+
+export default accountSlice.reducer;
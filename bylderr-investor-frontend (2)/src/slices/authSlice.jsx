@@ -1,29 +1,120 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import authProvider from '../auth';
+import { normalizeRole } from '../auth/permissions';
+import { clearActiveAccountId } from '../utils/activeAccount';
+
+// The one place the app keeps who is signed in. `useAuth` reads from here.
+// status: restoring | unauthenticated | twoFactor | authenticated
+
+const errorMessage = (err) => err.response?.data?.error || err.message || 'Something went wrong';
+
+export const restoreSession = createAsyncThunk('auth/restoreSession', () => authProvider.restoreSession());
+
+export const login = createAsyncThunk(
+    'auth/login',
+    async ({ email, password }, { rejectWithValue }) => {
+        try {
+            return await authProvider.login({ email, password });
+        } catch (err) {
+            return rejectWithValue(errorMessage(err));
+        }
+    }
+);
+
+export const verifyTwoFactor = createAsyncThunk(
+    'auth/verifyTwoFactor',
+    async (code, { getState, rejectWithValue }) => {
+        try {
+            return await authProvider.verifyTwoFactor(getState().auth.challengeToken, code);
+        } catch (err) {
+            return rejectWithValue(errorMessage(err));
+        }
+    }
+);
+
+export const logout = createAsyncThunk('auth/logout', async () => {
+    // The next user to sign in on this tab starts on their own account
+    clearActiveAccountId();
+    try {
+        await authProvider.logout();
+    } catch (err) {
+        // Signed out locally either way
+        console.error('Logout request failed:', err.message);
+    }
+});
 
 const initialState = {
-    isAuthenticated: false,
+    status: 'restoring',
     user: null,
+    challengeToken: null,
+    error: null,
+};
+
+// The API names developers "manager"; the app only deals in its own role names
+const toAppUser = (user) => (user ? { ...user, role: normalizeRole(user.role) } : null);
+
+const signedOut = (state) => {
+    state.status = 'unauthenticated';
+    state.user = null;
+    state.challengeToken = null;
 };
 
 const authSlice = createSlice({
     name: 'auth',
     initialState,
     reducers: {
-        login: (state, action) => {
-            const { username, password } = action.payload;
-
-            if (username === 'noah@gmail.com' && password === 'password123') {
-                state.isAuthenticated = true;
-                state.user = { username };
-            }
+        cancelTwoFactor: (state) => {
+            signedOut(state);
+            state.error = null;
         },
-        logout: (state) => {
-            state.isAuthenticated = false;
-            state.user = null;
+        // The API refused to refresh the session
+        sessionExpired: (state) => {
+            signedOut(state);
+            state.error = 'Your session has expired. Please log in again.';
         },
     },
+    extraReducers: (builder) => {
+        builder
+            .addCase(restoreSession.fulfilled, (state, action) => {
+                state.status = action.payload ? 'authenticated' : 'unauthenticated';
+                state.user = toAppUser(action.payload);
+            })
+            .addCase(restoreSession.rejected, signedOut)
+            .addCase(login.pending, (state) => {
+                state.error = null;
+            })
+            .addCase(login.fulfilled, (state, action) => {
+                if (action.payload.twoFactorRequired) {
+                    state.status = 'twoFactor';
+                    state.challengeToken = action.payload.challengeToken;
+                } else {
+                    state.status = 'authenticated';
+                    state.user = toAppUser(action.payload.user);
+                }
+            })
+            .addCase(login.rejected, (state, action) => {
+                signedOut(state);
+                state.error = action.payload;
+            })
+            .addCase(verifyTwoFactor.pending, (state) => {
+                state.error = null;
+            })
+            .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+                state.status = 'authenticated';
+                state.user = toAppUser(action.payload.user);
+                state.challengeToken = null;
+            })
+            .addCase(verifyTwoFactor.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Sign out straight away rather than waiting on the API
+            .addCase(logout.pending, (state) => {
+                signedOut(state);
+                state.error = null;
+            });
+    },
 });
 
-export const { login, logout } = authSlice.actions;
+export const { cancelTwoFactor, sessionExpired } = authSlice.actions;
 
-export default authSlice.reducer;
\ No newline at end of file
+export default authSlice.reducer;
@@ -1,41 +1,48 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { SIGNUP_TOTAL_STEPS } from '../utils/signupSchema';
+
+const initialState = {
+    email: '',
+    password: '',
+    confirmPassword: '',
+    currentStep: 1,
+    investorType: '',
+    riskLevel: 1,
+    investmentAmount: '',
+    selectedRange: '',
+    accreditedInvestorStatus: '', 
+    annualIncome: '',             
+    netWorth: '',                 
+    userDetails: {
+        firstName: '',
+        lastName: '',
+        dob: '',
+        ssn: '',
+        validIdNum: '',
+        streetAddress: '',
+        unitNumber: '',
+        city: '',
+        state: '',
+        zipCode: '',
+        entityType: '',
+        entityName:'',
+        ein:'',
+        phone:'',
+    },
+    fundingMethod: '',
+    isSubmitting: false,
+    // Set once the account is created; the wizard then shows its confirmation
+    isSubmitted: false,
+    progress: 0,
+    locations: [],
+    commercial: [],
+    residential: [],
+    timeHorizon: [],
+};
 
 export const signupSlice = createSlice({
     name: 'signup',
-    initialState: {
-        email: '',
-        password: '',
-        confirmPassword: '',
-        currentStep: 1,
-        investorType: '',
-        riskLevel: 1,
-        investmentAmount: '',
-        selectedRange: '',
-        accreditedInvestorStatus: '', 
-        annualIncome: '',             
-        netWorth: '',                 
-        userDetails: {
-            firstName: '',
-            lastName: '',
-            dob: '',
-            ssn: '',
-            validIdNum: '',
-            streetAddress: '',
-            unitNumber: '',
-            city: '',
-            state: '',
-            zipCode: '',
-            entityName:'',
-            ein:'',
-            phone:'',
-        },
-        isSubmitting: false,
-        progress: 0,
-        locations: [],
-        commercial: [],
-        residential: [],
-        timeHorizon: [],
-    },
+    initialState,
     reducers: {
         // Set email
         setEmail: (state, action) => {
@@ -73,13 +80,33 @@ export const signupSlice = createSlice({
         // Navigate to the next step
         nextStep: (state) => {
             state.currentStep += 1;
-            state.progress = (state.currentStep / 8) * 100;
+            state.progress = (state.currentStep / SIGNUP_TOTAL_STEPS) * 100;
         },
         // Navigate to the previous step
         prevStep: (state) => {
             state.currentStep -= 1;
-            state.progress = (state.currentStep / 8) * 100;
+            state.progress = (state.currentStep / SIGNUP_TOTAL_STEPS) * 100;
+        },
+        // Jump back to a step, e.g. to edit it from the review
+        goToStep: (state, action) => {
+            state.currentStep = action.payload;
+            state.progress = (state.currentStep / SIGNUP_TOTAL_STEPS) * 100;
+        },
+        // Pick up a saved draft; passwords are never saved, so they are entered again
+        restoreDraft: (state, action) => {
+            Object.assign(state, action.payload);
+            state.progress = (state.currentStep / SIGNUP_TOTAL_STEPS) * 100;
+        },
+        // Set how the investor plans to fund their account
+        setFundingMethod: (state, action) => {
+            state.fundingMethod = action.payload;
+        },
+        // Mark the account as created
+        setIsSubmitted: (state, action) => {
+            state.isSubmitted = action.payload;
         },
+        // Start over, e.g. after the account is created
+        resetSignup: () => initialState,
         // Set if form is being submitted
         setIsSubmitting: (state, action) => {
             state.isSubmitting = action.payload;
@@ -131,6 +158,11 @@ export const {
     setConfirmPassword,
     nextStep,
     prevStep,
+    goToStep,
+    restoreDraft,
+    setFundingMethod,
+    setIsSubmitted,
+    resetSignup,
     setIsSubmitting,
     setUserDetails,
     setSliderValue,
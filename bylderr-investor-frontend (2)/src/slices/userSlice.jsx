@@ -13,12 +13,13 @@ export const fetchUserData = createAsyncThunk(
     }
 );
 
+// Profile and preferences only. Role and permissions come from the signed-in user in
+// authSlice, which `can()` and `<Can>` check (see auth/permissions).
 const initialState = {
     user: {
         id: '10',
         name: 'Lionel Messi',
         role: 'Investor',
-        permissions: ['read', 'write'],
         preferences: {
             theme: 'light',
             language: 'en',
@@ -56,7 +57,6 @@ const userSlice = createSlice({
                     id: action.payload.id,
                     name: action.payload.name,
                     role: action.payload.role,
-                    permissions: action.payload.permissions,
                     preferences: action.payload.preferences,
                 };
             })
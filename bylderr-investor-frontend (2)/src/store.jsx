@@ -2,12 +2,14 @@ import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/authSlice';
 import signupReducer from './slices/signupSlice';
 import userReducer from './slices/userSlice';
+import accountReducer from './slices/accountSlice';
 
 const store = configureStore({
   reducer: {
     auth: authReducer,
     signup: signupReducer,
     user: userReducer,
+    accounts: accountReducer,
   },
 },
   
@@ -0,0 +1,84 @@
+// Accredited investor verification paths and status, matching ACCREDITATION_METHODS in the API
+
+export const ACCREDITATION_METHODS = {
+    income: {
+        label: "Income",
+        description: "Income over $200,000, or $300,000 with a spouse, in each of the last two years.",
+        evidence: "Tax returns, W-2s or 1099s for the last two years.",
+        minIncome: 200000,
+        minJointIncome: 300000,
+    },
+    "net-worth": {
+        label: "Net Worth",
+        description: "Net worth over $1,000,000, alone or with a spouse, not counting your primary residence.",
+        evidence: "Recent bank, brokerage and retirement statements, plus a credit report for liabilities.",
+        minNetWorth: 1000000,
+    },
+    "professional-license": {
+        label: "Professional License",
+        description: "You hold a Series 7, 65 or 82 license in good standing.",
+        evidence: "We look the license up on FINRA BrokerCheck using your CRD number.",
+        licenses: ["Series 7", "Series 65", "Series 82"],
+    },
+    "third-party-letter": {
+        label: "Third-Party Letter",
+        description: "A CPA, attorney, registered adviser or broker-dealer confirms you are accredited.",
+        evidence: "The signed letter, dated within the last 90 days.",
+    },
+};
+
+// Verified accreditation lasts 90 days; investors are reminded this many days before it ends
+export const ACCREDITATION_REMINDER_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const daysUntil = (date) => Math.ceil((new Date(date) - Date.now()) / DAY_MS);
+
+/**
+ * Where an investor stands, from GET /accreditation/me:
+ * "verified", "expiring" (within the reminder window), "pending", "rejected", "expired" or "none".
+ */
+export const accreditationState = (accreditation) => {
+    if (!accreditation) return "none";
+    const latest = accreditation.verifications?.[0];
+
+    if (accreditation.isAccredited) {
+        return accreditation.expiresAt && daysUntil(accreditation.expiresAt) <= ACCREDITATION_REMINDER_DAYS
+            ? "expiring"
+            : "verified";
+    }
+    if (latest?.status === "submitted") return "pending";
+    if (latest?.status === "rejected") return "rejected";
+    if (latest?.status === "expired" || latest?.status === "verified") return "expired";
+    return "none";
+};
+
+// Returns an error message for the chosen path's claims, or "" when they qualify
+export const validateClaims = (method, claims) => {
+    const rules = ACCREDITATION_METHODS[method];
+    if (!rules) return "Please choose how you qualify.";
+
+    if (method === "income") {
+        const minimum = claims.jointIncome ? rules.minJointIncome : rules.minIncome;
+        if (!(parseFloat(claims.annualIncome) >= minimum)) {
+            return `Income must be at least $${minimum.toLocaleString()} to qualify.`;
+        }
+    }
+    if (method === "net-worth" && !(parseFloat(claims.netWorth) >= rules.minNetWorth)) {
+        return `Net worth must be over $${rules.minNetWorth.toLocaleString()} to qualify.`;
+    }
+    if (method === "professional-license") {
+        if (!rules.licenses.includes(claims.licenseType)) return `Qualifying licenses are ${rules.licenses.join(", ")}.`;
+        if (!claims.licenseNumber?.trim()) return "Please enter your CRD number.";
+    }
+    if (method === "third-party-letter" && !claims.letterProvider?.trim()) {
+        return "Please name who wrote the letter.";
+    }
+    return "";
+};
+
+// Licenses are looked up on FINRA BrokerCheck; every other path needs documents
+export const validateEvidence = (method, files) =>
+    method !== "professional-license" && files.length === 0
+        ? "Please upload documents that support your claim."
+        : "";
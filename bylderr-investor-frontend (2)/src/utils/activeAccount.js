@@ -0,0 +1,17 @@
+// The account the investor is acting for: "personal", or the id of an entity they are an
+// authorized user of. Kept for the tab so a reload stays on the same account; sent to
+// the API as X-Account-Id.
+
+const STORAGE_KEY = "activeAccountId";
+
+export const PERSONAL_ACCOUNT_ID = "personal";
+
+export const getActiveAccountId = () => sessionStorage.getItem(STORAGE_KEY) || PERSONAL_ACCOUNT_ID;
+
+export const setActiveAccountId = (accountId) => {
+    sessionStorage.setItem(STORAGE_KEY, accountId);
+};
+
+export const clearActiveAccountId = () => {
+    sessionStorage.removeItem(STORAGE_KEY);
+};
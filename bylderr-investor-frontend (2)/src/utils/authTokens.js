@@ -0,0 +1,14 @@
+// The API access token, held in memory only. The refresh token is an httpOnly cookie the
+// browser sends to /api/auth, so after a reload the session is restored with a refresh.
+
+let accessToken = null;
+
+export const getToken = () => accessToken;
+
+export const setToken = (token) => {
+    accessToken = token || null;
+};
+
+export const clearToken = () => {
+    accessToken = null;
+};
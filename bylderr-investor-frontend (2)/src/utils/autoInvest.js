@@ -0,0 +1,84 @@
+import { FREQUENCY_MONTHS } from './scheduleFrequencies';
+import { defaultFilters, searchLocalListings } from './listingSearch';
+
+// Auto-invest plan helpers: the schedule preview, basket matching, and the investment
+// order each run places, which is the same one the purchase modal submits.
+
+// Basket runs are spread across at most this many properties, highest ROI first
+export const BASKET_SIZE = 3;
+
+// Parsed as local midnight so a plan's dates don't shift with the time zone
+const toDate = (date) => new Date(`${String(date).slice(0, 10)}T00:00:00`);
+
+export const toISODate = (date) =>
+    [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0'),
+    ].join('-');
+
+// The `index`-th run of a schedule, on the start date's day of month or the last day of shorter months
+const runDate = (startDate, frequency, index) => {
+    const start = toDate(startDate);
+    const date = new Date(start.getFullYear(), start.getMonth() + FREQUENCY_MONTHS[frequency] * index, 1);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(start.getDate(), lastDay));
+    return date;
+};
+
+/**
+ * Upcoming run dates of a plan, starting at its next run (or its start date for a new plan).
+ * Skipping a run moves `nextRunDate` on, so skipped dates drop out of the preview.
+ */
+export const scheduleDates = ({ startDate, frequency, nextRunDate }, count = 6) => {
+    if (!startDate || !FREQUENCY_MONTHS[frequency]) return [];
+
+    const from = toDate(nextRunDate || startDate);
+    const dates = [];
+    for (let index = 0; dates.length < count; index += 1) {
+        const date = runDate(startDate, frequency, index);
+        if (date >= from) dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Listings a basket run would buy: the highest-ROI matches for the basket's property types
+ * and ROI range, leaving out any whose minimum investment a share of the run can't meet.
+ */
+export const matchBasket = (listings, { propertyTypes = 0, minROI, maxROI }, amount) => {
+    const filters = {
+        ...defaultFilters,
+        propertyTypes,
+        minROI: minROI ?? defaultFilters.minROI,
+        maxROI: maxROI ?? defaultFilters.maxROI,
+        sort: 'roi',
+    };
+    const { data } = searchLocalListings(listings, filters, { limit: BASKET_SIZE });
+    return data.filter((listing) => !(listing.investment > amount / data.length));
+};
+
+/**
+ * Splits a run's amount evenly to the cent; the first listing takes any remainder.
+ * Returns `[{ listing, amount }]`.
+ */
+export const allocateRun = (amount, listings) => {
+    if (listings.length === 0) return [];
+    const cents = Math.round(amount * 100);
+    const share = Math.floor(cents / listings.length);
+
+    return listings.map((listing, index) => ({
+        listing,
+        amount: (index === 0 ? cents - share * (listings.length - 1) : share) / 100,
+    }));
+};
+
+/**
+ * The investment order submitted for a purchase, whether placed by hand or by a plan run.
+ */
+export const buildInvestmentData = ({ propertyId, amount, pricePerBlock }) => ({
+    propertyID: parseInt(propertyId),
+    amount: parseFloat(amount),
+    sharePrice: pricePerBlock,
+    shares: parseFloat((amount / pricePerBlock).toFixed(2)),
+});
@@ -0,0 +1,48 @@
+import { loadStripe } from "@stripe/stripe-js";
+
+// Deposits, matching DEPOSIT_METHODS and DEPOSIT_STATUSES in the API
+
+// Saved with Stripe and deposited from online
+export const DEPOSIT_METHODS = {
+    card: { label: "Debit or Credit Card", min: 10, max: 10000, available: "Instantly" },
+    ach: { label: "Bank Account (ACH)", min: 10, max: 100000, available: "In about 4 business days" },
+};
+
+// Sent from the investor's bank, and credited once reconciliation finds it on our statement
+export const WIRE_TRANSFER = { min: 1000, available: "About 1 business day after it arrives" };
+
+export const DEPOSIT_STATUSES = {
+    pending: { label: "Pending", className: "bg-yellow-100 text-yellow-700" },
+    requires_action: { label: "Needs Authentication", className: "bg-yellow-100 text-yellow-700" },
+    settled: { label: "Settled", className: "bg-green-100 text-green-700" },
+    failed: { label: "Failed", className: "bg-red-100 text-red-700" },
+};
+
+// How a saved card or bank account reads in the deposit form
+export const describeSource = (source) =>
+    source.method === "card"
+        ? `Card ••••${source.last4}, expires ${source.expires}`
+        : `${source.accountType === "savings" ? "Savings" : "Checking"} ••••${source.last4}`;
+
+// The problem with depositing `amount` from `source`, or null if there is none
+export const validateDeposit = (source, amount) => {
+    if (!source) {
+        return "Please choose a card or bank account to deposit from.";
+    }
+    const { min, max } = DEPOSIT_METHODS[source.method];
+    const value = Number(amount);
+    if (!(value >= min && value <= max)) {
+        return `Deposits from a ${source.method === "card" ? "card" : "bank account"} must be between $${min.toLocaleString()} and $${max.toLocaleString()}.`;
+    }
+    return null;
+};
+
+let stripePromise;
+
+// Stripe.js is only loaded when a deposit needs it, and never in mock mode
+export const getStripe = () => {
+    if (!stripePromise) {
+        stripePromise = loadStripe(import.meta.env.VITE_REACT_APP_STRIPE_KEY);
+    }
+    return stripePromise;
+};
@@ -0,0 +1,29 @@
+// Dividend reinvestment (DRIP) helpers shared by the payout settings and activity views.
+
+// Reinvested blocks are kept to four decimal places; the remainder is paid out
+export const BLOCK_PRECISION = 4;
+
+/**
+ * Blocks a distribution buys at the current block price, fractional blocks included.
+ */
+export const blocksForAmount = (amount, blockPrice) => {
+    if (!(blockPrice > 0) || !(amount > 0)) return 0;
+    const factor = 10 ** BLOCK_PRECISION;
+    return Math.floor((amount / blockPrice) * factor) / factor;
+};
+
+/**
+ * Resolves how a holding's distributions are handled: whether they are reinvested
+ * and into which property. Holdings without their own setting follow the global one.
+ */
+export const resolveDrip = (settings, propertyId) => {
+    const holding = settings.holdings.find((item) => item.propertyId === propertyId);
+    const enabled = holding && holding.enabled !== null && holding.enabled !== undefined
+        ? holding.enabled
+        : settings.enabled;
+
+    return {
+        enabled,
+        targetPropertyId: holding?.targetPropertyId ?? propertyId,
+    };
+};
@@ -0,0 +1,120 @@
+import { PERMISSIONS } from "../auth/permissions";
+
+// Entity investor accounts, matching ENTITY_TYPES and ENTITY_PERMISSIONS in the API
+
+export const ENTITY_TYPES = {
+    llc: {
+        label: "LLC",
+        description: "A limited liability company investing in its own name.",
+        documents: {
+            "articles-of-organization": "Articles of Organization",
+            "operating-agreement": "Operating Agreement",
+        },
+    },
+    trust: {
+        label: "Trust",
+        description: "A revocable or irrevocable trust, acting through its trustees.",
+        documents: { "trust-certificate": "Certificate of Trust" },
+    },
+    corporation: {
+        label: "Corporation",
+        description: "A C or S corporation investing in its own name.",
+        documents: {
+            "articles-of-incorporation": "Articles of Incorporation",
+            bylaws: "Bylaws",
+        },
+    },
+    ira: {
+        label: "Self-Directed IRA",
+        description: "Retirement savings held by a custodian that approves each investment.",
+        documents: { "custodian-letter": "Custodian Direction Letter" },
+    },
+    joint: {
+        label: "Joint Account",
+        description: "Owned together with another investor, such as a spouse or partner.",
+        documents: {},
+    },
+};
+
+// Joint accounts are opened by two existing investors, so they are not offered at signup
+export { SIGNUP_ENTITY_TYPES } from "../../../shared/signupSchema";
+
+export const JOINT_TENANCY = {
+    jtwros: "Joint tenants with right of survivorship",
+    "tenants-in-common": "Tenants in common",
+    "community-property": "Community property",
+};
+
+// What an authorized user may do for an entity. Everyone with access can view it.
+export const ENTITY_PERMISSIONS = {
+    [PERMISSIONS.INVESTMENTS_CREATE]: { label: "Invest", description: "Place and cancel investments" },
+    [PERMISSIONS.INVESTMENTS_SELL]: { label: "Sell", description: "Sell holdings on the secondary market" },
+    [PERMISSIONS.FUNDS_MANAGE]: { label: "Move Funds", description: "Add funds and make withdrawals" },
+    [PERMISSIONS.ENTITY_MANAGE]: { label: "Manage", description: "Edit the entity and who can access it" },
+};
+
+export const ENTITY_STATUSES = {
+    pending: { label: "Not Submitted", className: "bg-gray-200 text-gray-700" },
+    submitted: { label: "In Review", className: "bg-yellow-100 text-yellow-700" },
+    verified: { label: "Verified", className: "bg-green-100 text-green-700" },
+    rejected: { label: "Rejected", className: "bg-red-100 text-red-700" },
+};
+
+// Everyone owning at least this percentage must be listed as a beneficial owner
+export const BENEFICIAL_OWNER_THRESHOLD = 25;
+
+// Changing any of these on a submitted or verified entity sends it back for review
+const REVIEWED_FIELDS = ["name", "custodian", "beneficialOwners", "documents"];
+
+// What PUT /entities/:id and friends return, for mock mode
+export const withChanges = (entity, changes) => {
+    const isReviewed = ["submitted", "verified"].includes(entity.status);
+    const resetsReview = isReviewed && REVIEWED_FIELDS.some((field) => field in changes);
+    return { ...entity, ...changes, ...(resetsReview && { status: "pending" }) };
+};
+
+export const ownershipTotal = (owners) => owners.reduce((total, owner) => total + (parseFloat(owner.ownership) || 0), 0);
+
+// Returns an error message for the beneficial owners, or "" when they can be saved
+export const validateOwners = (owners) => {
+    if (owners.some((owner) => !owner.name.trim())) return "Please enter each owner's name.";
+    if (owners.some((owner) => !(parseFloat(owner.ownership) >= 0 && parseFloat(owner.ownership) <= 100))) {
+        return "Ownership must be between 0 and 100 percent.";
+    }
+    if (ownershipTotal(owners) > 100) return "Ownership adds up to more than 100 percent.";
+    return "";
+};
+
+// Returns an error message for a new entity's details, or "" when it can be created
+export const validateEntity = ({ type, name, ein, custodianName, coOwnerEmail, jointTenancy }) => {
+    if (!ENTITY_TYPES[type]) return "Please choose the kind of entity.";
+    if (type === "joint") {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(coOwnerEmail.trim())) return "Please enter the other owner's email address.";
+        if (!JOINT_TENANCY[jointTenancy]) return "Please choose how you hold the account.";
+        return "";
+    }
+    if (!name.trim()) return "Please enter the entity name.";
+    if (type === "ira") {
+        if (!custodianName.trim()) return "Please enter the IRA's custodian.";
+    } else if (!/^\d{2}-?\d{7}$/.test(ein)) {
+        return "Please enter a valid EIN.";
+    }
+    return "";
+};
+
+// What still stands between an entity and being sent for verification
+export const submissionProblems = (entity) => {
+    const problems = entity.missingDocuments.map(
+        (kind) => `Upload the ${ENTITY_TYPES[entity.type].documents[kind]}.`
+    );
+    if (entity.type === "ira" && !entity.custodian?.name) problems.push("Enter the IRA's custodian.");
+    if (entity.invitedEmail) problems.push(`Wait for ${entity.invitedEmail} to accept the invitation.`);
+    if (!entity.beneficialOwners.some((owner) => owner.controlPerson)) {
+        problems.push("List at least one person who controls the entity.");
+    }
+    return problems;
+};
+
+// An entity must keep at least one user who can manage it
+export const keepsManager = (authorizedUsers) =>
+    authorizedUsers.some((member) => member.permissions.includes(PERMISSIONS.ENTITY_MANAGE));
@@ -0,0 +1,126 @@
+// Geometry helpers for map-bounded listing searches.
+// Coordinates are [lng, lat] pairs throughout, matching Mapbox and GeoJSON.
+
+// Mean radius, the same one the listings endpoint uses for radius searches
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two [lng, lat] points in kilometres.
+ */
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Approximates a circle as a closed polygon ring so it can be drawn on the map.
+ */
+export const circleRing = ([lng, lat], radiusKm, steps = 64) => {
+    const ring = [];
+    const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+    const lngDelta = latDelta / Math.cos(toRadians(lat));
+
+    for (let i = 0; i <= steps; i++) {
+        const angle = (i / steps) * 2 * Math.PI;
+        ring.push([lng + lngDelta * Math.cos(angle), lat + latDelta * Math.sin(angle)]);
+    }
+    return ring;
+};
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Drops repeated vertices from a drawn polygon, including a closing vertex, so the ring
+ * is closed exactly once when it is drawn or searched. Finishing a polygon with a double
+ * click also registers its last click twice.
+ */
+export const openRing = (points) => {
+    const ring = points.filter((point, i) => i === 0 || !samePoint(point, points[i - 1]));
+    while (ring.length > 1 && samePoint(ring[0], ring[ring.length - 1])) ring.pop();
+    return ring;
+};
+
+// Ray casting; the ring may be open or closed.
+const isInRing = ([lng, lat], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+/**
+ * Returns whether a point falls inside a search area.
+ * Areas are `{ type: 'bbox', bbox: [west, south, east, north] }`,
+ * `{ type: 'polygon', coordinates: [[lng, lat], ...] }` or
+ * `{ type: 'radius', center: [lng, lat], radiusKm }`.
+ */
+export const isInArea = (point, area) => {
+    if (!area) return true;
+    if (point.some((value) => typeof value !== 'number' || isNaN(value))) return false;
+
+    switch (area.type) {
+        case 'bbox': {
+            const [west, south, east, north] = area.bbox;
+            const [lng, lat] = point;
+            return lng >= west && lng <= east && lat >= south && lat <= north;
+        }
+        case 'polygon':
+            return isInRing(point, area.coordinates);
+        case 'radius':
+            return distanceKm(point, area.center) <= area.radiusKm;
+        default:
+            return true;
+    }
+};
+
+/**
+ * Closed polygon ring describing an area, for drawing it on the map.
+ */
+export const areaToRing = (area) => {
+    if (area.type === 'radius') {
+        return circleRing(area.center, area.radiusKm);
+    }
+    if (area.type === 'bbox') {
+        const [west, south, east, north] = area.bbox;
+        return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    }
+    return [...area.coordinates, area.coordinates[0]];
+};
+
+const roundCoord = (value) => Math.round(value * 1e5) / 1e5;
+
+/**
+ * Query params for the listings endpoint describing an area.
+ */
+export const areaToParams = (area) => {
+    if (!area) return {};
+
+    switch (area.type) {
+        case 'bbox':
+            return { bbox: area.bbox.map(roundCoord).join(',') };
+        case 'polygon':
+            return {
+                polygon: area.coordinates
+                    .map(([lng, lat]) => `${roundCoord(lng)},${roundCoord(lat)}`)
+                    .join(';'),
+            };
+        case 'radius':
+            return {
+                near: area.center.map(roundCoord).join(','),
+                radius: Math.round(area.radiusKm * 100) / 100,
+            };
+        default:
+            return {};
+    }
+};
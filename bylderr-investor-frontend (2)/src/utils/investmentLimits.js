@@ -0,0 +1,11 @@
+// Regulation Crowdfunding caps what non-accredited investors may invest in any 12 months.
+// The server works out each investor's limit from the income and net worth they gave at
+// signup and enforces it on every investment; these helpers check the same figures
+// before an order is sent.
+
+export const LIMIT_EXPLANATION =
+    "If your annual income or net worth is under $124,000, you may invest the greater of $2,500 or 5% of the greater of the two in any 12 months. If both are $124,000 or more, the limit is 10% of the greater, up to $124,000. Accredited investors have no limit.";
+
+// Whether an amount is more than the investor has left to invest
+export const exceedsLimit = (capacity, amount) =>
+    Boolean(capacity) && !capacity.accredited && amount > capacity.remaining;
@@ -0,0 +1,2 @@
+// Matches INVESTMENT_STATUSES in the API's constants
+export const INVESTMENT_STATUSES = ["pending", "waitlisted", "completed", "cancelled", "refunded"];
@@ -0,0 +1,164 @@
+import formatPrice from './formatPrice';
+import { isInArea } from './geoSearch';
+
+// Shared listing search helpers used by the listings grid and map screens.
+
+export const propertyTypeMap = {
+    Industrial: 1,
+    Medical: 2,
+    Hospitality: 4,
+    Office: 8,
+    Retail: 16,
+    SingleFamily: 32,
+    Multifamily: 64,
+    Construction: 128,
+    Land: 256,
+};
+
+export const sortOptions = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'roi', label: 'Highest ROI' },
+    { value: 'price', label: 'Lowest Price' },
+    { value: 'raised', label: '% Raised' },
+    { value: 'closing', label: 'Closing Soon' },
+];
+
+export const LISTINGS_PAGE_SIZE = 9;
+
+export const defaultFilters = {
+    location: '',
+    minPrice: 0,
+    maxPrice: Infinity,
+    minROI: 0,
+    maxROI: Infinity,
+    propertyTypes: 0,
+    sort: 'newest',
+};
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+};
+
+/**
+ * Reads the search filters from the URL query string, falling back to the defaults
+ * for anything missing or malformed.
+ */
+export const filtersFromSearchParams = (searchParams) => {
+    const sort = searchParams.get('sort');
+
+    return {
+        location: searchParams.get('location') || defaultFilters.location,
+        minPrice: parseNumber(searchParams.get('minPrice'), defaultFilters.minPrice),
+        maxPrice: parseNumber(searchParams.get('maxPrice'), defaultFilters.maxPrice),
+        minROI: parseNumber(searchParams.get('minROI'), defaultFilters.minROI),
+        maxROI: parseNumber(searchParams.get('maxROI'), defaultFilters.maxROI),
+        propertyTypes: parseInt(searchParams.get('propertyTypes'), 10) || defaultFilters.propertyTypes,
+        sort: sortOptions.some((option) => option.value === sort) ? sort : defaultFilters.sort,
+    };
+};
+
+/**
+ * Builds the query string params for a set of filters. Values left at their defaults
+ * are omitted so shared URLs stay short.
+ */
+export const filtersToSearchParams = (filters) => {
+    const params = {};
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value === defaultFilters[key] || value === '' || value === Infinity) return;
+        params[key] = String(value);
+    });
+
+    return params;
+};
+
+const sortComparators = {
+    newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    roi: (a, b) => parseFloat(b.roi) - parseFloat(a.roi),
+    price: (a, b) => parseFloat(a.estimate) - parseFloat(b.estimate),
+    raised: (a, b) => b.raised / b.raiseTarget - a.raised / a.raiseTarget,
+    closing: (a, b) => new Date(a.fundingDeadline) - new Date(b.fundingDeadline),
+};
+
+/**
+ * Applies the filters, map area, sort and pagination to local listings the same way the
+ * server does, returning the same `{ data, pagination, total }` shape as the `/projects` endpoint.
+ */
+export const searchLocalListings = (listings, filters, { page = 1, limit = LISTINGS_PAGE_SIZE, area } = {}) => {
+    const { location, minPrice, maxPrice, minROI, maxROI, propertyTypes, sort } = filters;
+
+    const filteredData = listings.filter((property) => {
+        if (location && !property.location.toLowerCase().includes(location.toLowerCase())) {
+            return false;
+        }
+
+        const investmentValue = parseFloat(String(property.estimate).replace(/[$,]/g, ''));
+        if (isNaN(investmentValue) || investmentValue < minPrice || investmentValue > maxPrice) {
+            return false;
+        }
+
+        const roiValue = parseFloat(property.roi);
+        if (isNaN(roiValue) || roiValue < minROI || roiValue > maxROI) {
+            return false;
+        }
+
+        if (propertyTypes) {
+            const propertyTypeBit = propertyTypeMap[property.realType];
+            if (propertyTypeBit === undefined || (propertyTypes & propertyTypeBit) !== propertyTypeBit) {
+                return false;
+            }
+        }
+
+        if (area && !isInArea([property.longitude, property.latitude], area)) {
+            return false;
+        }
+
+        return true;
+    });
+
+    const sortedData = [...filteredData].sort(sortComparators[sort] || sortComparators.newest);
+
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const pagination = {};
+
+    if (endIndex < sortedData.length) {
+        pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+        pagination.prev = { page: page - 1, limit };
+    }
+
+    return {
+        data: sortedData.slice(startIndex, endIndex),
+        pagination,
+        total: sortedData.length,
+    };
+};
+
+/**
+ * Summarises a set of filters in one line, e.g. for a saved search.
+ */
+export const describeFilters = (filters) => {
+    const parts = [];
+
+    if (filters.location) {
+        parts.push(filters.location);
+    }
+    if (Number.isFinite(filters.maxPrice)) {
+        parts.push(`${formatPrice(filters.minPrice)} - ${formatPrice(filters.maxPrice)}`);
+    }
+    if (Number.isFinite(filters.maxROI)) {
+        parts.push(`${filters.minROI}% - ${filters.maxROI}% ROI`);
+    }
+    if (filters.propertyTypes) {
+        parts.push(
+            Object.keys(propertyTypeMap)
+                .filter((type) => (filters.propertyTypes & propertyTypeMap[type]) === propertyTypeMap[type])
+                .join(', ')
+        );
+    }
+
+    return parts.length ? parts.join(' • ') : 'All listings';
+};
@@ -0,0 +1,21 @@
+// Helpers for the inbox. Conversation keys match the API's Message.conversationKey.
+
+// The same two users and listing always share one conversation, whoever writes first
+export const conversationKey = (userA, userB, project) =>
+    [userA, userB].map(String).sort().concat(project ? [String(project)] : []).join("-");
+
+export const MAX_ATTACHMENTS = 5;
+
+// Files the upload middleware accepts
+export const ATTACHMENT_ACCEPT = ".jpeg,.jpg,.png,.gif,.pdf,.doc,.docx,.xls,.xlsx,.csv";
+
+// Fired when messages are read so the sidebar badge updates without waiting for its next poll
+export const MESSAGES_READ_EVENT = "bylderr:messages-read";
+
+// "3:42 PM" for today, "Oct 12" otherwise
+export const formatMessageTime = (date) => {
+    const value = new Date(date);
+    return value.toDateString() === new Date().toDateString()
+        ? value.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })
+        : value.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+};
@@ -0,0 +1,127 @@
+import { toISODate } from './autoInvest';
+
+// Developer project wizard helpers: the steps, the form shape, and the checks the server
+// makes before a draft can be published.
+
+export const WIZARD_STEPS = [
+    { key: 'details', label: 'Details' },
+    { key: 'financials', label: 'Financials' },
+    { key: 'images', label: 'Images' },
+    { key: 'documents', label: 'Documents' },
+    { key: 'terms', label: 'Raise Terms' },
+];
+
+// Raise terms investors commit to; the server refuses to change them once a project is published
+export const LOCKED_AFTER_PUBLISH = ['fundingGoal', 'fundingDeadline', 'minInvestment'];
+
+const NUMBER_FIELDS = ['propertyValue', 'expectedReturn', 'pricePerBlock', 'minInvestment', 'fundingGoal'];
+
+export const emptyProject = {
+    id: null,
+    status: 'draft',
+    title: '',
+    description: '',
+    address: '',
+    propertyType: '',
+    propertyValue: '',
+    expectedReturn: '',
+    pricePerBlock: '',
+    minInvestment: '',
+    fundingGoal: '',
+    fundingDeadline: '',
+    images: [],
+    documents: [],
+};
+
+// A project from the server as wizard form values; numbers become input strings
+export const fromProject = (project) => ({
+    ...emptyProject,
+    id: project._id,
+    status: project.status,
+    title: project.title || '',
+    description: project.description || '',
+    address: project.location?.formattedAddress || '',
+    propertyType: project.propertyType || '',
+    ...Object.fromEntries(NUMBER_FIELDS.map((field) => [field, String(project[field] ?? '')])),
+    fundingDeadline: project.fundingDeadline ? String(project.fundingDeadline).slice(0, 10) : '',
+    images: project.images || [],
+    documents: project.documents || [],
+});
+
+/**
+ * The fields the wizard sends to create or update a project. Blank fields are left out so
+ * a draft can be saved part way, and published projects never resend their locked terms.
+ */
+export const toProjectPayload = (form) => {
+    const payload = {
+        title: form.title.trim(),
+        description: form.description.trim(),
+        address: form.address.trim(),
+        propertyType: form.propertyType,
+        fundingDeadline: form.fundingDeadline,
+    };
+    NUMBER_FIELDS.forEach((field) => {
+        payload[field] = form[field] === '' ? '' : parseFloat(form[field]);
+    });
+
+    const isPublished = form.status !== 'draft';
+    return Object.fromEntries(
+        Object.entries(payload).filter(
+            ([field, value]) => value !== '' && !(isPublished && LOCKED_AFTER_PUBLISH.includes(field))
+        )
+    );
+};
+
+/**
+ * Checks the values entered on one step, returning an error message or "".
+ * Missing values are allowed here (drafts can be incomplete); see `publishBlockers`.
+ */
+export const validateStep = (step, form) => {
+    const number = (field) => parseFloat(form[field]);
+    const isNegative = (field) => form[field] !== '' && !(number(field) >= 0);
+
+    switch (step) {
+        case 'details':
+            if (!form.title.trim()) return 'Please give the project a title.';
+            return '';
+        case 'financials':
+            if (isNegative('propertyValue')) return 'Property value cannot be negative.';
+            if (form.expectedReturn !== '' && !(number('expectedReturn') >= 0 && number('expectedReturn') <= 100)) {
+                return 'Expected return must be between 0% and 100%.';
+            }
+            return '';
+        case 'terms':
+            if (['pricePerBlock', 'minInvestment', 'fundingGoal'].some(isNegative)) {
+                return 'Raise terms cannot be negative.';
+            }
+            if (form.minInvestment !== '' && form.pricePerBlock !== '' && number('minInvestment') < number('pricePerBlock')) {
+                return 'The minimum investment must buy at least one block.';
+            }
+            if (form.fundingGoal !== '' && form.minInvestment !== '' && number('fundingGoal') < number('minInvestment')) {
+                return 'The funding goal cannot be below the minimum investment.';
+            }
+            if (form.status === 'draft' && form.fundingDeadline && form.fundingDeadline <= toISODate(new Date())) {
+                return 'The funding deadline must be in the future.';
+            }
+            return '';
+        default:
+            return '';
+    }
+};
+
+// What a draft still needs before it can be published, matching the server's checks
+export const publishBlockers = (form) => {
+    const missing = [];
+    if (!form.title.trim()) missing.push('a title');
+    if (!form.description.trim()) missing.push('a description');
+    if (!form.address.trim()) missing.push('an address');
+    if (!form.propertyType) missing.push('a property type');
+    if (!(parseFloat(form.fundingGoal) > 0)) missing.push('a funding goal');
+    if (!(parseFloat(form.pricePerBlock) > 0)) missing.push('a price per block');
+    if (!(parseFloat(form.minInvestment) > 0)) missing.push('a minimum investment');
+    if (form.images.length === 0) missing.push('at least one image');
+    if (!form.fundingDeadline || form.fundingDeadline <= toISODate(new Date())) {
+        missing.push('a funding deadline in the future');
+    }
+    return missing;
+};
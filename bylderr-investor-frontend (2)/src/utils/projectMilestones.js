@@ -0,0 +1,15 @@
+// Construction milestones a project update can mark, in build order. Mirrors the API's
+// PROJECT_MILESTONES.
+
+export const PROJECT_MILESTONES = [
+    "Acquisition",
+    "Permits Approved",
+    "Groundbreaking",
+    "Foundation",
+    "Framing",
+    "Topped Out",
+    "Interior Finishes",
+    "Certificate of Occupancy",
+    "Leasing",
+    "Stabilized",
+];
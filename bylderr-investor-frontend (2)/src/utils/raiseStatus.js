@@ -0,0 +1,17 @@
+// Where a listing's raise is in its lifecycle. The server moves a project from active (open)
+// to funded once its goal is met, when new investments join a waitlist, and then to
+// closed, or to failed if the goal is missed by the funding deadline.
+
+export const raiseState = ({ status, raised, raiseTarget }) => {
+    if (status === 'closed' || status === 'completed') return 'closed';
+    if (status === 'failed' || status === 'cancelled') return 'failed';
+    if (status === 'funded' || (raiseTarget > 0 && raised >= raiseTarget)) return 'waitlist';
+    return 'open';
+};
+
+export const raiseStateLabels = {
+    open: 'SOLD',
+    waitlist: 'FUNDED · WAITLIST OPEN',
+    closed: 'FUNDED · CLOSED',
+    failed: 'RAISE DID NOT FUND',
+};
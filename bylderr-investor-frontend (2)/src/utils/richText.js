@@ -0,0 +1,58 @@
+// Lightweight markup for project updates. Developers write plain text with blank lines
+// between paragraphs, "- " bullet lines, **bold**, *italic* and [links](https://...).
+// It is parsed into blocks and rendered as React elements, never as HTML.
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\(https?:\/\/[^\s)]+\))/g;
+
+/**
+ * Splits a line into inline spans: `{ type: 'text' | 'bold' | 'italic', text }` or
+ * `{ type: 'link', text, href }`. Only http(s) links are recognised.
+ */
+export const parseInline = (line) =>
+    line
+        .split(INLINE_PATTERN)
+        .filter(Boolean)
+        .map((part) => {
+            if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+                return { type: 'bold', text: part.slice(2, -2) };
+            }
+            if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+                return { type: 'italic', text: part.slice(1, -1) };
+            }
+            const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)$/);
+            if (link) {
+                return { type: 'link', text: link[1], href: link[2] };
+            }
+            return { type: 'text', text: part };
+        });
+
+/**
+ * Splits content into blocks: `{ type: 'paragraph', lines }` and `{ type: 'list', items }`,
+ * where each line or item is a list of inline spans.
+ */
+export const parseRichText = (content = '') => {
+    const blocks = [];
+    let current = null;
+
+    content.split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) {
+            current = null;
+            return;
+        }
+
+        const type = line.startsWith('- ') ? 'list' : 'paragraph';
+        if (!current || current.type !== type) {
+            current = type === 'list' ? { type, items: [] } : { type, lines: [] };
+            blocks.push(current);
+        }
+
+        if (type === 'list') {
+            current.items.push(parseInline(line.slice(2)));
+        } else {
+            current.lines.push(parseInline(line));
+        }
+    });
+
+    return blocks;
+};
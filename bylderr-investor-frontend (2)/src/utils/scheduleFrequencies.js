@@ -0,0 +1,18 @@
+// Schedule frequencies shared by scheduled distributions and auto-invest plans.
+
+export const FREQUENCIES = [
+    "Monthly",
+    "Bi-monthly",
+    "Quarterly",
+    "Biannually",
+    "Annually",
+];
+
+// Months between runs for each frequency
+export const FREQUENCY_MONTHS = {
+    Monthly: 1,
+    "Bi-monthly": 2,
+    Quarterly: 3,
+    Biannually: 6,
+    Annually: 12,
+};
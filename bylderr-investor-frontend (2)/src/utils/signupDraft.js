@@ -0,0 +1,92 @@
+// Signup progress is saved in localStorage so a refresh does not lose it. Drafts hold SSNs
+// and EINs, so they are encrypted (AES-GCM) with a non-extractable key that stays in this
+// browser's IndexedDB. Passwords are never saved, and drafts are dropped after a week.
+
+const DRAFT_KEY = 'signupDraft';
+const DB_NAME = 'bylderr';
+const KEY_STORE = 'keys';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Wizard state that is not saved: secrets, and flags that only make sense mid-request
+const UNSAVED_FIELDS = ['password', 'confirmPassword', 'isSubmitting', 'isSubmitted', 'progress'];
+
+const openKeyStore = () =>
+    new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+// Run one request against the key store and resolve to its result
+const withKeyStore = async (mode, run) => {
+    const db = await openKeyStore();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(KEY_STORE, mode);
+        const request = run(transaction.objectStore(KEY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => db.close();
+    });
+};
+
+const getDraftKey = async ({ create }) => {
+    const key = await withKeyStore('readonly', (store) => store.get(DRAFT_KEY));
+    if (key || !create) return key;
+
+    const newKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await withKeyStore('readwrite', (store) => store.put(newKey, DRAFT_KEY));
+    return newKey;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+export const clearDraft = async () => {
+    localStorage.removeItem(DRAFT_KEY);
+    try {
+        await withKeyStore('readwrite', (store) => store.delete(DRAFT_KEY));
+    } catch (err) {
+        console.error('Error removing signup draft key:', err.message);
+    }
+};
+
+// Encrypt and save the wizard's state, leaving out passwords
+export const saveDraft = async (signup) => {
+    const values = Object.fromEntries(
+        Object.entries(signup).filter(([field]) => !UNSAVED_FIELDS.includes(field))
+    );
+    const key = await getDraftKey({ create: true });
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(values))
+    );
+
+    localStorage.setItem(
+        DRAFT_KEY,
+        JSON.stringify({ iv: toBase64(iv), data: toBase64(new Uint8Array(data)), savedAt: Date.now() })
+    );
+};
+
+// The saved wizard state, or null if there is none or it can no longer be read
+export const loadDraft = async () => {
+    const stored = localStorage.getItem(DRAFT_KEY);
+    if (!stored) return null;
+
+    try {
+        const { iv, data, savedAt } = JSON.parse(stored);
+        const key = await getDraftKey({ create: false });
+        if (!key || Date.now() - savedAt > MAX_AGE_MS) {
+            await clearDraft();
+            return null;
+        }
+        const values = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+        return JSON.parse(new TextDecoder().decode(values));
+    } catch (err) {
+        console.error('Error restoring signup draft:', err.message);
+        await clearDraft();
+        return null;
+    }
+};
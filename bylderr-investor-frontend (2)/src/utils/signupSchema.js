@@ -0,0 +1,2 @@
+// The signup rules live in shared/, where the API's register route reads them too
+export * from '../../../shared/signupSchema';
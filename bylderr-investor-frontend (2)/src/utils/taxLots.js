@@ -0,0 +1,145 @@
+// Tax lot and realized gain calculations for holdings, sells and the Tax Center.
+// Transactions are { id, propertyId, property, type: 'buy' | 'sell', shares, pricePerShare, fees, date }
+// with ISO dates. Sells record the relief method they were placed with as `lotMethod`, and
+// specific-lot sells designate the lots they relieve as `lots: [{ lotId, shares }]`.
+// Holding lots are { id, date, shares, pricePerShare, fees }.
+
+export const LOT_METHODS = {
+    fifo: 'FIFO',
+    lifo: 'LIFO',
+    hifo: 'Highest Cost',
+    specific: 'Specific Lots',
+};
+
+// Parsed as local midnight so dates near New Year stay in their own tax year
+const toDate = (isoDate) => new Date(`${isoDate}T00:00:00`);
+
+export const taxYearOf = (isoDate) => toDate(isoDate).getFullYear();
+
+// Long-term once held for more than one year
+const isLongTerm = (acquired, sold) => {
+    const oneYearLater = toDate(acquired);
+    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+    return toDate(sold) > oneYearLater;
+};
+
+// What the lot cost, fees included
+export const lotCostBasis = ({ shares, pricePerShare, fees = 0 }) =>
+    Number(shares) * Number(pricePerShare) + (Number(fees) || 0);
+
+export const lotCostPerShare = (lot) => lotCostBasis(lot) / Number(lot.shares);
+
+const costPerShareOf = (lot) => lot.costPerShare ?? lotCostPerShare(lot);
+
+const orderLots = (lots, method) => {
+    switch (method) {
+        case 'lifo':
+            return [...lots].reverse();
+        case 'hifo':
+            return [...lots].sort((a, b) => costPerShareOf(b) - costPerShareOf(a));
+        default:
+            return lots;
+    }
+};
+
+/**
+ * Picks which lots a sale of `shares` relieves, without changing the lots.
+ * Lots are in acquisition order; `remaining`, when set, is how much of a lot is still open.
+ * With the specific-lot method the designated lots go first and anything they do not cover
+ * falls back to FIFO. Returns `[{ lot, shares }]`.
+ */
+export const selectLots = (lots, shares, method = 'fifo', designated = []) => {
+    const available = new Map(lots.map((lot) => [lot.id, lot.remaining ?? Number(lot.shares)]));
+    const selected = [];
+    let remaining = shares;
+
+    const take = (lot, count) => {
+        const taken = Math.min(count, available.get(lot.id), remaining);
+        if (taken <= 0) return;
+        available.set(lot.id, available.get(lot.id) - taken);
+        remaining -= taken;
+        selected.push({ lot, shares: taken });
+    };
+
+    if (method === 'specific') {
+        designated.forEach(({ lotId, shares: count }) => {
+            const lot = lots.find((candidate) => candidate.id === lotId);
+            if (lot) take(lot, Number(count));
+        });
+    }
+
+    orderLots(lots, method).forEach((lot) => take(lot, remaining));
+
+    return selected;
+};
+
+// The method a recorded sale was placed with
+const electedMethod = (sale) => sale.lotMethod || (sale.lots ? 'specific' : 'fifo');
+
+/**
+ * Replays buy and sell activity and returns one realized gain row per lot relieved by a sale.
+ * Fees are added to the cost basis of buys and deducted from the proceeds of sells.
+ * `method` 'elected' relieves each sale the way it was placed; any LOT_METHODS key
+ * re-runs every sale with that method instead.
+ */
+export const computeRealizedGains = (transactions, method = 'elected') => {
+    const openLots = {};
+    const realized = [];
+
+    [...transactions]
+        .sort((a, b) => toDate(a.date) - toDate(b.date))
+        .forEach((transaction) => {
+            const { id, propertyId, property, type, pricePerShare, date } = transaction;
+            const shares = Number(transaction.shares);
+            const fees = Number(transaction.fees) || 0;
+            const lots = openLots[propertyId] || (openLots[propertyId] = []);
+
+            if (type === 'buy') {
+                lots.push({
+                    id,
+                    acquired: date,
+                    remaining: shares,
+                    costPerShare: lotCostPerShare(transaction),
+                });
+                return;
+            }
+
+            const saleMethod = method === 'elected' ? electedMethod(transaction) : method;
+            const proceedsPerShare = (shares * pricePerShare - fees) / shares;
+            selectLots(lots, shares, saleMethod, transaction.lots).forEach(({ lot, shares: lotShares }) => {
+                lot.remaining -= lotShares;
+                const proceeds = lotShares * proceedsPerShare;
+                const costBasis = lotShares * lot.costPerShare;
+                realized.push({
+                    id: `${id}-${lot.id}-${realized.length}`,
+                    propertyId,
+                    property,
+                    lotId: lot.id,
+                    acquired: lot.acquired,
+                    sold: date,
+                    shares: lotShares,
+                    proceeds,
+                    costBasis,
+                    gain: proceeds - costBasis,
+                    term: isLongTerm(lot.acquired, date) ? 'long' : 'short',
+                });
+            });
+        });
+
+    return realized;
+};
+
+/**
+ * Totals realized gain rows into short-term, long-term and net figures.
+ */
+export const summarizeGains = (rows) =>
+    rows.reduce(
+        (totals, row) => ({
+            ...totals,
+            [row.term]: totals[row.term] + row.gain,
+            proceeds: totals.proceeds + row.proceeds,
+            costBasis: totals.costBasis + row.costBasis,
+            net: totals.net + row.gain,
+        }),
+        { short: 0, long: 0, proceeds: 0, costBasis: 0, net: 0 }
+    );
@@ -0,0 +1,5 @@
+// Files the API stores as bare filenames are served from its /uploads folder.
+// Full URLs, like the mock data's, are used as they are.
+
+export const uploadsUrl = (file) =>
+    /^https?:\/\//.test(file) ? file : new URL(`/uploads/${file}`, import.meta.env.VITE_REACT_APP_BASE_URL).href;
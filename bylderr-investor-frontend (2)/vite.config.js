@@ -6,6 +6,10 @@ export default defineConfig({
     plugins: [react()],
     server: {
         port: 3000,
+        fs: {
+            // The signup rules are shared with the API from ../shared
+            allow: ['.', '../shared'],
+        },
     },
     optimizeDeps: {
         include: ['redux-thunk'],
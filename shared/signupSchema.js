@@ -0,0 +1,143 @@
+// Investor signup rules, one list of fields per wizard step. This is the only copy: the
+// signup wizard checks each step against it, and the API's register route checks the whole body.
+
+export const SIGNUP_TOTAL_STEPS = 8;
+
+// Entity types an investor can sign up as; joint accounts are opened by two existing investors
+export const SIGNUP_ENTITY_TYPES = ['llc', 'trust', 'corporation', 'ira'];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isIndividual = (body) => body.investorType === 'Individual';
+const isEntity = (body) => body.investorType === 'Entity';
+
+/**
+ * Rules by field path. `investor` rules only apply to investor signups; `when` limits a
+ * rule to some signups. Each rule fails with its `message`.
+ */
+export const SIGNUP_RULES = {
+    email: { required: true, pattern: EMAIL, message: 'Please include a valid email' },
+    password: { required: true, minLength: 8, message: 'Please enter a password with 8 or more characters' },
+    investorType: { investor: true, required: true, oneOf: ['Individual', 'Entity'], message: 'Please choose how you will invest' },
+    accreditedInvestorStatus: {
+        investor: true,
+        required: true,
+        oneOf: ['accredited', 'non-accredited'],
+        message: 'Please tell us whether you are an accredited investor'
+    },
+    annualIncome: { investor: true, required: true, min: 0, message: 'Please enter your annual income' },
+    netWorth: { investor: true, required: true, min: 0, message: 'Please enter your net worth, excluding your primary residence' },
+    firstName: { required: true, message: 'First name is required' },
+    lastName: { required: true, message: 'Last name is required' },
+    phone: { investor: true, required: true, pattern: /^\+?[\d\s().-]{10,}$/, message: 'Please enter a valid phone number' },
+    'userDetails.dob': { investor: true, required: true, minAge: 18, message: 'You must be at least 18 years old to invest' },
+    'userDetails.ssn': {
+        investor: true,
+        required: true,
+        when: isIndividual,
+        pattern: /^\d{3}-?\d{2}-?\d{4}$/,
+        message: 'Please enter a valid Social Security number'
+    },
+    'userDetails.validIdNum': {
+        investor: true,
+        required: true,
+        when: isIndividual,
+        message: "Please enter your driver's license or passport number"
+    },
+    'userDetails.entityType': {
+        investor: true,
+        required: true,
+        when: isEntity,
+        oneOf: SIGNUP_ENTITY_TYPES,
+        message: 'Please choose the kind of entity',
+    },
+    'userDetails.entityName': { investor: true, required: true, when: isEntity, message: 'Please enter the entity name' },
+    'userDetails.ein': { investor: true, required: true, when: isEntity, pattern: /^\d{2}-?\d{7}$/, message: 'Please enter a valid EIN' },
+    'userDetails.streetAddress': { investor: true, required: true, message: 'Street address is required' },
+    'userDetails.city': { investor: true, required: true, message: 'City is required' },
+    'userDetails.state': { investor: true, required: true, pattern: /^[A-Za-z]{2}$/, message: 'Please enter a two-letter state code' },
+    'userDetails.zipCode': { investor: true, required: true, pattern: /^\d{5}(-\d{4})?$/, message: 'Please enter a valid ZIP code' },
+    fundingMethod: { investor: true, required: true, oneOf: ['bank', 'wire', 'later'], message: 'Please choose how you will fund your account' },
+    'preferences.riskLevel': { investor: true, required: true, oneOf: [1, 2, 3], message: 'Please choose your risk tolerance' },
+    'preferences.investmentAmount': { investor: true, required: true, min: 1, message: 'Please enter how much you plan to invest' },
+    'preferences.timeHorizon': { investor: true, minItems: 1, message: 'Please choose at least one time horizon' }
+};
+
+// Fields checked at each of the wizard's eight steps
+export const SIGNUP_STEP_FIELDS = {
+    1: ['email', 'password'],
+    2: ['investorType'],
+    3: ['accreditedInvestorStatus', 'annualIncome', 'netWorth'],
+    4: [],
+    5: [
+        'firstName',
+        'lastName',
+        'phone',
+        'userDetails.dob',
+        'userDetails.ssn',
+        'userDetails.validIdNum',
+        'userDetails.entityType',
+        'userDetails.entityName',
+        'userDetails.ein',
+        'userDetails.streetAddress',
+        'userDetails.city',
+        'userDetails.state',
+        'userDetails.zipCode'
+    ],
+    6: ['fundingMethod'],
+    7: ['preferences.riskLevel', 'preferences.investmentAmount', 'preferences.timeHorizon'],
+    8: []
+};
+
+const valueAt = (body, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), body);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const yearsSince = (date) => {
+    const born = new Date(date);
+    if (isNaN(born)) return 0;
+    const now = new Date();
+    const age = now.getFullYear() - born.getFullYear();
+    const hadBirthday = now.getMonth() > born.getMonth() ||
+        (now.getMonth() === born.getMonth() && now.getDate() >= born.getDate());
+    return hadBirthday ? age : age - 1;
+};
+
+/**
+ * Check one field of a signup body
+ * @param {String} field - Field path, e.g. 'userDetails.ssn'
+ * @param {Object} body - The whole signup body
+ * @returns {String|null} - The rule's message, or null if the field is fine
+ */
+export const fieldError = (field, body) => {
+    const rule = SIGNUP_RULES[field];
+
+    if (rule.investor && body.role && body.role !== 'investor') return null;
+    if (rule.when && !rule.when(body)) return null;
+
+    const value = valueAt(body, field);
+
+    if (rule.minItems) {
+        return Array.isArray(value) && value.length >= rule.minItems ? null : rule.message;
+    }
+    if (isBlank(value)) return rule.required ? rule.message : null;
+    if (rule.pattern && !rule.pattern.test(String(value))) return rule.message;
+    if (rule.minLength && String(value).length < rule.minLength) return rule.message;
+    if (rule.oneOf && !rule.oneOf.includes(value)) return rule.message;
+    if (rule.min !== undefined && !(Number(value) >= rule.min)) return rule.message;
+    if (rule.minAge && !(yearsSince(value) >= rule.minAge)) return rule.message;
+
+    return null;
+};
+
+/**
+ * Errors for one wizard step
+ * @param {Number} step - 1 to 8
+ * @param {Object} body - The whole signup body
+ * @returns {Object} - { [field]: message } for the fields that fail
+ */
+export const stepErrors = (step, body) =>
+    (SIGNUP_STEP_FIELDS[step] || []).reduce((errors, field) => {
+        const problem = fieldError(field, body);
+        return problem ? { ...errors, [field]: problem } : errors;
+    }, {});